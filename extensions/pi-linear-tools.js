@@ -61,15 +61,26 @@ try {
 
 import {
   executeIssueList,
+  executeIssueSearch,
   executeIssueView,
   executeIssueImages,
   executeIssueDownload,
   executeIssueActivity,
   executeIssueCreate,
   executeIssueUpdate,
+  executeIssueBulkUpdate,
   executeIssueComment,
+  executeIssueCommentEdit,
+  executeIssueCommentDelete,
+  executeIssueCommentReply,
   executeIssueStart,
   executeIssueDelete,
+  executeIssueCurrent,
+  executeIssueFinish,
+  executeIssuePrBody,
+  executeIssueCommitMsg,
+  executeIssueSubscribe,
+  executeIssueUnsubscribe,
   executeIssueLabelList,
   executeIssueLabelCreate,
   executeProjectList,
@@ -85,8 +96,24 @@ import {
   executeProjectUpdateUpdate,
   executeProjectUpdateArchive,
   executeProjectUpdateUnarchive,
+  executeDocumentList,
+  executeDocumentSearch,
+  executeDocumentView,
+  executeDocumentCreate,
+  executeDocumentUpdate,
+  executeDocumentArchive,
+  executeSyncDocList,
+  executeSyncDocExplain,
+  executeSyncDocCheck,
+  executeSyncDocRun,
+  executeSyncDocPull,
   executeProjectLabelList,
   executeTeamList,
+  executeUserList,
+  executeUserView,
+  executeCycleList,
+  executeCycleView,
+  executeCycleCurrent,
   executeMilestoneList,
   executeMilestoneView,
   executeMilestoneCreate,
@@ -282,6 +309,12 @@ async function gitBranchExists(pi, branchName) {
   return result?.code === 0;
 }
 
+async function readCurrentGitBranch(pi) {
+  if (typeof pi.exec !== 'function') return null;
+  const result = await pi.exec('git', ['rev-parse', '--abbrev-ref', 'HEAD']);
+  return result?.code === 0 ? String(result.stdout || '').trim() : null;
+}
+
 async function startGitBranchForIssue(pi, branchName, fromRef = 'HEAD', onBranchExists = 'switch') {
   const exists = await gitBranchExists(pi, branchName);
 
@@ -707,40 +740,112 @@ async function registerLinearTools(pi) {
     name: 'linear_issue',
     label: 'Linear Issue',
     description: 'Interact with Linear issues.',
-    promptSnippet: 'Interact with Linear issues (list, view, images, download, activity, create, update, comment, start, delete, labels)',
+    promptSnippet: 'Interact with Linear issues (list, search, current, view, images, download, activity, create, update, bulk_update, comment, comment-edit, comment-delete, comment-reply, start, finish, pr-body, commit-msg, subscribe, unsubscribe, delete, labels)',
     parameters: {
       type: 'object',
       properties: {
         action: {
           type: 'string',
-          enum: ['list', 'view', 'images', 'download', 'activity', 'create', 'update', 'comment', 'start', 'delete', 'labels'],
+          enum: ['list', 'search', 'current', 'view', 'images', 'download', 'activity', 'create', 'update', 'bulk_update', 'comment', 'comment-edit', 'comment-delete', 'comment-reply', 'start', 'finish', 'pr-body', 'commit-msg', 'subscribe', 'unsubscribe', 'delete', 'labels'],
           description: 'Action to perform on issue(s)',
         },
         issue: {
           type: 'string',
-          description: 'Issue key (ABC-123) or Linear issue ID (for view, images, download, activity, update, comment, start, delete)',
+          description: 'Issue key (ABC-123) or Linear issue ID (for view, images, download, activity, update, comment, comment-reply, start, finish, pr-body, commit-msg, subscribe, unsubscribe, delete; for comment-edit/comment-delete when comment is an index). Omit for view, update, comment, activity, finish, pr-body, and commit-msg to use the issue for the current git branch.',
         },
         project: {
           type: 'string',
-          description: 'Project name or ID for listing/creating issues (default: repository name from the git remote origin, else the current directory name)',
+          description: 'Project name or ID for listing/creating issues (default: repository name from the git remote origin, else the current directory name). Optional for search.',
+        },
+        issues: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'For bulk_update: issue keys or IDs to update. Use either issues or filter.',
+        },
+        filter: {
+          type: 'object',
+          properties: {
+            project: { type: 'string', description: 'Project name or ID' },
+            states: { type: 'array', items: { type: 'string' }, description: 'State names' },
+            assignee: { type: 'string', description: '"me", "all", or a user (email, display name, name, or ID)' },
+            team: { type: 'string', description: 'Team key or ID' },
+            cycle: { type: 'string', description: 'current, next, previous, or cycle number' },
+            query: { type: 'string', description: 'Free-text search across titles and descriptions' },
+            dueBefore: { type: 'string', description: 'Only issues due on or before this date (YYYY-MM-DD)' },
+            overdue: { type: 'boolean', description: 'Only open issues whose due date has passed' },
+            limit: { type: 'integer', minimum: 1, description: 'Maximum issues to update (default: 250)' },
+          },
+          additionalProperties: false,
+          description: 'For bulk_update: select issues with the same filters as list instead of listing keys. Every matching issue is updated.',
+        },
+        setProject: {
+          type: 'string',
+          description: 'For bulk_update: project name or ID to move the issues to.',
+        },
+        addLabels: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'For update/bulk_update: label names or IDs to add, keeping the issue\'s current labels. Prefer this over labels when adding.',
+        },
+        removeLabels: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'For update/bulk_update: label names or IDs to remove, keeping the other labels.',
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'For bulk_update: preview the per-issue changes without updating anything.',
         },
         states: {
           type: 'array',
           items: { type: 'string' },
-          description: 'Filter by state names for listing',
+          description: 'Filter by state names for list/search',
+        },
+        stateType: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['triage', 'backlog', 'unstarted', 'started', 'completed', 'canceled', 'open', 'closed'],
+          },
+          description: 'For search: filter by workflow state type. "open" = triage/backlog/unstarted/started, "closed" = completed/canceled.',
+        },
+        createdAfter: {
+          type: 'string',
+          description: 'For search: created on/after this date (YYYY-MM-DD, ISO timestamp, or ISO 8601 duration like -P2W).',
+        },
+        createdBefore: {
+          type: 'string',
+          description: 'For search: created on/before this date (YYYY-MM-DD, ISO timestamp, or ISO 8601 duration).',
+        },
+        updatedAfter: {
+          type: 'string',
+          description: 'For search: updated on/after this date (YYYY-MM-DD, ISO timestamp, or ISO 8601 duration like -P1W).',
+        },
+        updatedBefore: {
+          type: 'string',
+          description: 'For search: updated on/before this date (YYYY-MM-DD, ISO timestamp, or ISO 8601 duration).',
         },
         assignee: {
           type: 'string',
-          description: 'For list: "me" or "all". For create/update: "me" or assignee ID.',
+          description: 'User as "me", email, display name, name, or ID. For list: also "all". For search: also "unassigned". For bulk_update: also "none" to unassign.',
         },
         assigneeId: {
           type: 'string',
           description: 'Optional explicit assignee ID alias for update/create debugging/compatibility.',
         },
+        subscribers: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Users as "me", email, display name, name, or ID. For create: users to subscribe to the new issue. For subscribe/unsubscribe: users to add or remove (default: ["me"]).',
+        },
         limit: {
           type: 'integer',
           description: 'Maximum number of issues, activity entries, or images to fetch',
         },
+        cursor: {
+          type: 'string',
+          description: 'For list/search: pagination cursor from a previous result\'s nextCursor to fetch the next page',
+        },
         includeComments: {
           type: 'boolean',
           description: 'Include comments when viewing an issue or fetching images (default: true)',
@@ -809,16 +914,20 @@ async function registerLinearTools(pi) {
         },
         state: {
           type: 'string',
-          description: 'Target state name or ID (for create, update)',
+          description: 'Target state name or ID (for create, update, bulk_update). For finish: "review" (default; falls back to completed), "completed", or a state name.',
         },
         milestone: {
           type: 'string',
-          description: 'For create/update: milestone name/ID. For create, also provide project so names can be resolved. Use "none" to clear on update.',
+          description: 'For create/update/bulk_update: milestone name/ID. For create, also provide project so names can be resolved. Use "none" to clear on update.',
         },
         projectMilestoneId: {
           type: 'string',
           description: 'Optional explicit milestone ID alias for create/update.',
         },
+        cycle: {
+          type: 'string',
+          description: 'Cycle: current, next, previous, cycle number, name, or ID. For list: filter by cycle (team-scoped; uses team or the default team). For create/update/bulk_update: assign the issue to the cycle; use "none" to clear on update.',
+        },
         subIssueOf: {
           type: 'string',
           description: 'For update: set this issue as sub-issue of the given issue key/ID, or "none" to clear parent.',
@@ -847,10 +956,29 @@ async function registerLinearTools(pi) {
           type: 'string',
           description: 'For update: mark this issue as duplicate of the given issue key/ID.',
         },
+        removeBlockedBy: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'For update: remove "blocked by" dependencies on the listed issues.',
+        },
+        removeBlocking: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'For update: remove "blocking" dependencies on the listed issues.',
+        },
+        removeRelatedTo: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'For update: remove related issue links.',
+        },
+        removeDuplicateOf: {
+          type: 'string',
+          description: 'For update: remove the "duplicate of" relation to the given issue key/ID.',
+        },
         labels: {
           type: 'array',
           items: { type: 'string' },
-          description: 'Issue label names or IDs to set (for create/update): an issue labels action also drives list/create. Labels by capital-sensitive team scope.',
+          description: 'Issue label names or IDs to set (for create/update; replaces all current labels, see addLabels/removeLabels): an issue labels action also drives list/create. Labels by capital-sensitive team scope. For search: issues must have all listed labels.',
         },
         links: {
           type: 'array',
@@ -863,7 +991,7 @@ async function registerLinearTools(pi) {
             required: ['url'],
             additionalProperties: false,
           },
-          description: 'Link attachments to add (append-only, for create/update): [{url, title}].',
+          description: 'Link attachments to add (append-only, for create/update/finish): [{url, title}]. For finish, defaults to the HEAD commit on origin.',
         },
         name: {
           type: 'string',
@@ -879,9 +1007,28 @@ async function registerLinearTools(pi) {
           description: 'Sub-action for the labels action (default: list).',
         },
         estimate: {
-          type: 'integer',
-          description: 'Estimate/story points for the issue (non-negative integer, for create/update)',
-          minimum: 0,
+          description: 'Estimate for the issue on the team\'s estimation scale (for create/update): points such as 1, 2, 3, 5, 8, or a t-shirt size (XS, S, M, L, XL) for t-shirt teams',
+          oneOf: [
+            {
+              type: 'integer',
+              minimum: 0,
+            },
+            {
+              type: 'string',
+            },
+          ],
+        },
+        dueDate: {
+          type: 'string',
+          description: 'Due date as YYYY-MM-DD (for create/update); "none" clears it on update',
+        },
+        dueBefore: {
+          type: 'string',
+          description: 'For list: only issues due on or before this date (YYYY-MM-DD)',
+        },
+        overdue: {
+          type: 'boolean',
+          description: 'For list: only open issues whose due date has passed',
         },
         team: {
           type: 'string',
@@ -889,7 +1036,7 @@ async function registerLinearTools(pi) {
         },
         query: {
           type: 'string',
-          description: 'Free-text search query across issue titles and descriptions (for list only)',
+          description: 'Free-text search query across issue titles and descriptions (for list and search)',
         },
         parentId: {
           type: 'string',
@@ -897,7 +1044,11 @@ async function registerLinearTools(pi) {
         },
         body: {
           type: 'string',
-          description: 'Comment body in markdown (for comment)',
+          description: 'Comment body in markdown (for comment, comment-edit, comment-reply)',
+        },
+        comment: {
+          type: 'string',
+          description: 'Comment ID, or its #N index as shown by view (for comment-edit, comment-delete, comment-reply). Indexes require issue.',
         },
         parentCommentId: {
           type: 'string',
@@ -905,7 +1056,29 @@ async function registerLinearTools(pi) {
         },
         fromRef: {
           type: 'string',
-          description: 'Git ref to branch from (default: HEAD, for start)',
+          description: 'Git ref to branch from (for start, default: HEAD), or the base ref for the commit summary (for finish, default: origin\'s default branch, else main)',
+        },
+        switchToBase: {
+          type: 'boolean',
+          description: 'For finish: check out the base branch afterwards',
+        },
+        magicWord: {
+          type: 'string',
+          enum: ['Fixes', 'Closes', 'Resolves', 'Part of', 'Ref'],
+          description: 'For pr-body: Linear magic word before the issue key (default: Fixes; "Part of" and "Ref" link without closing)',
+        },
+        template: {
+          type: 'string',
+          description: 'For pr-body: template file, relative to the session working directory (default: nearest .linear-tools/pr-body.md, then ~/.linear-tools/pr-body.md)',
+        },
+        type: {
+          type: 'string',
+          enum: ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'],
+          description: 'For commit-msg: conventional-commit type (default: inferred from issue labels, else feat)',
+        },
+        scope: {
+          type: 'string',
+          description: 'For commit-msg: optional conventional-commit scope',
         },
         onBranchExists: {
           type: 'string',
@@ -917,7 +1090,7 @@ async function registerLinearTools(pi) {
       additionalProperties: false,
     },
     renderResult: renderMarkdownResult,
-    async execute(_toolCallId, params) {
+    async execute(_toolCallId, params, _signal, _onUpdate, ctx) {
       return executeToolSafely('Linear issue operation failed', async () => {
         // Pre-check: skip API calls if we know we're rate limited
         const { isRateLimited, resetAt } = checkAndClearRateLimit();
@@ -929,30 +1102,55 @@ async function registerLinearTools(pi) {
         const rateLimitDebug = settings.rateLimitDebug || false;
         const client = await createAuthenticatedClient();
 
+        const currentIssueOptions = { currentBranchReader: () => readCurrentGitBranch(pi) };
+        const gitRunner = typeof pi.exec === 'function' ? (args) => pi.exec('git', args) : undefined;
+
         return await withRequestUsageLogging(client, 'linear_issue', params.action, async () => {
           switch (params.action) {
             case 'list':
-              return await executeIssueList(client, params);
+              return await executeIssueList(client, params, { resolveDefaultTeam });
+            case 'search':
+              return await executeIssueSearch(client, params, { resolveDefaultTeam });
+            case 'current':
+              return await executeIssueCurrent(client, params, currentIssueOptions);
             case 'view':
-              return await executeIssueView(client, params);
+              return await executeIssueView(client, params, currentIssueOptions);
             case 'images':
               return await executeIssueImages(client, params);
             case 'download':
               return await executeIssueDownload(client, params, { settings });
             case 'activity':
-              return await executeIssueActivity(client, params);
+              return await executeIssueActivity(client, params, currentIssueOptions);
             case 'create':
               return await executeIssueCreate(client, params, { resolveDefaultTeam });
             case 'update':
-              return await executeIssueUpdate(client, params);
+              return await executeIssueUpdate(client, params, currentIssueOptions);
+            case 'bulk_update':
+              return await executeIssueBulkUpdate(client, params, { resolveDefaultTeam });
             case 'comment':
-              return await executeIssueComment(client, params);
+              return await executeIssueComment(client, params, currentIssueOptions);
+            case 'comment-edit':
+              return await executeIssueCommentEdit(client, params);
+            case 'comment-delete':
+              return await executeIssueCommentDelete(client, params);
+            case 'comment-reply':
+              return await executeIssueCommentReply(client, params);
             case 'start':
               return await executeIssueStart(client, params, {
                 gitExecutor: async (branchName, fromRef, onBranchExists) => {
                   return startGitBranchForIssue(pi, branchName, fromRef, onBranchExists);
                 },
               });
+            case 'finish':
+              return await executeIssueFinish(client, params, { gitRunner });
+            case 'pr-body':
+              return await executeIssuePrBody(client, params, { ...currentIssueOptions, cwd: ctx?.cwd || process.cwd() });
+            case 'commit-msg':
+              return await executeIssueCommitMsg(client, params, currentIssueOptions);
+            case 'subscribe':
+              return await executeIssueSubscribe(client, params);
+            case 'unsubscribe':
+              return await executeIssueUnsubscribe(client, params);
             case 'delete':
               return await executeIssueDelete(client, params);
             case 'labels':
@@ -999,7 +1197,7 @@ async function registerLinearTools(pi) {
         },
         lead: {
           type: 'string',
-          description: 'Project lead user ID, "me", or "none" when updating',
+          description: 'Project lead as "me", email, display name, name, or user ID; "none" clears it when updating',
         },
         priority: {
           type: 'integer',
@@ -1107,6 +1305,10 @@ async function registerLinearTools(pi) {
           minimum: 1,
           multipleOf: 1,
         },
+        cursor: {
+          type: 'string',
+          description: 'For list: pagination cursor from a previous result\'s nextCursor to fetch the next page',
+        },
         includeArchived: {
           type: 'boolean',
           description: 'Whether archived updates should be included when listing',
@@ -1150,6 +1352,197 @@ async function registerLinearTools(pi) {
     },
   });
 
+  pi.registerTool({
+    name: 'linear_document',
+    label: 'Linear Document',
+    description: 'Interact with Linear documents.',
+    promptSnippet: 'Interact with Linear documents (list, view, create, update, archive, search)',
+    parameters: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['list', 'view', 'create', 'update', 'archive', 'search'],
+          description: 'Action to perform on document(s)',
+        },
+        document: {
+          type: 'string',
+          description: 'Document ID or slug (for view, update, archive)',
+        },
+        project: {
+          type: 'string',
+          description: 'Project name or ID (for list, create; for update, moves the document)',
+        },
+        issue: {
+          type: 'string',
+          description: 'Issue key (ENG-123) or ID (for list, create; for update, moves the document)',
+        },
+        query: {
+          type: 'string',
+          description: 'Search text (for search)',
+        },
+        title: {
+          type: 'string',
+          description: 'Document title (required for create, optional for update)',
+        },
+        content: {
+          type: 'string',
+          description: 'Document content in markdown (for create, update)',
+        },
+        icon: {
+          type: 'string',
+          description: 'Document icon (emoji or icon name)',
+        },
+        color: {
+          type: 'string',
+          description: 'Document icon color (hex)',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Max documents to list or search (default: 25)',
+          minimum: 1,
+          multipleOf: 1,
+        },
+        cursor: {
+          type: 'string',
+          description: 'For list/search: pagination cursor from a previous result\'s nextCursor to fetch the next page',
+        },
+        includeArchived: {
+          type: 'boolean',
+          description: 'Whether archived documents should be included when listing or searching',
+        },
+      },
+      required: ['action'],
+      additionalProperties: false,
+    },
+    renderResult: renderMarkdownResult,
+    async execute(_toolCallId, params) {
+      return executeToolSafely('Linear document operation failed', async () => {
+        // Pre-check: skip API calls if we know we're rate limited
+        const { isRateLimited, resetAt } = checkAndClearRateLimit();
+        if (isRateLimited) {
+          return buildRateLimitToolResult({ requestsResetAt: resetAt.getTime(), type: 'Ratelimited' }, { cached: true });
+        }
+
+        const settings = await loadSettings();
+        const rateLimitDebug = settings.rateLimitDebug || false;
+        const client = await createAuthenticatedClient();
+
+        return await withRequestUsageLogging(client, 'linear_document', params.action, async () => {
+          switch (params.action) {
+            case 'list':
+              return await executeDocumentList(client, params);
+            case 'view':
+              return await executeDocumentView(client, params);
+            case 'create':
+              return await executeDocumentCreate(client, params);
+            case 'update':
+              return await executeDocumentUpdate(client, params);
+            case 'archive':
+              return await executeDocumentArchive(client, params);
+            case 'search':
+              return await executeDocumentSearch(client, params);
+            default:
+              throw new Error(`Unknown action: ${params.action}`);
+          }
+        }, rateLimitDebug);
+      });
+    },
+  });
+
+  pi.registerTool({
+    name: 'linear_sync_doc',
+    label: 'Linear Sync Doc',
+    description: 'Sync local markdown docs into Linear project/issue fields and documents.',
+    promptSnippet: 'Sync local markdown docs with Linear (list, check, run, pull, explain); run after editing synced README/docs',
+    parameters: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['list', 'check', 'run', 'pull', 'explain'],
+          description: 'Action to perform: list configured targets, check which need syncing, run the sync, pull Linear edits into local files, or explain the setup model',
+        },
+        target: {
+          type: 'string',
+          description: 'Sync target name (for check, run, pull; default: all configured targets)',
+        },
+        cwd: {
+          type: 'string',
+          description: 'Directory to resolve .linear-tools/config.json from, relative to the session working directory (default: session working directory)',
+        },
+        config: {
+          type: 'string',
+          description: 'Explicit sync-doc config path (overrides nearest config lookup)',
+        },
+        confirm: {
+          type: 'boolean',
+          description: 'For run without an interactive UI: set true to write changes to Linear. With a UI, the user is asked to confirm instead',
+        },
+        force: {
+          type: 'boolean',
+          description: 'For pull: overwrite local files even if they have edits that were never synced to Linear',
+        },
+        diff: {
+          type: 'boolean',
+          description: 'For check and the run preview: include a unified diff of the Linear managed block (and document index block) against the local content',
+        },
+        archiveRemoved: {
+          type: 'boolean',
+          description: 'For run: archive the Linear documents of files that no longer match a "files" glob target',
+        },
+        strategy: {
+          type: 'string',
+          enum: ['ours', 'theirs', 'merge'],
+          description: 'For run: resolve targets changed both locally and in Linear since the last sync. ours pushes the local file, theirs keeps Linear and updates the local file, merge does a three-way merge (conflict markers are written to the local file)',
+        },
+      },
+      required: ['action'],
+      additionalProperties: false,
+    },
+    renderResult: renderMarkdownResult,
+    async execute(_toolCallId, params, _signal, _onUpdate, ctx) {
+      return executeToolSafely('Linear sync-doc operation failed', async () => {
+        const options = { cwd: ctx?.cwd || process.cwd() };
+
+        if (params.action === 'explain') {
+          return await executeSyncDocExplain();
+        }
+        if (params.action === 'list') {
+          return await executeSyncDocList(params, options);
+        }
+
+        // Pre-check: skip API calls if we know we're rate limited
+        const { isRateLimited, resetAt } = checkAndClearRateLimit();
+        if (isRateLimited) {
+          return buildRateLimitToolResult({ requestsResetAt: resetAt.getTime(), type: 'Ratelimited' }, { cached: true });
+        }
+
+        const settings = await loadSettings();
+        const rateLimitDebug = settings.rateLimitDebug || false;
+        const client = await createAuthenticatedClient();
+
+        return await withRequestUsageLogging(client, 'linear_sync_doc', params.action, async () => {
+          switch (params.action) {
+            case 'check':
+              return await executeSyncDocCheck(client, params, options);
+            case 'run':
+              return await executeSyncDocRun(client, params, {
+                ...options,
+                confirmRun: ctx?.hasUI && typeof ctx.ui?.confirm === 'function'
+                  ? (summary) => ctx.ui.confirm('Write these doc changes to Linear?', summary)
+                  : null,
+              });
+            case 'pull':
+              return await executeSyncDocPull(client, params, options);
+            default:
+              throw new Error(`Unknown action: ${params.action}`);
+          }
+        }, rateLimitDebug);
+      });
+    },
+  });
+
   pi.registerTool({
     name: 'linear_team',
     label: 'Linear Team',
@@ -1186,6 +1579,120 @@ async function registerLinearTools(pi) {
     },
   });
 
+  pi.registerTool({
+    name: 'linear_user',
+    label: 'Linear User',
+    description: 'Interact with Linear users.',
+    promptSnippet: 'Look up Linear users (list, view) to find who to assign',
+    parameters: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['list', 'view'],
+          description: 'Action to perform on user(s)',
+        },
+        user: {
+          type: 'string',
+          description: 'For view: "me", email, display name, name, or user ID',
+        },
+        query: {
+          type: 'string',
+          description: 'For list: only users whose name, display name, or email contains this text',
+        },
+        includeDisabled: {
+          type: 'boolean',
+          description: 'For list: include deactivated users',
+        },
+      },
+      required: ['action'],
+      additionalProperties: false,
+    },
+    renderResult: renderMarkdownResult,
+    async execute(_toolCallId, params) {
+      return executeToolSafely('Linear user operation failed', async () => {
+        const settings = await loadSettings();
+        const rateLimitDebug = settings.rateLimitDebug || false;
+        const client = await createAuthenticatedClient();
+
+        return await withRequestUsageLogging(client, 'linear_user', params.action, async () => {
+          switch (params.action) {
+            case 'list':
+              return await executeUserList(client, params);
+            case 'view':
+              return await executeUserView(client, params);
+            default:
+              throw new Error(`Unknown action: ${params.action}`);
+          }
+        }, rateLimitDebug);
+      });
+    },
+  });
+
+  pi.registerTool({
+    name: 'linear_cycle',
+    label: 'Linear Cycle',
+    description: 'Interact with Linear team cycles.',
+    promptSnippet: 'Interact with Linear cycles (list, view, current)',
+    parameters: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['list', 'view', 'current'],
+          description: 'Action to perform on cycle(s)',
+        },
+        team: {
+          type: 'string',
+          description: 'Team key (e.g. ENG), name, or ID (optional if default team configured)',
+        },
+        cycle: {
+          type: 'string',
+          description: 'Cycle reference for view: current, next, previous, cycle number, name, or ID (default: current)',
+        },
+        includePast: {
+          type: 'boolean',
+          description: 'Include completed cycles when listing (default: false)',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Max cycles to list',
+          minimum: 1,
+          multipleOf: 1,
+        },
+      },
+      required: ['action'],
+      additionalProperties: false,
+    },
+    renderResult: renderMarkdownResult,
+    async execute(_toolCallId, params) {
+      return executeToolSafely('Linear cycle operation failed', async () => {
+        // Pre-check: skip API calls if we know we're rate limited
+        const { isRateLimited, resetAt } = checkAndClearRateLimit();
+        if (isRateLimited) {
+          return buildRateLimitToolResult({ requestsResetAt: resetAt.getTime(), type: 'Ratelimited' }, { cached: true });
+        }
+
+        const settings = await loadSettings();
+        const rateLimitDebug = settings.rateLimitDebug || false;
+        const client = await createAuthenticatedClient();
+
+        return await withRequestUsageLogging(client, 'linear_cycle', params.action, async () => {
+          switch (params.action) {
+            case 'list':
+              return await executeCycleList(client, params, { resolveDefaultTeam });
+            case 'view':
+              return await executeCycleView(client, params, { resolveDefaultTeam });
+            case 'current':
+              return await executeCycleCurrent(client, params, { resolveDefaultTeam });
+            default:
+              throw new Error(`Unknown action: ${params.action}`);
+          }
+        }, rateLimitDebug);
+      });
+    },
+  });
+
   if (await shouldExposeMilestoneTool()) {
     pi.registerTool({
       name: 'linear_milestone',
@@ -1220,6 +1727,16 @@ async function registerLinearTools(pi) {
             type: 'string',
             description: 'Target completion date (ISO 8601 date)',
           },
+          limit: {
+            type: 'integer',
+            description: 'For list: max milestones per page (default: 250)',
+            minimum: 1,
+            multipleOf: 1,
+          },
+          cursor: {
+            type: 'string',
+            description: 'For list: pagination cursor from a previous result\'s nextCursor to fetch the next page',
+          },
         },
         required: ['action'],
         additionalProperties: false,
@@ -1403,10 +1920,14 @@ export default async function piLinearToolsExtension(pi) {
       const showMilestoneTool = await shouldExposeMilestoneTool();
       const toolLines = [
         'LLM-callable tools:',
-        '  linear_issue (list/view/images/download/activity/create/update/comment/start/delete)',
+        '  linear_issue (list/search/current/view/images/download/activity/create/update/bulk_update/comment/comment-edit/comment-delete/comment-reply/start/finish/pr-body/commit-msg/subscribe/unsubscribe/delete)',
         '  linear_project (list/view/create/update/delete/archive/unarchive)',
         '  linear_project_update (list/view/create/update/archive/unarchive)',
+        '  linear_document (list/view/create/update/archive/search)',
+        '  linear_sync_doc (list/check/run/pull/explain)',
         '  linear_team (list)',
+        '  linear_user (list/view)',
+        '  linear_cycle (list/view/current)',
       ];
 
       if (showMilestoneTool) {
@@ -1,12 +1,16 @@
+import { fileURLToPath } from 'node:url';
+
 import { loadSettings, saveSettings } from './settings.js';
-import { createLinearClient } from './linear-client.js';
+import { createLinearClient, checkAndClearRateLimit, checkAndWarnRateLimit } from './linear-client.js';
 import { resolveProjectRef } from './linear.js';
 import {
   explainSyncDocSetup,
   initSyncDocConfig,
   listSyncDocTargets,
+  pullSyncDocs,
   runAllSyncDocs,
   runSyncDoc,
+  watchSyncDocs,
 } from './sync-doc.js';
 import {
   authenticate,
@@ -17,15 +21,27 @@ import {
 } from './auth/index.js';
 import {
   executeIssueList,
+  executeIssueSearch,
   executeIssueView,
   executeIssueImages,
   executeIssueDownload,
   executeIssueActivity,
   executeIssueCreate,
   executeIssueUpdate,
+  executeIssueBulkUpdate,
   executeIssueComment,
+  executeIssueCommentEdit,
+  executeIssueCommentDelete,
+  executeIssueCommentReply,
   executeIssueStart,
   executeIssueDelete,
+  executeIssueCurrent,
+  executeIssueFinish,
+  executeIssuePrBody,
+  executeIssueCommitMsg,
+  executeIssueSubscribe,
+  executeIssueUnsubscribe,
+  executeGitPruneBranches,
   executeProjectList,
   executeProjectView,
   executeProjectCreate,
@@ -39,7 +55,18 @@ import {
   executeProjectUpdateUpdate,
   executeProjectUpdateArchive,
   executeProjectUpdateUnarchive,
+  executeDocumentList,
+  executeDocumentSearch,
+  executeDocumentView,
+  executeDocumentCreate,
+  executeDocumentUpdate,
+  executeDocumentArchive,
   executeTeamList,
+  executeUserList,
+  executeUserView,
+  executeCycleList,
+  executeCycleView,
+  executeCycleCurrent,
   executeMilestoneList,
   executeMilestoneView,
   executeMilestoneCreate,
@@ -50,6 +77,13 @@ import {
   executeProjectLabelList,
 } from './handlers.js';
 import { withMilestoneScopeHint } from './error-hints.js';
+import { authError, validationError, getErrorCode } from './errors.js';
+import {
+  ALLOW_CLOSED_ISSUE_ENV,
+  checkCommitMessage,
+  installCommitMsgHook,
+  uninstallCommitMsgHook,
+} from './git-hooks.js';
 
 // ===== ARGUMENT PARSING =====
 
@@ -71,6 +105,16 @@ function readMultiFlag(args, flag) {
   return values;
 }
 
+function readLinkFlags(args) {
+  return readMultiFlag(args, '--link').map((raw) => {
+    const separator = raw.indexOf('|');
+    if (separator >= 0) {
+      return { url: raw.slice(0, separator), title: raw.slice(separator + 1) };
+    }
+    return { url: raw, title: raw };
+  });
+}
+
 function hasFlag(args, flag) {
   return args.includes(flag);
 }
@@ -93,6 +137,89 @@ function parseBoolean(value) {
   return undefined;
 }
 
+// ===== OUTPUT =====
+
+/**
+ * Exit codes, the same with and without --json. Anything unclassified exits 1.
+ */
+export const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  validation: 2,
+  not_found: 3,
+  rate_limited: 4,
+  auth: 5,
+};
+
+// Linear SDK error types that reach the CLI without passing through a wrapped handler
+const LINEAR_ERROR_TYPES = {
+  Ratelimited: 'rate_limited',
+  AuthenticationError: 'auth',
+  Forbidden: 'auth',
+};
+
+// Fallback for untyped errors (e.g. from dependencies); checked in order, the first match wins.
+const ERROR_TYPE_PATTERNS = [
+  ['rate_limited', /rate limit/i],
+  ['auth', /no linear authentication|authentication (failed|error|required)|unauthori[sz]ed|forbidden|api key or oauth token|token expired/i],
+  ['not_found', /\bnot found\b|^no .+ (found|matched)\b/i],
+  ['validation', /^(missing|invalid|unknown|provide|expected|unbalanced|multiple|no update fields|no sync targets)\b|must (stay|use|include|declare|contain|be)\b|cannot set\b|not both\b/i],
+];
+
+let jsonOutput = false;
+
+/**
+ * Classify an error into one of the EXIT_CODES types: the typed `code` set where
+ * the error was thrown, then the Linear SDK error type, then the message text.
+ * @param {Error} error
+ * @returns {'validation'|'not_found'|'rate_limited'|'auth'|'error'}
+ */
+export function getCliErrorType(error) {
+  const code = getErrorCode(error);
+  if (code) {
+    return code;
+  }
+
+  if (LINEAR_ERROR_TYPES[error?.type]) {
+    return LINEAR_ERROR_TYPES[error.type];
+  }
+
+  if (error instanceof SyntaxError) {
+    return 'validation';
+  }
+
+  const message = String(error?.message || error || '');
+  const match = ERROR_TYPE_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : 'error';
+}
+
+/**
+ * Print command output: the text as-is, or with --json the details object plus
+ * the text under `markdown`.
+ */
+function printOutput(text, details = {}) {
+  if (jsonOutput) {
+    console.log(JSON.stringify({ ...details, markdown: text }, null, 2));
+    return;
+  }
+  console.log(text);
+}
+
+function printResult(result) {
+  printOutput(result.content[0].text, result.details);
+}
+
+function reportCliError(error) {
+  const type = getCliErrorType(error);
+  const message = error?.message || String(error);
+  if (jsonOutput) {
+    console.log(JSON.stringify({ error: { type, code: EXIT_CODES[type], message } }, null, 2));
+  } else {
+    console.error('pi-linear-tools CLI error:', message);
+  }
+  process.exitCode = EXIT_CODES[type];
+}
+
 // ===== AUTH RESOLUTION =====
 
 let cachedApiKey = null;
@@ -128,7 +255,7 @@ async function getLinearAuth() {
     return { accessToken: fallbackAccessToken };
   }
 
-  throw new Error(
+  throw authError(
     'No Linear authentication configured. Run: pi-linear-tools auth login or pi-linear-tools config --api-key <key>'
   );
 }
@@ -159,9 +286,13 @@ Commands:
   issue <action> [options]      Manage issues, comments, and issue activity/history
   project <action> [options]    Manage projects and project metadata
   project-update <action> [options]  Manage project updates (Linear Updates tab entries)
+  document <action> [options]   Manage Linear documents attached to projects or issues
   sync-doc [action] [options]   Sync local markdown into Linear fields
   team <action> [options]       Manage teams
+  user <action> [options]       List and look up workspace users
+  cycle <action> [options]      View team cycles (sprints)
   milestone <action> [options]  Manage milestones
+  git <action> [options]        Commit hooks and branch cleanup based on Linear issues
 
 Other commands:
   help                          Show this help message
@@ -172,49 +303,94 @@ Other commands:
   config --allow-overwrite-files true|false
                                 Allow issue download overwrites when requested
 
+Global Options:
+  --json                        Print the command's details as JSON, with the text under "markdown"
+
+Exit Codes:
+  0 ok, 1 other error or sync-doc conflict, 2 validation error, 3 not found, 4 rate limited, 5 auth error
+
 Auth Actions:
   login    Authenticate with Linear via OAuth 2.0
   logout   Clear stored authentication tokens
   status   Show current authentication status
 
 Issue Actions:
-  list [--project X] [--states X,Y] [--assignee me|all] [--team X] [--query X] [--limit N]
-  view <issue> [--no-comments]
+  list [--project X] [--states X,Y] [--assignee me|all|USER] [--team X] [--cycle current|next|N] [--query X] [--limit N]
+       [--due-before YYYY-MM-DD] [--overdue] [--cursor X | --all]
+  search [--team X] [--assignee me|unassigned|USER] [--state-type open|started|...] [--labels X,Y] [--priority X,Y]
+         [--cycle X] [--project X] [--created-after D] [--created-before D] [--updated-after D] [--updated-before D]
+         [--query X] [--limit N] [--cursor X | --all]
+  current
+  view [<issue>] [--no-comments]
   images <issue> [--no-comments] [--limit N] [--max-bytes N]
   download <issue> --directory DIR [--attachment-id ID|--attachment-title TITLE|--attachment-url URL|--attachment-index N]
          [--filename NAME] [--overwrite true|false] [--max-bytes N]
-  activity <issue> [--limit N] [--include-archived true|false]
-  create --title X [--team X] [--project X] [--description X] [--priority 0-4|name] [--assignee me|ID] [--labels X,Y] [--link URL|TITLE]
-  update <issue> [--title X] [--description X] [--state X] [--priority 0-4|name]
-         [--assignee me|ID] [--milestone X] [--sub-issue-of X] [--labels X,Y] [--link URL|TITLE]
+  activity [<issue>] [--limit N] [--include-archived true|false]
+  create --title X [--team X] [--project X] [--description X] [--priority 0-4|name] [--estimate X] [--due-date YYYY-MM-DD]
+         [--assignee me|USER] [--subscribers X,Y] [--cycle X] [--labels X,Y] [--link URL|TITLE]
+  update [<issue>] [--title X] [--description X] [--state X] [--priority 0-4|name] [--estimate X] [--due-date YYYY-MM-DD|none]
+         [--assignee me|USER] [--milestone X] [--cycle X] [--sub-issue-of X] [--labels X,Y] [--add-labels X,Y]
+         [--remove-labels X,Y] [--link URL|TITLE]
+         [--blocked-by X,Y] [--blocking X,Y] [--related-to X,Y] [--duplicate-of X]
+         [--remove-blocked-by X,Y] [--remove-blocking X,Y] [--remove-related-to X,Y] [--remove-duplicate-of X]
+  bulk-update (--issues X,Y | --project X [--states X,Y] [--assignee me|all|USER] [--team X] [--cycle X] [--query X]
+         [--due-before D] [--overdue] [--limit N])
+         [--set-state X] [--set-assignee me|none|USER] [--set-priority X] [--set-milestone X] [--set-cycle X]
+         [--set-project X] [--add-labels X,Y] [--remove-labels X,Y] [--dry-run]
+  subscribe <issue> [--users me|USER,...]
+  unsubscribe <issue> [--users me|USER,...]
   labels [--name X] [--team X]      List issue labels
-  labels create --name X [--color X] [--description X] [--team X]   Create an issue label  comment <issue> --body X
+  labels create --name X [--color X] [--description X] [--team X]   Create an issue label
+  comment [<issue>] --body X
+  comment-edit [<issue>] --comment N|ID --body X
+  comment-delete [<issue>] --comment N|ID
+  comment-reply <issue> --comment N|ID --body X
   start <issue> [--from-ref X] [--on-branch-exists switch|suffix]
+  finish [<issue>] [--state review|completed|X] [--from-ref X] [--link URL|TITLE] [--switch-to-base]
+  pr-body [<issue>] [--magic-word Fixes|Closes|Resolves|"Part of"|Ref] [--template PATH]
+  commit-msg [<issue>] [--type feat|fix|...] [--scope X]
   delete <issue>
 
 Project Actions:
   list
   view <project>
-  create --name X --teams ENG,OPS [--description X] [--lead me|ID] [--priority 0-4] [--target-date YYYY-MM-DD]
-  update <project> [--name X] [--description X] [--teams X,Y] [--lead me|none|ID] [--target-date YYYY-MM-DD]
+  create --name X --teams ENG,OPS [--description X] [--lead me|USER] [--priority 0-4] [--target-date YYYY-MM-DD]
+  update <project> [--name X] [--description X] [--teams X,Y] [--lead me|none|USER] [--target-date YYYY-MM-DD]
   delete <project>
   archive <project>
   unarchive <project>
   labels [--name X]   List project labels
 
 Project Update Actions:
-  list --project X [--limit N] [--include-archived true|false]
+  list --project X [--limit N] [--include-archived true|false] [--cursor X | --all]
   view <project-update-id>
   create --project X [--body X] [--health onTrack|atRisk|offTrack]
   update <project-update-id> [--body X] [--health onTrack|atRisk|offTrack]
   archive <project-update-id>
   unarchive <project-update-id>
 
+Document Actions:
+  list (--project X | --issue X) [--limit N] [--include-archived true|false] [--cursor X | --all]
+  search <query> [--limit N] [--include-archived true|false] [--cursor X | --all]
+  view <document>
+  create --title X (--project X | --issue X) [--content X] [--icon X] [--color X]
+  update <document> [--title X] [--content X] [--icon X] [--color X] [--project X | --issue X]
+  archive <document>
+
 Team Actions:
   list
 
+User Actions:
+  list [--query X] [--include-disabled]
+  view <user>
+
+Cycle Actions:
+  list [--team X] [--include-past] [--limit N]
+  view <cycle> [--team X]
+  current [--team X]
+
 Milestone Actions:
-  list [--project X]
+  list [--project X] [--limit N] [--cursor X | --all]
   view <milestone-id>
   create --project X --name X [--description X] [--target-date YYYY-MM-DD] [--status X]
   update <milestone-id> [--name X] [--description X] [--target-date X] [--status X]
@@ -242,18 +418,22 @@ More Help:
   pi-linear-tools project --help
   pi-linear-tools project-update --help
   pi-linear-tools sync-doc --help
+  pi-linear-tools cycle --help
   pi-linear-tools milestone --help
+  pi-linear-tools git --help
 
 Reference Conventions:
   issues           issue key (ENG-123) or issue ID
   projects         project name or project ID
   project-updates  project update ID
+  cycles           current, next, previous, cycle number, name, or cycle ID (within --team)
+  users            me, email, display name, name (partial matches must be unique), or user ID
   milestones       milestone ID
 
 Common Flags:
   --project     Project name or ID
   --team        Team key (e.g., ENG)
-  --assignee    "me" or assignee ID
+  --assignee    "me", or a user's email, display name, name, or ID
   --priority    Issue priority: 0=None, 1=Urgent, 2=High, 3=Medium, 4=Low; or none, urgent, high, medium, low
   --state       State name or ID
   --limit       Max results (default: 50)
@@ -275,9 +455,13 @@ Examples:
   pi-linear-tools sync-doc check
   pi-linear-tools issue list --project MyProject --states "In Progress,Backlog"
   pi-linear-tools issue list --project MyProject --query "smoke test"
+  pi-linear-tools issue search --assignee me --state-type open
+  pi-linear-tools issue search --team ENG --labels bug --priority urgent,high --updated-after -P1W
   pi-linear-tools issue view ENG-123
   pi-linear-tools issue create --title "Fix bug" --team ENG --priority 2
   pi-linear-tools issue start ENG-123
+  pi-linear-tools cycle current --team ENG
+  pi-linear-tools issue list --project MyProject --team ENG --cycle current
   pi-linear-tools milestone list --project MyProject
   pi-linear-tools config --api-key lin_xxx
 
@@ -300,30 +484,63 @@ Guidance:
   Use "comment" to add a discussion entry.
   Use "activity" to read the Activity timeline shown in Linear.
   Use "images" to fetch image attachments embedded in issue markdown/comments.
+  Omit <issue> in view, update, comment, activity, finish, pr-body, and commit-msg to use the issue for the current git branch.
 
 Actions:
   list      List issues in a project
+  search    Search issues across the workspace (no project required)
+  current   Show the issue for the current git branch
   view      View issue details
   images    Fetch image attachments embedded in issue markdown/comments
   activity  View issue activity/history
   download  Download a Linear issue attachment
   create    Create a new issue
   update    Update an existing issue
+  bulk-update  Apply one change to many issues (explicit keys or list filters)
   comment   Add a comment to an issue
+  comment-edit    Edit a comment (by #N index from "view", or comment ID)
+  comment-delete  Delete a comment (by #N index from "view", or comment ID)
+  comment-reply   Reply in a comment thread
   start     Start working on an issue (create branch, set In Progress)
+  finish    Finish an issue (move to review/done, comment commits, link work)
+  pr-body   Render a pull request description from an issue
+  commit-msg  Print a conventional-commit subject with the issue key
+  subscribe    Subscribe yourself or other users to an issue
+  unsubscribe  Unsubscribe yourself or other users from an issue
   delete    Delete an issue
   labels    List issue labels, or create one with labels create
 
 List Options:
   --project X      Project name or ID (default: remote origin repo name, else current directory name)
   --states X,Y     Filter by state names (comma-separated)
-  --assignee X     Filter by assignee: "me" or "all"
+  --assignee X     Filter by assignee: "me", "all", or a user's email, display name, name, or ID
   --team X         Filter by team key (e.g., ENG) or ID
+  --cycle X        Filter by cycle: current, next, previous, or cycle number (uses --team or the default team)
   --query X        Free-text search in issue titles and descriptions
+  --due-before D   Only issues due on or before this date (YYYY-MM-DD)
+  --overdue        Only open issues whose due date has passed
   --limit N        Max results (default: 50)
+  --cursor X       Fetch the page after this cursor (from a previous page's note)
+  --all            Fetch every page (stops early with a resume cursor if rate-limited)
+
+Search Options:
+  --team X         Team key (e.g., ENG), name, or ID
+  --assignee X     "me", "unassigned", or a user's email, display name, name, or ID
+  --state-type X,Y triage, backlog, unstarted, started, completed, canceled; or open, closed
+  --states X,Y     Filter by state names
+  --labels X,Y     Label names or IDs (issues must have all)
+  --priority X,Y   Priority values or names (0-4, none, urgent, high, medium, low)
+  --cycle X        current, next, previous, cycle number, name, or ID (uses --team or the default team)
+  --project X      Optional project name or ID
+  --created-after D, --created-before D, --updated-after D, --updated-before D
+                   YYYY-MM-DD, ISO timestamp, or ISO 8601 duration (e.g., -P2W)
+  --query X        Free-text search in issue titles and descriptions
+  --limit N        Max results (default: 20)
+  --cursor X       Fetch the page after this cursor
+  --all            Fetch every page (stops early with a resume cursor if rate-limited)
 
 View Options:
-  <issue>          Issue key (e.g., ENG-123), ID, or issue URL
+  <issue>          Issue key (e.g., ENG-123), ID, or issue URL (default: current branch's issue)
   --no-comments    Exclude comments from output
 
 Images Options:
@@ -344,7 +561,7 @@ Download Options:
   --max-bytes N        Max download bytes (default/max: 52428800)
 
 Activity Options:
-  <issue>          Issue key, ID, or issue URL
+  <issue>          Issue key, ID, or issue URL (default: current branch's issue)
   --limit N        Max activity entries to fetch (default: 20)
   --include-archived X  true or false
 
@@ -354,23 +571,53 @@ Create Options:
   --project X      Project name or ID
   --description X  Issue description (markdown)
   --priority N     Issue priority: 0=None, 1=Urgent, 2=High, 3=Medium, 4=Low; or none, urgent, high, medium, low
-  --assignee X     "me" or assignee ID
+  --estimate X     Estimate on the team's scale (e.g. 1, 2, 3, 5, 8), or a t-shirt size (XS, S, M, L, XL)
+  --due-date D     Due date (YYYY-MM-DD)
+  --assignee X     "me", or a user's email, display name, name, or ID
+  --subscribers X,Y  Users to subscribe: "me", or emails, display names, names, or IDs
   --parent-id X    Parent issue ID for sub-issues
+  --cycle X        Cycle: current, next, previous, cycle number, name, or ID
   --labels X,Y     Label names or IDs to set
   --link URL|TITLE Link attachment to add (repeat; URL, or URL|Title)
 
 Update Options:
-  <issue>          Issue key or ID
+  <issue>          Issue key or ID (default: current branch's issue)
   --title X        New title
   --description X  New description
   --state X        New state name or ID
   --priority N     New issue priority: 0=None, 1=Urgent, 2=High, 3=Medium, 4=Low; or none, urgent, high, medium, low
-  --assignee X     "me" or assignee ID
+  --estimate X     New estimate on the team's scale, or a t-shirt size for t-shirt teams
+  --due-date D     New due date (YYYY-MM-DD), or "none" to clear
+  --assignee X     "me", or a user's email, display name, name, or ID
   --milestone X    Milestone name/ID, or "none" to clear
+  --cycle X        Cycle: current, next, previous, cycle number, name, ID, or "none" to clear
   --sub-issue-of X Parent issue key/ID, or "none" to clear
-  --labels X,Y     Label names or IDs to set
+  --blocked-by X,Y Add "blocked by" relations to the listed issues
+  --blocking X,Y   Add "blocking" relations to the listed issues
+  --related-to X,Y Add "related" relations to the listed issues
+  --duplicate-of X Mark the issue as a duplicate of another issue
+  --remove-blocked-by X,Y, --remove-blocking X,Y, --remove-related-to X,Y, --remove-duplicate-of X
+                   Remove the matching relations
+  --labels X,Y     Label names or IDs to set (replaces all current labels)
+  --add-labels X,Y Label names or IDs to add, keeping the current labels
+  --remove-labels X,Y  Label names or IDs to remove
   --link URL|TITLE Link attachment to add (repeat; URL, or URL|Title)
 
+Bulk Update Options:
+  --issues X,Y     Issue keys or IDs to update; or select issues with the list filters instead:
+  --project X, --states X,Y, --assignee me|all|USER, --team X, --cycle X, --query X, --due-before D, --overdue
+                   Same as list (at least one is required); every matching issue is updated
+  --limit N        Max issues selected by filters (default: 250)
+  --set-state X    New state name, type, or ID (resolved per team)
+  --set-assignee X "me", "none", or a user's email, display name, name, or ID
+  --set-priority N 0-4, or none, urgent, high, medium, low
+  --set-milestone X  Milestone name/ID, or "none" to clear
+  --set-cycle X    Cycle: current, next, previous, cycle number, name, ID, or "none" to clear
+  --set-project X  Move the issues to this project
+  --add-labels X,Y Label names or IDs to add
+  --remove-labels X,Y  Label names or IDs to remove
+  --dry-run        Preview the changes without updating anything
+
 Labels Options:
   list             List issue labels (--name filter, --team filter)
   create           Create an issue label
@@ -380,22 +627,62 @@ Labels Options:
   --team X         Team to scope the label/list
 
 Comment Options:
-  <issue>          Issue key or ID
+  <issue>          Issue key or ID (default: current branch's issue)
   --body X         Comment body (markdown)
 
+Comment Edit/Delete/Reply Options:
+  <issue>          Issue key or ID (required for reply, and when --comment is an index)
+  --comment X      Comment #N index as shown by "issue view", or comment ID
+  --body X         New comment body / reply body (markdown; edit and reply only)
+
 Start Options:
   <issue>          Issue key or ID
   --from-ref X     Git ref to branch from (default: HEAD)
   --on-branch-exists X  "switch" or "suffix" (default: switch)
 
+Finish Options:
+  <issue>          Issue key or ID (default: current branch's issue)
+  --state X        "review" (default; falls back to completed), "completed", or a state name
+  --from-ref X     Base ref for the commit summary (default: origin's default branch, else main)
+  --link URL|TITLE Link attachment to add (repeat; default: the HEAD commit on origin)
+  --switch-to-base Check out the base branch afterwards
+
+PR Body Options:
+  <issue>          Issue key or ID (default: current branch's issue)
+  --magic-word X   Fixes (default), Closes, Resolves, "Part of", or Ref
+  --template PATH  Template file (default: nearest .linear-tools/pr-body.md, then ~/.linear-tools/pr-body.md)
+                   Placeholders: {{title}}, {{identifier}}, {{closingLine}}, {{summary}}, {{acceptanceCriteria}},
+                   {{subIssues}}, {{milestone}}, {{project}}, {{url}}, {{branchName}}, {{labels}}, {{description}}
+
+Commit Msg Options:
+  <issue>          Issue key or ID (default: current branch's issue)
+  --type X         feat, fix, docs, style, refactor, perf, test, build, ci, chore, or revert (default: from labels)
+  --scope X        Optional conventional-commit scope
+
+Subscribe/Unsubscribe Options:
+  <issue>          Issue key or ID
+  --users X,Y      "me", or users' emails, display names, names, or IDs (default: me)
+
 Delete Options:
   <issue>          Issue key or ID
 
 Examples:
+  pi-linear-tools issue current
   pi-linear-tools issue view ENG-123
   pi-linear-tools issue update ENG-123 --state "In Progress" --assignee me
   pi-linear-tools issue update ENG-123 --milestone "Sprint 12" --priority 2
+  pi-linear-tools issue update ENG-123 --assignee ada@example.com
+  pi-linear-tools issue update ENG-123 --estimate M --due-date 2026-11-30
+  pi-linear-tools issue update ENG-123 --add-labels needs-review --remove-labels triage
+  pi-linear-tools issue subscribe ENG-123 --users me,grace@example.com
+  pi-linear-tools issue bulk-update --project "My Project" --states "In Review" --set-state Done --dry-run
+  pi-linear-tools issue bulk-update --issues ENG-1,ENG-2 --add-labels needs-review --set-cycle current
   pi-linear-tools issue comment ENG-123 --body "Ready for review"
+  pi-linear-tools issue comment-edit ENG-123 --comment 1 --body "Ready for review (tests green)"
+  pi-linear-tools issue comment-reply ENG-123 --comment 2 --body "Done"
+  pi-linear-tools issue finish --link "https://github.com/org/repo/pull/42|PR #42" --switch-to-base
+  pi-linear-tools issue pr-body ENG-123 > pr.md
+  pi-linear-tools issue commit-msg --scope auth
   pi-linear-tools issue activity ENG-123 --limit 20
   pi-linear-tools issue activity https://linear.app/workspace/issue/ENG-123/example --limit 20
   pi-linear-tools issue download ENG-123 --attachment-index 1 --directory downloads
@@ -429,7 +716,7 @@ Create Options:
   --name X         Project name (required)
   --teams X,Y      Team keys or IDs (required)
   --description X  Project description
-  --lead X         "me" or user ID
+  --lead X         "me", or a user's email, display name, name, or ID
   --priority N     Priority 0-4
   --color X        Project color (hex)
   --icon X         Project icon
@@ -441,7 +728,7 @@ Update Options:
   --name X         New name
   --teams X,Y      Replace associated teams
   --description X  New description
-  --lead X         "me", "none", or user ID
+  --lead X         "me", "none", or a user's email, display name, name, or ID
   --priority N     New priority 0-4
   --color X        New project color (hex)
   --icon X         New project icon
@@ -472,7 +759,7 @@ function printSyncDocHelp() {
   console.log(`pi-linear-tools sync-doc - Sync markdown files into Linear
 
 Usage:
-  pi-linear-tools sync-doc [init|explain|list|run|check] [options]
+  pi-linear-tools sync-doc [init|explain|list|run|check|pull|watch] [options]
 
 Config:
   Reads targets from .linear-tools/config.json in the current project tree and ~/.linear-tools/config.json.
@@ -484,13 +771,38 @@ Actions:
   explain  Print the recommended config placement and overview/document model
   list     Show resolved sync targets from config
   run      Update Linear if the managed block differs. Defaults to all configured targets.
+           Refuses to overwrite a managed block edited in Linear since the last sync when the
+           local file changed too, unless --strategy is given.
   check    Show whether a sync would change Linear. Defaults to all configured targets.
+  pull     Write the Linear-side managed block (or whole document body) back into the local file.
+           Defaults to all configured targets. Refuses to overwrite unsynced local edits without --force.
+  watch    Push targets to Linear whenever their source file (or the config) is saved. Runs until Ctrl+C.
 
 Target Options:
   --target X              Target name from config
   --config X              Explicit path to config.json or .linear-tools/
   --cwd X                 Resolve config and files relative to X
 
+Check Options:
+  --diff                  Print a unified diff of the Linear managed block (and document index block)
+                          against what would be pushed, for every target that needs a sync
+
+Run Options:
+  --strategy X            Resolve conflicts (both sides changed since the last sync):
+                          ours   - push the local file, discarding the Linear edits
+                          theirs - write the Linear block to the local file, push nothing
+                          merge  - line-based three-way merge; a clean merge is written locally and pushed,
+                                   otherwise conflict markers are written to the local file and nothing is pushed
+  --archive-removed       Archive the Linear documents of files that no longer match a "files" glob target
+
+Watch Options:
+  --debounce MS           Wait this long after the last save before pushing (default: 500)
+  --strategy X            Conflict strategy applied to each push (see Run Options)
+  Newly created files matching a "files" glob are picked up when the config file is saved.
+
+Pull Options:
+  --force                 Overwrite local files with edits that were never synced to Linear, or that were never synced at all
+
 Init Options:
   --cwd X                 Create .linear-tools/config.json inside X (defaults to current directory)
   --project X             Fill the starter overview target with a project name or ID
@@ -513,6 +825,27 @@ Managed Block:
   ...generated content...
   <!-- linear-tools:sync-end MARKER -->
 
+Glob Document Targets:
+  A document target can set "files" (a glob such as "docs/**/*.md", or an array of globs) instead of "file".
+  It expands to one document target per matching file: the title comes from the file's first heading,
+  and the name and marker from the relative path. Matched documents join the project's document index.
+  Files that stop matching are reported on every run until --archive-removed archives their documents.
+
+Front Matter Targets:
+  A markdown file under the config folder can declare its own target in front matter,
+  e.g. linear: { project: "Project name or ID", title: "Doc title", marker: "doc" }.
+  An empty .linear-tools/ folder is enough when every target comes from front matter.
+  Only files git does not ignore are read; set syncDocs.frontMatter to globs
+  (e.g. ["docs/**/*.md"]) to narrow discovery, or to false to turn it off.
+  It is a document target unless it sets targetType or field; config.json targets take precedence.
+  Their front matter is stripped from the pushed content and kept on pull;
+  config.json targets sync their files as-is.
+
+Relative Links:
+  Links to other synced documents become their Linear URLs, and local images are uploaded to Linear.
+  Links to other repo files use "repoUrl" (under syncDocs or per target) with {path} and {commit},
+  e.g. "https://github.com/org/repo/blob/{commit}/{path}". Pull restores the original relative links.
+
 Project Document Index:
   A projectField target can set documentIndexMarker to maintain a managed list of synced document targets.
   Use this for one overview doc in the project body plus separate linked Linear documents for deeper docs.
@@ -525,6 +858,10 @@ Examples:
   pi-linear-tools sync-doc check
   pi-linear-tools sync-doc run --target project-overview
   pi-linear-tools sync-doc check --target project-overview
+  pi-linear-tools sync-doc check --diff
+  pi-linear-tools sync-doc watch --target project-overview --debounce 1000
+  pi-linear-tools sync-doc pull --target project-overview
+  pi-linear-tools sync-doc run --target project-overview --strategy merge
   pi-linear-tools sync-doc run --file README.md --project "Project name or ID" --field content
   pi-linear-tools sync-doc run --file docs/provider.md --project "Project name or ID" --target-type document --document-title "Provider Doc"
 `);
@@ -552,6 +889,8 @@ List Options:
   --project X             Project name or ID (required)
   --limit N               Max results (default: 10)
   --include-archived X    true or false
+  --cursor X              Fetch the page after this cursor
+  --all                   Fetch every page (stops early with a resume cursor if rate-limited)
 
 View Options:
   <project-update-id>     Project update ID
@@ -582,6 +921,70 @@ Examples:
 `);
 }
 
+function printDocumentHelp() {
+  console.log(`pi-linear-tools document - Manage Linear documents
+
+Usage:
+  pi-linear-tools document <action> [options]
+
+Guidance:
+  Documents belong to either a project or an issue. Use "list" to find design docs for a project,
+  then "view" with the returned document ID (or slug) to read the full markdown content.
+
+Actions:
+  list      List documents for a project or issue
+  search    Search documents across the workspace
+  view      View document content
+  create    Create a new document
+  update    Update an existing document
+  archive   Archive (trash) a document
+
+List Options:
+  --project X             Project name or ID
+  --issue X               Issue key or ID
+  --limit N               Max results (default: 25)
+  --include-archived X    true or false
+  --cursor X              Fetch the page after this cursor
+  --all                   Fetch every page (stops early with a resume cursor if rate-limited)
+
+Search Options:
+  <query>                 Search text
+  --limit N               Max results (default: 25)
+  --include-archived X    true or false
+  --cursor X              Fetch the page after this cursor
+  --all                   Fetch every page
+
+View Options:
+  <document>              Document ID or slug
+
+Create Options:
+  --title X               Document title (required)
+  --project X             Project name or ID (one of --project or --issue is required)
+  --issue X               Issue key or ID
+  --content X             Document content in markdown
+  --icon X                Document icon
+  --color X               Document icon color (hex)
+
+Update Options:
+  <document>              Document ID or slug
+  --title X               New title
+  --content X             New content in markdown
+  --icon X                New icon
+  --color X               New icon color (hex)
+  --project X             Move the document to this project
+  --issue X               Move the document to this issue
+
+Archive Options:
+  <document>              Document ID or slug
+
+Examples:
+  pi-linear-tools document list --project "Roadmap Refresh"
+  pi-linear-tools document search "auth design"
+  pi-linear-tools document view 12345678-1234-1234-1234-123456789abc
+  pi-linear-tools document create --title "API design" --project "Roadmap Refresh" --content "# Goals"
+`);
+}
+
 function printTeamHelp() {
   console.log(`pi-linear-tools team - Manage Linear teams
 
@@ -593,6 +996,63 @@ Actions:
 `);
 }
 
+function printUserHelp() {
+  console.log(`pi-linear-tools user - List and look up Linear users
+
+Usage:
+  pi-linear-tools user <action> [options]
+
+Actions:
+  list    List workspace users
+  view    View one user
+
+List Options:
+  --query X            Only users whose name, display name, or email contains X
+  --include-disabled   Include deactivated users
+
+View Options:
+  <user>           "me", email, display name, name, or user ID
+
+User references elsewhere (--assignee, --set-assignee, --lead) accept the same forms.
+A partial name must match exactly one user; otherwise the matches are listed.
+
+Examples:
+  pi-linear-tools user list --query ada
+  pi-linear-tools user view me
+  pi-linear-tools user view ada@example.com
+`);
+}
+
+function printCycleHelp() {
+  console.log(`pi-linear-tools cycle - View Linear team cycles
+
+Usage:
+  pi-linear-tools cycle <action> [options]
+
+Actions:
+  list      List current and upcoming cycles for a team
+  view      View cycle scope, progress, and issues grouped by state
+  current   View the team's active cycle
+
+List Options:
+  --team X         Team key, name, or ID (default: configured default team)
+  --include-past   Include completed cycles
+  --limit N        Max cycles (default: 25)
+
+View Options:
+  <cycle>          current, next, previous, cycle number, name, or cycle ID
+  --team X         Team key, name, or ID (default: configured default team)
+
+Current Options:
+  --team X         Team key, name, or ID (default: configured default team)
+
+Examples:
+  pi-linear-tools cycle list --team ENG
+  pi-linear-tools cycle view 42 --team ENG
+  pi-linear-tools cycle current
+`);
+}
+
 function printMilestoneHelp() {
   console.log(`pi-linear-tools milestone - Manage Linear project milestones
 
@@ -608,6 +1068,9 @@ Actions:
 
 List Options:
   --project X      Project name or ID (default: remote origin repo name, else current directory name)
+  --limit N        Max milestones per page (default: 250)
+  --cursor X       Fetch the page after this cursor
+  --all            Fetch every page (stops early with a resume cursor if rate-limited)
 
 View Options:
   <milestone-id>   Milestone ID
@@ -631,6 +1094,48 @@ Delete Options:
 `);
 }
 
+function printGitHelp() {
+  console.log(`pi-linear-tools git - Git hooks and branch cleanup for Linear issues
+
+Usage:
+  pi-linear-tools git <action> [options]
+
+Actions:
+  install-hooks     Install a commit-msg hook in the current repository
+  uninstall-hooks   Remove the hook (restoring any hook it replaced)
+  prune-branches    Delete local branches whose issues are completed or canceled
+
+Install Options:
+  --force          Replace an existing commit-msg hook (kept as commit-msg.pre-linear-tools)
+
+Prune Options:
+  --base X         Ref the branches must be merged into (default: origin's default branch, else main)
+  --dry-run        Only report which branches would be deleted
+
+prune-branches maps each local branch to an issue by the key in its name or the
+issue's Linear branch name. It never deletes the current branch, the base branch,
+or a branch with commits that are not in the base ref.
+
+The commit-msg hook:
+  - requires an issue key (ENG-123) in the commit subject; when missing it is
+    taken from the branch name and appended, e.g. "Fix login (ENG-123)"
+  - rejects keys for issues that do not exist
+  - rejects completed or canceled issues unless ${ALLOW_CLOSED_ISSUE_ENV}=1 is set
+  - skips merge, revert, fixup! and squash! commits
+  - caches team keys and issue states in the git directory for 5 minutes
+  - allows the commit with a warning when Linear cannot be reached
+
+Bypass the hook for a single commit with: git commit --no-verify
+
+Examples:
+  pi-linear-tools git install-hooks
+  ${ALLOW_CLOSED_ISSUE_ENV}=1 git commit -m "Follow-up fix (ENG-123)"
+  pi-linear-tools git uninstall-hooks
+  pi-linear-tools git prune-branches --dry-run
+  pi-linear-tools git prune-branches --base origin/develop
+`);
+}
+
 function printAuthHelp() {
   console.log(`pi-linear-tools auth - Manage Linear authentication
 
@@ -685,56 +1190,75 @@ async function handleAuthLogin(args) {
     settings.authMethod = 'oauth';
     await saveSettings(settings);
 
-    console.log('\n✓ Authentication successful!');
-    console.log(`✓ Token expires at: ${new Date(tokens.expiresAt).toLocaleString()}`);
-    console.log(`✓ Granted scopes: ${tokens.scope.join(', ')}`);
-    console.log('\nYou can now use pi-linear-tools commands.');
+    printOutput([
+      '\n✓ Authentication successful!',
+      `✓ Token expires at: ${new Date(tokens.expiresAt).toLocaleString()}`,
+      `✓ Granted scopes: ${tokens.scope.join(', ')}`,
+      '\nYou can now use pi-linear-tools commands.',
+    ].join('\n'), {
+      authenticated: true,
+      expiresAt: new Date(tokens.expiresAt).toISOString(),
+      scopes: tokens.scope,
+    });
   } catch (error) {
-    console.error('\n✗ Authentication failed:', error.message);
-    process.exitCode = 1;
+    throw authError(`Authentication failed: ${error.message}`);
   }
 }
 
 async function handleAuthLogout() {
   try {
     await logout();
-    console.log('\n✓ Logged out successfully');
-    console.log('\nYou will need to authenticate again to access Linear.');
   } catch (error) {
-    console.error('\n✗ Logout failed:', error.message);
-    process.exitCode = 1;
+    throw new Error(`Logout failed: ${error.message}`);
   }
+
+  printOutput(
+    '\n✓ Logged out successfully\n\nYou will need to authenticate again to access Linear.',
+    { authenticated: false }
+  );
 }
 
 async function handleAuthStatus() {
+  let status;
+  let isAuth = false;
   try {
-    const status = await getAuthStatus();
-
-    if (!status) {
-      console.log('\nAuthentication status: Not authenticated');
-      console.log('\nTo authenticate, run: pi-linear-tools auth login');
-      console.log('\nFor CI/headless environments, set these environment variables:');
-      console.log('  LINEAR_ACCESS_TOKEN');
-      console.log('  LINEAR_REFRESH_TOKEN');
-      console.log('  LINEAR_EXPIRES_AT');
-      return;
+    status = await getAuthStatus();
+    if (status) {
+      isAuth = await isAuthenticated();
     }
+  } catch (error) {
+    throw new Error(`Failed to get authentication status: ${error.message}`);
+  }
+
+  if (!status) {
+    printOutput([
+      '\nAuthentication status: Not authenticated',
+      '\nTo authenticate, run: pi-linear-tools auth login',
+      '\nFor CI/headless environments, set these environment variables:',
+      '  LINEAR_ACCESS_TOKEN',
+      '  LINEAR_REFRESH_TOKEN',
+      '  LINEAR_EXPIRES_AT',
+    ].join('\n'), { authenticated: false });
+    return;
+  }
 
-    const isAuth = await isAuthenticated();
-
-    console.log('\nAuthentication status:', isAuth ? 'Authenticated' : 'Token expired');
-    console.log(`Token expires at: ${new Date(status.expiresAt).toLocaleString()}`);
-
-    if (status.expiresIn > 0) {
-      const minutes = Math.floor(status.expiresIn / 60000);
-      console.log(`Time until expiry: ${minutes} minute${minutes !== 1 ? 's' : ''}`);
-    }
+  const lines = [
+    `\nAuthentication status: ${isAuth ? 'Authenticated' : 'Token expired'}`,
+    `Token expires at: ${new Date(status.expiresAt).toLocaleString()}`,
+  ];
 
-    console.log(`Granted scopes: ${status.scopes.join(', ')}`);
-  } catch (error) {
-    console.error('\n✗ Failed to get authentication status:', error.message);
-    process.exitCode = 1;
+  if (status.expiresIn > 0) {
+    const minutes = Math.floor(status.expiresIn / 60000);
+    lines.push(`Time until expiry: ${minutes} minute${minutes !== 1 ? 's' : ''}`);
   }
+
+  lines.push(`Granted scopes: ${status.scopes.join(', ')}`);
+  printOutput(lines.join('\n'), {
+    authenticated: isAuth,
+    expiresAt: new Date(status.expiresAt).toISOString(),
+    expiresIn: status.expiresIn,
+    scopes: status.scopes,
+  });
 }
 
 async function handleAuth(args) {
@@ -753,7 +1277,7 @@ async function handleAuth(args) {
     case 'status':
       return handleAuthStatus();
     default:
-      throw new Error(`Unknown auth action: ${action}`);
+      throw validationError(`Unknown auth action: ${action}`);
   }
 }
 
@@ -789,7 +1313,7 @@ async function handleConfig(args) {
     settings.authMethod = 'api-key';
     await saveSettings(settings);
     cachedApiKey = null;
-    console.log('LINEAR_API_KEY saved to settings');
+    printOutput('LINEAR_API_KEY saved to settings', { setting: 'apiKey' });
     return;
   }
 
@@ -797,26 +1321,29 @@ async function handleConfig(args) {
     const settings = await loadSettings();
     settings.defaultTeam = defaultTeam;
     await saveSettings(settings);
-    console.log(`Default team set to: ${defaultTeam}`);
+    printOutput(`Default team set to: ${defaultTeam}`, { setting: 'defaultTeam', defaultTeam });
     return;
   }
 
   if (allowOverwriteFiles !== undefined) {
     const enabled = parseBoolean(allowOverwriteFiles);
     if (enabled === undefined) {
-      throw new Error('Invalid value for --allow-overwrite-files. Use true or false.');
+      throw validationError('Invalid value for --allow-overwrite-files. Use true or false.');
     }
 
     const settings = await loadSettings();
     settings.allow_overwrite_files = enabled;
     await saveSettings(settings);
-    console.log(`File overwrite guard ${enabled ? 'allows overwrites' : 'blocks overwrites'}`);
+    printOutput(`File overwrite guard ${enabled ? 'allows overwrites' : 'blocks overwrites'}`, {
+      setting: 'allowOverwriteFiles',
+      allowOverwriteFiles: enabled,
+    });
     return;
   }
 
   if (projectTeam) {
     if (!projectName) {
-      throw new Error('Missing required flag: --project when using --team');
+      throw validationError('Missing required flag: --project when using --team');
     }
 
     const settings = await loadSettings();
@@ -832,7 +1359,12 @@ async function handleConfig(args) {
 
     settings.projects[projectId].scope.team = projectTeam;
     await saveSettings(settings);
-    console.log(`Team for project "${projectName}" set to: ${projectTeam}`);
+    printOutput(`Team for project "${projectName}" set to: ${projectTeam}`, {
+      setting: 'projectTeam',
+      project: projectName,
+      projectId,
+      team: projectTeam,
+    });
     return;
   }
 
@@ -840,7 +1372,7 @@ async function handleConfig(args) {
   const hasKey = !!(settings.apiKey || settings.linearApiKey || process.env.LINEAR_API_KEY);
   const keySource = process.env.LINEAR_API_KEY ? 'environment' : (settings.apiKey || settings.linearApiKey ? 'settings' : 'not set');
 
-  console.log(`Configuration:
+  printOutput(`Configuration:
   LINEAR_API_KEY: ${hasKey ? 'configured' : 'not set'} (source: ${keySource})
   Default team: ${settings.defaultTeam || 'not set'}
   Allow overwrite files: ${settings.allow_overwrite_files ? 'enabled' : 'disabled'}
@@ -850,7 +1382,83 @@ Commands:
   pi-linear-tools config --api-key lin_xxx
   pi-linear-tools config --default-team ENG
   pi-linear-tools config --team ENG --project MyProject
-  pi-linear-tools config --allow-overwrite-files true|false`);
+  pi-linear-tools config --allow-overwrite-files true|false`, {
+    apiKeyConfigured: hasKey,
+    apiKeySource: keySource,
+    defaultTeam: settings.defaultTeam || null,
+    allowOverwriteFiles: Boolean(settings.allow_overwrite_files),
+    projectTeamMappings: Object.keys(settings.projects || {}).length,
+  });
+}
+
+// ===== PAGINATION =====
+
+/**
+ * Combine the pages of an `--all --json` listing into one document: each page's
+ * details under `pages`, their `*Count` fields summed, and where paging ended.
+ */
+function combineListPages(pages, stop) {
+  const counts = {};
+  for (const { details = {} } of pages) {
+    for (const [key, value] of Object.entries(details)) {
+      if (key.endsWith('Count') && typeof value === 'number') {
+        counts[key] = (counts[key] || 0) + value;
+      }
+    }
+  }
+  return {
+    ...counts,
+    pageCount: pages.length,
+    pages: pages.map((page) => page.details || {}),
+    nextCursor: stop?.nextCursor || null,
+    stopped: stop?.stopped || null,
+    resetAt: stop?.resetAt || null,
+  };
+}
+
+/**
+ * Print a paginated list handler's output. `--cursor X` starts from a given page;
+ * `--all` keeps following `nextCursor` until the listing is exhausted. Before each
+ * extra page the shared rate-limit tracker is consulted, and paging stops with a
+ * resume cursor instead of hammering a limited API. With `--json`, `--all` prints
+ * a single document once paging ends so the output stays parseable.
+ */
+async function printListPages(client, args, params, runPage) {
+  const fetchAll = hasFlag(args, '--all');
+  const combine = jsonOutput && fetchAll;
+  let cursor = readFlag(args, '--cursor') || null;
+  const pages = [];
+  let stop = null;
+  for (;;) {
+    if (pages.length > 0) {
+      const { isRateLimited, resetAt } = checkAndClearRateLimit();
+      if (isRateLimited) {
+        stop = {
+          text: `Stopped paging: Linear API rate limit reached (resets at ${resetAt.toLocaleTimeString()}). Resume with --cursor ${cursor}`,
+          stopped: 'rate_limited',
+          resetAt: resetAt.toISOString(),
+          nextCursor: cursor,
+        };
+        break;
+      }
+    }
+    const result = await runPage({ ...params, cursor });
+    pages.push(result);
+    if (!combine) printResult(result);
+    cursor = result.details?.nextCursor || null;
+    if (!fetchAll || !cursor) break;
+    checkAndWarnRateLimit(client);
+  }
+
+  if (combine) {
+    const texts = pages.map((page) => page.content[0].text);
+    if (stop) texts.push(stop.text);
+    printOutput(texts.join('\n\n'), combineListPages(pages, stop));
+  } else if (stop) {
+    const { text, ...details } = stop;
+    printOutput(`\n${text}`, details);
+  }
+  if (stop) process.exitCode = EXIT_CODES.rate_limited;
 }
 
 // ===== ISSUE HANDLERS =====
@@ -863,29 +1471,59 @@ async function handleIssueList(args) {
     states: parseArrayValue(readFlag(args, '--states')),
     assignee: readFlag(args, '--assignee'),
     team: readFlag(args, '--team'),
+    cycle: readFlag(args, '--cycle'),
     query: readFlag(args, '--query'),
+    dueBefore: readFlag(args, '--due-before'),
+    overdue: hasFlag(args, '--overdue'),
     limit: parseNumber(readFlag(args, '--limit')),
   };
 
-  const result = await executeIssueList(client, params);
-  console.log(result.content[0].text);
+  await printListPages(client, args, params, (pageParams) => executeIssueList(client, pageParams, { resolveDefaultTeam }));
 }
 
-async function handleIssueView(args) {
+async function handleIssueSearch(args) {
   const client = await createAuthenticatedClient();
 
-  const positional = args.filter((a) => !a.startsWith('-'));
-  if (positional.length === 0) {
-    throw new Error('Missing required argument: issue key or ID');
-  }
+  const params = {
+    project: readFlag(args, '--project'),
+    team: readFlag(args, '--team'),
+    assignee: readFlag(args, '--assignee'),
+    stateType: parseArrayValue(readFlag(args, '--state-type')),
+    states: parseArrayValue(readFlag(args, '--states')),
+    labels: parseArrayValue(readFlag(args, '--labels')),
+    priority: parseArrayValue(readFlag(args, '--priority')),
+    cycle: readFlag(args, '--cycle'),
+    createdAfter: readFlag(args, '--created-after'),
+    createdBefore: readFlag(args, '--created-before'),
+    updatedAfter: readFlag(args, '--updated-after'),
+    updatedBefore: readFlag(args, '--updated-before'),
+    query: readFlag(args, '--query'),
+    limit: parseNumber(readFlag(args, '--limit')),
+  };
+
+  await printListPages(client, args, params, (pageParams) => executeIssueSearch(client, pageParams, { resolveDefaultTeam }));
+}
+
+function readLeadingIssueArg(args) {
+  return args[0] && !args[0].startsWith('-') ? args[0] : undefined;
+}
+
+async function handleIssueCurrent() {
+  const client = await createAuthenticatedClient();
+  const result = await executeIssueCurrent(client, {});
+  printResult(result);
+}
+
+async function handleIssueView(args) {
+  const client = await createAuthenticatedClient();
 
   const params = {
-    issue: positional[0],
+    issue: readLeadingIssueArg(args),
     includeComments: !hasFlag(args, '--no-comments'),
   };
 
   const result = await executeIssueView(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleIssueImages(args) {
@@ -893,7 +1531,7 @@ async function handleIssueImages(args) {
 
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: issue key or ID');
+    throw validationError('Missing required argument: issue key or ID');
   }
 
   const params = {
@@ -904,25 +1542,20 @@ async function handleIssueImages(args) {
   };
 
   const result = await executeIssueImages(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleIssueActivity(args) {
   const client = await createAuthenticatedClient();
 
-  const positional = args.filter((a) => !a.startsWith('-'));
-  if (positional.length === 0) {
-    throw new Error('Missing required argument: issue key or ID');
-  }
-
   const params = {
-    issue: positional[0],
+    issue: readLeadingIssueArg(args),
     limit: parseNumber(readFlag(args, '--limit')),
     includeArchived: parseBoolean(readFlag(args, '--include-archived')),
   };
 
   const result = await executeIssueActivity(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleIssueDownload(args) {
@@ -931,7 +1564,7 @@ async function handleIssueDownload(args) {
 
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: issue key or ID');
+    throw validationError('Missing required argument: issue key or ID');
   }
 
   const overwrite = parseBoolean(readFlag(args, '--overwrite'));
@@ -948,7 +1581,7 @@ async function handleIssueDownload(args) {
   };
 
   const result = await executeIssueDownload(client, params, { settings });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleIssueCreate(args) {
@@ -960,85 +1593,176 @@ async function handleIssueCreate(args) {
     project: readFlag(args, '--project'),
     description: readFlag(args, '--description'),
     priority: readFlag(args, '--priority'),
+    estimate: readFlag(args, '--estimate'),
+    dueDate: readFlag(args, '--due-date'),
     assignee: readFlag(args, '--assignee'),
     parentId: readFlag(args, '--parent-id'),
     state: readFlag(args, '--state'),
+    cycle: readFlag(args, '--cycle'),
     labels: readMultiFlag(args, '--labels'),
+    subscribers: readMultiFlag(args, '--subscribers'),
   };
 
-  const links = readMultiFlag(args, '--link');
+  const links = readLinkFlags(args);
   if (links.length > 0) {
-    params.links = links.map((raw) => {
-      const separator = raw.indexOf('|');
-      if (separator >= 0) {
-        return { url: raw.slice(0, separator), title: raw.slice(separator + 1) };
-      }
-      return { url: raw, title: raw };
-    });
+    params.links = links;
   }
 
   if (!params.title) {
-    throw new Error('Missing required flag: --title');
+    throw validationError('Missing required flag: --title');
   }
 
   const result = await executeIssueCreate(client, params, { resolveDefaultTeam });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleIssueUpdate(args) {
   const client = await createAuthenticatedClient();
 
-  const positional = args.filter((a) => !a.startsWith('-'));
-  if (positional.length === 0) {
-    throw new Error('Missing required argument: issue key or ID');
-  }
-
   const params = {
-    issue: positional[0],
+    issue: readLeadingIssueArg(args),
     title: readFlag(args, '--title'),
     description: readFlag(args, '--description'),
     state: readFlag(args, '--state'),
     priority: readFlag(args, '--priority'),
+    estimate: readFlag(args, '--estimate'),
+    dueDate: readFlag(args, '--due-date'),
     assignee: readFlag(args, '--assignee'),
     milestone: readFlag(args, '--milestone'),
+    cycle: readFlag(args, '--cycle'),
     subIssueOf: readFlag(args, '--sub-issue-of'),
+    blockedBy: parseArrayValue(readFlag(args, '--blocked-by')),
+    blocking: parseArrayValue(readFlag(args, '--blocking')),
+    relatedTo: parseArrayValue(readFlag(args, '--related-to')),
+    duplicateOf: readFlag(args, '--duplicate-of'),
+    removeBlockedBy: parseArrayValue(readFlag(args, '--remove-blocked-by')),
+    removeBlocking: parseArrayValue(readFlag(args, '--remove-blocking')),
+    removeRelatedTo: parseArrayValue(readFlag(args, '--remove-related-to')),
+    removeDuplicateOf: readFlag(args, '--remove-duplicate-of'),
     labels: readMultiFlag(args, '--labels'),
+    addLabels: readMultiFlag(args, '--add-labels'),
+    removeLabels: readMultiFlag(args, '--remove-labels'),
   };
 
-  const links = readMultiFlag(args, '--link');
+  const links = readLinkFlags(args);
   if (links.length > 0) {
-    params.links = links.map((raw) => {
-      const separator = raw.indexOf('|');
-      if (separator >= 0) {
-        return { url: raw.slice(0, separator), title: raw.slice(separator + 1) };
-      }
-      return { url: raw, title: raw };
-    });
+    params.links = links;
   }
 
   const result = await executeIssueUpdate(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
-async function handleIssueComment(args) {
+async function handleIssueBulkUpdate(args) {
   const client = await createAuthenticatedClient();
 
-  const positional = args.filter((a) => !a.startsWith('-'));
-  if (positional.length === 0) {
-    throw new Error('Missing required argument: issue key or ID');
+  const filter = {
+    project: readFlag(args, '--project'),
+    states: parseArrayValue(readFlag(args, '--states')),
+    assignee: readFlag(args, '--assignee'),
+    team: readFlag(args, '--team'),
+    cycle: readFlag(args, '--cycle'),
+    query: readFlag(args, '--query'),
+    dueBefore: readFlag(args, '--due-before'),
+    overdue: hasFlag(args, '--overdue'),
+    limit: parseNumber(readFlag(args, '--limit')),
+  };
+
+  const result = await executeIssueBulkUpdate(client, {
+    issues: parseArrayValue(readFlag(args, '--issues')),
+    filter,
+    state: readFlag(args, '--set-state'),
+    assignee: readFlag(args, '--set-assignee'),
+    priority: readFlag(args, '--set-priority'),
+    milestone: readFlag(args, '--set-milestone'),
+    cycle: readFlag(args, '--set-cycle'),
+    setProject: readFlag(args, '--set-project'),
+    addLabels: parseArrayValue(readFlag(args, '--add-labels')),
+    removeLabels: parseArrayValue(readFlag(args, '--remove-labels')),
+    dryRun: hasFlag(args, '--dry-run'),
+  }, { resolveDefaultTeam });
+  printResult(result);
+
+  if (result.details.rateLimited) {
+    process.exitCode = EXIT_CODES.rate_limited;
+  } else if (result.details.failedCount > 0) {
+    process.exitCode = EXIT_CODES.error;
   }
+}
+
+async function handleIssueComment(args) {
+  const client = await createAuthenticatedClient();
 
   const params = {
-    issue: positional[0],
+    issue: readLeadingIssueArg(args),
     body: readFlag(args, '--body'),
   };
 
   if (!params.body) {
-    throw new Error('Missing required flag: --body');
+    throw validationError('Missing required flag: --body');
   }
 
   const result = await executeIssueComment(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
+}
+
+async function handleIssueCommentEdit(args) {
+  const client = await createAuthenticatedClient();
+
+  const params = {
+    issue: readLeadingIssueArg(args),
+    comment: readFlag(args, '--comment'),
+    body: readFlag(args, '--body'),
+  };
+
+  if (!params.comment) {
+    throw validationError('Missing required flag: --comment');
+  }
+  if (!params.body) {
+    throw validationError('Missing required flag: --body');
+  }
+
+  const result = await executeIssueCommentEdit(client, params);
+  printResult(result);
+}
+
+async function handleIssueCommentDelete(args) {
+  const client = await createAuthenticatedClient();
+
+  const params = {
+    issue: readLeadingIssueArg(args),
+    comment: readFlag(args, '--comment'),
+  };
+
+  if (!params.comment) {
+    throw validationError('Missing required flag: --comment');
+  }
+
+  const result = await executeIssueCommentDelete(client, params);
+  printResult(result);
+}
+
+async function handleIssueCommentReply(args) {
+  const client = await createAuthenticatedClient();
+
+  const params = {
+    issue: readLeadingIssueArg(args),
+    comment: readFlag(args, '--comment'),
+    body: readFlag(args, '--body'),
+  };
+
+  if (!params.issue) {
+    throw validationError('Missing required argument: issue key or ID');
+  }
+  if (!params.comment) {
+    throw validationError('Missing required flag: --comment');
+  }
+  if (!params.body) {
+    throw validationError('Missing required flag: --body');
+  }
+
+  const result = await executeIssueCommentReply(client, params);
+  printResult(result);
 }
 
 async function handleIssueStart(args) {
@@ -1046,7 +1770,7 @@ async function handleIssueStart(args) {
 
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: issue key or ID');
+    throw validationError('Missing required argument: issue key or ID');
   }
 
   const params = {
@@ -1056,7 +1780,52 @@ async function handleIssueStart(args) {
   };
 
   const result = await executeIssueStart(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
+}
+
+async function handleIssueFinish(args) {
+  const client = await createAuthenticatedClient();
+
+  const params = {
+    issue: readLeadingIssueArg(args),
+    state: readFlag(args, '--state'),
+    fromRef: readFlag(args, '--from-ref'),
+    switchToBase: hasFlag(args, '--switch-to-base'),
+  };
+
+  const links = readLinkFlags(args);
+  if (links.length > 0) {
+    params.links = links;
+  }
+
+  const result = await executeIssueFinish(client, params);
+  printResult(result);
+}
+
+async function handleIssuePrBody(args) {
+  const client = await createAuthenticatedClient();
+
+  const params = {
+    issue: readLeadingIssueArg(args),
+    magicWord: readFlag(args, '--magic-word'),
+    template: readFlag(args, '--template'),
+  };
+
+  const result = await executeIssuePrBody(client, params, { cwd: process.cwd() });
+  printResult(result);
+}
+
+async function handleIssueCommitMsg(args) {
+  const client = await createAuthenticatedClient();
+
+  const params = {
+    issue: readLeadingIssueArg(args),
+    type: readFlag(args, '--type'),
+    scope: readFlag(args, '--scope'),
+  };
+
+  const result = await executeIssueCommitMsg(client, params);
+  printResult(result);
 }
 
 async function handleIssueDelete(args) {
@@ -1064,7 +1833,7 @@ async function handleIssueDelete(args) {
 
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: issue key or ID');
+    throw validationError('Missing required argument: issue key or ID');
   }
 
   const params = {
@@ -1072,26 +1841,45 @@ async function handleIssueDelete(args) {
   };
 
   const result = await executeIssueDelete(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
-async function handleIssueLabels(args) {
+async function handleIssueSubscription(args, subscribe) {
   const client = await createAuthenticatedClient();
-  const [subAction] = args;
 
-  if (subAction === 'create') {
-    const params = {
-      subAction: 'create',
-      name: readFlag(args, '--name'),
-      description: readFlag(args, '--description'),
-      color: readFlag(args, '--color'),
-      team: readFlag(args, '--team'),
+  const positional = args.filter((a) => !a.startsWith('-'));
+  if (positional.length === 0) {
+    throw validationError('Missing required argument: issue key or ID');
+  }
+
+  const params = {
+    issue: positional[0],
+    subscribers: readMultiFlag(args, '--users'),
+  };
+
+  const result = subscribe
+    ? await executeIssueSubscribe(client, params)
+    : await executeIssueUnsubscribe(client, params);
+  printResult(result);
+}
+
+async function handleIssueLabels(args) {
+  const client = await createAuthenticatedClient();
+  const [subAction] = args;
+
+  if (subAction === 'create') {
+    const params = {
+      subAction: 'create',
+      name: readFlag(args, '--name'),
+      description: readFlag(args, '--description'),
+      color: readFlag(args, '--color'),
+      team: readFlag(args, '--team'),
     };
     if (!params.name) {
-      throw new Error('Missing required flag: --name for labels create');
+      throw validationError('Missing required flag: --name for labels create');
     }
     const result = await executeIssueLabelCreate(client, params);
-    console.log(result.content[0].text);
+    printResult(result);
     return;
   }
 
@@ -1099,7 +1887,7 @@ async function handleIssueLabels(args) {
     name: readFlag(args, '--name'),
     team: readFlag(args, '--team'),
   });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleIssue(args) {
@@ -1113,6 +1901,10 @@ async function handleIssue(args) {
   switch (action) {
     case 'list':
       return handleIssueList(rest);
+    case 'search':
+      return handleIssueSearch(rest);
+    case 'current':
+      return handleIssueCurrent();
     case 'view':
       return handleIssueView(rest);
     case 'images':
@@ -1125,16 +1917,34 @@ async function handleIssue(args) {
       return handleIssueCreate(rest);
     case 'update':
       return handleIssueUpdate(rest);
+    case 'bulk-update':
+      return handleIssueBulkUpdate(rest);
     case 'comment':
       return handleIssueComment(rest);
+    case 'comment-edit':
+      return handleIssueCommentEdit(rest);
+    case 'comment-delete':
+      return handleIssueCommentDelete(rest);
+    case 'comment-reply':
+      return handleIssueCommentReply(rest);
     case 'start':
       return handleIssueStart(rest);
+    case 'finish':
+      return handleIssueFinish(rest);
+    case 'pr-body':
+      return handleIssuePrBody(rest);
+    case 'commit-msg':
+      return handleIssueCommitMsg(rest);
+    case 'subscribe':
+      return handleIssueSubscription(rest, true);
+    case 'unsubscribe':
+      return handleIssueSubscription(rest, false);
     case 'delete':
       return handleIssueDelete(rest);
     case 'labels':
       return handleIssueLabels(rest);
     default:
-      throw new Error(`Unknown issue action: ${action}`);
+      throw validationError(`Unknown issue action: ${action}`);
   }
 }
 
@@ -1144,20 +1954,20 @@ async function handleProjectList() {
   const client = await createAuthenticatedClient();
 
   const result = await executeProjectList(client);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectView(args) {
   const client = await createAuthenticatedClient();
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: project name or ID');
+    throw validationError('Missing required argument: project name or ID');
   }
 
   const result = await executeProjectView(client, {
     project: positional[0],
   });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectCreate(args) {
@@ -1175,21 +1985,21 @@ async function handleProjectCreate(args) {
   };
 
   if (!params.name) {
-    throw new Error('Missing required flag: --name');
+    throw validationError('Missing required flag: --name');
   }
   if (!params.teams || params.teams.length === 0) {
-    throw new Error('Missing required flag: --teams');
+    throw validationError('Missing required flag: --teams');
   }
 
   const result = await executeProjectCreate(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectUpdate(args) {
   const client = await createAuthenticatedClient();
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: project name or ID');
+    throw validationError('Missing required argument: project name or ID');
   }
 
   const params = {
@@ -1206,46 +2016,46 @@ async function handleProjectUpdate(args) {
   };
 
   const result = await executeProjectUpdate(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectDelete(args) {
   const client = await createAuthenticatedClient();
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: project name or ID');
+    throw validationError('Missing required argument: project name or ID');
   }
 
   const result = await executeProjectDelete(client, {
     project: positional[0],
   });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectArchive(args) {
   const client = await createAuthenticatedClient();
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: project name or ID');
+    throw validationError('Missing required argument: project name or ID');
   }
 
   const result = await executeProjectArchive(client, {
     project: positional[0],
   });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectUnarchive(args) {
   const client = await createAuthenticatedClient();
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: project name or ID');
+    throw validationError('Missing required argument: project name or ID');
   }
 
   const result = await executeProjectUnarchive(client, {
     project: positional[0],
   });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProject(args) {
@@ -1274,7 +2084,7 @@ async function handleProject(args) {
     case 'labels':
       return handleProjectLabelList(args.slice(1));
     default:
-      throw new Error(`Unknown project action: ${action}`);
+      throw validationError(`Unknown project action: ${action}`);
   }
 }
 
@@ -1283,7 +2093,7 @@ async function handleProjectLabelList(args) {
   const result = await executeProjectLabelList(client, {
     name: readFlag(args, '--name'),
   });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 // ===== PROJECT UPDATE HANDLERS =====
@@ -1297,97 +2107,207 @@ async function handleProjectUpdateListCli(args) {
   };
 
   if (!params.project) {
-    throw new Error('Missing required flag: --project');
+    throw validationError('Missing required flag: --project');
   }
 
-  const result = await executeProjectUpdateList(client, params);
-  console.log(result.content[0].text);
+  await printListPages(client, args, params, (pageParams) => executeProjectUpdateList(client, pageParams));
 }
 
-function printSyncDocResult(result) {
+const SYNC_DOC_CONFLICT_HINTS = {
+  diverged: 'both the local file and the Linear managed block changed since the last sync. Re-run with --strategy ours|theirs|merge',
+  'missing-base': 'no common ancestor is stored for a merge (synced by an older version). Re-run with --strategy ours or theirs',
+  'merge-conflict': 'wrote conflict markers to the local file. Resolve them and run sync-doc run again',
+  'unresolved-markers': 'the local file still has conflict markers (<<<<<<< / >>>>>>>). Resolve them, or re-run with --strategy theirs to take Linear\'s version',
+};
+
+function formatSyncDocConflict(result) {
+  const hint = SYNC_DOC_CONFLICT_HINTS[result.conflictReason] || SYNC_DOC_CONFLICT_HINTS.diverged;
+  return `Conflict for target "${result.targetName}" (${result.file}): ${hint}`;
+}
+
+function describeSyncDocResult(result) {
+  if (result.conflict) {
+    return [formatSyncDocConflict(result), result.diff];
+  }
+
   if (!result.changed) {
     if (result.targetType === 'document') {
-      console.log(`No sync changes needed for document "${result.entityName}" from ${result.file}`);
-      return;
+      return [`No sync changes needed for document "${result.entityName}" from ${result.file}`];
     }
-    console.log(`No sync changes needed for ${result.entityType} "${result.entityName}" field "${result.field}" from ${result.file}`);
-    return;
+    return [`No sync changes needed for ${result.entityType} "${result.entityName}" field "${result.field}" from ${result.file}`];
   }
 
   if (result.mode === 'check') {
-    if (result.targetType === 'document') {
-      console.log(`Sync needed for document "${result.entityName}" from ${result.file}`);
-      return;
-    }
-    console.log(`Sync needed for ${result.entityType} "${result.entityName}" field "${result.field}" from ${result.file}`);
-    return;
+    const summary = result.targetType === 'document'
+      ? `Sync needed for document "${result.entityName}" from ${result.file}`
+      : `Sync needed for ${result.entityType} "${result.entityName}" field "${result.field}" from ${result.file}`;
+    return [summary, result.diff];
   }
 
   if (result.targetType === 'document') {
-    console.log(`Synced ${result.file} to document "${result.entityName}" using marker "${result.marker}"`);
-    if (result.documentUrl) {
-      console.log(result.documentUrl);
-    }
-    return;
+    return [`Synced ${result.file} to document "${result.entityName}" using marker "${result.marker}"`, result.documentUrl];
   }
 
-  console.log(`Synced ${result.file} to ${result.entityType} "${result.entityName}" field "${result.field}" using marker "${result.marker}"`);
+  return [`Synced ${result.file} to ${result.entityType} "${result.entityName}" field "${result.field}" using marker "${result.marker}"`];
+}
+
+function printSyncDocResult(result) {
+  printOutput(describeSyncDocResult(result).filter(Boolean).join('\n'), result);
+  if (result.conflict) {
+    process.exitCode = 1;
+  }
 }
 
 function printSyncDocTargets(result) {
   if (!Array.isArray(result.targets) || result.targets.length === 0) {
-    console.log('No sync-doc targets configured.');
+    printOutput('No sync-doc targets configured.', result);
     return;
   }
 
   const lines = result.targets.map((target) => {
     if (target.targetType === 'document') {
       const entityLabel = `${target.issue ? 'issue' : 'project'}:${target.entityRef}`;
-      return `- ${target.name} -> document "${target.title}" linked to ${entityLabel} from ${target.file} (marker: ${target.marker})`;
+      const glob = target.glob ? `, glob: ${target.glob}` : '';
+      const frontMatter = target.frontMatter ? ', from front matter' : '';
+      return `- ${target.name} -> document "${target.title}" linked to ${entityLabel} from ${target.file} (marker: ${target.marker}${glob}${frontMatter})`;
     }
 
     const entityLabel = `${target.targetType === 'issueField' ? 'issue' : 'project'}:${target.entityRef}`;
-    const extra = target.documentIndexMarker ? `, document index: ${target.documentIndexMarker}` : '';
+    const extra = `${target.documentIndexMarker ? `, document index: ${target.documentIndexMarker}` : ''}${target.frontMatter ? ', from front matter' : ''}`;
     return `- ${target.name} -> ${entityLabel} field "${target.field}" from ${target.file} (marker: ${target.marker}${extra})`;
   });
 
   if (result.configPath) {
-    console.log(`Resolved sync-doc targets from ${result.configPath}`);
+    lines.unshift(`Resolved sync-doc targets from ${result.configPath}`);
   }
-  console.log(lines.join('\n'));
+  printOutput(lines.join('\n'), result);
 }
 
+const SYNC_DOC_BATCH_CHANGED_STATUS = {
+  check: 'needs-sync',
+  run: 'synced',
+  pull: 'pulled',
+};
+
 function printSyncDocBatchResult(result) {
-  const header = result.mode === 'check'
-    ? `Checked ${result.total} sync-doc target(s): ${result.changedCount} need updates, ${result.unchangedCount} unchanged`
-    : `Ran ${result.total} sync-doc target(s): ${result.changedCount} updated, ${result.unchangedCount} unchanged`;
+  const headers = {
+    check: `Checked ${result.total} sync-doc target(s): ${result.changedCount} need updates, ${result.unchangedCount} unchanged`
+      + (result.conflictCount ? `, ${result.conflictCount} conflicts` : ''),
+    run: `Ran ${result.total} sync-doc target(s): ${result.changedCount} updated, ${result.unchangedCount} unchanged`
+      + (result.conflictCount ? `, ${result.conflictCount} conflicts` : ''),
+    pull: `Pulled ${result.total} sync-doc target(s): ${result.changedCount} local file(s) updated, ${result.unchangedCount} unchanged`,
+  };
+  const header = headers[result.mode];
   const lines = result.results.map((entry) => {
-    const status = entry.changed ? (result.mode === 'check' ? 'needs-sync' : 'synced') : 'unchanged';
+    let status = entry.changed ? SYNC_DOC_BATCH_CHANGED_STATUS[result.mode] : 'unchanged';
+    if (entry.conflict) {
+      status = 'conflict';
+    }
     if (entry.targetType === 'document') {
       return `- [${status}] ${entry.targetName} -> document "${entry.entityName}" from ${entry.file}`;
     }
     return `- [${status}] ${entry.targetName} -> ${entry.entityType} "${entry.entityName}" field "${entry.field}" from ${entry.file}`;
   });
+  const conflicts = result.results.filter((entry) => entry.conflict);
+  const removedLines = (result.removed || []).map((entry) => {
+    const status = entry.archived ? 'archived' : 'removed';
+    const document = entry.documentTitle ? ` -> document "${entry.documentTitle}"` : '';
+    return `- [${status}] ${entry.targetName}${document}: ${entry.file} no longer matches ${entry.glob}`;
+  });
+  if (result.mode === 'run' && result.removed?.some((entry) => !entry.archived && entry.documentId)) {
+    removedLines.push('Their Linear documents were left in place. Re-run with --archive-removed to archive them.');
+  }
+  const diffs = result.results.filter((entry) => entry.diff).map((entry) => entry.diff);
 
-  console.log([header, ...lines].join('\n'));
+  printOutput([header, ...lines, ...removedLines, ...conflicts.map(formatSyncDocConflict), ...diffs].join('\n'), result);
+  if (conflicts.length > 0) {
+    process.exitCode = 1;
+  }
 }
 
 function printSyncDocInitResult(result) {
   if (!result.created) {
-    console.log(`Sync-doc config already exists at ${result.configPath}`);
-    console.log('Use --force to overwrite it, or edit the existing config manually.');
+    printOutput([
+      `Sync-doc config already exists at ${result.configPath}`,
+      'Use --force to overwrite it, or edit the existing config manually.',
+    ].join('\n'), result);
     return;
   }
 
-  console.log(`${result.overwritten ? 'Rewrote' : 'Created'} ${result.configPath}`);
-  console.log(`State will be written to ${result.statePath}`);
+  const lines = [
+    `${result.overwritten ? 'Rewrote' : 'Created'} ${result.configPath}`,
+    `State will be written to ${result.statePath}`,
+  ];
   if (result.target) {
-    console.log(`Starter target: ${result.target.name} -> project:${result.target.project} field "${result.target.field}" from ${result.target.file}`);
+    lines.push(`Starter target: ${result.target.name} -> project:${result.target.project} field "${result.target.field}" from ${result.target.file}`);
+  }
+  lines.push(
+    'Next steps:',
+    `- Edit ${result.configPath} to add document targets for deeper docs`,
+    `- Run pi-linear-tools sync-doc list --cwd ${result.cwd}`,
+    `- Run pi-linear-tools sync-doc run --cwd ${result.cwd}`
+  );
+  printOutput(lines.join('\n'), result);
+}
+
+/**
+ * Watch events print one line each; with --json each line is its own JSON object
+ * so the stream can be piped through `jq` as it arrives.
+ */
+function printSyncDocWatchEvent(event) {
+  const time = new Date().toLocaleTimeString();
+
+  if (event.type === 'result') {
+    const { result } = event;
+    if (result.conflict) {
+      printOutput(`[${time}] ${formatSyncDocConflict(result)}`, event);
+    } else if (result.changed) {
+      const url = result.documentUrl || result.entityUrl;
+      printOutput(`[${time}] synced ${result.targetName}${url ? ` -> ${url}` : ''}`, event);
+    }
+    return;
+  }
+
+  if (event.type === 'rate-limited') {
+    printOutput(`[${time}] Rate limited; waiting until ${event.resetAt.toLocaleTimeString()} before pushing`, event);
+    return;
+  }
+
+  if (event.type === 'reloaded') {
+    printOutput(`[${time}] Config changed; watching ${event.targets.length} target(s)`, event);
+    return;
+  }
+
+  if (event.type === 'error') {
+    const label = event.targetName ? ` ${event.targetName}` : '';
+    const message = event.error?.message || String(event.error);
+    const line = `[${time}] Sync failed${label}: ${message}`;
+    if (jsonOutput) {
+      printOutput(line, { ...event, error: message });
+    } else {
+      console.error(line);
+    }
   }
-  console.log('Next steps:');
-  console.log(`- Edit ${result.configPath} to add document targets for deeper docs`);
-  console.log(`- Run pi-linear-tools sync-doc list --cwd ${result.cwd}`);
-  console.log(`- Run pi-linear-tools sync-doc run --cwd ${result.cwd}`);
+}
+
+async function handleSyncDocWatch(client, args, cwd) {
+  const watcher = await watchSyncDocs(client, {
+    cwd,
+    configPath: readFlag(args, '--config'),
+    targetName: readFlag(args, '--target'),
+    debounceMs: readFlag(args, '--debounce'),
+    strategy: readFlag(args, '--strategy'),
+    onEvent: printSyncDocWatchEvent,
+  });
+
+  printOutput(
+    `Watching ${watcher.targets.length} sync-doc target(s)${watcher.configPath ? ` from ${watcher.configPath}` : ''}. Press Ctrl+C to stop.`,
+    { type: 'watching', configPath: watcher.configPath, targets: watcher.targets }
+  );
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+  });
+  await watcher.close();
 }
 
 async function handleSyncDocCommand(args) {
@@ -1407,12 +2327,12 @@ async function handleSyncDocCommand(args) {
     return;
   }
 
-  if (!['init', 'explain', 'list', 'run', 'check'].includes(action)) {
-    throw new Error(`Unknown sync-doc action: ${action}`);
+  if (!['init', 'explain', 'list', 'run', 'check', 'pull', 'watch'].includes(action)) {
+    throw validationError(`Unknown sync-doc action: ${action}`);
   }
 
   if (action === 'explain') {
-    console.log(explainSyncDocSetup());
+    printOutput(explainSyncDocSetup());
     return;
   }
 
@@ -1441,6 +2361,23 @@ async function handleSyncDocCommand(args) {
   }
 
   const client = await createAuthenticatedClient();
+
+  if (action === 'pull') {
+    const result = await pullSyncDocs(client, {
+      cwd,
+      configPath: readFlag(commandArgs, '--config'),
+      targetName: readFlag(commandArgs, '--target'),
+      force: hasFlag(commandArgs, '--force'),
+    });
+    printSyncDocBatchResult(result);
+    return;
+  }
+
+  if (action === 'watch') {
+    await handleSyncDocWatch(client, commandArgs, cwd);
+    return;
+  }
+
   const hasOneOffFlags = Boolean(
     readFlag(commandArgs, '--file')
     && (readFlag(commandArgs, '--project') || readFlag(commandArgs, '--issue'))
@@ -1452,6 +2389,9 @@ async function handleSyncDocCommand(args) {
       mode: action,
       cwd,
       configPath: readFlag(commandArgs, '--config'),
+      strategy: readFlag(commandArgs, '--strategy'),
+      diff: hasFlag(commandArgs, '--diff'),
+      archiveRemoved: hasFlag(commandArgs, '--archive-removed'),
     });
     printSyncDocBatchResult(result);
     return;
@@ -1470,6 +2410,8 @@ async function handleSyncDocCommand(args) {
     documentId: readFlag(commandArgs, '--document-id'),
     field: readFlag(commandArgs, '--field'),
     marker: readFlag(commandArgs, '--marker'),
+    strategy: readFlag(commandArgs, '--strategy'),
+    diff: hasFlag(commandArgs, '--diff'),
   });
 
   printSyncDocResult(result);
@@ -1479,13 +2421,13 @@ async function handleProjectUpdateViewCli(args) {
   const client = await createAuthenticatedClient();
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: project update ID');
+    throw validationError('Missing required argument: project update ID');
   }
 
   const result = await executeProjectUpdateView(client, {
     projectUpdate: positional[0],
   });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectUpdateCreateCli(args) {
@@ -1498,18 +2440,18 @@ async function handleProjectUpdateCreateCli(args) {
   };
 
   if (!params.project) {
-    throw new Error('Missing required flag: --project');
+    throw validationError('Missing required flag: --project');
   }
 
   const result = await executeProjectUpdateCreate(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectUpdateUpdateCli(args) {
   const client = await createAuthenticatedClient();
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: project update ID');
+    throw validationError('Missing required argument: project update ID');
   }
 
   const params = {
@@ -1520,33 +2462,33 @@ async function handleProjectUpdateUpdateCli(args) {
   };
 
   const result = await executeProjectUpdateUpdate(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectUpdateArchiveCli(args) {
   const client = await createAuthenticatedClient();
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: project update ID');
+    throw validationError('Missing required argument: project update ID');
   }
 
   const result = await executeProjectUpdateArchive(client, {
     projectUpdate: positional[0],
   });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectUpdateUnarchiveCli(args) {
   const client = await createAuthenticatedClient();
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: project update ID');
+    throw validationError('Missing required argument: project update ID');
   }
 
   const result = await executeProjectUpdateUnarchive(client, {
     projectUpdate: positional[0],
   });
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleProjectUpdateCommand(args) {
@@ -1571,7 +2513,136 @@ async function handleProjectUpdateCommand(args) {
     case 'unarchive':
       return handleProjectUpdateUnarchiveCli(args.slice(1));
     default:
-      throw new Error(`Unknown project-update action: ${action}`);
+      throw validationError(`Unknown project-update action: ${action}`);
+  }
+}
+
+// ===== DOCUMENT HANDLERS =====
+
+async function handleDocumentListCli(args) {
+  const client = await createAuthenticatedClient();
+  const params = {
+    project: readFlag(args, '--project'),
+    issue: readFlag(args, '--issue'),
+    limit: parseNumber(readFlag(args, '--limit')),
+    includeArchived: parseBoolean(readFlag(args, '--include-archived')),
+  };
+
+  if (!params.project && !params.issue) {
+    throw validationError('Missing required flag: --project or --issue');
+  }
+
+  await printListPages(client, args, params, (pageParams) => executeDocumentList(client, pageParams));
+}
+
+async function handleDocumentSearchCli(args) {
+  const client = await createAuthenticatedClient();
+  const query = args[0] && !args[0].startsWith('-') ? args[0] : undefined;
+  if (!query) {
+    throw validationError('Missing required argument: search query');
+  }
+
+  const params = {
+    query,
+    limit: parseNumber(readFlag(args, '--limit')),
+    includeArchived: parseBoolean(readFlag(args, '--include-archived')),
+  };
+
+  await printListPages(client, args, params, (pageParams) => executeDocumentSearch(client, pageParams));
+}
+
+async function handleDocumentViewCli(args) {
+  const client = await createAuthenticatedClient();
+  const positional = args.filter((a) => !a.startsWith('-'));
+  if (positional.length === 0) {
+    throw validationError('Missing required argument: document ID');
+  }
+
+  const result = await executeDocumentView(client, {
+    document: positional[0],
+  });
+  printResult(result);
+}
+
+async function handleDocumentCreateCli(args) {
+  const client = await createAuthenticatedClient();
+  const params = {
+    title: readFlag(args, '--title'),
+    project: readFlag(args, '--project'),
+    issue: readFlag(args, '--issue'),
+    content: readFlag(args, '--content'),
+    icon: readFlag(args, '--icon'),
+    color: readFlag(args, '--color'),
+  };
+
+  if (!params.title) {
+    throw validationError('Missing required flag: --title');
+  }
+  if (!params.project && !params.issue) {
+    throw validationError('Missing required flag: --project or --issue');
+  }
+
+  const result = await executeDocumentCreate(client, params);
+  printResult(result);
+}
+
+async function handleDocumentUpdateCli(args) {
+  const client = await createAuthenticatedClient();
+  const document = args[0] && !args[0].startsWith('-') ? args[0] : undefined;
+  if (!document) {
+    throw validationError('Missing required argument: document ID');
+  }
+
+  const params = {
+    document,
+    title: readFlag(args, '--title'),
+    content: readFlag(args, '--content'),
+    icon: readFlag(args, '--icon'),
+    color: readFlag(args, '--color'),
+    project: readFlag(args, '--project'),
+    issue: readFlag(args, '--issue'),
+  };
+
+  const result = await executeDocumentUpdate(client, params);
+  printResult(result);
+}
+
+async function handleDocumentArchiveCli(args) {
+  const client = await createAuthenticatedClient();
+  const positional = args.filter((a) => !a.startsWith('-'));
+  if (positional.length === 0) {
+    throw validationError('Missing required argument: document ID');
+  }
+
+  const result = await executeDocumentArchive(client, {
+    document: positional[0],
+  });
+  printResult(result);
+}
+
+async function handleDocumentCommand(args) {
+  const [action] = args;
+
+  if (!action || action === '--help' || action === '-h') {
+    printDocumentHelp();
+    return;
+  }
+
+  switch (action) {
+    case 'list':
+      return handleDocumentListCli(args.slice(1));
+    case 'search':
+      return handleDocumentSearchCli(args.slice(1));
+    case 'view':
+      return handleDocumentViewCli(args.slice(1));
+    case 'create':
+      return handleDocumentCreateCli(args.slice(1));
+    case 'update':
+      return handleDocumentUpdateCli(args.slice(1));
+    case 'archive':
+      return handleDocumentArchiveCli(args.slice(1));
+    default:
+      throw validationError(`Unknown document action: ${action}`);
   }
 }
 
@@ -1581,7 +2652,7 @@ async function handleTeamList() {
   const client = await createAuthenticatedClient();
 
   const result = await executeTeamList(client);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleTeam(args) {
@@ -1596,7 +2667,114 @@ async function handleTeam(args) {
     case 'list':
       return handleTeamList();
     default:
-      throw new Error(`Unknown team action: ${action}`);
+      throw validationError(`Unknown team action: ${action}`);
+  }
+}
+
+// ===== USER HANDLERS =====
+
+async function handleUserList(args) {
+  const client = await createAuthenticatedClient();
+
+  const params = {
+    query: readFlag(args, '--query'),
+    includeDisabled: hasFlag(args, '--include-disabled'),
+  };
+
+  const result = await executeUserList(client, params);
+  printResult(result);
+}
+
+async function handleUserView(args) {
+  const client = await createAuthenticatedClient();
+
+  const positional = args.filter((a) => !a.startsWith('-'));
+  if (positional.length === 0) {
+    throw validationError('Missing required argument: user (me, email, display name, name, or ID)');
+  }
+
+  const result = await executeUserView(client, { user: positional[0] });
+  printResult(result);
+}
+
+async function handleUser(args) {
+  const [action, ...rest] = args;
+
+  if (!action || action === '--help' || action === '-h') {
+    printUserHelp();
+    return;
+  }
+
+  switch (action) {
+    case 'list':
+      return handleUserList(rest);
+    case 'view':
+      return handleUserView(rest);
+    default:
+      throw validationError(`Unknown user action: ${action}`);
+  }
+}
+
+// ===== CYCLE HANDLERS =====
+
+async function handleCycleList(args) {
+  const client = await createAuthenticatedClient();
+
+  const params = {
+    team: readFlag(args, '--team'),
+    includePast: hasFlag(args, '--include-past'),
+    limit: parseNumber(readFlag(args, '--limit')),
+  };
+
+  const result = await executeCycleList(client, params, { resolveDefaultTeam });
+  printResult(result);
+}
+
+async function handleCycleView(args) {
+  const client = await createAuthenticatedClient();
+
+  const positional = args.filter((a) => !a.startsWith('-'));
+  if (positional.length === 0) {
+    throw validationError('Missing required argument: cycle (current, next, previous, number, name, or ID)');
+  }
+
+  const params = {
+    cycle: positional[0],
+    team: readFlag(args, '--team'),
+  };
+
+  const result = await executeCycleView(client, params, { resolveDefaultTeam });
+  printResult(result);
+}
+
+async function handleCycleCurrent(args) {
+  const client = await createAuthenticatedClient();
+
+  const params = {
+    team: readFlag(args, '--team'),
+  };
+
+  const result = await executeCycleCurrent(client, params, { resolveDefaultTeam });
+  printResult(result);
+}
+
+async function handleCycle(args) {
+  const [action, ...rest] = args;
+
+  if (!action || action === '--help' || action === '-h') {
+    printCycleHelp();
+    return;
+  }
+
+  switch (action) {
+    case 'list':
+      return handleCycleList(rest);
+    case 'view':
+      return handleCycleView(rest);
+    case 'current':
+      return handleCycleCurrent(rest);
+    default:
+      throw validationError(`Unknown cycle action: ${action}`);
   }
 }
 
@@ -1607,10 +2785,10 @@ async function handleMilestoneList(args) {
 
   const params = {
     project: readFlag(args, '--project'),
+    limit: parseNumber(readFlag(args, '--limit')),
   };
 
-  const result = await executeMilestoneList(client, params);
-  console.log(result.content[0].text);
+  await printListPages(client, args, params, (pageParams) => executeMilestoneList(client, pageParams));
 }
 
 async function handleMilestoneView(args) {
@@ -1618,7 +2796,7 @@ async function handleMilestoneView(args) {
 
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: milestone ID');
+    throw validationError('Missing required argument: milestone ID');
   }
 
   const params = {
@@ -1626,7 +2804,7 @@ async function handleMilestoneView(args) {
   };
 
   const result = await executeMilestoneView(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleMilestoneCreate(args) {
@@ -1641,11 +2819,11 @@ async function handleMilestoneCreate(args) {
   };
 
   if (!params.name) {
-    throw new Error('Missing required flag: --name');
+    throw validationError('Missing required flag: --name');
   }
 
   const result = await executeMilestoneCreate(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleMilestoneUpdate(args) {
@@ -1653,7 +2831,7 @@ async function handleMilestoneUpdate(args) {
 
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: milestone ID');
+    throw validationError('Missing required argument: milestone ID');
   }
 
   const params = {
@@ -1665,7 +2843,7 @@ async function handleMilestoneUpdate(args) {
   };
 
   const result = await executeMilestoneUpdate(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleMilestoneDelete(args) {
@@ -1673,7 +2851,7 @@ async function handleMilestoneDelete(args) {
 
   const positional = args.filter((a) => !a.startsWith('-'));
   if (positional.length === 0) {
-    throw new Error('Missing required argument: milestone ID');
+    throw validationError('Missing required argument: milestone ID');
   }
 
   const params = {
@@ -1681,7 +2859,7 @@ async function handleMilestoneDelete(args) {
   };
 
   const result = await executeMilestoneDelete(client, params);
-  console.log(result.content[0].text);
+  printResult(result);
 }
 
 async function handleMilestone(args) {
@@ -1705,63 +2883,182 @@ async function handleMilestone(args) {
       case 'delete':
         return await handleMilestoneDelete(rest);
       default:
-        throw new Error(`Unknown milestone action: ${action}`);
+        throw validationError(`Unknown milestone action: ${action}`);
     }
   } catch (error) {
     throw withMilestoneScopeHint(error);
   }
 }
 
-// ===== MAIN CLI ENTRY =====
+// ===== GIT HOOK HANDLERS =====
 
-export async function runCli(argv = process.argv.slice(2)) {
-  const [command, ...rest] = argv;
+async function handleGitInstallHooks(args) {
+  const result = await installCommitMsgHook({
+    cliPath: fileURLToPath(new URL('../bin/pi-linear-tools.js', import.meta.url)),
+    force: hasFlag(args, '--force'),
+  });
 
-  if (!command || command === '--help' || command === '-h' || command === 'help') {
-    printHelp();
-    return;
+  const lines = [`${result.updated ? 'Updated' : 'Installed'} commit-msg hook at ${result.hookPath}`];
+  if (result.backupPath) {
+    lines.push(`Previous hook kept at ${result.backupPath}`);
   }
+  printOutput(lines.join('\n'), result);
+}
 
-  if (command === 'auth') {
-    await handleAuth(rest);
-    return;
-  }
+async function handleGitUninstallHooks() {
+  const result = await uninstallCommitMsgHook();
 
-  if (command === 'config') {
-    await handleConfig(rest);
-    return;
+  let text;
+  if (result.removed) {
+    text = `Removed commit-msg hook from ${result.hookPath}`;
+    if (result.restoredPath) {
+      text += '\nRestored the previous commit-msg hook';
+    }
+  } else if (result.reason === 'foreign') {
+    text = `The commit-msg hook at ${result.hookPath} was not installed by pi-linear-tools; left it in place`;
+  } else {
+    text = `No commit-msg hook installed at ${result.hookPath}`;
   }
+  printOutput(text, result);
+}
 
-  if (command === 'issue') {
-    await handleIssue(rest);
-    return;
+/**
+ * Run by the installed commit-msg hook. A thrown error exits non-zero, which
+ * makes git abort the commit; notices go to stderr so git shows them.
+ */
+async function handleGitCheckCommitMsg(args) {
+  const [messageFile] = args.filter((a) => !a.startsWith('-'));
+  if (!messageFile) {
+    throw validationError('Missing required argument: commit message file');
   }
 
-  if (command === 'project') {
-    await handleProject(rest);
-    return;
-  }
+  const result = await checkCommitMessage({
+    messageFile,
+    getClient: createAuthenticatedClient,
+    allowClosed: parseBoolean(process.env[ALLOW_CLOSED_ISSUE_ENV]) === true,
+  });
 
-  if (command === 'project-update') {
-    await handleProjectUpdateCommand(rest);
-    return;
+  if (result.warning) {
+    console.error(`pi-linear-tools: ${result.warning}`);
+  }
+  if (result.inferredFrom) {
+    console.error(`pi-linear-tools: added ${result.identifier} to the commit subject (from branch ${result.inferredFrom})`);
   }
+}
+
+async function handleGitPruneBranches(args) {
+  const client = await createAuthenticatedClient();
+
+  const result = await executeGitPruneBranches(client, {
+    base: readFlag(args, '--base'),
+    dryRun: hasFlag(args, '--dry-run'),
+  });
+  printResult(result);
+}
+
+async function handleGit(args) {
+  const [action, ...rest] = args;
 
-  if (command === 'sync-doc') {
-    await handleSyncDocCommand(rest);
+  if (!action || action === '--help' || action === '-h') {
+    printGitHelp();
     return;
   }
 
-  if (command === 'team') {
-    await handleTeam(rest);
-    return;
+  switch (action) {
+    case 'install-hooks':
+      return handleGitInstallHooks(rest);
+    case 'uninstall-hooks':
+      return handleGitUninstallHooks();
+    case 'prune-branches':
+      return handleGitPruneBranches(rest);
+    case 'check-commit-msg':
+      return handleGitCheckCommitMsg(rest);
+    default:
+      throw validationError(`Unknown git action: ${action}`);
   }
+}
+
+// ===== MAIN CLI ENTRY =====
+
+/**
+ * Run the CLI. Errors are reported here rather than thrown: as text on stderr, or
+ * with --json as `{"error": {type, code, message}}` on stdout, and either way with
+ * the matching EXIT_CODES value as the process exit code.
+ */
+export async function runCli(argv = process.argv.slice(2)) {
+  jsonOutput = argv.includes('--json');
+  const [command, ...rest] = argv.filter((arg) => arg !== '--json');
+
+  try {
+    if (!command || command === '--help' || command === '-h' || command === 'help') {
+      printHelp();
+      return;
+    }
+
+    if (command === 'auth') {
+      await handleAuth(rest);
+      return;
+    }
+
+    if (command === 'config') {
+      await handleConfig(rest);
+      return;
+    }
+
+    if (command === 'issue') {
+      await handleIssue(rest);
+      return;
+    }
+
+    if (command === 'project') {
+      await handleProject(rest);
+      return;
+    }
+
+    if (command === 'project-update') {
+      await handleProjectUpdateCommand(rest);
+      return;
+    }
+
+    if (command === 'document') {
+      await handleDocumentCommand(rest);
+      return;
+    }
+
+    if (command === 'sync-doc') {
+      await handleSyncDocCommand(rest);
+      return;
+    }
+
+    if (command === 'team') {
+      await handleTeam(rest);
+      return;
+    }
+
+    if (command === 'user') {
+      await handleUser(rest);
+      return;
+    }
 
-  if (command === 'milestone') {
-    await handleMilestone(rest);
+    if (command === 'cycle') {
+      await handleCycle(rest);
+      return;
+    }
+
+    if (command === 'milestone') {
+      await handleMilestone(rest);
+      return;
+    }
+
+    if (command === 'git') {
+      await handleGit(rest);
+      return;
+    }
+  } catch (error) {
+    reportCliError(error);
     return;
   }
 
   printHelp();
-  process.exitCode = 1;
+  process.exitCode = EXIT_CODES.error;
 }
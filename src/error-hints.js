@@ -33,7 +33,16 @@ export function withMilestoneScopeHint(error) {
  */
 export function withIssueRelationScopeHint(error, patch = {}) {
   const message = String(error?.message || error || 'Unknown error');
-  const relationFields = ['blockedBy', 'blocking', 'relatedTo', 'duplicateOf'];
+  const relationFields = [
+    'blockedBy',
+    'blocking',
+    'relatedTo',
+    'duplicateOf',
+    'removeBlockedBy',
+    'removeBlocking',
+    'removeRelatedTo',
+    'removeDuplicateOf',
+  ];
   const requestsRelation = relationFields.some((field) => {
     const value = patch[field];
     return Array.isArray(value) ? value.length > 0 : String(value || '').trim() !== '';
@@ -0,0 +1,67 @@
+/**
+ * Typed errors
+ *
+ * Errors for bad input, missing entities, authentication and rate limits carry
+ * a `code` property naming the failure, so callers (the CLI's exit codes in
+ * particular) can classify them without parsing the message.
+ */
+
+export const ERROR_CODES = Object.freeze({
+  validation: 'validation',
+  notFound: 'not_found',
+  auth: 'auth',
+  rateLimited: 'rate_limited',
+});
+
+const TYPED_CODES = new Set(Object.values(ERROR_CODES));
+
+function createTypedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Invalid or missing input: arguments, flags, config or file content
+ * @param {string} message
+ * @returns {Error}
+ */
+export function validationError(message) {
+  return createTypedError(ERROR_CODES.validation, message);
+}
+
+/**
+ * A referenced issue, project, team, user, document or target does not exist
+ * @param {string} message
+ * @returns {Error}
+ */
+export function notFoundError(message) {
+  return createTypedError(ERROR_CODES.notFound, message);
+}
+
+/**
+ * Missing or rejected credentials
+ * @param {string} message
+ * @returns {Error}
+ */
+export function authError(message) {
+  return createTypedError(ERROR_CODES.auth, message);
+}
+
+/**
+ * The Linear API rate limit was reached
+ * @param {string} message
+ * @returns {Error}
+ */
+export function rateLimitError(message) {
+  return createTypedError(ERROR_CODES.rateLimited, message);
+}
+
+/**
+ * Read the typed code of an error thrown by one of the factories above
+ * @param {unknown} error
+ * @returns {'validation'|'not_found'|'auth'|'rate_limited'|null}
+ */
+export function getErrorCode(error) {
+  return TYPED_CODES.has(error?.code) ? error.code : null;
+}
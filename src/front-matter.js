@@ -0,0 +1,243 @@
+/**
+ * Markdown front matter utilities
+ *
+ * Splits YAML front matter off markdown files and reads single top-level keys
+ * from it. Only the YAML subset used for sync-doc target declarations is
+ * supported: block and flow mappings, block and flow sequences, and quoted or
+ * plain scalars. Keys that are not requested are never parsed.
+ */
+
+import { validationError } from './errors.js';
+
+const FRONT_MATTER_PATTERN = /^---[ \t]*\n([\s\S]*?\n)?(?:---|\.\.\.)[ \t]*(?:\n|$)/;
+
+/**
+ * Split leading front matter from markdown content
+ *
+ * @param {string} content - Markdown with `\n` line endings
+ * @returns {{frontMatter: string, yaml: string, body: string}} `frontMatter` is the raw
+ *   block including its delimiters and the blank lines after it, so
+ *   `frontMatter + body` is the original content; empty strings when there is none
+ */
+export function splitFrontMatter(content) {
+  const value = String(content ?? '');
+  const match = value.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { frontMatter: '', yaml: '', body: value };
+  }
+
+  const separator = value.slice(match[0].length).match(/^(?:[ \t]*\n)*/)[0];
+  const frontMatter = match[0] + separator;
+  return {
+    frontMatter,
+    yaml: match[1] || '',
+    body: value.slice(frontMatter.length),
+  };
+}
+
+function stripComment(text) {
+  let quote = null;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.slice(0, index);
+    }
+  }
+  return text;
+}
+
+function parsePlainScalar(text) {
+  const value = text.trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+function parseFlowValue(text) {
+  let index = 0;
+
+  const fail = (message) => {
+    throw validationError(`${message} in "${text.trim()}"`);
+  };
+  const skipSpace = () => {
+    while (index < text.length && /\s/.test(text[index])) index += 1;
+  };
+
+  const parseQuoted = () => {
+    const quote = text[index];
+    const start = index;
+    index += 1;
+    while (index < text.length) {
+      if (quote === '"' && text[index] === '\\') {
+        index += 2;
+        continue;
+      }
+      if (text[index] === quote) {
+        if (quote === "'" && text[index + 1] === "'") {
+          index += 2;
+          continue;
+        }
+        index += 1;
+        const raw = text.slice(start, index);
+        return quote === '"' ? JSON.parse(raw) : raw.slice(1, -1).replace(/''/g, "'");
+      }
+      index += 1;
+    }
+    return fail('Unterminated string');
+  };
+
+  const parseCollection = (open, close) => {
+    const isMapping = open === '{';
+    const result = isMapping ? {} : [];
+    index += 1;
+    skipSpace();
+    if (text[index] === close) {
+      index += 1;
+      return result;
+    }
+
+    while (index < text.length) {
+      if (isMapping) {
+        const key = parseValue(':');
+        skipSpace();
+        if (text[index] !== ':') fail('Expected ":"');
+        index += 1;
+        result[String(key)] = parseValue(`,${close}`);
+      } else {
+        result.push(parseValue(`,${close}`));
+      }
+
+      skipSpace();
+      if (text[index] === ',') {
+        index += 1;
+        continue;
+      }
+      if (text[index] === close) {
+        index += 1;
+        return result;
+      }
+      if (index < text.length) {
+        fail(`Expected "," or "${close}"`);
+      }
+    }
+    return fail(`Missing "${close}"`);
+  };
+
+  const parseValue = (terminators) => {
+    skipSpace();
+    const char = text[index];
+    if (char === '{') return parseCollection('{', '}');
+    if (char === '[') return parseCollection('[', ']');
+    if (char === '"' || char === "'") return parseQuoted();
+
+    const start = index;
+    while (index < text.length && !terminators.includes(text[index])) index += 1;
+    return parsePlainScalar(text.slice(start, index));
+  };
+
+  const value = parseValue('');
+  skipSpace();
+  if (index < text.length) fail('Unexpected trailing content');
+  return value;
+}
+
+function parseInlineValue(text) {
+  const value = stripComment(text).trim();
+  return /^["'{[]/.test(value) ? parseFlowValue(value) : parsePlainScalar(value);
+}
+
+function getIndent(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function isBlankLine(line) {
+  return stripComment(line).trim() === '';
+}
+
+/**
+ * Parse the indented block starting at `start`; returns the value and the index of
+ * the first line after it.
+ */
+function parseBlock(lines, start, parentIndent) {
+  let index = start;
+  while (index < lines.length && isBlankLine(lines[index])) index += 1;
+  if (index >= lines.length || getIndent(lines[index]) <= parentIndent) {
+    return { value: null, next: index };
+  }
+
+  const indent = getIndent(lines[index]);
+  const isSequence = /^-(\s|$)/.test(lines[index].slice(indent));
+  const result = isSequence ? [] : {};
+
+  while (index < lines.length) {
+    const line = lines[index];
+    if (isBlankLine(line)) {
+      index += 1;
+      continue;
+    }
+
+    const lineIndent = getIndent(line);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) {
+      throw validationError(`Unexpected indentation: "${line.trim()}"`);
+    }
+
+    const text = line.slice(indent);
+    if (isSequence) {
+      if (!/^-(\s|$)/.test(text)) {
+        throw validationError(`Expected a "- " list item: "${text}"`);
+      }
+      result.push(parseInlineValue(text.slice(1)));
+      index += 1;
+      continue;
+    }
+
+    const entry = text.match(/^("[^"]*"|'[^']*'|[^\s#"'][^:]*?)\s*:(?:\s+(.*)|$)/);
+    if (!entry) {
+      throw validationError(`Expected "key: value": "${text}"`);
+    }
+    const key = String(parseInlineValue(entry[1]));
+    if (isBlankLine(entry[2] || '')) {
+      const nested = parseBlock(lines, index + 1, indent);
+      result[key] = nested.value;
+      index = nested.next;
+    } else {
+      result[key] = parseInlineValue(entry[2]);
+      index += 1;
+    }
+  }
+
+  return { value: result, next: index };
+}
+
+/**
+ * Read one top-level key from front matter YAML
+ *
+ * @param {string} yaml - Front matter without delimiters (see `splitFrontMatter`)
+ * @param {string} key - Top-level key
+ * @returns {*} The parsed value, or undefined when the key is absent
+ * @throws {Error} When the value of the key is not valid YAML in the supported subset
+ */
+export function readFrontMatterKey(yaml, key) {
+  const lines = String(yaml || '').split('\n');
+  const keyPattern = new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*:(?:\\s+(.*)|$)`);
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const match = lines[index].match(keyPattern);
+    if (!match) {
+      continue;
+    }
+    if (!isBlankLine(match[1] || '')) {
+      return parseInlineValue(match[1]);
+    }
+    return parseBlock(lines, index + 1, 0).value;
+  }
+
+  return undefined;
+}
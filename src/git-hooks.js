@@ -0,0 +1,290 @@
+/**
+ * Git hooks
+ *
+ * Installs a `commit-msg` hook that ties commits to Linear issues: the commit
+ * subject must mention an issue key (appended from the branch name when
+ * missing), the issue must exist, and it must not be completed or canceled.
+ * Team keys and issue lookups are cached in the git directory for a few
+ * minutes so a run of commits does not query Linear every time.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { chmod, mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { dirname, isAbsolute, join, resolve } from 'node:path';
+
+import { fetchIssueMinimal, fetchTeams, parseIssueIdentifierFromBranch } from './linear.js';
+import { ERROR_CODES, getErrorCode, notFoundError, validationError } from './errors.js';
+
+export const COMMIT_MSG_HOOK_MARKER = '# pi-linear-tools commit-msg hook';
+
+export const ALLOW_CLOSED_ISSUE_ENV = 'LINEAR_ALLOW_CLOSED_ISSUE';
+
+export const HOOK_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const HOOK_CACHE_FILENAME = 'pi-linear-tools-hook-cache.json';
+const HOOK_BACKUP_SUFFIX = '.pre-linear-tools';
+const CLOSED_STATE_TYPES = new Set(['completed', 'canceled']);
+
+// Subjects git writes itself; they refer to another commit rather than an issue
+const SKIPPED_SUBJECT_PATTERN = /^(Merge |Revert "|fixup! |squash! |amend! )/;
+
+function runGit(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: 5_000,
+    windowsHide: true,
+  }).trim();
+}
+
+/**
+ * Resolve a path inside the git directory; honours core.hooksPath and worktrees
+ */
+function resolveGitPath(name, cwd) {
+  let gitPath;
+  try {
+    gitPath = runGit(['rev-parse', '--git-path', name], cwd);
+  } catch {
+    throw new Error(`Not a git repository: ${cwd}`);
+  }
+  return isAbsolute(gitPath) ? gitPath : resolve(cwd, gitPath);
+}
+
+function readCurrentBranch(cwd) {
+  try {
+    // symbolic-ref also works before the first commit; detached HEAD has no branch
+    return runGit(['symbolic-ref', '--short', '-q', 'HEAD'], cwd) || null;
+  } catch {
+    return null;
+  }
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Build the commit-msg hook script, which calls back into the CLI
+ *
+ * @param {Object} options
+ * @param {string} options.cliPath - Path to bin/pi-linear-tools.js
+ * @param {string} [options.nodePath] - Node executable (default: the running one)
+ * @returns {string}
+ */
+export function buildCommitMsgHookScript(options) {
+  const nodePath = options.nodePath || process.execPath;
+  return [
+    '#!/bin/sh',
+    COMMIT_MSG_HOOK_MARKER,
+    '# Remove with: pi-linear-tools git uninstall-hooks',
+    `exec ${shellQuote(nodePath)} ${shellQuote(options.cliPath)} git check-commit-msg "$1"`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Install the commit-msg hook into the repository containing cwd
+ *
+ * A commit-msg hook from elsewhere is only replaced with `force`, and is kept
+ * next to it as `commit-msg.pre-linear-tools` so uninstalling restores it.
+ *
+ * @param {Object} options
+ * @param {string} options.cliPath - Path to bin/pi-linear-tools.js
+ * @param {string} [options.nodePath] - Node executable
+ * @param {string} [options.cwd] - Directory inside the repository (default: process.cwd())
+ * @param {boolean} [options.force=false] - Replace a commit-msg hook installed by something else
+ * @returns {Promise<{hookPath: string, backupPath: string|null, updated: boolean}>}
+ */
+export async function installCommitMsgHook(options) {
+  const cwd = resolve(options.cwd || process.cwd());
+  const hookPath = join(resolveGitPath('hooks', cwd), 'commit-msg');
+  let backupPath = null;
+  let updated = false;
+
+  if (existsSync(hookPath)) {
+    const existing = await readFile(hookPath, 'utf8');
+    if (existing.includes(COMMIT_MSG_HOOK_MARKER)) {
+      updated = true;
+    } else if (!options.force) {
+      throw new Error(
+        `A commit-msg hook already exists at ${hookPath}. Re-run with --force to replace it `
+        + `(it is kept as commit-msg${HOOK_BACKUP_SUFFIX} and restored by uninstall-hooks).`
+      );
+    } else {
+      backupPath = `${hookPath}${HOOK_BACKUP_SUFFIX}`;
+      await rename(hookPath, backupPath);
+    }
+  }
+
+  await mkdir(dirname(hookPath), { recursive: true });
+  await writeFile(hookPath, buildCommitMsgHookScript(options), 'utf8');
+  await chmod(hookPath, 0o755);
+
+  return { hookPath, backupPath, updated };
+}
+
+/**
+ * Remove the commit-msg hook if pi-linear-tools installed it, restoring the
+ * hook it replaced. Hooks installed by something else are left in place.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory inside the repository (default: process.cwd())
+ * @returns {Promise<{hookPath: string, removed: boolean, restoredPath: string|null, reason: string|null}>}
+ */
+export async function uninstallCommitMsgHook(options = {}) {
+  const cwd = resolve(options.cwd || process.cwd());
+  const hookPath = join(resolveGitPath('hooks', cwd), 'commit-msg');
+
+  if (!existsSync(hookPath)) {
+    return { hookPath, removed: false, restoredPath: null, reason: 'missing' };
+  }
+
+  const existing = await readFile(hookPath, 'utf8');
+  if (!existing.includes(COMMIT_MSG_HOOK_MARKER)) {
+    return { hookPath, removed: false, restoredPath: null, reason: 'foreign' };
+  }
+
+  await rm(hookPath);
+
+  const backupPath = `${hookPath}${HOOK_BACKUP_SUFFIX}`;
+  if (existsSync(backupPath)) {
+    await rename(backupPath, hookPath);
+    return { hookPath, removed: true, restoredPath: hookPath, reason: null };
+  }
+  return { hookPath, removed: true, restoredPath: null, reason: null };
+}
+
+async function readHookCache(cachePath) {
+  try {
+    const parsed = JSON.parse(await readFile(cachePath, 'utf8'));
+    return { teams: parsed.teams || null, issues: parsed.issues || {} };
+  } catch {
+    return { teams: null, issues: {} };
+  }
+}
+
+function isFresh(entry, now) {
+  return Boolean(entry) && now - entry.checkedAt >= 0 && now - entry.checkedAt < HOOK_CACHE_TTL_MS;
+}
+
+async function writeHookCache(cachePath, cache, now) {
+  const issues = Object.fromEntries(
+    Object.entries(cache.issues).filter(([, entry]) => isFresh(entry, now))
+  );
+  try {
+    await writeFile(cachePath, `${JSON.stringify({ teams: cache.teams, issues }, null, 2)}\n`, 'utf8');
+  } catch {
+    // The cache only saves API calls; a read-only git directory is not an error.
+  }
+}
+
+/**
+ * Check (and possibly amend) a commit message for the commit-msg hook
+ *
+ * Throws when the commit should be rejected. When Linear cannot be reached
+ * (or no auth is configured) the commit is allowed with a warning instead.
+ *
+ * @param {Object} options
+ * @param {string} options.messageFile - Commit message file passed to the hook
+ * @param {Function} options.getClient - Async factory for the Linear client; only called on cache misses
+ * @param {string} [options.cwd] - Repository directory (default: process.cwd())
+ * @param {boolean} [options.allowClosed=false] - Allow completed or canceled issues
+ * @param {number} [options.now] - Current time in ms (default: Date.now())
+ * @returns {Promise<{status: 'ok'|'skipped'|'unverified', identifier: string|null, inferredFrom: string|null, issue: Object|null, cached: boolean, warning: string|null}>}
+ */
+export async function checkCommitMessage(options) {
+  const cwd = resolve(options.cwd || process.cwd());
+  const now = options.now ?? Date.now();
+  const messageFile = resolve(cwd, options.messageFile);
+  const result = { status: 'ok', identifier: null, inferredFrom: null, issue: null, cached: true, warning: null };
+
+  const lines = (await readFile(messageFile, 'utf8')).split('\n');
+  const subjectIndex = lines.findIndex((line) => line.trim() && !line.startsWith('#'));
+  if (subjectIndex < 0 || SKIPPED_SUBJECT_PATTERN.test(lines[subjectIndex])) {
+    return { ...result, status: 'skipped' };
+  }
+  const subject = lines[subjectIndex].trimEnd();
+
+  const cachePath = resolveGitPath(HOOK_CACHE_FILENAME, cwd);
+  const cache = await readHookCache(cachePath);
+  let client = null;
+  const getClient = async () => {
+    client = client || await options.getClient();
+    result.cached = false;
+    return client;
+  };
+
+  let teamKeys;
+  if (isFresh(cache.teams, now)) {
+    teamKeys = cache.teams.keys;
+  } else {
+    try {
+      teamKeys = (await fetchTeams(await getClient())).map((team) => team.key);
+    } catch (error) {
+      return { ...result, status: 'unverified', warning: `Skipping Linear issue check: ${error.message}` };
+    }
+    cache.teams = { keys: teamKeys, checkedAt: now };
+  }
+
+  result.identifier = parseIssueIdentifierFromBranch(subject, teamKeys);
+  if (!result.identifier) {
+    const branchName = readCurrentBranch(cwd);
+    result.identifier = parseIssueIdentifierFromBranch(branchName, teamKeys);
+    if (!result.identifier) {
+      throw validationError(
+        `Missing Linear issue key in commit subject "${subject}". `
+        + `Add one (e.g. ${teamKeys[0] || 'ENG'}-123) or commit from a branch named after the issue.`
+      );
+    }
+    result.inferredFrom = branchName;
+  }
+
+  let issue = isFresh(cache.issues[result.identifier], now) ? cache.issues[result.identifier] : null;
+  if (!issue) {
+    let found;
+    try {
+      found = await fetchIssueMinimal(await getClient(), result.identifier);
+    } catch (error) {
+      if (getErrorCode(error) !== ERROR_CODES.notFound) {
+        result.status = 'unverified';
+        result.warning = `Could not verify ${result.identifier} in Linear: ${error.message}`;
+      }
+    }
+
+    if (!found && result.status !== 'unverified') {
+      const source = result.inferredFrom ? `from branch "${result.inferredFrom}"` : 'in the commit subject';
+      throw notFoundError(`Issue not found: ${result.identifier} (${source})`);
+    }
+
+    if (found) {
+      issue = {
+        identifier: found.identifier,
+        title: found.title,
+        state: { name: found.state?.name || null, type: found.state?.type || null },
+        checkedAt: now,
+      };
+      cache.issues[result.identifier] = issue;
+    }
+  }
+
+  await writeHookCache(cachePath, cache, now);
+
+  if (issue) {
+    result.issue = { identifier: issue.identifier, title: issue.title, state: issue.state };
+    if (CLOSED_STATE_TYPES.has(issue.state.type) && !options.allowClosed) {
+      throw new Error(
+        `Issue ${issue.identifier} is ${issue.state.name} (${issue.state.type}). `
+        + `Reference an open issue, or set ${ALLOW_CLOSED_ISSUE_ENV}=1 to commit anyway.`
+      );
+    }
+  }
+
+  if (result.inferredFrom) {
+    lines[subjectIndex] = `${subject} (${result.identifier})`;
+    await writeFile(messageFile, lines.join('\n'), 'utf8');
+  }
+
+  return result;
+}
@@ -9,8 +9,12 @@ import path from 'path';
 import { mkdir, open, unlink } from 'node:fs/promises';
 import {
   prepareIssueStart,
+  prepareIssueFinish,
   setIssueState,
   addIssueComment,
+  resolveIssueComment,
+  updateIssueComment,
+  deleteIssueComment,
   updateIssue,
   createIssue,
   fetchProjects,
@@ -18,6 +22,9 @@ import {
   fetchTeams,
   resolveProjectRef,
   resolveTeamRef,
+  resolveUserRef,
+  fetchUser,
+  fetchUsers,
   resolveMilestoneRef,
   getTeamWorkflowStates,
   fetchIssueDetails,
@@ -26,7 +33,8 @@ import {
   formatIssueAsMarkdown,
   formatIssueActivityAsMarkdown,
   fetchIssuesByProject,
-  fetchProjectMilestones,
+  searchIssues,
+  fetchProjectMilestonesPage,
   fetchMilestoneDetails,
   createProjectMilestone,
   updateProjectMilestone,
@@ -42,16 +50,49 @@ import {
   updateProjectUpdate,
   archiveProjectUpdate,
   unarchiveProjectUpdate,
+  fetchDocuments,
+  searchDocuments,
+  fetchDocumentDetails,
+  createDocument,
+  updateDocument,
+  archiveDocument,
+  resolveIssue,
+  findIssueByBranch,
   deleteIssue,
+  subscribeToIssue,
+  unsubscribeFromIssue,
   fetchIssueLabels,
   createIssueLabel,
   fetchProjectLabels,
   resolveLabelIds,
   addIssueLinks,
+  fetchTeamCycles,
+  resolveCycleRef,
+  fetchCycleDetails,
+  formatCycleLabel,
   withHandlerErrorHandling,
   getViewer,
+  planIssueBulkUpdate,
+  batchUpdateIssues,
+  ISSUE_BATCH_UPDATE_LIMIT,
 } from './linear.js';
+import { checkAndClearRateLimit } from './linear-client.js';
+import {
+  explainSyncDocSetup,
+  listSyncDocTargets,
+  pullSyncDocs,
+  runAllSyncDocs,
+  runSyncDoc,
+} from './sync-doc.js';
+import {
+  PR_MAGIC_WORDS,
+  extractAcceptanceCriteria,
+  formatCommitSubject,
+  loadPrBodyTemplate,
+  renderPrBody,
+} from './issue-templates.js';
 import { withIssueRelationScopeHint } from './error-hints.js';
+import { notFoundError, validationError } from './errors.js';
 import { resolveDefaultProject } from './shared.js';
 import { debug } from './logger.js';
 
@@ -78,7 +119,7 @@ function formatCommentPreview(body, limit = COMMENT_PREVIEW_LIMIT) {
 
 function ensureNonEmpty(value, fieldName) {
   const text = String(value || '').trim();
-  if (!text) throw new Error(`Missing required field: ${fieldName}`);
+  if (!text) throw validationError(`Missing required field: ${fieldName}`);
   return text;
 }
 
@@ -93,6 +134,26 @@ function parseRefList(value) {
     .filter(Boolean);
 }
 
+/**
+ * Resolve a list of user references (array or comma-separated string),
+ * dropping duplicates that point at the same user.
+ */
+async function resolveUserRefList(client, value) {
+  const users = [];
+  for (const ref of parseRefList(value).flatMap((item) => parseRefList(item))) {
+    const user = await resolveUserRef(client, ref);
+    if (!users.some((existing) => existing.id === user.id)) {
+      users.push(user);
+    }
+  }
+  return users;
+}
+
+function formatSubscriberNames(subscribers) {
+  if (!subscribers || subscribers.length === 0) return 'None';
+  return subscribers.map((user) => user.displayName || user.name || user.id).join(', ');
+}
+
 function parseLabelRefs(value) {
   const values = Array.isArray(value) ? value : [value];
   return values
@@ -101,6 +162,16 @@ function parseLabelRefs(value) {
     .filter(Boolean);
 }
 
+/**
+ * Resolve label names or IDs to `{id, name}` pairs, keeping the name as given
+ */
+async function resolveLabelRefs(client, value) {
+  const refs = parseLabelRefs(value);
+  if (refs.length === 0) return [];
+  const ids = await resolveLabelIds(client, refs, null);
+  return ids.map((id, index) => ({ id, name: refs[index] }));
+}
+
 const DEFAULT_MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
 const DEFAULT_MAX_IMAGE_BYTES = 10 * 1024 * 1024;
 
@@ -111,7 +182,7 @@ function hasValue(value) {
 function resolveSafeRelativeDirectory(directory, cwd = process.cwd()) {
   const requested = ensureNonEmpty(directory, 'directory');
   if (path.isAbsolute(requested)) {
-    throw new Error('Download directory must be a relative path');
+    throw validationError('Download directory must be a relative path');
   }
 
   const resolvedCwd = path.resolve(cwd);
@@ -119,7 +190,7 @@ function resolveSafeRelativeDirectory(directory, cwd = process.cwd()) {
   const relative = path.relative(resolvedCwd, resolvedDirectory);
 
   if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
-    throw new Error('Download directory must stay within the current working directory');
+    throw validationError('Download directory must stay within the current working directory');
   }
 
   return resolvedDirectory;
@@ -168,7 +239,7 @@ function resolveSafeDestinationPath(directory, filename, cwd = process.cwd()) {
   const relative = path.relative(resolvedDirectory, destination);
 
   if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
-    throw new Error('Download filename must not escape the destination directory');
+    throw validationError('Download filename must not escape the destination directory');
   }
 
   return { directory: resolvedDirectory, filename: safeFilename, filePath: destination };
@@ -188,12 +259,12 @@ function selectIssueAttachment(attachments, params) {
   ].filter(([, value]) => hasValue(value));
 
   if (selectors.length > 1) {
-    throw new Error('Provide only one attachment selector: attachmentId, attachmentTitle, attachmentUrl, or attachmentIndex');
+    throw validationError('Provide only one attachment selector: attachmentId, attachmentTitle, attachmentUrl, or attachmentIndex');
   }
 
   if (selectors.length === 0) {
     if (list.length === 1) return list[0];
-    throw new Error('Multiple attachments found; provide attachmentId, attachmentTitle, attachmentUrl, or attachmentIndex');
+    throw validationError('Multiple attachments found; provide attachmentId, attachmentTitle, attachmentUrl, or attachmentIndex');
   }
 
   const [selector, rawValue] = selectors[0];
@@ -210,16 +281,16 @@ function selectIssueAttachment(attachments, params) {
   } else if (selector === 'attachmentIndex') {
     const index = Number.parseInt(value, 10);
     if (!Number.isInteger(index) || index < 1 || index > list.length) {
-      throw new Error(`attachmentIndex must be between 1 and ${list.length}`);
+      throw validationError(`attachmentIndex must be between 1 and ${list.length}`);
     }
     return list[index - 1];
   }
 
   if (matches.length === 0) {
-    throw new Error(`No attachment matched ${selector}: ${value}`);
+    throw notFoundError(`No attachment matched ${selector}: ${value}`);
   }
   if (matches.length > 1) {
-    throw new Error(`Multiple attachments matched ${selector}: ${value}; use attachmentId instead`);
+    throw validationError(`Multiple attachments matched ${selector}: ${value}; use attachmentId instead`);
   }
   return matches[0];
 }
@@ -228,10 +299,10 @@ function normalizeMaxBytes(value) {
   if (value === undefined || value === null || value === '') return DEFAULT_MAX_DOWNLOAD_BYTES;
   const maxBytes = Number(value);
   if (!Number.isInteger(maxBytes) || maxBytes <= 0) {
-    throw new Error('maxBytes must be a positive integer');
+    throw validationError('maxBytes must be a positive integer');
   }
   if (maxBytes > DEFAULT_MAX_DOWNLOAD_BYTES) {
-    throw new Error(`maxBytes cannot exceed ${DEFAULT_MAX_DOWNLOAD_BYTES} bytes`);
+    throw validationError(`maxBytes cannot exceed ${DEFAULT_MAX_DOWNLOAD_BYTES} bytes`);
   }
   return maxBytes;
 }
@@ -240,10 +311,10 @@ function normalizeImageMaxBytes(value) {
   if (value === undefined || value === null || value === '') return DEFAULT_MAX_IMAGE_BYTES;
   const maxBytes = Number(value);
   if (!Number.isInteger(maxBytes) || maxBytes <= 0) {
-    throw new Error('maxBytes must be a positive integer');
+    throw validationError('maxBytes must be a positive integer');
   }
   if (maxBytes > DEFAULT_MAX_IMAGE_BYTES) {
-    throw new Error(`maxBytes cannot exceed ${DEFAULT_MAX_IMAGE_BYTES} bytes for images`);
+    throw validationError(`maxBytes cannot exceed ${DEFAULT_MAX_IMAGE_BYTES} bytes for images`);
   }
   return maxBytes;
 }
@@ -388,90 +459,437 @@ async function startGitBranch(branchName, fromRef = 'HEAD', onBranchExists = 'sw
   return { action: 'switched', branchName };
 }
 
+/**
+ * Convert a git remote URL (https, ssh, or scp-style) to its web URL
+ * @param {string} remoteUrl - e.g. git@github.com:org/repo.git
+ * @returns {string|null} e.g. https://github.com/org/repo
+ */
+function remoteUrlToWebUrl(remoteUrl) {
+  const value = String(remoteUrl || '').trim();
+  const match = value.match(/^(?:https?:\/\/|ssh:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+)?[/:](.+?)(?:\.git)?\/?$/i);
+  if (!match || !match[2].includes('/')) return null;
+  return `https://${match[1]}/${match[2]}`;
+}
+
+/**
+ * Resolve the base ref a branch was cut from: origin's default branch, else "main"
+ * @param {Function} git - Git runner returning {code, stdout, stderr}
+ * @returns {Promise<string>}
+ */
+async function resolveDefaultBaseRef(git) {
+  const result = await git(['symbolic-ref', '--short', 'refs/remotes/origin/HEAD']).catch(() => null);
+  const ref = result?.code === 0 ? String(result.stdout || '').trim() : '';
+  return ref || 'main';
+}
+
+/**
+ * Read the name of the checked-out git branch
+ * @returns {Promise<string|null>} Branch name, "HEAD" when detached, or null outside a git repository
+ */
+async function readCurrentGitBranch() {
+  try {
+    const result = await runGitCommand(['rev-parse', '--abbrev-ref', 'HEAD']);
+    return result.code === 0 ? result.stdout.trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the team that scopes a cycle reference
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} [teamRef] - Explicit team key, name, or ID
+ * @param {string|null} projectId - Project ID used for the project-level default team
+ * @param {Object} [options]
+ * @param {Function} [options.resolveDefaultTeam] - Default team resolver
+ * @returns {Promise<{id: string, key: string, name: string}>}
+ */
+async function resolveCycleTeam(client, teamRef, projectId = null, options = {}) {
+  let ref = teamRef;
+  if (!ref && options.resolveDefaultTeam) {
+    ref = await options.resolveDefaultTeam(projectId);
+  }
+
+  if (!ref) {
+    throw validationError('Missing required field: team. Cycles are team-scoped; set a default with /linear-tools-config --default-team <team-key> or provide team parameter.');
+  }
+
+  return resolveTeamRef(client, ref);
+}
+
+/**
+ * Build the pagination note appended to list output
+ * @param {{hasNextPage: boolean, endCursor: string|null}} pageInfo
+ * @param {boolean} [truncated] - Fallback flag when no cursor is available
+ * @returns {string|null}
+ */
+function formatNextPageNote(pageInfo, truncated = false) {
+  if (pageInfo?.hasNextPage && pageInfo.endCursor) {
+    return `\n_More results available. Pass cursor \`${pageInfo.endCursor}\` to fetch the next page._`;
+  }
+  if (truncated) {
+    return '\n_Results may be truncated. Use limit parameter to fetch more._';
+  }
+  return null;
+}
+
+/**
+ * Pagination fields shared by list handler details
+ */
+function toPageDetails(pageInfo) {
+  return {
+    hasNextPage: pageInfo?.hasNextPage ?? false,
+    nextCursor: pageInfo?.hasNextPage ? (pageInfo.endCursor ?? null) : null,
+  };
+}
+
 // ===== ISSUE HANDLERS =====
 
+/**
+ * Format one issue as a markdown list line: key, title, state, assignee, priority, estimate, due date
+ * @param {Object} issue - Transformed issue
+ * @param {Object} [options]
+ * @param {boolean} [options.includeProject] - Prefix the meta with the issue's project name
+ * @returns {string}
+ */
+function formatIssueListLine(issue, options = {}) {
+  const stateLabel = issue.state?.name || 'Unknown';
+  const assigneeLabel = issue.assignee?.displayName || 'Unassigned';
+  const priorityLabel = issue.priority !== undefined && issue.priority !== null
+    ? ['None', 'Urgent', 'High', 'Medium', 'Low'][issue.priority] || `P${issue.priority}`
+    : null;
+
+  const metaParts = [`[${stateLabel}]`, `@${assigneeLabel}`];
+  if (priorityLabel) metaParts.push(priorityLabel);
+  if (issue.estimate !== undefined && issue.estimate !== null) metaParts.push(`${issue.estimate}pt`);
+  if (issue.dueDate) metaParts.push(`due ${issue.dueDate}`);
+  if (options.includeProject && issue.project?.name) metaParts.unshift(issue.project.name);
+
+  return `- **${issue.identifier}**: ${issue.title} (${metaParts.join(' ')})`;
+}
+
+/**
+ * Resolve the project, assignee, team and cycle filters of an issue listing
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} params - Issue list parameters (see executeIssueList)
+ * @param {Object} [options] - Same options as executeIssueList
+ * @returns {Promise<{project: Object, cycle: Object|null, fetchOptions: Object}>}
+ */
+async function resolveIssueListScope(client, params, options = {}) {
+  let projectRef = params.project;
+  if (!projectRef) {
+    projectRef = resolveDefaultProject();
+  }
+
+  const project = await resolveProjectRef(client, projectRef);
+
+  let assigneeId = null;
+  if (hasValue(params.assignee) && String(params.assignee).trim() !== 'all') {
+    const assignee = await resolveUserRef(client, params.assignee);
+    assigneeId = assignee.id;
+  }
+
+  // Resolve team if provided
+  let teamId = null;
+  if (params.team) {
+    const team = await resolveTeamRef(client, params.team);
+    teamId = team.id;
+  }
+
+  let cycle = null;
+  if (hasValue(params.cycle)) {
+    const cycleTeam = await resolveCycleTeam(client, params.team, project.id, options);
+    cycle = await resolveCycleRef(client, params.cycle, cycleTeam.id);
+  }
+
+  return {
+    project,
+    cycle,
+    fetchOptions: {
+      assigneeId,
+      teamId,
+      cycleId: cycle?.id || null,
+      query: params.query || null,
+      dueBefore: params.dueBefore || null,
+      overdue: params.overdue === true,
+    },
+  };
+}
+
 /**
  * List issues in a project
  * @param {LinearClient} client - Linear SDK client
  * @param {Object} params - Parameters
  * @param {string} [params.project] - Project name or ID
  * @param {string[]} [params.states] - State names to filter by
- * @param {string} [params.assignee] - "me" or "all" for assignee filtering
+ * @param {string} [params.assignee] - "all", "me", or a user (email, display name, name, or ID)
  * @param {string} [params.team] - Team key or ID to filter by
  * @param {string} [params.query] - Free-text search across issue titles and descriptions
+ * @param {string} [params.cycle] - Cycle filter: current, next, previous, or cycle number
+ * @param {string} [params.dueBefore] - Only issues due on or before this date (YYYY-MM-DD)
+ * @param {boolean} [params.overdue] - Only open issues whose due date has passed
  * @param {number} [params.limit] - Maximum results (default: 20)
+ * @param {string} [params.cursor] - Pagination cursor from a previous page's `nextCursor`
+ * @param {Object} [options]
+ * @param {Function} [options.resolveDefaultTeam] - Resolves the team used for cycle lookup when team is omitted
  * @returns {Promise<{content: Array, details: Object}>}
  */
-export async function executeIssueList(client, params) {
+export async function executeIssueList(client, params, options = {}) {
   return withHandlerErrorHandling(async () => {
-    let projectRef = params.project;
-    if (!projectRef) {
-      projectRef = resolveDefaultProject();
-    }
-
-    const resolved = await resolveProjectRef(client, projectRef);
-
-    let assigneeId = null;
-    if (params.assignee === 'me') {
-      const viewer = await getViewer(client);
-      assigneeId = viewer.id;
-    }
-
-    // Resolve team if provided
-    let teamId = null;
-    if (params.team) {
-      const team = await resolveTeamRef(client, params.team);
-      teamId = team.id;
-    }
+    const { project: resolved, cycle, fetchOptions } = await resolveIssueListScope(client, params, options);
 
-    const { issues, truncated } = await fetchIssuesByProject(client, resolved.id, params.states || null, {
-      assigneeId,
-      teamId,
+    const { issues, truncated, pageInfo } = await fetchIssuesByProject(client, resolved.id, params.states || null, {
+      ...fetchOptions,
       limit: params.limit || 20,
-      query: params.query || null,
+      cursor: params.cursor || null,
     });
 
+    const scopeSuffix = [
+      cycle ? ` in ${formatCycleLabel(cycle)}` : '',
+      params.dueBefore ? ` due by ${params.dueBefore}` : '',
+      params.overdue === true ? ' that are overdue' : '',
+    ].join('');
+
     if (issues.length === 0) {
-      return toTextResult(`No issues found in project "${resolved.name}"`, {
+      return toTextResult(`No issues found in project "${resolved.name}"${scopeSuffix}`, {
         projectId: resolved.id,
         projectName: resolved.name,
+        cycleId: cycle?.id || null,
         issueCount: 0,
+        ...toPageDetails(pageInfo),
       });
     }
 
-    const lines = [`## Issues in project "${resolved.name}" (${issues.length}${truncated ? '+' : ''})\n`];
+    const lines = [`## Issues in project "${resolved.name}"${scopeSuffix} (${issues.length}${truncated ? '+' : ''})\n`];
 
     for (const issue of issues) {
-      const stateLabel = issue.state?.name || 'Unknown';
-      const assigneeLabel = issue.assignee?.displayName || 'Unassigned';
-      const priorityLabel = issue.priority !== undefined && issue.priority !== null
-        ? ['None', 'Urgent', 'High', 'Medium', 'Low'][issue.priority] || `P${issue.priority}`
-        : null;
-
-      const metaParts = [`[${stateLabel}]`, `@${assigneeLabel}`];
-      if (priorityLabel) metaParts.push(priorityLabel);
-
-      lines.push(`- **${issue.identifier}**: ${issue.title} (${metaParts.join(' ')})`);
+      lines.push(formatIssueListLine(issue));
     }
 
-    if (truncated) {
-      lines.push('\n_Results may be truncated. Use limit parameter to fetch more._');
+    const nextPageNote = formatNextPageNote(pageInfo, truncated);
+    if (nextPageNote) {
+      lines.push(nextPageNote);
     }
 
     return toTextResult(lines.join('\n'), {
       projectId: resolved.id,
       projectName: resolved.name,
+      cycleId: cycle?.id || null,
       issueCount: issues.length,
       truncated,
+      ...toPageDetails(pageInfo),
     });
   }, 'executeIssueList');
 }
 
+/**
+ * Search issues across the workspace; unlike list, no project is required
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} params - Parameters
+ * @param {string} [params.project] - Optional project name or ID
+ * @param {string} [params.team] - Team key or ID
+ * @param {string} [params.assignee] - "me", "unassigned", or a user (email, display name, name, or ID)
+ * @param {string[]|string} [params.stateType] - State types: triage, backlog, unstarted, started, completed, canceled, or open/closed
+ * @param {string[]} [params.states] - State names
+ * @param {string[]|string} [params.labels] - Label names or IDs (issues must have all)
+ * @param {Array<string|number>|string|number} [params.priority] - Priority value(s) or names
+ * @param {string} [params.cycle] - Cycle reference (team-scoped)
+ * @param {string} [params.createdAfter] - ISO date/timestamp or duration like -P2W
+ * @param {string} [params.createdBefore]
+ * @param {string} [params.updatedAfter]
+ * @param {string} [params.updatedBefore]
+ * @param {string} [params.query] - Free-text search across issue titles and descriptions
+ * @param {number} [params.limit] - Maximum results (default: 20)
+ * @param {string} [params.cursor] - Pagination cursor from a previous page's `nextCursor`
+ * @param {Object} [options]
+ * @param {Function} [options.resolveDefaultTeam] - Resolves the team used for cycle lookup when team is omitted
+ * @returns {Promise<{content: Array, details: Object}>}
+ */
+export async function executeIssueSearch(client, params, options = {}) {
+  return withHandlerErrorHandling(async () => {
+    const criteria = {
+      stateTypes: params.stateType,
+      states: params.states || null,
+      labels: params.labels,
+      priority: params.priority,
+      createdAfter: params.createdAfter,
+      createdBefore: params.createdBefore,
+      updatedAfter: params.updatedAfter,
+      updatedBefore: params.updatedBefore,
+      query: params.query || null,
+      limit: params.limit || 20,
+      cursor: params.cursor || null,
+    };
+    const descriptionParts = [];
+
+    let project = null;
+    if (params.project) {
+      project = await resolveProjectRef(client, params.project);
+      criteria.projectId = project.id;
+      descriptionParts.push(`project "${project.name}"`);
+    }
+
+    let team = null;
+    if (params.team) {
+      team = await resolveTeamRef(client, params.team);
+      criteria.teamId = team.id;
+      descriptionParts.push(`team ${team.key}`);
+    }
+
+    const assigneeRef = hasValue(params.assignee) ? String(params.assignee).trim() : null;
+    if (assigneeRef === 'me') {
+      const viewer = await getViewer(client);
+      criteria.assigneeId = viewer.id;
+      descriptionParts.push('assignee me');
+    } else if (assigneeRef && ['unassigned', 'none'].includes(assigneeRef.toLowerCase())) {
+      criteria.unassigned = true;
+      descriptionParts.push('unassigned');
+    } else if (assigneeRef && assigneeRef !== 'all') {
+      const assignee = await resolveUserRef(client, assigneeRef);
+      criteria.assigneeId = assignee.id;
+      descriptionParts.push(`assignee ${assignee.displayName}`);
+    }
+
+    let cycle = null;
+    if (hasValue(params.cycle)) {
+      const cycleTeam = team || await resolveCycleTeam(client, null, project?.id || null, options);
+      cycle = await resolveCycleRef(client, params.cycle, cycleTeam.id);
+      criteria.cycleId = cycle.id;
+      descriptionParts.push(formatCycleLabel(cycle));
+    }
+
+    if (hasValue(params.stateType)) {
+      const stateTypes = Array.isArray(params.stateType) ? params.stateType.join(', ') : params.stateType;
+      descriptionParts.push(`state ${stateTypes}`);
+    }
+    if (params.states?.length > 0) descriptionParts.push(`states ${params.states.join(', ')}`);
+    if (hasValue(params.labels)) {
+      const labels = Array.isArray(params.labels) ? params.labels.join(', ') : params.labels;
+      descriptionParts.push(`labels ${labels}`);
+    }
+    if (hasValue(params.priority)) {
+      const priorities = Array.isArray(params.priority) ? params.priority.join(', ') : params.priority;
+      descriptionParts.push(`priority ${priorities}`);
+    }
+    if (params.createdAfter || params.createdBefore) {
+      descriptionParts.push(`created ${params.createdAfter || '…'} → ${params.createdBefore || '…'}`);
+    }
+    if (params.updatedAfter || params.updatedBefore) {
+      descriptionParts.push(`updated ${params.updatedAfter || '…'} → ${params.updatedBefore || '…'}`);
+    }
+    if (params.query) descriptionParts.push(`"${params.query}"`);
+
+    const { issues, truncated, pageInfo } = await searchIssues(client, criteria);
+    const scopeLabel = descriptionParts.length > 0 ? descriptionParts.join(', ') : 'all issues';
+    const details = {
+      projectId: project?.id || null,
+      teamId: team?.id || null,
+      cycleId: cycle?.id || null,
+      issueCount: issues.length,
+      truncated,
+      ...toPageDetails(pageInfo),
+      issues: issues.map((issue) => ({
+        id: issue.id,
+        identifier: issue.identifier,
+        title: issue.title,
+        state: issue.state?.name || null,
+        stateType: issue.state?.type || null,
+        assignee: issue.assignee?.displayName || null,
+        project: issue.project?.name || null,
+        priority: issue.priority ?? null,
+      })),
+    };
+
+    if (issues.length === 0) {
+      return toTextResult(`No issues found matching: ${scopeLabel}`, details);
+    }
+
+    const lines = [`## Issues matching: ${scopeLabel} (${issues.length}${truncated ? '+' : ''})\n`];
+    for (const issue of issues) {
+      lines.push(formatIssueListLine(issue, { includeProject: !project }));
+    }
+
+    const nextPageNote = formatNextPageNote(pageInfo, truncated);
+    if (nextPageNote) {
+      lines.push(nextPageNote);
+    }
+
+    return toTextResult(lines.join('\n'), details);
+  }, 'executeIssueSearch');
+}
+
+/**
+ * Find the issue for the checked-out git branch
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} [options]
+ * @param {Function} [options.currentBranchReader] - Returns the current branch name (e.g., via pi.exec)
+ * @returns {Promise<{issue: Object, matchedBy: string, branchName: string}>}
+ */
+async function detectCurrentIssue(client, options = {}) {
+  const readBranch = options.currentBranchReader || readCurrentGitBranch;
+  const branchName = String((await readBranch()) || '').trim();
+
+  if (!branchName || branchName === 'HEAD') {
+    throw validationError('Missing required field: issue (no git branch is checked out, so the current issue cannot be detected)');
+  }
+
+  const match = await findIssueByBranch(client, branchName);
+  if (!match) {
+    throw notFoundError(`Issue not found for git branch "${branchName}". Provide the issue key explicitly.`);
+  }
+
+  return { ...match, branchName };
+}
+
+/**
+ * Use params.issue when given, otherwise the issue for the current git branch
+ */
+async function resolveIssueParam(client, params, options = {}) {
+  const issue = String(params.issue || '').trim();
+  if (issue) return issue;
+
+  const current = await detectCurrentIssue(client, options);
+  debug('Resolved issue from current git branch', {
+    branchName: current.branchName,
+    identifier: current.issue.identifier,
+    matchedBy: current.matchedBy,
+  });
+  return current.issue.identifier || current.issue.id;
+}
+
+/**
+ * Show the issue for the checked-out git branch
+ */
+export async function executeIssueCurrent(client, params, options = {}) {
+  const { issue, matchedBy, branchName } = await detectCurrentIssue(client, options);
+
+  const metaParts = [`Branch: ${branchName}`];
+  if (issue.state?.name) metaParts.push(`State: ${issue.state.name}`);
+  metaParts.push(`Assignee: ${issue.assignee?.displayName || 'Unassigned'}`);
+  if (issue.project?.name) metaParts.push(`Project: ${issue.project.name}`);
+
+  return toTextResult(
+    `Current issue **${issue.identifier}**: ${issue.title}\n${metaParts.join(' | ')}`,
+    {
+      issueId: issue.id,
+      identifier: issue.identifier,
+      title: issue.title,
+      state: issue.state,
+      team: issue.team,
+      project: issue.project,
+      assignee: issue.assignee,
+      url: issue.url,
+      branchName,
+      matchedBy,
+    }
+  );
+}
+
 /**
  * View issue details
  */
-export async function executeIssueView(client, params) {
-  const issue = ensureNonEmpty(params.issue, 'issue');
+export async function executeIssueView(client, params, options = {}) {
+  const issue = await resolveIssueParam(client, params, options);
   const includeComments = params.includeComments !== false;
 
   const issueData = await fetchIssueDetails(client, issue, { includeComments });
@@ -485,10 +903,59 @@ export async function executeIssueView(client, params) {
       title: issueData.title,
       state: issueData.state,
       url: issueData.url,
+      relations: issueData.relations || [],
     },
   };
 }
 
+/**
+ * Render a pull request description for an issue from the PR template
+ */
+export async function executeIssuePrBody(client, params, options = {}) {
+  const issue = await resolveIssueParam(client, params, options);
+
+  let magicWord = 'Fixes';
+  if (hasValue(params.magicWord)) {
+    const ref = String(params.magicWord).trim().toLowerCase();
+    magicWord = PR_MAGIC_WORDS.find((word) => word.toLowerCase() === ref);
+    if (!magicWord) {
+      throw validationError(`Invalid magic word: ${params.magicWord}. Use one of: ${PR_MAGIC_WORDS.join(', ')}`);
+    }
+  }
+
+  const { template, templatePath } = await loadPrBodyTemplate({
+    cwd: options.cwd,
+    templatePath: params.template,
+  });
+  const issueData = await fetchIssueDetails(client, issue, { includeComments: false });
+  const body = renderPrBody(issueData, { template, magicWord });
+
+  return toTextResult(body.trimEnd(), {
+    identifier: issueData.identifier,
+    title: issueData.title,
+    url: issueData.url,
+    body,
+    templatePath,
+    acceptanceCriteria: extractAcceptanceCriteria(issueData.description),
+    subIssues: (issueData.children || []).map((child) => child.identifier),
+  });
+}
+
+/**
+ * Format a conventional-commit subject for an issue
+ */
+export async function executeIssueCommitMsg(client, params, options = {}) {
+  const issue = await resolveIssueParam(client, params, options);
+  const issueData = await fetchIssueDetails(client, issue, { includeComments: false });
+  const subject = formatCommitSubject(issueData, { type: params.type, scope: params.scope });
+
+  return toTextResult(subject, {
+    identifier: issueData.identifier,
+    title: issueData.title,
+    subject,
+  });
+}
+
 export async function executeIssueImages(client, params) {
   const issue = ensureNonEmpty(params.issue, 'issue');
   const includeComments = params.includeComments !== false;
@@ -551,7 +1018,7 @@ export async function executeIssueDownload(client, params, options = {}) {
   const settings = options.settings || {};
 
   if (overwrite && settings.allow_overwrite_files !== true) {
-    throw new Error('overwrite=true requires allow_overwrite_files=true. Enable it with /linear-tools-config --allow-overwrite-files true.');
+    throw validationError('overwrite=true requires allow_overwrite_files=true. Enable it with /linear-tools-config --allow-overwrite-files true.');
   }
 
   const maxBytes = normalizeMaxBytes(params.maxBytes);
@@ -609,8 +1076,8 @@ export async function executeIssueDownload(client, params, options = {}) {
   };
 }
 
-export async function executeIssueActivity(client, params) {
-  const issue = ensureNonEmpty(params.issue, 'issue');
+export async function executeIssueActivity(client, params, options = {}) {
+  const issue = await resolveIssueParam(client, params, options);
   const activityData = await fetchIssueActivity(client, issue, {
     limit: params.limit || 25,
     includeArchived: params.includeArchived === true,
@@ -659,7 +1126,7 @@ export async function executeIssueCreate(client, params, options = {}) {
   }
 
   if (!teamRef) {
-    throw new Error('Missing required field: team. Set a default with /linear-tools-config --default-team <team-key> or provide team parameter.');
+    throw validationError('Missing required field: team. Set a default with /linear-tools-config --default-team <team-key> or provide team parameter.');
   }
 
   const team = await resolveTeamRef(client, teamRef);
@@ -681,15 +1148,17 @@ export async function executeIssueCreate(client, params, options = {}) {
     createInput.estimate = params.estimate;
   }
 
+  if (hasValue(params.dueDate)) {
+    createInput.dueDate = params.dueDate;
+  }
+
   if (params.parentId) {
     createInput.parentId = params.parentId;
   }
 
-  if (params.assignee === 'me') {
-    const viewer = await getViewer(client);
-    createInput.assigneeId = viewer.id;
-  } else if (params.assignee) {
-    createInput.assigneeId = params.assignee;
+  if (params.assignee) {
+    const assignee = await resolveUserRef(client, params.assignee);
+    createInput.assigneeId = assignee.id;
   } else if (params.assigneeId) {
     createInput.assigneeId = params.assigneeId;
   }
@@ -715,7 +1184,7 @@ export async function executeIssueCreate(client, params, options = {}) {
 
     if (!clearMilestoneValues.has(milestoneRef.toLowerCase())) {
       if (!resolvedProject?.id) {
-        throw new Error('Missing required field: project. Provide project when assigning milestone by name during issue create, or use projectMilestoneId.');
+        throw validationError('Missing required field: project. Provide project when assigning milestone by name during issue create, or use projectMilestoneId.');
       }
 
       const milestone = await resolveMilestoneRef(client, milestoneRef, resolvedProject.id);
@@ -723,6 +1192,11 @@ export async function executeIssueCreate(client, params, options = {}) {
     }
   }
 
+  if (hasValue(params.cycle)) {
+    const cycle = await resolveCycleRef(client, params.cycle, team.id);
+    createInput.cycleId = cycle.id;
+  }
+
   if (params.labels !== undefined && params.labels !== null) {
     const labelRefs = parseLabelRefs(params.labels);
     if (labelRefs.length > 0) {
@@ -730,6 +1204,11 @@ export async function executeIssueCreate(client, params, options = {}) {
     }
   }
 
+  const subscribers = await resolveUserRefList(client, params.subscribers);
+  if (subscribers.length > 0) {
+    createInput.subscriberIds = subscribers.map((user) => user.id);
+  }
+
   const issue = await createIssue(client, createInput);
 
   let links = [];
@@ -746,11 +1225,14 @@ export async function executeIssueCreate(client, params, options = {}) {
   const assigneeLabel = issue.assignee?.displayName || 'Unassigned';
 
   const milestoneLabel = issue.projectMilestone?.name || null;
+  const cycleLabel = formatCycleLabel(issue.cycle);
 
   const metaParts = [`Team: ${team.name}`, `Project: ${projectLabel}`, `State: ${stateLabel}`, `Assignee: ${assigneeLabel}`];
   if (priorityLabel) metaParts.push(`Priority: ${priorityLabel}`);
   if (milestoneLabel) metaParts.push(`Milestone: ${milestoneLabel}`);
+  if (cycleLabel) metaParts.push(`Cycle: ${cycleLabel}`);
   if (links.length > 0) metaParts.push(`Links: ${links.length}`);
+  if (subscribers.length > 0) metaParts.push(`Subscribers: ${formatSubscriberNames(subscribers)}`);
 
   return toTextResult(
     `Created issue **${identifier}**: ${issue.title}\n${metaParts.join(' | ')}`,
@@ -763,8 +1245,10 @@ export async function executeIssueCreate(client, params, options = {}) {
       state: issue.state,
       assignee: issue.assignee,
       projectMilestone: issue.projectMilestone,
+      cycle: issue.cycle,
       url: issue.url,
       links,
+      subscribers: subscribers.map((user) => ({ id: user.id, name: user.name, displayName: user.displayName })),
     }
   );
 }
@@ -772,8 +1256,8 @@ export async function executeIssueCreate(client, params, options = {}) {
 /**
  * Update an issue
  */
-export async function executeIssueUpdate(client, params) {
-  const issue = ensureNonEmpty(params.issue, 'issue');
+export async function executeIssueUpdate(client, params, options = {}) {
+  const issue = await resolveIssueParam(client, params, options);
 
   debug('executeIssueUpdate: incoming params', {
     issue,
@@ -785,12 +1269,17 @@ export async function executeIssueUpdate(client, params) {
     assigneeId: params.assigneeId,
     milestone: params.milestone,
     projectMilestoneId: params.projectMilestoneId,
+    cycle: params.cycle,
     subIssueOf: params.subIssueOf,
     parentOfCount: Array.isArray(params.parentOf) ? params.parentOf.length : 0,
     blockedByCount: Array.isArray(params.blockedBy) ? params.blockedBy.length : 0,
     blockingCount: Array.isArray(params.blocking) ? params.blocking.length : 0,
     relatedToCount: Array.isArray(params.relatedTo) ? params.relatedTo.length : 0,
     duplicateOf: params.duplicateOf,
+    removeBlockedByCount: Array.isArray(params.removeBlockedBy) ? params.removeBlockedBy.length : 0,
+    removeBlockingCount: Array.isArray(params.removeBlocking) ? params.removeBlocking.length : 0,
+    removeRelatedToCount: Array.isArray(params.removeRelatedTo) ? params.removeRelatedTo.length : 0,
+    removeDuplicateOf: params.removeDuplicateOf,
   });
 
   const updatePatch = {
@@ -798,15 +1287,21 @@ export async function executeIssueUpdate(client, params) {
     description: params.description,
     priority: params.priority,
     estimate: params.estimate,
+    dueDate: params.dueDate,
     state: params.state,
     milestone: params.milestone,
     projectMilestoneId: params.projectMilestoneId,
+    cycle: params.cycle,
     subIssueOf: params.subIssueOf,
     parentOf: params.parentOf,
     blockedBy: params.blockedBy,
     blocking: params.blocking,
     relatedTo: params.relatedTo,
     duplicateOf: params.duplicateOf,
+    removeBlockedBy: params.removeBlockedBy,
+    removeBlocking: params.removeBlocking,
+    removeRelatedTo: params.removeRelatedTo,
+    removeDuplicateOf: params.removeDuplicateOf,
   };
 
   if (params.labels !== undefined && params.labels !== null) {
@@ -816,6 +1311,9 @@ export async function executeIssueUpdate(client, params) {
     }
   }
 
+  updatePatch.addLabels = await resolveLabelRefs(client, params.addLabels);
+  updatePatch.removeLabels = await resolveLabelRefs(client, params.removeLabels);
+
   if (params.assignee !== undefined && params.assigneeId !== undefined) {
     debug('executeIssueUpdate: both assignee and assigneeId provided; assignee takes precedence', {
       issue,
@@ -825,11 +1323,9 @@ export async function executeIssueUpdate(client, params) {
   }
 
   // Handle assignee parameter
-  if (params.assignee === 'me') {
-    const viewer = await getViewer(client);
-    updatePatch.assigneeId = viewer.id;
-  } else if (params.assignee) {
-    updatePatch.assigneeId = params.assignee;
+  if (params.assignee) {
+    const assignee = await resolveUserRef(client, params.assignee);
+    updatePatch.assigneeId = assignee.id;
   } else if (params.assigneeId) {
     updatePatch.assigneeId = params.assigneeId;
   }
@@ -855,8 +1351,9 @@ export async function executeIssueUpdate(client, params) {
     if (field === 'stateId') return 'state';
     if (field === 'assigneeId') return 'assignee';
     if (field === 'projectMilestoneId') return 'milestone';
+    if (field === 'cycleId') return 'cycle';
     if (field === 'parentId') return 'subIssueOf';
-    if (field === 'labelIds') return 'labels';
+    if (field === 'labelIds' || field === 'addedLabelIds' || field === 'removedLabelIds') return 'labels';
     return field;
   });
   const changeSummaryParts = [];
@@ -875,12 +1372,37 @@ export async function executeIssueUpdate(client, params) {
     changeSummaryParts.push(`milestone: ${milestoneLabel}`);
   }
 
+  if (friendlyChanges.includes('cycle')) {
+    const cycleLabel = formatCycleLabel(result.issue?.cycle) || 'None';
+    changeSummaryParts.push(`cycle: ${cycleLabel}`);
+  }
+
   if (friendlyChanges.includes('subIssueOf')) {
     changeSummaryParts.push('subIssueOf');
   }
 
+  if (friendlyChanges.includes('estimate')) {
+    changeSummaryParts.push(`estimate: ${result.issue?.estimate ?? 'None'}`);
+  }
+
+  if (friendlyChanges.includes('dueDate')) {
+    changeSummaryParts.push(`due: ${result.issue?.dueDate || 'None'}`);
+  }
+
+  const { labelChanges } = result;
+  if (labelChanges) {
+    const labelParts = [
+      ...labelChanges.added.map((name) => `+${name}`),
+      ...labelChanges.removed.map((name) => `-${name}`),
+    ];
+    changeSummaryParts.push(labelParts.length > 0 ? `labels: ${labelParts.join(' ')}` : 'labels unchanged');
+  }
+
   for (const field of friendlyChanges) {
-    if (field !== 'state' && field !== 'assignee' && field !== 'milestone' && field !== 'subIssueOf') {
+    if (field === 'labels' && labelChanges) {
+      continue;
+    }
+    if (!['state', 'assignee', 'milestone', 'cycle', 'subIssueOf', 'estimate', 'dueDate'].includes(field)) {
       changeSummaryParts.push(field);
     }
   }
@@ -901,8 +1423,17 @@ export async function executeIssueUpdate(client, params) {
     ? '\n\n_Note: update succeeded, but detailed issue refresh was rate-limited. Some returned fields may be partial until rate limit resets._'
     : '';
 
+  const labelNotes = [];
+  if (labelChanges?.alreadyPresent.length > 0) {
+    labelNotes.push(`Already present: ${labelChanges.alreadyPresent.join(', ')}`);
+  }
+  if (labelChanges?.notPresent.length > 0) {
+    labelNotes.push(`Not present: ${labelChanges.notPresent.join(', ')}`);
+  }
+  const labelNote = labelNotes.length > 0 ? `\n\n${labelNotes.join('\n')}` : '';
+
   return toTextResult(
-    `Updated issue ${result.issue.identifier}${suffix}${rateLimitNote}`,
+    `Updated issue ${result.issue.identifier}${suffix}${labelNote}${rateLimitNote}`,
     {
       issueId: result.issue.id,
       identifier: result.issue.identifier,
@@ -912,41 +1443,375 @@ export async function executeIssueUpdate(client, params) {
       projectMilestone: result.issue.projectMilestone,
       usedRateLimitFallback: !!result.usedRateLimitFallback,
       links,
+      labelChanges: labelChanges || null,
     }
   );
 }
 
+const BULK_UPDATE_DEFAULT_LIMIT = 250;
+const BULK_UPDATE_PAGE_SIZE = 100;
+const BULK_UPDATE_FILTER_KEYS = ['project', 'states', 'assignee', 'team', 'cycle', 'query', 'dueBefore', 'overdue'];
+const BULK_UPDATE_PATCH_KEYS = ['state', 'assignee', 'priority', 'milestone', 'cycle', 'setProject', 'addLabels', 'removeLabels'];
+
 /**
- * Add a comment to an issue
+ * Collect the issues a bulk update applies to: explicit keys, or every issue the
+ * list filters match (up to the limit)
  */
-export async function executeIssueComment(client, params) {
-  const issue = ensureNonEmpty(params.issue, 'issue');
-  const body = ensureNonEmpty(params.body, 'body');
-  const result = await addIssueComment(client, issue, body, params.parentCommentId);
-  const commentBody = String(result.comment?.body || body).trim();
-  const preview = formatCommentPreview(commentBody);
-
-  return toTextResult(
-    `Added comment to issue ${result.issue.identifier}\n\n${preview.text}`,
-    {
-      issueId: result.issue.id,
-      identifier: result.issue.identifier,
-      commentId: result.comment.id,
-      commentBody,
-      commentPreview: preview.text,
-      commentPreviewTruncated: preview.truncated,
+async function collectBulkUpdateIssues(client, params, options) {
+  const issueRefs = parseRefList(params.issues);
+  const filter = params.filter || {};
+  const hasFilter = BULK_UPDATE_FILTER_KEYS.some((key) => (
+    filter[key] !== false && hasValue(Array.isArray(filter[key]) ? filter[key].join(',') : filter[key])
+  ));
+
+  if (issueRefs.length > 0 && hasFilter) {
+    throw validationError('Provide either issues or filter for bulk update, not both');
+  }
+
+  if (issueRefs.length > 0) {
+    const issues = [];
+    for (const ref of issueRefs) {
+      const issue = await resolveIssue(client, ref);
+      if (!issues.some((existing) => existing.id === issue.id)) {
+        issues.push(issue);
+      }
     }
-  );
-}
+    return { issues, truncated: false, scopeLabel: `issues ${issueRefs.join(', ')}` };
+  }
 
-/**
- * Start an issue (set to In Progress and create branch)
- */
-export async function executeIssueStart(client, params, options = {}) {
-  const { gitExecutor } = options;
+  if (!hasFilter) {
+    throw validationError(`Missing required field: issues or filter (${BULK_UPDATE_FILTER_KEYS.join(', ')})`);
+  }
 
-  const issue = ensureNonEmpty(params.issue, 'issue');
-  const prepared = await prepareIssueStart(client, issue);
+  const limit = filter.limit || BULK_UPDATE_DEFAULT_LIMIT;
+  const { project, cycle, fetchOptions } = await resolveIssueListScope(client, filter, options);
+  const issues = [];
+  let cursor = null;
+  let truncated = false;
+
+  for (;;) {
+    const page = await fetchIssuesByProject(client, project.id, filter.states || null, {
+      ...fetchOptions,
+      limit: Math.min(BULK_UPDATE_PAGE_SIZE, limit - issues.length),
+      cursor,
+    });
+    issues.push(...page.issues);
+    cursor = page.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+
+    if (!cursor) {
+      break;
+    }
+    if (issues.length >= limit) {
+      truncated = true;
+      break;
+    }
+  }
+
+  const scopeParts = [`project "${project.name}"`];
+  if (filter.states?.length > 0) scopeParts.push(`states ${filter.states.join(', ')}`);
+  if (hasValue(filter.assignee) && filter.assignee !== 'all') scopeParts.push(`assignee ${filter.assignee}`);
+  if (filter.team) scopeParts.push(`team ${filter.team}`);
+  if (cycle) scopeParts.push(formatCycleLabel(cycle));
+  if (filter.query) scopeParts.push(`"${filter.query}"`);
+  if (filter.dueBefore) scopeParts.push(`due by ${filter.dueBefore}`);
+  if (filter.overdue === true) scopeParts.push('overdue');
+
+  return { issues, truncated, limit, scopeLabel: scopeParts.join(', ') };
+}
+
+function formatBulkUpdateChange(change) {
+  const unverified = change.unverified ? ' (unverified)' : '';
+  if (change.field === 'addLabels') {
+    return `labels +${change.to.join(', +')}${unverified}`;
+  }
+  if (change.field === 'removeLabels') {
+    return `labels -${change.to.join(', -')}${unverified}`;
+  }
+  return `${change.field}: ${change.from ?? 'None'} → ${change.to ?? 'None'}`;
+}
+
+/**
+ * Apply one patch to many issues
+ *
+ * Issues are grouped by their resolved update input and sent through Linear's batch
+ * mutation, up to ISSUE_BATCH_UPDATE_LIMIT issues per request. The shared rate-limit
+ * tracker is checked before every batch; once it reports a limit the remaining
+ * issues are skipped and listed, so re-running the same update finishes the job.
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} params - Parameters
+ * @param {string[]|string} [params.issues] - Issue keys or IDs to update
+ * @param {Object} [params.filter] - Issue list filters instead of keys: project, states, assignee, team, cycle, query, dueBefore, overdue, limit (default: 250)
+ * @param {string} [params.state] - Target state name, type or ID
+ * @param {string} [params.assignee] - "me", "none" to unassign, or a user (email, display name, name, or ID)
+ * @param {number|string} [params.priority] - Priority value or name
+ * @param {string} [params.milestone] - Milestone name or ID; "none" clears it
+ * @param {string} [params.cycle] - Cycle reference; "none" clears it
+ * @param {string} [params.setProject] - Project name or ID to move the issues to
+ * @param {string[]|string} [params.addLabels] - Label names or IDs to add
+ * @param {string[]|string} [params.removeLabels] - Label names or IDs to remove
+ * @param {boolean} [params.dryRun] - Preview the changes without updating anything
+ * @param {Object} [options]
+ * @param {Function} [options.resolveDefaultTeam] - Resolves the team used for a cycle filter when team is omitted
+ * @returns {Promise<{content: Array, details: Object}>}
+ */
+export async function executeIssueBulkUpdate(client, params, options = {}) {
+  return withHandlerErrorHandling(async () => {
+    if (hasValue(params.labels)) {
+      throw validationError('Invalid field for bulk update: labels. Use addLabels or removeLabels.');
+    }
+
+    const hasPatch = BULK_UPDATE_PATCH_KEYS.some((key) => (
+      Array.isArray(params[key]) ? params[key].length > 0 : params[key] !== undefined && params[key] !== null
+    ));
+    if (!hasPatch) {
+      throw validationError(`No update fields provided. Use one or more of: ${BULK_UPDATE_PATCH_KEYS.join(', ')}`);
+    }
+
+    const patch = {
+      state: params.state,
+      priority: params.priority,
+      milestone: params.milestone,
+      cycle: params.cycle,
+    };
+
+    if (params.assignee !== undefined && params.assignee !== null) {
+      const assigneeRef = String(params.assignee).trim();
+      if (['', 'none', 'unassigned'].includes(assigneeRef.toLowerCase())) {
+        patch.assignee = null;
+      } else {
+        const assignee = await resolveUserRef(client, assigneeRef);
+        patch.assignee = { id: assignee.id, displayName: assignee.displayName || assignee.name };
+      }
+    }
+
+    if (hasValue(params.setProject)) {
+      const project = await resolveProjectRef(client, params.setProject);
+      patch.project = { id: project.id, name: project.name };
+    }
+
+    patch.addLabels = await resolveLabelRefs(client, params.addLabels);
+    patch.removeLabels = await resolveLabelRefs(client, params.removeLabels);
+
+    const { issues, truncated, limit, scopeLabel } = await collectBulkUpdateIssues(client, params, options);
+    const entries = await planIssueBulkUpdate(client, issues, patch);
+    const statuses = new Map(entries.map((entry) => [
+      entry.issue.id,
+      { status: Object.keys(entry.input).length > 0 ? (params.dryRun ? 'would-update' : 'pending') : 'unchanged' },
+    ]));
+
+    let rateLimitResetAt;
+    let firstError = null;
+
+    if (!params.dryRun) {
+      // Issues whose resolved inputs match share a batch; team-specific states and
+      // cycles naturally split issues from different teams.
+      const groups = new Map();
+      for (const entry of entries.filter((item) => statuses.get(item.issue.id).status === 'pending')) {
+        const key = JSON.stringify(entry.input);
+        if (!groups.has(key)) {
+          groups.set(key, { input: entry.input, issueIds: [] });
+        }
+        groups.get(key).issueIds.push(entry.issue.id);
+      }
+
+      const batches = [];
+      for (const { input, issueIds } of groups.values()) {
+        for (let index = 0; index < issueIds.length; index += ISSUE_BATCH_UPDATE_LIMIT) {
+          batches.push({ input, issueIds: issueIds.slice(index, index + ISSUE_BATCH_UPDATE_LIMIT) });
+        }
+      }
+
+      for (const batch of batches) {
+        if (rateLimitResetAt === undefined) {
+          const { isRateLimited, resetAt } = checkAndClearRateLimit();
+          if (isRateLimited) {
+            rateLimitResetAt = resetAt;
+          }
+        }
+
+        if (rateLimitResetAt !== undefined) {
+          batch.issueIds.forEach((id) => statuses.set(id, { status: 'skipped' }));
+          continue;
+        }
+
+        try {
+          await batchUpdateIssues(client, batch.issueIds, batch.input);
+          batch.issueIds.forEach((id) => statuses.set(id, { status: 'updated' }));
+        } catch (error) {
+          const { isRateLimited, resetAt } = checkAndClearRateLimit();
+          if (isRateLimited || /rate limit/i.test(String(error?.message || ''))) {
+            rateLimitResetAt = resetAt;
+            batch.issueIds.forEach((id) => statuses.set(id, { status: 'skipped' }));
+            continue;
+          }
+          firstError = firstError || error;
+          batch.issueIds.forEach((id) => statuses.set(id, { status: 'failed', error: error?.message || String(error) }));
+        }
+      }
+    }
+
+    const counts = { 'would-update': 0, updated: 0, unchanged: 0, failed: 0, skipped: 0 };
+    for (const { status } of statuses.values()) {
+      counts[status] += 1;
+    }
+
+    if (firstError && counts.updated === 0 && counts.skipped === 0) {
+      throw firstError;
+    }
+
+    const header = params.dryRun
+      ? `## Bulk update preview: ${counts['would-update']} of ${issues.length} issue(s) would change (${scopeLabel})`
+      : `## Bulk update: ${counts.updated} of ${issues.length} issue(s) updated (${scopeLabel})`;
+    const lines = [`${header}\n`];
+
+    for (const entry of entries) {
+      const { status, error } = statuses.get(entry.issue.id);
+      const summary = entry.changes.length > 0 ? entry.changes.map(formatBulkUpdateChange).join(', ') : 'no changes';
+      const statusLabel = status === 'updated' || status === 'would-update' ? '' : ` [${status}${error ? `: ${error}` : ''}]`;
+      lines.push(`- **${entry.issue.identifier}**: ${entry.issue.title} (${summary})${statusLabel}`);
+    }
+
+    if (issues.length === 0) {
+      lines.push('No issues matched.');
+    }
+    if (truncated) {
+      lines.push(`\n_Only the first ${limit} matching issues were included. Raise the limit or narrow the filter to cover the rest._`);
+    }
+    if (rateLimitResetAt !== undefined) {
+      const resetLabel = rateLimitResetAt ? ` (resets at ${rateLimitResetAt.toLocaleTimeString()})` : '';
+      lines.push(`\nStopped: Linear API rate limit reached${resetLabel}. ${counts.skipped} issue(s) were not updated; run the same bulk update again to finish.`);
+    }
+    if (params.dryRun) {
+      lines.push('\n_Dry run: no issues were changed._');
+    }
+
+    return toTextResult(lines.join('\n'), {
+      dryRun: !!params.dryRun,
+      scope: scopeLabel,
+      matchedCount: issues.length,
+      truncated,
+      changedCount: counts.updated + counts['would-update'],
+      updatedCount: counts.updated,
+      unchangedCount: counts.unchanged,
+      failedCount: counts.failed,
+      skippedCount: counts.skipped,
+      rateLimited: rateLimitResetAt !== undefined,
+      resetAt: rateLimitResetAt ? rateLimitResetAt.toISOString() : null,
+      issues: entries.map((entry) => ({
+        id: entry.issue.id,
+        identifier: entry.issue.identifier,
+        title: entry.issue.title,
+        ...statuses.get(entry.issue.id),
+        changes: entry.changes,
+      })),
+    });
+  }, 'executeIssueBulkUpdate');
+}
+
+/**
+ * Add a comment to an issue
+ */
+export async function executeIssueComment(client, params, options = {}) {
+  const issue = await resolveIssueParam(client, params, options);
+  const body = ensureNonEmpty(params.body, 'body');
+  const result = await addIssueComment(client, issue, body, params.parentCommentId);
+  const commentBody = String(result.comment?.body || body).trim();
+  const preview = formatCommentPreview(commentBody);
+
+  return toTextResult(
+    `Added comment to issue ${result.issue.identifier}\n\n${preview.text}`,
+    {
+      issueId: result.issue.id,
+      identifier: result.issue.identifier,
+      commentId: result.comment.id,
+      commentBody,
+      commentPreview: preview.text,
+      commentPreviewTruncated: preview.truncated,
+    }
+  );
+}
+
+function formatCommentLabel(resolved) {
+  const indexLabel = resolved.index ? `#${resolved.index}` : resolved.id;
+  return resolved.issue?.identifier ? `${indexLabel} on ${resolved.issue.identifier}` : indexLabel;
+}
+
+/**
+ * Edit a comment, resolved by ID or by its #N index from issue view
+ */
+export async function executeIssueCommentEdit(client, params) {
+  const commentRef = ensureNonEmpty(params.comment, 'comment');
+  const body = ensureNonEmpty(params.body, 'body');
+  const resolved = await resolveIssueComment(client, params.issue || null, commentRef);
+  const updated = await updateIssueComment(client, resolved.id, body);
+  const commentBody = String(updated.body || body).trim();
+  const preview = formatCommentPreview(commentBody);
+
+  return toTextResult(
+    `Updated comment ${formatCommentLabel(resolved)}\n\n${preview.text}`,
+    {
+      identifier: resolved.issue?.identifier || null,
+      commentId: resolved.id,
+      commentIndex: resolved.index,
+      commentBody,
+      commentPreview: preview.text,
+      commentPreviewTruncated: preview.truncated,
+    }
+  );
+}
+
+/**
+ * Delete a comment, resolved by ID or by its #N index from issue view
+ */
+export async function executeIssueCommentDelete(client, params) {
+  const commentRef = ensureNonEmpty(params.comment, 'comment');
+  const resolved = await resolveIssueComment(client, params.issue || null, commentRef);
+  await deleteIssueComment(client, resolved.id);
+
+  return toTextResult(`Deleted comment ${formatCommentLabel(resolved)}`, {
+    identifier: resolved.issue?.identifier || null,
+    commentId: resolved.id,
+    commentIndex: resolved.index,
+  });
+}
+
+/**
+ * Reply to a comment thread. Replies to a reply are posted to that reply's thread root,
+ * since Linear threads are one level deep.
+ */
+export async function executeIssueCommentReply(client, params) {
+  const issue = ensureNonEmpty(params.issue, 'issue');
+  const commentRef = ensureNonEmpty(params.comment, 'comment');
+  const body = ensureNonEmpty(params.body, 'body');
+  const resolved = await resolveIssueComment(client, issue, commentRef);
+  const threadRootId = resolved.parentId || resolved.id;
+
+  const result = await addIssueComment(client, issue, body, threadRootId);
+  const commentBody = String(result.comment?.body || body).trim();
+  const preview = formatCommentPreview(commentBody);
+
+  return toTextResult(
+    `Replied to comment ${formatCommentLabel({ ...resolved, issue: result.issue })}\n\n${preview.text}`,
+    {
+      issueId: result.issue.id,
+      identifier: result.issue.identifier,
+      commentId: result.comment.id,
+      parentCommentId: threadRootId,
+      commentBody,
+      commentPreview: preview.text,
+      commentPreviewTruncated: preview.truncated,
+    }
+  );
+}
+
+/**
+ * Start an issue (set to In Progress and create branch)
+ */
+export async function executeIssueStart(client, params, options = {}) {
+  const { gitExecutor } = options;
+
+  const issue = ensureNonEmpty(params.issue, 'issue');
+  const prepared = await prepareIssueStart(client, issue);
 
   // Always use Linear's suggested branchName - it cannot be changed via API
   // and using a custom branch would break Linear's branch-to-issue linking
@@ -983,6 +1848,201 @@ export async function executeIssueStart(client, params, options = {}) {
   });
 }
 
+/**
+ * Finish an issue: move it to review (or done), comment the branch's commits,
+ * link the work, and optionally switch back to the base branch
+ */
+export async function executeIssueFinish(client, params, options = {}) {
+  const git = options.gitRunner || runGitCommand;
+
+  const branchResult = await git(['rev-parse', '--abbrev-ref', 'HEAD']).catch(() => null);
+  const branchName = branchResult?.code === 0 ? String(branchResult.stdout || '').trim() : null;
+
+  const issueRef = await resolveIssueParam(client, params, { currentBranchReader: async () => branchName });
+  const prepared = await prepareIssueFinish(client, issueRef, params.state);
+
+  const baseRef = String(params.fromRef || '').trim() || await resolveDefaultBaseRef(git);
+  const logResult = await git(['log', '--oneline', '--no-decorate', `${baseRef}..HEAD`]);
+  if (logResult.code !== 0) {
+    const stderr = String(logResult.stderr || '').trim();
+    throw new Error(`git log ${baseRef}..HEAD failed${stderr ? `: ${stderr}` : ''}`);
+  }
+
+  const commits = String(logResult.stdout || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const separator = line.indexOf(' ');
+      return separator > 0
+        ? { sha: line.slice(0, separator), subject: line.slice(separator + 1) }
+        : { sha: line, subject: '' };
+    });
+
+  const updatedIssue = await setIssueState(client, prepared.issue.id, prepared.finishedState.id);
+  const identifier = updatedIssue.identifier || prepared.issue.identifier;
+
+  let comment = null;
+  if (commits.length > 0) {
+    const heading = branchName && branchName !== 'HEAD'
+      ? `Finished on branch \`${branchName}\` (${commits.length} commit(s) since \`${baseRef}\`):`
+      : `Finished (${commits.length} commit(s) since \`${baseRef}\`):`;
+    const commitLines = commits.map((commit) => `- \`${commit.sha}\` ${commit.subject}`.trimEnd());
+    const body = `${heading}\n\n${commitLines.join('\n')}`;
+    const result = await addIssueComment(client, prepared.issue.identifier || prepared.issue.id, body);
+    comment = { id: result.comment?.id || null, body: result.comment?.body || null };
+  }
+
+  let links = Array.isArray(params.links) ? params.links : [];
+  if (links.length === 0 && commits.length > 0) {
+    const remoteResult = await git(['remote', 'get-url', 'origin']).catch(() => null);
+    const headResult = await git(['rev-parse', 'HEAD']).catch(() => null);
+    const webUrl = remoteResult?.code === 0 ? remoteUrlToWebUrl(remoteResult.stdout) : null;
+    const sha = headResult?.code === 0 ? String(headResult.stdout || '').trim() : '';
+    if (webUrl && sha) {
+      links = [{ url: `${webUrl}/commit/${sha}`, title: `Commit ${sha.slice(0, 7)}` }];
+    }
+  }
+  const createdLinks = await addIssueLinks(client, prepared.issue.id, links);
+
+  let switchedTo = null;
+  let switchError = null;
+  if (params.switchToBase === true) {
+    const localBase = baseRef.replace(/^origin\//, '');
+    const checkout = await git(['checkout', localBase]);
+    if (checkout.code === 0) {
+      switchedTo = localBase;
+    } else {
+      switchError = String(checkout.stderr || '').trim() || `git checkout ${localBase} failed`;
+    }
+  }
+
+  const compactTitle = String(updatedIssue.title || prepared.issue?.title || '').trim().toLowerCase();
+  const stateName = updatedIssue.state?.name || prepared.finishedState.name;
+  const lines = [
+    compactTitle
+      ? `Finished issue ${identifier} (${compactTitle}): moved to ${stateName}`
+      : `Finished issue ${identifier}: moved to ${stateName}`,
+  ];
+  lines.push(comment
+    ? `Commented ${commits.length} commit(s) since ${baseRef}`
+    : `No commits since ${baseRef}; no comment posted`);
+  for (const link of createdLinks) {
+    lines.push(`Linked ${link.url}`);
+  }
+  if (switchedTo) lines.push(`Switched to ${switchedTo}`);
+  if (switchError) lines.push(`Could not switch to ${baseRef.replace(/^origin\//, '')}: ${switchError}`);
+
+  return toTextResult(lines.join('\n'), {
+    issueId: updatedIssue.id || prepared.issue.id,
+    identifier,
+    state: updatedIssue.state,
+    finishedState: prepared.finishedState,
+    branchName,
+    baseRef,
+    commits,
+    comment,
+    links: createdLinks,
+    git: { switchedTo, switchError },
+  });
+}
+
+const CLOSED_ISSUE_STATE_TYPES = ['completed', 'canceled'];
+
+/**
+ * Delete local branches whose issues are completed or canceled and that are
+ * fully merged into the base ref. The current branch, the base branch, and
+ * branches with commits not in the base ref are always kept.
+ */
+export async function executeGitPruneBranches(client, params = {}, options = {}) {
+  const git = options.gitRunner || runGitCommand;
+  const dryRun = params.dryRun === true;
+
+  const listBranches = async (filterArgs) => {
+    const result = await git(['for-each-ref', '--format=%(refname:short)', ...filterArgs, 'refs/heads']);
+    if (result.code !== 0) {
+      const stderr = String(result.stderr || '').trim();
+      throw new Error(`git for-each-ref ${[...filterArgs, 'refs/heads'].join(' ')} failed${stderr ? `: ${stderr}` : ''}`);
+    }
+    return String(result.stdout || '').split('\n').map((line) => line.trim()).filter(Boolean);
+  };
+
+  const currentResult = await git(['rev-parse', '--abbrev-ref', 'HEAD']).catch(() => null);
+  const currentBranch = currentResult?.code === 0 ? String(currentResult.stdout || '').trim() : null;
+  const baseRef = String(params.base || '').trim() || await resolveDefaultBaseRef(git);
+  const baseBranch = baseRef.replace(/^origin\//, '');
+
+  const branches = await listBranches([]);
+  const merged = new Set(await listBranches(['--merged', baseRef]));
+
+  const deleted = [];
+  const kept = [];
+  const failed = [];
+  for (const branch of branches) {
+    if (branch === currentBranch) {
+      kept.push({ branch, reason: 'current branch' });
+      continue;
+    }
+    if (branch === baseBranch) {
+      kept.push({ branch, reason: 'base branch' });
+      continue;
+    }
+    if (!merged.has(branch)) {
+      kept.push({ branch, reason: `not merged into ${baseRef}` });
+      continue;
+    }
+
+    let match;
+    try {
+      match = await findIssueByBranch(client, branch);
+    } catch (error) {
+      failed.push({ branch, error: error.message });
+      continue;
+    }
+    if (!match) {
+      kept.push({ branch, reason: 'no Linear issue' });
+      continue;
+    }
+
+    const entry = { branch, identifier: match.issue.identifier, state: match.issue.state?.name || null };
+    if (!CLOSED_ISSUE_STATE_TYPES.includes(match.issue.state?.type)) {
+      kept.push({ ...entry, reason: 'issue still open' });
+      continue;
+    }
+
+    if (!dryRun) {
+      // -D because -d checks merges against HEAD/upstream; the check above is against baseRef
+      const result = await git(['branch', '-D', branch]);
+      if (result.code !== 0) {
+        failed.push({ ...entry, error: String(result.stderr || '').trim() || `git branch -D ${branch} failed` });
+        continue;
+      }
+    }
+    deleted.push(entry);
+  }
+
+  const describe = (entry) => (entry.identifier ? `${entry.branch} (${entry.identifier}, ${entry.state})` : entry.branch);
+  const lines = [
+    `${dryRun ? 'Would delete' : 'Deleted'} ${deleted.length} branch(es) merged into ${baseRef} with completed or canceled issues${deleted.length > 0 ? ':' : ''}`,
+    ...deleted.map((entry) => `- ${describe(entry)}`),
+  ];
+  if (kept.length > 0) {
+    lines.push('', `Kept ${kept.length} branch(es):`, ...kept.map((entry) => `- ${describe(entry)}: ${entry.reason}`));
+  }
+  if (failed.length > 0) {
+    lines.push('', `Failed ${failed.length} branch(es):`, ...failed.map((entry) => `- ${entry.branch}: ${entry.error}`));
+  }
+
+  return toTextResult(lines.join('\n'), {
+    baseRef,
+    currentBranch,
+    dryRun,
+    deleted,
+    kept,
+    failed,
+  });
+}
+
 /**
  * Delete an issue
  */
@@ -1000,6 +2060,45 @@ export async function executeIssueDelete(client, params) {
   );
 }
 
+async function executeIssueSubscription(client, params, subscribe) {
+  const issue = ensureNonEmpty(params.issue, 'issue');
+  const refs = parseRefList(params.subscribers);
+  const users = await resolveUserRefList(client, refs.length > 0 ? refs : 'me');
+
+  const userIds = users.map((user) => user.id);
+  const result = subscribe
+    ? await subscribeToIssue(client, issue, userIds)
+    : await unsubscribeFromIssue(client, issue, userIds);
+
+  const verb = subscribe ? 'Subscribed' : 'Unsubscribed';
+  const preposition = subscribe ? 'to' : 'from';
+  const changed = users.map((user) => ({ id: user.id, name: user.name, displayName: user.displayName }));
+
+  return toTextResult(
+    `${verb} ${formatSubscriberNames(users)} ${preposition} **${result.issue.identifier}**\nSubscribers: ${formatSubscriberNames(result.subscribers)}`,
+    {
+      issueId: result.issue.id,
+      identifier: result.issue.identifier,
+      [subscribe ? 'subscribed' : 'unsubscribed']: changed,
+      subscribers: result.subscribers,
+    }
+  );
+}
+
+/**
+ * Subscribe users (default: the authenticated user) to an issue
+ */
+export async function executeIssueSubscribe(client, params) {
+  return executeIssueSubscription(client, params, true);
+}
+
+/**
+ * Unsubscribe users (default: the authenticated user) from an issue
+ */
+export async function executeIssueUnsubscribe(client, params) {
+  return executeIssueSubscription(client, params, false);
+}
+
 // ===== ISSUE LABEL HANDLERS =====
 
 /**
@@ -1163,17 +2262,15 @@ export async function executeProjectCreate(client, params) {
     const teamRefs = parseRefList(params.teams ?? params.team);
 
     if (teamRefs.length === 0) {
-      throw new Error('Missing required field: teams');
+      throw validationError('Missing required field: teams');
     }
 
     const teams = await Promise.all(teamRefs.map((teamRef) => resolveTeamRef(client, teamRef)));
 
     let leadId;
-    if (params.lead === 'me') {
-      const viewer = await getViewer(client);
-      leadId = viewer.id;
-    } else if (params.lead) {
-      leadId = params.lead;
+    if (params.lead) {
+      const lead = await resolveUserRef(client, params.lead);
+      leadId = lead.id;
     }
 
     const project = await createProject(client, {
@@ -1214,19 +2311,17 @@ export async function executeProjectUpdate(client, params) {
       targetDate: params.targetDate,
     };
 
-    if (params.lead === 'me') {
-      const viewer = await getViewer(client);
-      patch.leadId = viewer.id;
-    } else if (params.lead === 'none') {
+    if (params.lead === 'none') {
       patch.leadId = null;
     } else if (params.lead !== undefined) {
-      patch.leadId = params.lead;
+      const lead = await resolveUserRef(client, params.lead);
+      patch.leadId = lead.id;
     }
 
     if (params.teams !== undefined || params.team !== undefined) {
       const teamRefs = parseRefList(params.teams ?? params.team);
       if (teamRefs.length === 0) {
-        throw new Error('At least one team is required when updating teams');
+        throw validationError('At least one team is required when updating teams');
       }
       const teams = await Promise.all(teamRefs.map((teamRef) => resolveTeamRef(client, teamRef)));
       patch.teamIds = teams.map((team) => team.id);
@@ -1326,9 +2421,10 @@ export async function executeProjectLabelList(client, params) {
 export async function executeProjectUpdateList(client, params) {
   return withHandlerErrorHandling(async () => {
     const projectRef = ensureNonEmpty(params.project, 'project');
-    const { project, updates } = await fetchProjectUpdates(client, projectRef, {
+    const { project, updates, pageInfo } = await fetchProjectUpdates(client, projectRef, {
       limit: params.limit ?? 10,
       includeArchived: params.includeArchived === true,
+      cursor: params.cursor || null,
     });
 
     if (updates.length === 0) {
@@ -1336,6 +2432,7 @@ export async function executeProjectUpdateList(client, params) {
         projectId: project.id,
         projectName: project.name,
         updateCount: 0,
+        ...toPageDetails(pageInfo),
       });
     }
 
@@ -1352,10 +2449,16 @@ export async function executeProjectUpdateList(client, params) {
       }
     }
 
+    const nextPageNote = formatNextPageNote(pageInfo);
+    if (nextPageNote) {
+      lines.push(nextPageNote);
+    }
+
     return toTextResult(lines.join('\n'), {
       projectId: project.id,
       projectName: project.name,
       updateCount: updates.length,
+      ...toPageDetails(pageInfo),
     });
   }, 'executeProjectUpdateList');
 }
@@ -1468,6 +2571,480 @@ export async function executeProjectUpdateUnarchive(client, params) {
   }, 'executeProjectUpdateUnarchive');
 }
 
+// ===== DOCUMENT HANDLERS =====
+
+function formatDocumentListLine(document) {
+  const parent = document.issue?.identifier
+    ? ` (${document.issue.identifier})`
+    : (document.project?.name ? ` (${document.project.name})` : '');
+  const updatedAt = document.updatedAt ? `, updated ${String(document.updatedAt).slice(0, 10)}` : '';
+  const archivedLabel = document.archivedAt ? ' [archived]' : '';
+  return `- **${document.title || 'Untitled'}**${archivedLabel}${parent} \`${document.id}\`${updatedAt}`;
+}
+
+function toDocumentSummary(document) {
+  return {
+    id: document.id,
+    title: document.title,
+    url: document.url,
+    updatedAt: document.updatedAt,
+    archivedAt: document.archivedAt,
+    project: document.project,
+    issue: document.issue,
+  };
+}
+
+/**
+ * Resolve the project/issue a document belongs to. Exactly one of the two may be given.
+ */
+async function resolveDocumentParent(client, params, { required = true } = {}) {
+  if (params.project && params.issue) {
+    throw validationError('Provide either project or issue, not both');
+  }
+
+  if (params.issue) {
+    const issue = await resolveIssue(client, params.issue);
+    return { issueId: issue.id, label: issue.identifier };
+  }
+
+  if (params.project) {
+    const project = await resolveProjectRef(client, params.project);
+    return { projectId: project.id, label: `"${project.name}"` };
+  }
+
+  if (required) {
+    throw validationError('Missing required field: project or issue');
+  }
+
+  return null;
+}
+
+export async function executeDocumentList(client, params) {
+  return withHandlerErrorHandling(async () => {
+    const parent = await resolveDocumentParent(client, params);
+    const { documents, pageInfo } = await fetchDocuments(client, {
+      projectId: parent.projectId,
+      issueId: parent.issueId,
+      limit: params.limit,
+      cursor: params.cursor || null,
+      includeArchived: params.includeArchived === true,
+    });
+
+    const details = {
+      projectId: parent.projectId || null,
+      issueId: parent.issueId || null,
+      documentCount: documents.length,
+      documents: documents.map(toDocumentSummary),
+      ...toPageDetails(pageInfo),
+    };
+
+    if (documents.length === 0) {
+      return toTextResult(`No documents found for ${parent.label}`, details);
+    }
+
+    const lines = [`## Documents for ${parent.label} (${documents.length})`, ''];
+    for (const document of documents) {
+      lines.push(formatDocumentListLine(document));
+    }
+
+    const nextPageNote = formatNextPageNote(pageInfo);
+    if (nextPageNote) {
+      lines.push(nextPageNote);
+    }
+
+    return toTextResult(lines.join('\n'), details);
+  }, 'executeDocumentList');
+}
+
+export async function executeDocumentSearch(client, params) {
+  return withHandlerErrorHandling(async () => {
+    const query = ensureNonEmpty(params.query, 'query');
+    const { documents, pageInfo } = await searchDocuments(client, query, {
+      limit: params.limit,
+      cursor: params.cursor || null,
+      includeArchived: params.includeArchived === true,
+    });
+
+    const details = {
+      query,
+      documentCount: documents.length,
+      documents: documents.map(toDocumentSummary),
+      ...toPageDetails(pageInfo),
+    };
+
+    if (documents.length === 0) {
+      return toTextResult(`No documents found matching "${query}"`, details);
+    }
+
+    const lines = [`## Documents matching "${query}" (${documents.length})`, ''];
+    for (const document of documents) {
+      lines.push(formatDocumentListLine(document));
+    }
+
+    const nextPageNote = formatNextPageNote(pageInfo);
+    if (nextPageNote) {
+      lines.push(nextPageNote);
+    }
+
+    return toTextResult(lines.join('\n'), details);
+  }, 'executeDocumentSearch');
+}
+
+export async function executeDocumentView(client, params) {
+  return withHandlerErrorHandling(async () => {
+    const documentRef = ensureNonEmpty(params.document, 'document');
+    const document = await fetchDocumentDetails(client, documentRef);
+
+    const lines = [`# ${document.icon ? `${document.icon} ` : ''}${document.title || 'Untitled'}`];
+    const meta = [];
+    if (document.project?.name) meta.push(`**Project:** ${document.project.name}`);
+    if (document.issue?.identifier) meta.push(`**Issue:** ${document.issue.identifier}`);
+    if (document.updatedAt) meta.push(`**Updated:** ${String(document.updatedAt).slice(0, 10)}`);
+    if (document.archivedAt) meta.push(`**Archived:** ${String(document.archivedAt).slice(0, 10)}`);
+    if (meta.length > 0) {
+      lines.push('');
+      lines.push(meta.join(' | '));
+    }
+    if (document.url) {
+      lines.push('');
+      lines.push(`**URL:** ${document.url}`);
+    }
+    if (document.content) {
+      lines.push('');
+      lines.push(document.content);
+    }
+
+    return toTextResult(lines.join('\n'), {
+      documentId: document.id,
+      title: document.title,
+      url: document.url,
+      projectId: document.project?.id || null,
+      issueId: document.issue?.id || null,
+      archivedAt: document.archivedAt,
+    });
+  }, 'executeDocumentView');
+}
+
+export async function executeDocumentCreate(client, params) {
+  return withHandlerErrorHandling(async () => {
+    const title = ensureNonEmpty(params.title, 'title');
+    const parent = await resolveDocumentParent(client, params);
+    const document = await createDocument(client, {
+      title,
+      projectId: parent.projectId,
+      issueId: parent.issueId,
+      content: params.content,
+      icon: params.icon,
+      color: params.color,
+    });
+
+    return toTextResult(
+      `Created document **${document.title}** for ${parent.label}${document.url ? `\n\n${document.url}` : ''}`,
+      {
+        documentId: document.id,
+        title: document.title,
+        url: document.url,
+        projectId: document.project?.id || null,
+        issueId: document.issue?.id || null,
+      }
+    );
+  }, 'executeDocumentCreate');
+}
+
+export async function executeDocumentUpdate(client, params) {
+  return withHandlerErrorHandling(async () => {
+    const documentRef = ensureNonEmpty(params.document, 'document');
+    const parent = await resolveDocumentParent(client, params, { required: false });
+    const result = await updateDocument(client, documentRef, {
+      title: params.title,
+      content: params.content,
+      icon: params.icon,
+      color: params.color,
+      projectId: parent?.projectId,
+      issueId: parent?.issueId,
+    });
+
+    return toTextResult(
+      `Updated document **${result.document.title}** (${result.changed.join(', ')})`,
+      {
+        documentId: result.document.id,
+        title: result.document.title,
+        url: result.document.url,
+        changed: result.changed,
+      }
+    );
+  }, 'executeDocumentUpdate');
+}
+
+export async function executeDocumentArchive(client, params) {
+  return withHandlerErrorHandling(async () => {
+    const documentRef = ensureNonEmpty(params.document, 'document');
+    const result = await archiveDocument(client, documentRef);
+
+    return toTextResult(
+      `Archived document **${result.documentId}**`,
+      {
+        documentId: result.documentId,
+        success: result.success,
+      }
+    );
+  }, 'executeDocumentArchive');
+}
+
+// ===== SYNC DOC HANDLERS =====
+
+function resolveSyncDocCwd(params, options = {}) {
+  const sessionCwd = options.cwd || process.cwd();
+  return params.cwd ? path.resolve(sessionCwd, params.cwd) : sessionCwd;
+}
+
+function toDisplayPath(filePath, cwd) {
+  if (!filePath) return filePath;
+  const relativePath = path.relative(cwd, filePath);
+  return relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)
+    ? relativePath
+    : filePath;
+}
+
+function formatSyncDocTargetLabel(entry, cwd) {
+  const file = toDisplayPath(entry.file, cwd);
+  if (entry.targetType === 'document') {
+    return `${entry.targetName} -> document "${entry.entityName}" from \`${file}\``;
+  }
+  return `${entry.targetName} -> ${entry.entityType} "${entry.entityName}" field "${entry.field}" from \`${file}\``;
+}
+
+/**
+ * Run (or check) the selected sync-doc target, or every configured target when
+ * none is named. Always returns the batch shape of runAllSyncDocs.
+ */
+async function runSyncDocBatch(client, params, cwd, mode) {
+  const diff = mode === 'check' && params.diff === true;
+  if (!params.target) {
+    return runAllSyncDocs(client, {
+      mode,
+      cwd,
+      configPath: params.config,
+      strategy: params.strategy,
+      diff,
+      archiveRemoved: params.archiveRemoved === true,
+    });
+  }
+
+  const result = await runSyncDoc(client, {
+    mode,
+    cwd,
+    configPath: params.config,
+    targetName: params.target,
+    strategy: params.strategy,
+    diff,
+  });
+
+  return {
+    mode,
+    all: false,
+    configPath: result.configPath,
+    statePath: result.statePath,
+    total: 1,
+    changedCount: result.changed ? 1 : 0,
+    unchangedCount: result.changed || result.conflict ? 0 : 1,
+    conflictCount: result.conflict ? 1 : 0,
+    results: [result],
+  };
+}
+
+const SYNC_DOC_CHANGED_STATUS = {
+  check: 'needs-sync',
+  run: 'synced',
+  pull: 'pulled',
+};
+
+const SYNC_DOC_CONFLICT_NOTES = {
+  diverged: 'Both the local file and the Linear managed block changed since the last sync. Pass strategy ours, theirs or merge.',
+  'missing-base': 'No common ancestor is stored for a merge. Pass strategy ours or theirs.',
+  'merge-conflict': 'Conflict markers were written to the local file. Resolve them and run again.',
+  'unresolved-markers': 'The local file still has conflict markers. Resolve them, or pass strategy theirs to take the Linear version.',
+};
+
+function formatSyncDocBatch(batch, cwd) {
+  const conflictSuffix = batch.conflictCount ? `, ${batch.conflictCount} conflicts` : '';
+  const headers = {
+    check: `## Sync-doc check: ${batch.changedCount} need updates, ${batch.unchangedCount} unchanged${conflictSuffix}`,
+    run: `## Sync-doc run: ${batch.changedCount} updated, ${batch.unchangedCount} unchanged${conflictSuffix}`,
+    pull: `## Sync-doc pull: ${batch.changedCount} local file(s) updated, ${batch.unchangedCount} unchanged`,
+  };
+  const lines = [headers[batch.mode], ''];
+
+  if (batch.configPath) {
+    lines.push(`**Config:** \`${batch.configPath}\``);
+    lines.push('');
+  }
+
+  for (const entry of batch.results) {
+    if (entry.conflict) {
+      lines.push(`- **[conflict]** ${formatSyncDocTargetLabel(entry, cwd)}`);
+      lines.push(`  ${SYNC_DOC_CONFLICT_NOTES[entry.conflictReason] || SYNC_DOC_CONFLICT_NOTES.diverged}`);
+      continue;
+    }
+
+    const status = entry.changed ? SYNC_DOC_CHANGED_STATUS[batch.mode] : 'unchanged';
+    const resolution = entry.conflictResolution ? ` (conflict resolved: ${entry.conflictResolution})` : '';
+    lines.push(`- **[${status}]** ${formatSyncDocTargetLabel(entry, cwd)}${resolution}`);
+    if (batch.mode === 'run' && entry.changed && entry.documentUrl) {
+      lines.push(`  ${entry.documentUrl}`);
+    }
+  }
+
+  for (const entry of batch.removed || []) {
+    const status = entry.archived ? 'archived' : 'removed';
+    const document = entry.documentTitle ? ` -> document "${entry.documentTitle}"` : '';
+    lines.push(`- **[${status}]** ${entry.targetName}${document}: \`${toDisplayPath(entry.file, cwd)}\` no longer matches \`${entry.glob}\``);
+  }
+  if (batch.mode === 'run' && batch.removed?.some((entry) => !entry.archived && entry.documentId)) {
+    lines.push('', 'Their Linear documents were left in place. Re-run with archiveRemoved: true to archive them.');
+  }
+
+  for (const entry of batch.results.filter((candidate) => candidate.diff)) {
+    lines.push('', `**${entry.targetName}**`, '', '```diff', entry.diff, '```');
+  }
+
+  return lines.join('\n');
+}
+
+function toSyncDocBatchDetails(batch, cwd) {
+  return {
+    mode: batch.mode,
+    cwd,
+    configPath: batch.configPath,
+    total: batch.total,
+    changedCount: batch.changedCount,
+    unchangedCount: batch.unchangedCount,
+    conflictCount: batch.conflictCount || 0,
+    removed: batch.removed || [],
+    targets: batch.results.map((entry) => ({
+      name: entry.targetName,
+      targetType: entry.targetType,
+      file: entry.file,
+      entityName: entry.entityName,
+      changed: entry.changed,
+      conflict: entry.conflict === true,
+      conflictReason: entry.conflictReason || null,
+      conflictResolution: entry.conflictResolution || null,
+      ...(entry.diff !== undefined ? { diff: entry.diff } : {}),
+    })),
+  };
+}
+
+export async function executeSyncDocList(params, options = {}) {
+  return withHandlerErrorHandling(async () => {
+    const cwd = resolveSyncDocCwd(params, options);
+    const result = await listSyncDocTargets({ cwd, configPath: params.config });
+
+    if (result.targets.length === 0) {
+      return toTextResult(
+        `No sync-doc targets configured for \`${cwd}\`. Use the "explain" action for setup guidance.`,
+        { cwd, configPath: result.configPath, targetCount: 0, targets: [] }
+      );
+    }
+
+    const lines = [`## Sync-doc targets (${result.targets.length})`, ''];
+    if (result.configPath) {
+      lines.push(`**Config:** \`${result.configPath}\``);
+      lines.push('');
+    }
+
+    for (const target of result.targets) {
+      const file = toDisplayPath(target.file, cwd);
+      if (target.targetType === 'document') {
+        const entityLabel = `${target.issue ? 'issue' : 'project'}:${target.entityRef}`;
+        const glob = target.glob ? ` (glob \`${target.glob}\`)` : '';
+        const frontMatter = target.frontMatter ? ' (front matter)' : '';
+        lines.push(`- **${target.name}** -> document "${target.title}" linked to ${entityLabel} from \`${file}\`${glob}${frontMatter}`);
+      } else {
+        const entityLabel = `${target.targetType === 'issueField' ? 'issue' : 'project'}:${target.entityRef}`;
+        const frontMatter = target.frontMatter ? ' (front matter)' : '';
+        lines.push(`- **${target.name}** -> ${entityLabel} field "${target.field}" from \`${file}\`${frontMatter}`);
+      }
+    }
+
+    return toTextResult(lines.join('\n'), {
+      cwd,
+      configPath: result.configPath,
+      targetCount: result.targets.length,
+      targets: result.targets,
+    });
+  }, 'executeSyncDocList');
+}
+
+export async function executeSyncDocExplain() {
+  return toTextResult(explainSyncDocSetup(), {});
+}
+
+export async function executeSyncDocCheck(client, params, options = {}) {
+  return withHandlerErrorHandling(async () => {
+    const cwd = resolveSyncDocCwd(params, options);
+    const batch = await runSyncDocBatch(client, params, cwd, 'check');
+    return toTextResult(formatSyncDocBatch(batch, cwd), toSyncDocBatchDetails(batch, cwd));
+  }, 'executeSyncDocCheck');
+}
+
+/**
+ * Write local docs to Linear. A check runs first; when anything would change, the
+ * run only proceeds after `options.confirmRun(summary)` resolves true, or -- when no
+ * confirmation callback is available (non-interactive sessions) -- when `params.confirm` is true.
+ */
+export async function executeSyncDocRun(client, params, options = {}) {
+  return withHandlerErrorHandling(async () => {
+    const cwd = resolveSyncDocCwd(params, options);
+    const preview = await runSyncDocBatch(client, params, cwd, 'check');
+    const previewText = formatSyncDocBatch(preview, cwd);
+
+    const pendingArchives = params.archiveRemoved === true ? (preview.removed || []).length : 0;
+    if (preview.changedCount === 0 && pendingArchives === 0) {
+      return toTextResult(
+        `${previewText}\n\nNothing to sync.`,
+        { ...toSyncDocBatchDetails(preview, cwd), mode: 'run', confirmed: false }
+      );
+    }
+
+    const confirmed = typeof options.confirmRun === 'function'
+      ? await options.confirmRun(previewText)
+      : params.confirm === true;
+
+    if (!confirmed) {
+      const hint = typeof options.confirmRun === 'function'
+        ? 'Sync-doc run was not confirmed; nothing was written to Linear.'
+        : 'Nothing was written to Linear. Re-run with confirm: true to apply these changes.';
+      return toTextResult(
+        `${previewText}\n\n${hint}`,
+        { ...toSyncDocBatchDetails(preview, cwd), confirmed: false }
+      );
+    }
+
+    const batch = await runSyncDocBatch(client, params, cwd, 'run');
+    return toTextResult(
+      formatSyncDocBatch(batch, cwd),
+      { ...toSyncDocBatchDetails(batch, cwd), confirmed: true }
+    );
+  }, 'executeSyncDocRun');
+}
+
+/**
+ * Write Linear-side edits back into the local source files (local writes only)
+ */
+export async function executeSyncDocPull(client, params, options = {}) {
+  return withHandlerErrorHandling(async () => {
+    const cwd = resolveSyncDocCwd(params, options);
+    const batch = await pullSyncDocs(client, {
+      cwd,
+      configPath: params.config,
+      targetName: params.target,
+      force: params.force === true,
+    });
+    return toTextResult(formatSyncDocBatch(batch, cwd), toSyncDocBatchDetails(batch, cwd));
+  }, 'executeSyncDocPull');
+}
+
 // ===== TEAM HANDLERS =====
 
 /**
@@ -1492,8 +3069,270 @@ export async function executeTeamList(client) {
   });
 }
 
+// ===== USER HANDLERS =====
+
+function formatUserListLine(user) {
+  const flags = [];
+  if (user.admin) flags.push('admin');
+  if (user.guest) flags.push('guest');
+  if (!user.active) flags.push('deactivated');
+
+  const emailPart = user.email ? ` <${user.email}>` : '';
+  const flagPart = flags.length > 0 ? ` _[${flags.join(', ')}]_` : '';
+  return `- **${user.displayName}**: ${user.name}${emailPart}${flagPart} \`${user.id}\``;
+}
+
+function toUserDetails(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    displayName: user.displayName,
+    email: user.email,
+    active: user.active,
+    admin: user.admin,
+    guest: user.guest,
+  };
+}
+
+/**
+ * List workspace users
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} params - Parameters
+ * @param {string} [params.query] - Only users whose name, display name or email contains this text
+ * @param {boolean} [params.includeDisabled] - Include deactivated users
+ * @returns {Promise<{content: Array, details: Object}>}
+ */
+export async function executeUserList(client, params = {}) {
+  return withHandlerErrorHandling(async () => {
+    const users = await fetchUsers(client, { includeDisabled: params.includeDisabled === true });
+    const query = hasValue(params.query) ? String(params.query).trim().toLowerCase() : null;
+    const matches = query
+      ? users.filter((u) => [u.name, u.displayName, u.email].some((value) => value?.toLowerCase().includes(query)))
+      : users;
+
+    if (matches.length === 0) {
+      return toTextResult(query ? `No users found matching "${params.query}"` : 'No users found', { userCount: 0 });
+    }
+
+    const lines = [`## Users (${matches.length})\n`];
+
+    for (const user of matches) {
+      lines.push(formatUserListLine(user));
+    }
+
+    return toTextResult(lines.join('\n'), {
+      userCount: matches.length,
+      users: matches.map(toUserDetails),
+    });
+  }, 'executeUserList');
+}
+
+/**
+ * View a user resolved from "me", an email, display name, name, or ID
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} params - Parameters
+ * @param {string} params.user - User reference
+ * @returns {Promise<{content: Array, details: Object}>}
+ */
+export async function executeUserView(client, params) {
+  return withHandlerErrorHandling(async () => {
+    const userRef = ensureNonEmpty(params.user, 'user');
+    const resolved = await resolveUserRef(client, userRef);
+    // "me" resolves through the viewer, which only carries id and names
+    const user = userRef.toLowerCase() === 'me' ? await fetchUser(client, resolved.id) : resolved;
+
+    const role = user.admin ? 'Admin' : user.guest ? 'Guest' : 'Member';
+    const lines = [`# ${user.name}`, ''];
+    lines.push(`**Display name:** ${user.displayName}`);
+    if (user.email) {
+      lines.push(`**Email:** ${user.email}`);
+    }
+    lines.push(`**Role:** ${role}${user.active === false ? ' (deactivated)' : ''}`);
+    lines.push(`**ID:** \`${user.id}\``);
+    if (user.url) {
+      lines.push(`**URL:** ${user.url}`);
+    }
+
+    return toTextResult(lines.join('\n'), { ...toUserDetails(user), url: user.url ?? null });
+  }, 'executeUserView');
+}
+
+// ===== CYCLE HANDLERS =====
+
+const CYCLE_STATE_TYPE_ORDER = ['started', 'unstarted', 'backlog', 'triage', 'completed', 'canceled'];
+
+function formatCycleDateRange(cycle) {
+  const startsAt = cycle.startsAt ? cycle.startsAt.split('T')[0] : '?';
+  const endsAt = cycle.endsAt ? cycle.endsAt.split('T')[0] : '?';
+  return `${startsAt} → ${endsAt}`;
+}
+
+function formatCycleStatus(cycle) {
+  if (cycle.isActive) return 'current';
+  if (cycle.isNext) return 'next';
+  if (cycle.isPrevious) return 'previous';
+  if (cycle.isFuture) return 'upcoming';
+  if (cycle.isPast) return 'completed';
+  return 'unknown';
+}
+
+function formatCycleProgress(progress) {
+  return progress !== undefined && progress !== null ? `${Math.round(progress * 100)}%` : 'N/A';
+}
+
+/**
+ * List cycles for a team
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} params - Parameters
+ * @param {string} [params.team] - Team key, name, or ID (default: configured default team)
+ * @param {boolean} [params.includePast] - Include completed cycles
+ * @param {number} [params.limit] - Maximum results (default: 25)
+ * @param {Object} [options]
+ * @param {Function} [options.resolveDefaultTeam] - Default team resolver
+ * @returns {Promise<{content: Array, details: Object}>}
+ */
+export async function executeCycleList(client, params, options = {}) {
+  const team = await resolveCycleTeam(client, params.team, null, options);
+  const cycles = await fetchTeamCycles(client, team.id, {
+    includePast: params.includePast === true,
+    limit: params.limit,
+  });
+
+  if (cycles.length === 0) {
+    return toTextResult(`No ${params.includePast === true ? '' : 'current or upcoming '}cycles found for team ${team.key}`, {
+      teamId: team.id,
+      teamKey: team.key,
+      cycleCount: 0,
+    });
+  }
+
+  const lines = [`## Cycles for team ${team.key} (${cycles.length})\n`];
+
+  for (const cycle of cycles) {
+    lines.push(`- **${formatCycleLabel(cycle)}** _[${formatCycleStatus(cycle)}]_ ${formatCycleDateRange(cycle)} (${formatCycleProgress(cycle.progress)}) \`${cycle.id}\``);
+  }
+
+  return toTextResult(lines.join('\n'), {
+    teamId: team.id,
+    teamKey: team.key,
+    cycleCount: cycles.length,
+    cycles: cycles.map((c) => ({ id: c.id, number: c.number, name: c.name, status: formatCycleStatus(c), startsAt: c.startsAt, endsAt: c.endsAt })),
+  });
+}
+
+/**
+ * View cycle details: scope, completion counts, and issues grouped by state
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} params - Parameters
+ * @param {string} [params.cycle] - current, next, previous, cycle number, name, or ID (default: current)
+ * @param {string} [params.team] - Team key, name, or ID (default: configured default team)
+ * @param {Object} [options]
+ * @param {Function} [options.resolveDefaultTeam] - Default team resolver
+ * @returns {Promise<{content: Array, details: Object}>}
+ */
+export async function executeCycleView(client, params, options = {}) {
+  const cycleRef = hasValue(params.cycle) ? String(params.cycle).trim() : 'current';
+  const team = await resolveCycleTeam(client, params.team, null, options);
+  const resolvedCycle = await resolveCycleRef(client, cycleRef, team.id);
+  const cycleData = await fetchCycleDetails(client, resolvedCycle.id);
+
+  const lines = [`# ${formatCycleLabel(cycleData)}`];
+
+  const metaParts = [
+    `**Team:** ${cycleData.team?.name || team.name}`,
+    `**Status:** ${formatCycleStatus(cycleData)}`,
+    `**Dates:** ${formatCycleDateRange(cycleData)}`,
+    `**Progress:** ${formatCycleProgress(cycleData.progress)}`,
+  ];
+  lines.push('');
+  lines.push(metaParts.join(' | '));
+
+  if (cycleData.description) {
+    lines.push('');
+    lines.push(cycleData.description);
+  }
+
+  const { counts } = cycleData;
+  lines.push('');
+  lines.push('## Scope');
+  lines.push('');
+  lines.push(`- Scope: ${counts.scope} issues${counts.estimate > 0 ? ` (${counts.estimate}pt)` : ''}`);
+  lines.push(`- Completed: ${counts.completed}`);
+  lines.push(`- In progress: ${counts.inProgress}`);
+  lines.push(`- Not started: ${counts.scope - counts.completed - counts.inProgress}`);
+  if (counts.canceled > 0) {
+    lines.push(`- Canceled: ${counts.canceled}`);
+  }
+
+  if (cycleData.issues.length === 0) {
+    lines.push('');
+    lines.push('_No issues in this cycle._');
+  } else {
+    const groups = new Map();
+    for (const issue of cycleData.issues) {
+      const stateName = issue.state?.name || 'Unknown';
+      if (!groups.has(stateName)) {
+        groups.set(stateName, { type: issue.state?.type || null, issues: [] });
+      }
+      groups.get(stateName).issues.push(issue);
+    }
+
+    const typeRank = (type) => {
+      const index = CYCLE_STATE_TYPE_ORDER.indexOf(type);
+      return index === -1 ? CYCLE_STATE_TYPE_ORDER.length : index;
+    };
+    const sortedGroups = [...groups.entries()].sort((a, b) => typeRank(a[1].type) - typeRank(b[1].type));
+
+    for (const [stateName, group] of sortedGroups) {
+      lines.push('');
+      lines.push(`## ${stateName} (${group.issues.length})`);
+      lines.push('');
+
+      for (const issue of group.issues) {
+        const assigneeLabel = issue.assignee?.displayName || 'Unassigned';
+        const priorityLabel = issue.priority !== undefined && issue.priority !== null
+          ? ['None', 'Urgent', 'High', 'Medium', 'Low'][issue.priority] || `P${issue.priority}`
+          : null;
+
+        const meta = [`@${assigneeLabel}`];
+        if (priorityLabel) meta.push(priorityLabel);
+        if (issue.estimate !== undefined && issue.estimate !== null) meta.push(`${issue.estimate}pt`);
+
+        lines.push(`- **${issue.identifier}**: ${issue.title} _${meta.join(' ')}_`);
+      }
+    }
+  }
+
+  if (cycleData.truncated) {
+    lines.push('');
+    lines.push('_Issue list truncated to the first 250 issues._');
+  }
+
+  return toTextResult(lines.join('\n'), {
+    cycleId: cycleData.id,
+    number: cycleData.number,
+    name: cycleData.name,
+    status: formatCycleStatus(cycleData),
+    startsAt: cycleData.startsAt,
+    endsAt: cycleData.endsAt,
+    progress: cycleData.progress,
+    team: cycleData.team,
+    counts,
+    issueCount: cycleData.issues.length,
+  });
+}
+
+/**
+ * View the team's current (active) cycle
+ */
+export async function executeCycleCurrent(client, params, options = {}) {
+  return executeCycleView(client, { ...params, cycle: 'current' }, options);
+}
+
 // ===== MILESTONE HANDLERS =====
 
+const MILESTONE_LIST_DEFAULT_LIMIT = 250;
+
 /**
  * List milestones in a project
  */
@@ -1504,13 +3343,17 @@ export async function executeMilestoneList(client, params) {
   }
 
   const resolved = await resolveProjectRef(client, projectRef);
-  const milestones = await fetchProjectMilestones(client, resolved.id);
+  const { milestones, pageInfo } = await fetchProjectMilestonesPage(client, resolved.id, {
+    limit: params.limit ?? MILESTONE_LIST_DEFAULT_LIMIT,
+    cursor: params.cursor || null,
+  });
 
   if (milestones.length === 0) {
     return toTextResult(`No milestones found in project "${resolved.name}"`, {
       projectId: resolved.id,
       projectName: resolved.name,
       milestoneCount: 0,
+      ...toPageDetails(pageInfo),
     });
   }
 
@@ -1543,11 +3386,17 @@ export async function executeMilestoneList(client, params) {
     }
   }
 
+  const nextPageNote = formatNextPageNote(pageInfo);
+  if (nextPageNote) {
+    lines.push(nextPageNote);
+  }
+
   return toTextResult(lines.join('\n'), {
     projectId: resolved.id,
     projectName: resolved.name,
     milestoneCount: milestones.length,
     milestones: milestones.map((m) => ({ id: m.id, name: m.name, status: m.status, progress: m.progress })),
+    ...toPageDetails(pageInfo),
   });
 }
 
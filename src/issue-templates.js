@@ -0,0 +1,269 @@
+/**
+ * Issue text templates
+ *
+ * Renders pull request descriptions and conventional-commit subjects from
+ * issue details. The PR template can be overridden per repo with
+ * `.linear-tools/pr-body.md` (nearest one upward from the working directory)
+ * or per user with `~/.linear-tools/pr-body.md`.
+ */
+
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { dirname, isAbsolute, join, resolve } from 'node:path';
+
+import { CONFIG_DIRNAME } from './sync-doc.js';
+import { notFoundError, validationError } from './errors.js';
+
+export const PR_BODY_TEMPLATE_FILENAME = 'pr-body.md';
+
+export const PR_MAGIC_WORDS = ['Fixes', 'Closes', 'Resolves', 'Part of', 'Ref'];
+
+export const DEFAULT_PR_BODY_TEMPLATE = `## {{title}}
+
+{{closingLine}}
+
+### Summary
+
+{{summary}}
+
+### Acceptance criteria
+
+{{acceptanceCriteria}}
+
+### Sub-issues
+
+{{subIssues}}
+
+**Milestone:** {{milestone}}
+`;
+
+export const COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+
+const COMMIT_SUBJECT_MAX_LENGTH = 72;
+
+const COMMIT_TYPE_BY_LABEL = [
+  [/^(bug|defect|regression)$/i, 'fix'],
+  [/^(docs?|documentation)$/i, 'docs'],
+  [/^(refactor|tech[- ]?debt)$/i, 'refactor'],
+  [/^(perf|performance)$/i, 'perf'],
+  [/^(tests?|testing)$/i, 'test'],
+  [/^(chore|maintenance|ci|build)$/i, 'chore'],
+  [/^(feature|enhancement|improvement)$/i, 'feat'],
+];
+
+const ACCEPTANCE_HEADING_PATTERN = /^\s*(?:#{1,6}\s*)?(?:\*\*|__)?acceptance criteria(?:\*\*|__)?\s*:?\s*(?:\*\*|__)?\s*$/i;
+const HEADING_PATTERN = /^\s*(?:#{1,6}\s+\S|(?:\*\*|__)[^*_]+(?:\*\*|__)\s*:?\s*$)/;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*\S)\s*$/;
+
+function findAcceptanceSection(lines) {
+  const start = lines.findIndex((line) => ACCEPTANCE_HEADING_PATTERN.test(line));
+  if (start < 0) return null;
+
+  // The section runs until the next heading, or the first paragraph line after the list
+  let end = start + 1;
+  let sawItem = false;
+  while (end < lines.length && !HEADING_PATTERN.test(lines[end])) {
+    const line = lines[end];
+    if (LIST_ITEM_PATTERN.test(line)) {
+      sawItem = true;
+    } else if (sawItem && line.trim() && !/^\s{2,}\S/.test(line)) {
+      break;
+    }
+    end += 1;
+  }
+  return { start, end };
+}
+
+/**
+ * Extract the list items under an "Acceptance criteria" heading
+ *
+ * @param {string} description - Issue description (markdown)
+ * @returns {string[]} Item texts without list or checkbox markers
+ */
+export function extractAcceptanceCriteria(description) {
+  const lines = String(description || '').replace(/\r\n?/g, '\n').split('\n');
+  const section = findAcceptanceSection(lines);
+  if (!section) return [];
+
+  return lines
+    .slice(section.start + 1, section.end)
+    .map((line) => line.match(LIST_ITEM_PATTERN)?.[1])
+    .filter(Boolean);
+}
+
+function stripAcceptanceCriteria(description) {
+  const lines = String(description || '').replace(/\r\n?/g, '\n').split('\n');
+  const section = findAcceptanceSection(lines);
+  if (section) {
+    lines.splice(section.start, section.end - section.start);
+  }
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Build the values available to templates as {{name}} placeholders
+ *
+ * @param {Object} issue - Issue details from fetchIssueDetails
+ * @param {Object} [options]
+ * @param {string} [options.magicWord='Fixes'] - Linear magic word for the closing line
+ * @returns {Object<string, string>}
+ */
+export function buildIssueTemplateValues(issue, options = {}) {
+  const magicWord = options.magicWord || 'Fixes';
+  const criteria = extractAcceptanceCriteria(issue.description);
+  const children = issue.children || [];
+
+  return {
+    identifier: issue.identifier || '',
+    title: issue.title || '',
+    url: issue.url || '',
+    branchName: issue.branchName || '',
+    magicWord,
+    closingLine: `${magicWord} ${issue.identifier}`,
+    description: String(issue.description || '').trim(),
+    summary: stripAcceptanceCriteria(issue.description) || '_No description_',
+    acceptanceCriteria: criteria.length > 0
+      ? criteria.map((item) => `- [ ] ${item}`).join('\n')
+      : '_None listed_',
+    subIssues: children.length > 0
+      ? children.map((child) => {
+        const state = child.state?.name ? ` (${child.state.name})` : '';
+        return `- ${child.identifier}: ${child.title}${state}`;
+      }).join('\n')
+      : '_None_',
+    milestone: issue.projectMilestone?.name || 'None',
+    project: issue.project?.name || 'None',
+    state: issue.state?.name || '',
+    assignee: issue.assignee?.displayName || issue.assignee?.name || 'Unassigned',
+    labels: (issue.labels || []).map((label) => label.name).join(', '),
+  };
+}
+
+/**
+ * Replace {{name}} placeholders; unknown placeholders are left as-is
+ *
+ * @param {string} template - Template text
+ * @param {Object<string, string>} values - Placeholder values
+ * @returns {string}
+ */
+export function renderTemplate(template, values) {
+  return String(template || '').replace(/\{\{\s*([A-Za-z][A-Za-z0-9]*)\s*\}\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  ));
+}
+
+/**
+ * Render a pull request description for an issue
+ *
+ * @param {Object} issue - Issue details from fetchIssueDetails
+ * @param {Object} [options]
+ * @param {string} [options.template] - Template text (default: DEFAULT_PR_BODY_TEMPLATE)
+ * @param {string} [options.magicWord] - Linear magic word (default: Fixes)
+ * @returns {string}
+ */
+export function renderPrBody(issue, options = {}) {
+  const template = options.template ?? DEFAULT_PR_BODY_TEMPLATE;
+  return `${renderTemplate(template, buildIssueTemplateValues(issue, options)).trimEnd()}\n`;
+}
+
+/**
+ * Infer a conventional-commit type from issue labels
+ *
+ * @param {Object} issue - Issue details
+ * @returns {string} Commit type, "feat" when no label matches
+ */
+export function inferCommitType(issue) {
+  for (const label of issue.labels || []) {
+    const match = COMMIT_TYPE_BY_LABEL.find(([pattern]) => pattern.test(String(label.name || '').trim()));
+    if (match) return match[1];
+  }
+  return 'feat';
+}
+
+/**
+ * Format a conventional-commit subject line with the issue key
+ *
+ * @param {Object} issue - Issue details
+ * @param {Object} [options]
+ * @param {string} [options.type] - Commit type (default: inferred from labels)
+ * @param {string} [options.scope] - Optional commit scope
+ * @returns {string} e.g. "fix(auth): handle expired sessions (ENG-123)"
+ */
+export function formatCommitSubject(issue, options = {}) {
+  const type = String(options.type || inferCommitType(issue)).trim().toLowerCase();
+  if (!COMMIT_TYPES.includes(type)) {
+    throw validationError(`Invalid commit type: ${options.type}. Use one of: ${COMMIT_TYPES.join(', ')}`);
+  }
+  const scope = String(options.scope || '').trim();
+  const prefix = `${type}${scope ? `(${scope})` : ''}: `;
+  const suffix = ` (${issue.identifier})`;
+
+  let subject = String(issue.title || '').trim().replace(/[.\s]+$/, '');
+  // Lowercase the first word unless it looks like an acronym or identifier (API, iOS)
+  if (/^[A-Z][a-z]/.test(subject)) {
+    subject = subject[0].toLowerCase() + subject.slice(1);
+  }
+
+  const room = COMMIT_SUBJECT_MAX_LENGTH - prefix.length - suffix.length;
+  if (subject.length > room) {
+    const cut = subject.slice(0, Math.max(room - 1, 0));
+    const boundary = cut.lastIndexOf(' ');
+    subject = `${(boundary > room / 2 ? cut.slice(0, boundary) : cut).trimEnd()}…`;
+  }
+
+  return `${prefix}${subject}${suffix}`;
+}
+
+/**
+ * Find the PR template: nearest `.linear-tools/pr-body.md` upward from cwd,
+ * then `~/.linear-tools/pr-body.md`
+ *
+ * @param {string} [cwd] - Directory to start from (default: process.cwd())
+ * @returns {string|null} Template path, or null to use the default template
+ */
+export function findPrBodyTemplatePath(cwd) {
+  let currentDir = resolve(cwd || process.cwd());
+
+  while (true) {
+    const candidate = join(currentDir, CONFIG_DIRNAME, PR_BODY_TEMPLATE_FILENAME);
+    if (existsSync(candidate)) {
+      return candidate;
+    }
+
+    const parentDir = dirname(currentDir);
+    if (parentDir === currentDir) break;
+    currentDir = parentDir;
+  }
+
+  const homeDir = process.env.HOME || process.env.USERPROFILE;
+  const globalPath = homeDir ? join(homeDir, CONFIG_DIRNAME, PR_BODY_TEMPLATE_FILENAME) : null;
+  return globalPath && existsSync(globalPath) ? globalPath : null;
+}
+
+/**
+ * Load the PR template text
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory to resolve templates from
+ * @param {string} [options.templatePath] - Explicit template path (relative to cwd)
+ * @returns {Promise<{template: string, templatePath: string|null}>}
+ */
+export async function loadPrBodyTemplate(options = {}) {
+  const cwd = resolve(options.cwd || process.cwd());
+
+  if (options.templatePath) {
+    const templatePath = isAbsolute(options.templatePath)
+      ? options.templatePath
+      : resolve(cwd, options.templatePath);
+    if (!existsSync(templatePath)) {
+      throw notFoundError(`PR template not found: ${templatePath}`);
+    }
+    return { template: await readFile(templatePath, 'utf8'), templatePath };
+  }
+
+  const templatePath = findPrBodyTemplatePath(cwd);
+  if (!templatePath) {
+    return { template: DEFAULT_PR_BODY_TEMPLATE, templatePath: null };
+  }
+  return { template: await readFile(templatePath, 'utf8'), templatePath };
+}
@@ -0,0 +1,221 @@
+/**
+ * Line diff utilities
+ *
+ * Line-based diffing and three-way merging used by sync-doc to reconcile
+ * local source files with managed blocks edited in Linear.
+ */
+
+function splitLines(text) {
+  const value = String(text ?? '');
+  return value ? value.split('\n') : [];
+}
+
+function sameLines(left, right) {
+  return left.length === right.length && left.every((line, index) => line === right[index]);
+}
+
+/**
+ * Compute the longest run of matching lines between two line arrays (Myers diff)
+ *
+ * @param {string[]} left - Original lines
+ * @param {string[]} right - Changed lines
+ * @returns {Array<[number, number]>} Pairs of matching [leftIndex, rightIndex], in order
+ */
+export function computeLineMatches(left, right) {
+  const max = left.length + right.length;
+  const offset = max + 1;
+  const frontier = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  outer:
+  for (let distance = 0; distance <= max; distance += 1) {
+    trace.push(frontier.slice());
+    for (let diagonal = -distance; diagonal <= distance; diagonal += 2) {
+      let x = diagonal === -distance
+        || (diagonal !== distance && frontier[offset + diagonal - 1] < frontier[offset + diagonal + 1])
+        ? frontier[offset + diagonal + 1]
+        : frontier[offset + diagonal - 1] + 1;
+      let y = x - diagonal;
+      while (x < left.length && y < right.length && left[x] === right[y]) {
+        x += 1;
+        y += 1;
+      }
+      frontier[offset + diagonal] = x;
+      if (x >= left.length && y >= right.length) {
+        break outer;
+      }
+    }
+  }
+
+  const matches = [];
+  let x = left.length;
+  let y = right.length;
+  for (let distance = trace.length - 1; distance >= 0; distance -= 1) {
+    const previous = trace[distance];
+    const diagonal = x - y;
+    const previousDiagonal = diagonal === -distance
+      || (diagonal !== distance && previous[offset + diagonal - 1] < previous[offset + diagonal + 1])
+      ? diagonal + 1
+      : diagonal - 1;
+    const previousX = distance === 0 ? 0 : previous[offset + previousDiagonal];
+    const previousY = distance === 0 ? 0 : previousX - previousDiagonal;
+
+    while (x > previousX && y > previousY) {
+      x -= 1;
+      y -= 1;
+      matches.push([x, y]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  return matches.reverse();
+}
+
+/**
+ * Line-based three-way merge (diff3). Regions changed on only one side take that
+ * side; regions changed identically on both sides merge cleanly; anything else is
+ * written as a conflict block with git-style markers.
+ *
+ * @param {string} base - Common ancestor text
+ * @param {string} local - Local text
+ * @param {string} remote - Remote text
+ * @param {object} [options]
+ * @param {string} [options.localLabel='local'] - Label after `<<<<<<<`
+ * @param {string} [options.remoteLabel='remote'] - Label after `>>>>>>>`
+ * @returns {{content: string, conflictCount: number}}
+ */
+export function mergeThreeWay(base, local, remote, options = {}) {
+  const localLabel = options.localLabel || 'local';
+  const remoteLabel = options.remoteLabel || 'remote';
+  const baseLines = splitLines(base);
+  const localLines = splitLines(local);
+  const remoteLines = splitLines(remote);
+
+  const localByBase = new Map(computeLineMatches(baseLines, localLines));
+  const remoteByBase = new Map(computeLineMatches(baseLines, remoteLines));
+
+  const output = [];
+  let conflictCount = 0;
+  let baseIndex = 0;
+  let localIndex = 0;
+  let remoteIndex = 0;
+
+  const emitRegion = (baseEnd, localEnd, remoteEnd) => {
+    const baseChunk = baseLines.slice(baseIndex, baseEnd);
+    const localChunk = localLines.slice(localIndex, localEnd);
+    const remoteChunk = remoteLines.slice(remoteIndex, remoteEnd);
+
+    if (sameLines(localChunk, baseChunk)) {
+      output.push(...remoteChunk);
+    } else if (sameLines(remoteChunk, baseChunk) || sameLines(localChunk, remoteChunk)) {
+      output.push(...localChunk);
+    } else {
+      conflictCount += 1;
+      output.push(`<<<<<<< ${localLabel}`, ...localChunk, '=======', ...remoteChunk, `>>>>>>> ${remoteLabel}`);
+    }
+  };
+
+  for (let stable = 0; stable < baseLines.length; stable += 1) {
+    // A base line kept by both sides anchors the merge; everything between anchors is one region.
+    if (!localByBase.has(stable) || !remoteByBase.has(stable)) {
+      continue;
+    }
+    const localStable = localByBase.get(stable);
+    const remoteStable = remoteByBase.get(stable);
+
+    emitRegion(stable, localStable, remoteStable);
+    output.push(baseLines[stable]);
+    baseIndex = stable + 1;
+    localIndex = localStable + 1;
+    remoteIndex = remoteStable + 1;
+  }
+  emitRegion(baseLines.length, localLines.length, remoteLines.length);
+
+  return {
+    content: output.join('\n'),
+    conflictCount,
+  };
+}
+
+function buildLineOperations(oldLines, newLines) {
+  const operations = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  const pushRemovedAndAdded = (oldEnd, newEnd) => {
+    while (oldIndex < oldEnd) {
+      operations.push({ type: '-', line: oldLines[oldIndex], oldIndex, newIndex });
+      oldIndex += 1;
+    }
+    while (newIndex < newEnd) {
+      operations.push({ type: '+', line: newLines[newIndex], oldIndex, newIndex });
+      newIndex += 1;
+    }
+  };
+
+  for (const [oldMatch, newMatch] of computeLineMatches(oldLines, newLines)) {
+    pushRemovedAndAdded(oldMatch, newMatch);
+    operations.push({ type: ' ', line: oldLines[oldIndex], oldIndex, newIndex });
+    oldIndex += 1;
+    newIndex += 1;
+  }
+  pushRemovedAndAdded(oldLines.length, newLines.length);
+
+  return operations;
+}
+
+function formatHunkRange(start, count) {
+  const firstLine = count === 0 ? start : start + 1;
+  return count === 1 ? `${firstLine}` : `${firstLine},${count}`;
+}
+
+/**
+ * Render a unified diff (`diff -u` format) between two texts
+ *
+ * @param {string} oldText - Text before the change
+ * @param {string} newText - Text after the change
+ * @param {object} [options]
+ * @param {string} [options.oldLabel='a'] - Label for the `---` header
+ * @param {string} [options.newLabel='b'] - Label for the `+++` header
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} The diff, or an empty string when the texts are equal
+ */
+export function formatUnifiedDiff(oldText, newText, options = {}) {
+  const context = options.context ?? 3;
+  const operations = buildLineOperations(splitLines(oldText), splitLines(newText));
+  const hunks = [];
+  let hunkStart = null;
+  let hunkEnd = 0;
+
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') {
+      return;
+    }
+    if (hunkStart !== null && index - context <= hunkEnd) {
+      hunkEnd = Math.min(operations.length, index + context + 1);
+      return;
+    }
+    if (hunkStart !== null) {
+      hunks.push([hunkStart, hunkEnd]);
+    }
+    hunkStart = Math.max(0, index - context);
+    hunkEnd = Math.min(operations.length, index + context + 1);
+  });
+
+  if (hunkStart === null) {
+    return '';
+  }
+  hunks.push([hunkStart, hunkEnd]);
+
+  const lines = [`--- ${options.oldLabel || 'a'}`, `+++ ${options.newLabel || 'b'}`];
+  for (const [start, end] of hunks) {
+    const slice = operations.slice(start, end);
+    const oldCount = slice.filter((operation) => operation.type !== '+').length;
+    const newCount = slice.filter((operation) => operation.type !== '-').length;
+    lines.push(`@@ -${formatHunkRange(slice[0].oldIndex, oldCount)} +${formatHunkRange(slice[0].newIndex, newCount)} @@`);
+    lines.push(...slice.map((operation) => `${operation.type}${operation.line}`));
+  }
+
+  return lines.join('\n');
+}
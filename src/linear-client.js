@@ -7,6 +7,7 @@
 
 import { LinearClient } from '@linear/sdk';
 import { debug, warn, info } from './logger.js';
+import { validationError } from './errors.js';
 
 /** @type {Function|null} Test-only client factory override */
 let _testClientFactory = null;
@@ -291,10 +292,10 @@ export function createLinearClient(auth) {
       apiKey = auth.apiKey;
       debug('Creating Linear client with API key');
     } else {
-      throw new Error('Auth object must contain either apiKey or accessToken');
+      throw validationError('Auth object must contain either apiKey or accessToken');
     }
   } else {
-    throw new Error('Invalid auth parameter: must be a string (API key) or an object with apiKey or accessToken');
+    throw validationError('Invalid auth parameter: must be a string (API key) or an object with apiKey or accessToken');
   }
 
   const client = new LinearClient(clientConfig);
@@ -6,18 +6,23 @@
  */
 
 import { warn, info, debug } from './logger.js';
+import { authError, notFoundError, rateLimitError, validationError } from './errors.js';
 
 const CACHE_TTL_MS = {
   viewer: 30_000,
   projects: 60_000,
   teams: 60_000,
   teamStates: 60_000,
+  users: 60_000,
+  teamEstimation: 60_000,
 };
 
 const viewerCache = new Map();
 const projectsCache = new Map();
 const teamsCache = new Map();
 const teamStatesCache = new Map();
+const usersCache = new Map();
+const teamEstimationCache = new Map();
 
 function getClientCacheKey(client) {
   return client?.apiKey || 'default';
@@ -48,8 +53,8 @@ function setCache(map, key, value, ttlMs) {
  * This reduces API calls from ~251 (N+1) to 1 per query
  */
 const ISSUES_WITH_RELATIONS_QUERY = `
-  query IssuesWithRelations($first: Int, $filter: IssueFilter) {
-    issues(first: $first, filter: $filter) {
+  query IssuesWithRelations($first: Int, $after: String, $filter: IssueFilter) {
+    issues(first: $first, after: $after, filter: $filter) {
       nodes {
         id
         identifier
@@ -58,6 +63,8 @@ const ISSUES_WITH_RELATIONS_QUERY = `
         url
         branchName
         priority
+        estimate
+        dueDate
         state {
           id
           name
@@ -76,6 +83,11 @@ const ISSUES_WITH_RELATIONS_QUERY = `
           id
           name
         }
+        cycle {
+          id
+          number
+          name
+        }
         assignee {
           id
           name
@@ -165,11 +177,11 @@ const PROJECT_MINIMAL_QUERY = `
 `;
 
 const PROJECT_MILESTONES_QUERY = `
-  query ProjectMilestones($id: String!, $first: Int!) {
+  query ProjectMilestones($id: String!, $first: Int!, $after: String) {
     project(id: $id) {
       id
       name
-      projectMilestones(first: $first) {
+      projectMilestones(first: $first, after: $after) {
         nodes {
           id
           name
@@ -179,6 +191,10 @@ const PROJECT_MILESTONES_QUERY = `
           targetDate
           status
         }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
       }
     }
   }
@@ -194,6 +210,52 @@ const TEAM_MINIMAL_QUERY = `
   }
 `;
 
+const USER_FIELDS = `
+  id
+  name
+  displayName
+  email
+  active
+  admin
+  guest
+  url
+`;
+
+const USERS_QUERY = `
+  query Users($first: Int!, $after: String, $includeDisabled: Boolean) {
+    users(first: $first, after: $after, includeDisabled: $includeDisabled) {
+      nodes {
+        ${USER_FIELDS}
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const USER_MINIMAL_QUERY = `
+  query UserMinimal($id: String!) {
+    user(id: $id) {
+      ${USER_FIELDS}
+    }
+  }
+`;
+
+const TEAM_ESTIMATION_QUERY = `
+  query TeamEstimation($id: String!) {
+    team(id: $id) {
+      id
+      key
+      name
+      issueEstimationType
+      issueEstimationAllowZero
+      issueEstimationExtended
+    }
+  }
+`;
+
 const TEAM_STATES_QUERY = `
   query TeamStates($id: String!, $first: Int!) {
     team(id: $id) {
@@ -211,6 +273,88 @@ const TEAM_STATES_QUERY = `
   }
 `;
 
+const CYCLES_QUERY = `
+  query Cycles($first: Int!, $after: String, $filter: CycleFilter) {
+    cycles(first: $first, after: $after, filter: $filter) {
+      nodes {
+        id
+        number
+        name
+        description
+        startsAt
+        endsAt
+        completedAt
+        progress
+        isActive
+        isNext
+        isPrevious
+        isFuture
+        isPast
+        team {
+          id
+          key
+          name
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * Cycle details with its issues in a single request (avoids N+1 lazy loads)
+ */
+const CYCLE_DETAILS_QUERY = `
+  query CycleDetails($id: String!, $issueLimit: Int!) {
+    cycle(id: $id) {
+      id
+      number
+      name
+      description
+      startsAt
+      endsAt
+      completedAt
+      progress
+      isActive
+      isNext
+      isPrevious
+      isFuture
+      isPast
+      team {
+        id
+        key
+        name
+      }
+      issues(first: $issueLimit) {
+        nodes {
+          id
+          identifier
+          title
+          priority
+          estimate
+          state {
+            id
+            name
+            color
+            type
+          }
+          assignee {
+            id
+            name
+            displayName
+          }
+        }
+        pageInfo {
+          hasNextPage
+        }
+      }
+    }
+  }
+`;
+
 const PROJECT_CREATE_MUTATION = `
   mutation ProjectCreate($input: ProjectCreateInput!) {
     projectCreate(input: $input) {
@@ -311,11 +455,11 @@ const PROJECT_UNARCHIVE_MUTATION = `
 `;
 
 const PROJECT_UPDATES_BY_PROJECT_QUERY = `
-  query ProjectUpdatesByProject($id: String!, $first: Int!, $includeArchived: Boolean!) {
+  query ProjectUpdatesByProject($id: String!, $first: Int!, $after: String, $includeArchived: Boolean!) {
     project(id: $id) {
       id
       name
-      projectUpdates(first: $first, includeArchived: $includeArchived) {
+      projectUpdates(first: $first, after: $after, includeArchived: $includeArchived) {
         nodes {
           id
           body
@@ -333,6 +477,10 @@ const PROJECT_UPDATES_BY_PROJECT_QUERY = `
             displayName
           }
         }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
       }
     }
   }
@@ -457,6 +605,84 @@ const DOCUMENT_UPDATE_MUTATION = `
   }
 `;
 
+const DOCUMENT_LIST_FIELDS = `
+  id
+  title
+  icon
+  color
+  slugId
+  url
+  archivedAt
+  createdAt
+  updatedAt
+  project {
+    id
+    name
+  }
+  issue {
+    id
+    identifier
+    title
+  }
+`;
+
+const DOCUMENTS_QUERY = `
+  query Documents($first: Int!, $after: String, $filter: DocumentFilter, $includeArchived: Boolean) {
+    documents(first: $first, after: $after, filter: $filter, includeArchived: $includeArchived, orderBy: updatedAt) {
+      nodes {
+        ${DOCUMENT_LIST_FIELDS}
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const DOCUMENT_SEARCH_QUERY = `
+  query DocumentSearch($term: String!, $first: Int!, $after: String, $includeArchived: Boolean) {
+    searchDocuments(term: $term, first: $first, after: $after, includeArchived: $includeArchived) {
+      nodes {
+        ${DOCUMENT_LIST_FIELDS}
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+// Linear has no separate archive mutation for documents: documentDelete moves
+// the document to trash (archivedAt is set) and it can still be restored.
+const DOCUMENT_ARCHIVE_MUTATION = `
+  mutation DocumentArchive($id: String!) {
+    documentDelete(id: $id) {
+      success
+      entity {
+        id
+      }
+    }
+  }
+`;
+
+const FILE_UPLOAD_MUTATION = `
+  mutation FileUpload($contentType: String!, $filename: String!, $size: Int!) {
+    fileUpload(contentType: $contentType, filename: $filename, size: $size) {
+      success
+      uploadFile {
+        assetUrl
+        uploadUrl
+        headers {
+          key
+          value
+        }
+      }
+    }
+  }
+`;
+
 const ISSUE_MINIMAL_QUERY = `
   query IssueMinimal($id: String!) {
     issue(id: $id) {
@@ -468,6 +694,7 @@ const ISSUE_MINIMAL_QUERY = `
       branchName
       priority
       estimate
+      dueDate
       createdAt
       updatedAt
       state {
@@ -488,6 +715,11 @@ const ISSUE_MINIMAL_QUERY = `
         id
         name
       }
+      cycle {
+        id
+        number
+        name
+      }
       assignee {
         id
         name
@@ -509,6 +741,7 @@ const ISSUE_MINIMAL_BY_TEAM_AND_NUMBER_QUERY = `
         branchName
         priority
         estimate
+        dueDate
         createdAt
         updatedAt
         state {
@@ -529,6 +762,11 @@ const ISSUE_MINIMAL_BY_TEAM_AND_NUMBER_QUERY = `
           id
           name
         }
+        cycle {
+          id
+          number
+          name
+        }
         assignee {
           id
           name
@@ -539,6 +777,52 @@ const ISSUE_MINIMAL_BY_TEAM_AND_NUMBER_QUERY = `
   }
 `;
 
+const ISSUE_BY_BRANCH_QUERY = `
+  query IssueByBranch($branchName: String!) {
+    issueVcsBranchSearch(branchName: $branchName) {
+      id
+      identifier
+      title
+      description
+      url
+      branchName
+      priority
+      estimate
+      dueDate
+      createdAt
+      updatedAt
+      state {
+        id
+        name
+        type
+      }
+      team {
+        id
+        key
+        name
+      }
+      project {
+        id
+        name
+      }
+      projectMilestone {
+        id
+        name
+      }
+      cycle {
+        id
+        number
+        name
+      }
+      assignee {
+        id
+        name
+        displayName
+      }
+    }
+  }
+`;
+
 const ISSUE_DETAILS_QUERY = `
   query IssueDetails($id: String!) {
     issue(id: $id) {
@@ -550,6 +834,7 @@ const ISSUE_DETAILS_QUERY = `
       branchName
       priority
       estimate
+      dueDate
       createdAt
       updatedAt
       state {
@@ -571,6 +856,11 @@ const ISSUE_DETAILS_QUERY = `
         id
         name
       }
+      cycle {
+        id
+        number
+        name
+      }
       assignee {
         id
         name
@@ -588,6 +878,13 @@ const ISSUE_DETAILS_QUERY = `
           color
         }
       }
+      subscribers(first: 50) {
+        nodes {
+          id
+          name
+          displayName
+        }
+      }
       parent {
         id
         identifier
@@ -610,6 +907,40 @@ const ISSUE_DETAILS_QUERY = `
           }
         }
       }
+      relations(first: 50) {
+        nodes {
+          id
+          type
+          relatedIssue {
+            id
+            identifier
+            title
+            state {
+              id
+              name
+              color
+              type
+            }
+          }
+        }
+      }
+      inverseRelations(first: 50) {
+        nodes {
+          id
+          type
+          issue {
+            id
+            identifier
+            title
+            state {
+              id
+              name
+              color
+              type
+            }
+          }
+        }
+      }
       attachments(first: 50) {
         nodes {
           id
@@ -635,6 +966,7 @@ const ISSUE_DETAILS_WITH_COMMENTS_QUERY = `
       branchName
       priority
       estimate
+      dueDate
       createdAt
       updatedAt
       state {
@@ -656,6 +988,11 @@ const ISSUE_DETAILS_WITH_COMMENTS_QUERY = `
         id
         name
       }
+      cycle {
+        id
+        number
+        name
+      }
       assignee {
         id
         name
@@ -673,6 +1010,13 @@ const ISSUE_DETAILS_WITH_COMMENTS_QUERY = `
           color
         }
       }
+      subscribers(first: 50) {
+        nodes {
+          id
+          name
+          displayName
+        }
+      }
       parent {
         id
         identifier
@@ -716,6 +1060,40 @@ const ISSUE_DETAILS_WITH_COMMENTS_QUERY = `
           }
         }
       }
+      relations(first: 50) {
+        nodes {
+          id
+          type
+          relatedIssue {
+            id
+            identifier
+            title
+            state {
+              id
+              name
+              color
+              type
+            }
+          }
+        }
+      }
+      inverseRelations(first: 50) {
+        nodes {
+          id
+          type
+          issue {
+            id
+            identifier
+            title
+            state {
+              id
+              name
+              color
+              type
+            }
+          }
+        }
+      }
       attachments(first: 50) {
         nodes {
           id
@@ -730,33 +1108,84 @@ const ISSUE_DETAILS_WITH_COMMENTS_QUERY = `
   }
 `;
 
-const ISSUE_LABELS_QUERY = `
-  query IssueLabels($first: Int!, $filter: IssueLabelFilter) {
-    issueLabels(first: $first, filter: $filter) {
-      nodes {
-        id
-        name
-        color
-        description
-        isGroup
-        team {
+const ISSUE_RELATIONS_QUERY = `
+  query IssueRelations($id: String!) {
+    issue(id: $id) {
+      id
+      identifier
+      relations(first: 100) {
+        nodes {
           id
-          key
-          name
+          type
+          relatedIssue {
+            id
+            identifier
+          }
         }
-        parent {
+      }
+      inverseRelations(first: 100) {
+        nodes {
           id
-          name
+          type
+          issue {
+            id
+            identifier
+          }
         }
       }
     }
   }
 `;
 
-const PROJECT_LABELS_QUERY = `
-  query ProjectLabels($first: Int!, $filter: ProjectLabelFilter) {
-    projectLabels(first: $first, filter: $filter) {
-      nodes {
+const ISSUE_RELATION_DELETE_MUTATION = `
+  mutation IssueRelationDelete($id: String!) {
+    issueRelationDelete(id: $id) {
+      success
+    }
+  }
+`;
+
+const ISSUE_CURRENT_LABELS_QUERY = `
+  query IssueCurrentLabels($id: String!) {
+    issue(id: $id) {
+      id
+      labels(first: 250) {
+        nodes {
+          id
+          name
+        }
+      }
+    }
+  }
+`;
+
+const ISSUE_LABELS_QUERY = `
+  query IssueLabels($first: Int!, $filter: IssueLabelFilter) {
+    issueLabels(first: $first, filter: $filter) {
+      nodes {
+        id
+        name
+        color
+        description
+        isGroup
+        team {
+          id
+          key
+          name
+        }
+        parent {
+          id
+          name
+        }
+      }
+    }
+  }
+`;
+
+const PROJECT_LABELS_QUERY = `
+  query ProjectLabels($first: Int!, $filter: ProjectLabelFilter) {
+    projectLabels(first: $first, filter: $filter) {
+      nodes {
         id
         name
         color
@@ -817,6 +1246,7 @@ const ISSUE_CREATE_MUTATION = `
         branchName
         priority
         estimate
+        dueDate
         createdAt
         updatedAt
         state {
@@ -837,6 +1267,11 @@ const ISSUE_CREATE_MUTATION = `
           id
           name
         }
+        cycle {
+          id
+          number
+          name
+        }
         assignee {
           id
           name
@@ -860,6 +1295,7 @@ const ISSUE_UPDATE_MUTATION = `
         branchName
         priority
         estimate
+        dueDate
         createdAt
         updatedAt
         state {
@@ -880,6 +1316,11 @@ const ISSUE_UPDATE_MUTATION = `
           id
           name
         }
+        cycle {
+          id
+          number
+          name
+        }
         assignee {
           id
           name
@@ -890,6 +1331,65 @@ const ISSUE_UPDATE_MUTATION = `
   }
 `;
 
+const ISSUE_BATCH_UPDATE_MUTATION = `
+  mutation IssueBatchUpdate($ids: [UUID!]!, $input: IssueUpdateInput!) {
+    issueBatchUpdate(ids: $ids, input: $input) {
+      success
+      issues {
+        id
+        identifier
+      }
+    }
+  }
+`;
+
+const ISSUE_LABEL_IDS_QUERY = `
+  query IssueLabelIds($ids: [ID!], $first: Int) {
+    issues(first: $first, filter: { id: { in: $ids } }) {
+      nodes {
+        id
+        labels {
+          nodes {
+            id
+          }
+        }
+      }
+    }
+  }
+`;
+
+const ISSUE_SUBSCRIBER_FIELDS = `
+  success
+  issue {
+    id
+    identifier
+    title
+    subscribers(first: 50) {
+      nodes {
+        id
+        name
+        displayName
+      }
+    }
+  }
+`;
+
+const ISSUE_SUBSCRIBE_MUTATION = `
+  mutation IssueSubscribe($id: String!, $userId: String) {
+    issueSubscribe(id: $id, userId: $userId) {
+      ${ISSUE_SUBSCRIBER_FIELDS}
+    }
+  }
+`;
+
+const ISSUE_UNSUBSCRIBE_MUTATION = `
+  mutation IssueUnsubscribe($id: String!, $userId: String) {
+    issueUnsubscribe(id: $id, userId: $userId) {
+      ${ISSUE_SUBSCRIBER_FIELDS}
+    }
+  }
+`;
+
 const ISSUE_DELETE_MUTATION = `
   mutation IssueDelete($id: String!) {
     issueDelete(id: $id) {
@@ -1018,6 +1518,7 @@ async function executeOptimizedQuery(client, query, variables) {
   const filter = variables.filter || {};
   const result = await client.issues({
     first: variables.first,
+    ...(variables.after ? { after: variables.after } : {}),
     filter,
   });
 
@@ -1068,12 +1569,14 @@ function transformRawIssue(rawIssue) {
     branchName: rawIssue.branchName,
     priority: rawIssue.priority,
     estimate: rawIssue.estimate ?? null,
+    dueDate: rawIssue.dueDate ?? null,
     createdAt: rawIssue.createdAt ?? null,
     updatedAt: rawIssue.updatedAt ?? null,
     state: rawIssue.state ? { id: rawIssue.state.id, name: rawIssue.state.name, type: rawIssue.state.type } : null,
     team: rawIssue.team ? { id: rawIssue.team.id, key: rawIssue.team.key, name: rawIssue.team.name } : null,
     project: rawIssue.project ? { id: rawIssue.project.id, name: rawIssue.project.name } : null,
     projectMilestone: rawIssue.projectMilestone ? { id: rawIssue.projectMilestone.id, name: rawIssue.projectMilestone.name } : null,
+    cycle: rawIssue.cycle ? { id: rawIssue.cycle.id, number: rawIssue.cycle.number, name: rawIssue.cycle.name ?? null } : null,
     assignee: rawIssue.assignee ? { id: rawIssue.assignee.id, name: rawIssue.assignee.name, displayName: rawIssue.assignee.displayName } : null,
   };
 }
@@ -1127,12 +1630,33 @@ async function fetchIssueMinimalByIdentifier(client, identifier) {
   return sdkIssue ? transformIssue(sdkIssue) : null;
 }
 
-async function fetchIssueMinimal(client, lookup) {
+/**
+ * Fetch an issue's minimal fields (team, state, assignee) by ID or identifier
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} lookup - Issue identifier (ABC-123) or Linear issue ID
+ * @returns {Promise<Object|null>} Issue, or null when it does not exist
+ */
+export async function fetchIssueMinimal(client, lookup) {
   return isLinearId(lookup)
     ? fetchIssueMinimalById(client, lookup)
     : fetchIssueMinimalByIdentifier(client, lookup);
 }
 
+/**
+ * Fetch the labels currently set on an issue
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function fetchCurrentIssueLabels(client, issueId) {
+  if (getRawRequest(client)) {
+    const data = await executeGraphQL(client, ISSUE_CURRENT_LABELS_QUERY, { id: issueId });
+    return (data?.issue?.labels?.nodes || []).map((label) => ({ id: label.id, name: label.name }));
+  }
+
+  const sdkIssue = await client.issue(issueId);
+  const result = await sdkIssue?.labels?.();
+  return (result?.nodes || []).map((label) => ({ id: label.id, name: label.name }));
+}
+
 async function performIssueUpdate(client, issueId, updateInput) {
   if (getRawRequest(client)) {
     const payload = await executeGraphQL(client, ISSUE_UPDATE_MUTATION, {
@@ -1149,7 +1673,7 @@ async function performIssueUpdate(client, issueId, updateInput) {
 
   const sdkIssue = await client.issue(issueId);
   if (!sdkIssue) {
-    throw new Error(`Issue not found: ${issueId}`);
+    throw notFoundError(`Issue not found: ${issueId}`);
   }
 
   const result = await sdkIssue.update(updateInput);
@@ -1160,6 +1684,52 @@ async function performIssueUpdate(client, issueId, updateInput) {
   return transformIssue(result.issue);
 }
 
+const ISSUE_RELATION_TYPE_LABELS = Object.freeze({
+  blocks: { outgoing: 'blocks', inverse: 'blockedBy' },
+  duplicate: { outgoing: 'duplicateOf', inverse: 'duplicatedBy' },
+  related: { outgoing: 'related', inverse: 'related' },
+  similar: { outgoing: 'similar', inverse: 'similar' },
+});
+
+/**
+ * Flatten outgoing and inverse issue relations into one list, expressed from
+ * the perspective of the issue being viewed (e.g. an inverse `blocks` relation
+ * becomes `blockedBy`).
+ */
+function transformRawIssueRelations(rawIssue) {
+  const toRelatedIssue = (issue) => ({
+    identifier: issue.identifier,
+    title: issue.title,
+    state: issue.state ? {
+      name: issue.state.name,
+      color: issue.state.color ?? null,
+      type: issue.state.type ?? null,
+    } : null,
+  });
+
+  const outgoing = (rawIssue.relations?.nodes || [])
+    .filter((relation) => relation.relatedIssue)
+    .map((relation) => ({
+      id: relation.id,
+      type: ISSUE_RELATION_TYPE_LABELS[relation.type]?.outgoing || relation.type,
+      issue: toRelatedIssue(relation.relatedIssue),
+    }));
+
+  const inverse = (rawIssue.inverseRelations?.nodes || [])
+    .filter((relation) => relation.issue)
+    .map((relation) => ({
+      id: relation.id,
+      type: ISSUE_RELATION_TYPE_LABELS[relation.type]?.inverse || relation.type,
+      issue: toRelatedIssue(relation.issue),
+    }));
+
+  return [...outgoing, ...inverse];
+}
+
+function transformIssueSubscriber(user) {
+  return { id: user.id, name: user.name, displayName: user.displayName };
+}
+
 function transformRawIssueDetails(rawIssue, options = {}) {
   const { includeComments = true } = options;
   if (!rawIssue) return null;
@@ -1172,6 +1742,7 @@ function transformRawIssueDetails(rawIssue, options = {}) {
     branchName: rawIssue.branchName ?? null,
     priority: rawIssue.priority ?? null,
     estimate: rawIssue.estimate ?? null,
+    dueDate: rawIssue.dueDate ?? null,
     createdAt: rawIssue.createdAt ?? null,
     updatedAt: rawIssue.updatedAt ?? null,
     state: rawIssue.state ? {
@@ -1182,6 +1753,7 @@ function transformRawIssueDetails(rawIssue, options = {}) {
     team: rawIssue.team ? { id: rawIssue.team.id, key: rawIssue.team.key, name: rawIssue.team.name } : null,
     project: rawIssue.project ? { id: rawIssue.project.id, name: rawIssue.project.name } : null,
     projectMilestone: rawIssue.projectMilestone ? { id: rawIssue.projectMilestone.id, name: rawIssue.projectMilestone.name } : null,
+    cycle: rawIssue.cycle ? { id: rawIssue.cycle.id, number: rawIssue.cycle.number, name: rawIssue.cycle.name ?? null } : null,
     assignee: rawIssue.assignee ? { id: rawIssue.assignee.id, name: rawIssue.assignee.name, displayName: rawIssue.assignee.displayName } : null,
     creator: rawIssue.creator ? { id: rawIssue.creator.id, name: rawIssue.creator.name, displayName: rawIssue.creator.displayName } : null,
     labels: (rawIssue.labels?.nodes || []).map((label) => ({
@@ -1189,6 +1761,7 @@ function transformRawIssueDetails(rawIssue, options = {}) {
       name: label.name,
       color: label.color ?? null,
     })),
+    subscribers: (rawIssue.subscribers?.nodes || []).map(transformIssueSubscriber),
     parent: rawIssue.parent ? {
       identifier: rawIssue.parent.identifier,
       title: rawIssue.parent.title,
@@ -1205,6 +1778,7 @@ function transformRawIssueDetails(rawIssue, options = {}) {
         color: child.state.color ?? null,
       } : null,
     })),
+    relations: transformRawIssueRelations(rawIssue),
     comments: includeComments
       ? (rawIssue.comments?.nodes || []).map((comment) => ({
         id: comment.id,
@@ -1284,6 +1858,27 @@ function transformRawMilestone(rawMilestone, project = null) {
   };
 }
 
+function transformRawCycle(rawCycle) {
+  if (!rawCycle) return null;
+
+  return {
+    id: rawCycle.id,
+    number: rawCycle.number,
+    name: rawCycle.name ?? null,
+    description: rawCycle.description ?? null,
+    startsAt: rawCycle.startsAt ?? null,
+    endsAt: rawCycle.endsAt ?? null,
+    completedAt: rawCycle.completedAt ?? null,
+    progress: rawCycle.progress ?? null,
+    isActive: rawCycle.isActive === true,
+    isNext: rawCycle.isNext === true,
+    isPrevious: rawCycle.isPrevious === true,
+    isFuture: rawCycle.isFuture === true,
+    isPast: rawCycle.isPast === true,
+    team: rawCycle.team ? { id: rawCycle.team.id, key: rawCycle.team.key, name: rawCycle.team.name } : null,
+  };
+}
+
 async function fetchProjectMinimal(client, projectId) {
   // If input looks like a UUID but can't be resolved directly,
   // it might be a project name that accidentally matches the UUID pattern.
@@ -1359,7 +1954,7 @@ async function fetchTeamStatesByQuery(client, teamId, options = {}) {
 }
 
 async function fetchProjectMilestonesByQuery(client, projectId, options = {}) {
-  const { first = 250 } = options;
+  const { first = 250, after = null } = options;
 
   if (!getRawRequest(client)) {
     const project = await client.project?.(projectId);
@@ -1367,14 +1962,18 @@ async function fetchProjectMilestonesByQuery(client, projectId, options = {}) {
       return null;
     }
 
-    const result = await project.projectMilestones();
+    const result = await project.projectMilestones(after ? { first, after } : undefined);
     const nodes = result.nodes || [];
-    return Promise.all(nodes.map(transformMilestone));
+    return {
+      milestones: await Promise.all(nodes.map(transformMilestone)),
+      pageInfo: normalizePageInfo(result.pageInfo),
+    };
   }
 
   const data = await executeGraphQL(client, PROJECT_MILESTONES_QUERY, {
     id: projectId,
     first,
+    ...(after ? { after } : {}),
   });
 
   if (!data?.project) {
@@ -1382,7 +1981,10 @@ async function fetchProjectMilestonesByQuery(client, projectId, options = {}) {
   }
 
   const project = { id: data.project.id, name: data.project.name };
-  return (data.project.projectMilestones?.nodes || []).map((milestone) => transformRawMilestone(milestone, project));
+  return {
+    milestones: (data.project.projectMilestones?.nodes || []).map((milestone) => transformRawMilestone(milestone, project)),
+    pageInfo: normalizePageInfo(data.project.projectMilestones?.pageInfo),
+  };
 }
 
 // ===== RATE LIMIT TRACKING =====
@@ -1522,7 +2124,7 @@ function formatLinearError(error) {
       ? new Date(error.requestsResetAt).toLocaleTimeString()
       : '1 hour';
 
-    return new Error(
+    return rateLimitError(
       `Linear API rate limit exceeded. Please wait before making more requests.\n` +
       `Rate limit resets at: ${resetAt}\n` +
       `Hint: Reduce request frequency or wait before retrying.`
@@ -1532,7 +2134,7 @@ function formatLinearError(error) {
   // Auth/permission failures: prompt to check credentials
   if (errorType === 'Forbidden' || errorType === 'AuthenticationError' ||
     message.toLowerCase().includes('forbidden') || message.toLowerCase().includes('unauthorized')) {
-    return new Error(
+    return authError(
       `${message}\nHint: Check your Linear API key or OAuth token permissions.`
     );
   }
@@ -1631,7 +2233,7 @@ function isLinearId(value) {
  */
 function normalizeIssueLookupInput(issue) {
   const value = String(issue || '').trim();
-  if (!value) throw new Error('Missing required issue identifier');
+  if (!value) throw validationError('Missing required issue identifier');
 
   const issueUrlMatch = value.match(/\/issue\/([A-Za-z0-9]+-\d+)(?:[/?#]|$)/i);
   if (issueUrlMatch?.[1]) {
@@ -1669,6 +2271,16 @@ function getProjectLookupCandidates(projectRef) {
   return Array.from(candidates).filter(Boolean);
 }
 
+/**
+ * Normalize a GraphQL connection's pageInfo so callers can rely on both fields
+ */
+function normalizePageInfo(pageInfo) {
+  return {
+    hasNextPage: pageInfo?.hasNextPage ?? false,
+    endCursor: pageInfo?.endCursor ?? null,
+  };
+}
+
 const PROJECT_UPDATE_HEALTH_VALUES = ['onTrack', 'atRisk', 'offTrack'];
 
 function normalizePositiveInteger(value, fieldName, defaultValue) {
@@ -1678,7 +2290,7 @@ function normalizePositiveInteger(value, fieldName, defaultValue) {
 
   const parsed = typeof value === 'number' ? value : Number(String(value).trim());
   if (!Number.isInteger(parsed) || parsed < 1) {
-    throw new Error(`${fieldName} must be a positive integer`);
+    throw validationError(`${fieldName} must be a positive integer`);
   }
 
   return parsed;
@@ -1691,11 +2303,11 @@ function normalizeProjectUpdateHealth(value) {
 
   const normalized = String(value).trim();
   if (!normalized) {
-    throw new Error(`health must be one of: ${PROJECT_UPDATE_HEALTH_VALUES.join(', ')}`);
+    throw validationError(`health must be one of: ${PROJECT_UPDATE_HEALTH_VALUES.join(', ')}`);
   }
 
   if (!PROJECT_UPDATE_HEALTH_VALUES.includes(normalized)) {
-    throw new Error(`health must be one of: ${PROJECT_UPDATE_HEALTH_VALUES.join(', ')}`);
+    throw validationError(`health must be one of: ${PROJECT_UPDATE_HEALTH_VALUES.join(', ')}`);
   }
 
   return normalized;
@@ -1727,11 +2339,132 @@ function parseIssuePriority(value) {
     }
   }
 
-  throw new Error(
+  throw validationError(
     `Invalid priority: ${value}. Use Linear priority ${ISSUE_PRIORITY_MAPPING_DESCRIPTION}, or one of: ${ISSUE_PRIORITY_ALIAS_DESCRIPTION}.`
   );
 }
 
+// Point values per Linear estimation type; `extended` adds the larger values a
+// team can opt into. T-shirt sizes are stored as the fibonacci points.
+const ISSUE_ESTIMATE_SCALES = Object.freeze({
+  exponential: { label: 'exponential', values: [1, 2, 4, 8, 16], extended: [32, 64] },
+  fibonacci: { label: 'fibonacci', values: [1, 2, 3, 5, 8], extended: [13, 21] },
+  linear: { label: 'linear', values: [1, 2, 3, 4, 5], extended: [6, 7] },
+  tShirt: { label: 't-shirt', values: [1, 2, 3, 5, 8], extended: [13, 21] },
+});
+const T_SHIRT_ESTIMATE_SIZES = Object.freeze({
+  xs: 1,
+  s: 2,
+  m: 3,
+  l: 5,
+  xl: 8,
+  xxl: 13,
+  xxxl: 21,
+});
+
+async function fetchTeamEstimationSettings(client, teamId) {
+  const cacheKey = `${getClientCacheKey(client)}::${teamId}`;
+  const cached = getCache(teamEstimationCache, cacheKey);
+  if (cached) return cached;
+
+  let team = null;
+  if (getRawRequest(client)) {
+    const data = await executeGraphQL(client, TEAM_ESTIMATION_QUERY, { id: teamId });
+    team = data?.team ?? null;
+  } else {
+    team = await client.team?.(teamId);
+  }
+
+  if (!team) {
+    throw notFoundError(`Team not found: ${teamId}`);
+  }
+
+  const settings = {
+    id: team.id,
+    key: team.key,
+    type: team.issueEstimationType || 'notUsed',
+    allowZero: team.issueEstimationAllowZero === true,
+    extended: team.issueEstimationExtended === true,
+  };
+  setCache(teamEstimationCache, cacheKey, settings, CACHE_TTL_MS.teamEstimation);
+  return settings;
+}
+
+function formatEstimateChoice(type, value) {
+  if (type !== 'tShirt') return String(value);
+  const size = Object.keys(T_SHIRT_ESTIMATE_SIZES).find((key) => T_SHIRT_ESTIMATE_SIZES[key] === value);
+  return size ? `${size.toUpperCase()} (${value})` : String(value);
+}
+
+/**
+ * Validate an estimate against the team's estimation scale and return the
+ * point value Linear stores. T-shirt teams also accept sizes (XS, S, M, ...).
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} teamId - Team ID
+ * @param {number|string} value - Estimate points, or a t-shirt size
+ * @returns {Promise<number>}
+ */
+async function resolveIssueEstimate(client, teamId, value) {
+  const settings = await fetchTeamEstimationSettings(client, teamId);
+  const text = String(value ?? '').trim().toLowerCase();
+
+  if (settings.type === 'notUsed') {
+    throw validationError(`Invalid estimate: ${value}. Estimates are not enabled for team ${settings.key}.`);
+  }
+
+  const scale = ISSUE_ESTIMATE_SCALES[settings.type];
+  if (!scale) {
+    // Unknown estimation type: only enforce what Linear itself requires.
+    if (!/^\d+$/.test(text)) {
+      throw validationError(`Invalid estimate: ${value}. Must be a non-negative integer.`);
+    }
+    return Number(text);
+  }
+
+  const allowed = [
+    ...(settings.allowZero ? [0] : []),
+    ...scale.values,
+    ...(settings.extended ? scale.extended : []),
+  ];
+
+  let points = null;
+  if (settings.type === 'tShirt' && Object.prototype.hasOwnProperty.call(T_SHIRT_ESTIMATE_SIZES, text)) {
+    points = T_SHIRT_ESTIMATE_SIZES[text];
+  } else if (/^\d+$/.test(text)) {
+    points = Number(text);
+  }
+
+  if (points === null || !allowed.includes(points)) {
+    const choices = allowed.map((option) => formatEstimateChoice(settings.type, option)).join(', ');
+    throw validationError(`Invalid estimate: ${value}. Team ${settings.key} uses the ${scale.label} scale: ${choices}.`);
+  }
+
+  return points;
+}
+
+/**
+ * Validate a due date (YYYY-MM-DD). With allowClear, null or "none" clears it.
+ * @returns {string|null}
+ */
+function normalizeIssueDueDate(value, options = {}) {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  if (options.allowClear && (value === null || text.toLowerCase() === 'none')) {
+    return null;
+  }
+
+  const parsed = new Date(`${text}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== text) {
+    throw validationError(`Invalid due date: ${value}. Use YYYY-MM-DD${options.allowClear ? ', or "none" to clear it' : ''}.`);
+  }
+
+  return text;
+}
+
+function formatLocalDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 function formatPriorityLabel(value) {
   if (value === undefined || value === null) {
     return null;
@@ -1981,7 +2714,7 @@ function resolveStateIdFromInput(states, stateInput) {
   const byType = states.find((s) => String(s.type || '').toLowerCase() === lower);
   if (byType) return byType.id;
 
-  throw new Error(`State not found in team workflow: ${target}`);
+  throw notFoundError(`State not found in team workflow: ${target}`);
 }
 
 function resolveProjectMilestoneIdFromInput(milestones, milestoneInput) {
@@ -1995,7 +2728,7 @@ function resolveProjectMilestoneIdFromInput(milestones, milestoneInput) {
   const byName = milestones.find((m) => String(m.name || '').toLowerCase() === lower);
   if (byName) return byName.id;
 
-  throw new Error(`Milestone not found in project: ${target}`);
+  throw notFoundError(`Milestone not found in project: ${target}`);
 }
 
 /**
@@ -2009,7 +2742,7 @@ function resolveProjectMilestoneIdFromInput(milestones, milestoneInput) {
 export async function resolveMilestoneRef(client, milestoneRef, projectId) {
   const ref = String(milestoneRef || '').trim();
   if (!ref) {
-    throw new Error('Missing milestone reference');
+    throw validationError('Missing milestone reference');
   }
 
   // If it's already a Linear ID (UUID format with 16+ hex chars), try to fetch it directly
@@ -2022,7 +2755,7 @@ export async function resolveMilestoneRef(client, milestoneRef, projectId) {
     } catch {
       // fall through to name lookup
     }
-    throw new Error(`Milestone not found: ${ref}`);
+    throw notFoundError(`Milestone not found: ${ref}`);
   }
 
   // Search by name in the project's milestones
@@ -2041,7 +2774,7 @@ export async function resolveMilestoneRef(client, milestoneRef, projectId) {
     return { id: caseInsensitiveMatch.id, name: caseInsensitiveMatch.name };
   }
 
-  throw new Error(`Milestone not found: ${ref}. Available milestones: ${milestones.map((m) => m.name).join(', ')}`);
+  throw notFoundError(`Milestone not found: ${ref}. Available milestones: ${milestones.map((m) => m.name).join(', ')}`);
 }
 
 function normalizeIssueRefList(value) {
@@ -2055,6 +2788,81 @@ function normalizeIssueRefList(value) {
     .filter(Boolean);
 }
 
+const ISSUE_RELATION_REMOVALS = Object.freeze({
+  removeBlockedBy: { type: 'blocks', directions: ['inverse'], label: 'blocked by' },
+  removeBlocking: { type: 'blocks', directions: ['outgoing'], label: 'blocking' },
+  removeRelatedTo: { type: 'related', directions: ['outgoing', 'inverse'], label: 'related' },
+  removeDuplicateOf: { type: 'duplicate', directions: ['outgoing'], label: 'duplicate of' },
+});
+
+/**
+ * Find existing IssueRelation IDs of the given type between two issues.
+ * Outgoing relations are stored on the target issue; inverse ones on the other issue.
+ */
+function findIssueRelationIds(rawIssue, otherIssueId, removal) {
+  const ids = [];
+
+  if (removal.directions.includes('outgoing')) {
+    for (const relation of rawIssue.relations?.nodes || []) {
+      if (relation.type === removal.type && relation.relatedIssue?.id === otherIssueId) {
+        ids.push(relation.id);
+      }
+    }
+  }
+
+  if (removal.directions.includes('inverse')) {
+    for (const relation of rawIssue.inverseRelations?.nodes || []) {
+      if (relation.type === removal.type && relation.issue?.id === otherIssueId) {
+        ids.push(relation.id);
+      }
+    }
+  }
+
+  return ids;
+}
+
+const CYCLE_RELATIVE_REFS = Object.freeze({
+  current: 'isActive',
+  active: 'isActive',
+  next: 'isNext',
+  previous: 'isPrevious',
+  last: 'isPrevious',
+});
+
+/**
+ * Build a CycleFilter from a cycle reference: current/next/previous, cycle number, ID, or name
+ */
+function buildCycleFilter(cycleRef) {
+  const ref = String(cycleRef || '').trim();
+  const relativeField = CYCLE_RELATIVE_REFS[ref.toLowerCase()];
+  if (relativeField) {
+    return { [relativeField]: { eq: true } };
+  }
+
+  if (/^\d+$/.test(ref)) {
+    return { number: { eq: Number.parseInt(ref, 10) } };
+  }
+
+  if (isLinearId(ref)) {
+    return { id: { eq: ref } };
+  }
+
+  return { name: { eqIgnoreCase: ref } };
+}
+
+/**
+ * Human-readable cycle label: the cycle name when set, otherwise "Cycle <number>"
+ * @param {{number: number, name?: string|null}|null} cycle
+ * @returns {string|null}
+ */
+export function formatCycleLabel(cycle) {
+  if (!cycle) return null;
+  if (cycle.name) {
+    return cycle.number !== null && cycle.number !== undefined ? `${cycle.name} (#${cycle.number})` : cycle.name;
+  }
+  return `Cycle ${cycle.number}`;
+}
+
 // ===== QUERY FUNCTIONS =====
 
 /**
@@ -2092,46 +2900,7 @@ export const getViewer = fetchViewer;
  * @returns {Promise<{issues: Array, truncated: boolean}>}
  */
 export async function fetchIssues(client, assigneeId, openStates, limit) {
-  return withLinearErrorHandling(async () => {
-    const filter = {
-      state: { name: { in: openStates } },
-    };
-
-    if (assigneeId) {
-      filter.assignee = { id: { eq: assigneeId } };
-    }
-
-    // Use optimized rawRequest to fetch issues with ALL relations in ONE request
-    const { data } = await executeOptimizedQuery(client, ISSUES_WITH_RELATIONS_QUERY, {
-      first: limit,
-      filter,
-    });
-
-    const nodes = data?.issues?.nodes || [];
-    const pageInfo = data?.issues?.pageInfo;
-    const hasNextPage = pageInfo?.hasNextPage ?? false;
-
-    // Transform raw GraphQL response directly - no lazy loading needed
-    const issues = nodes.map(transformRawIssue);
-
-    debug('Fetched issues (optimized)', {
-      issueCount: issues.length,
-    });
-
-    const truncated = hasNextPage || nodes.length >= limit;
-    if (truncated) {
-      warn('Issues query may be truncated', {
-        limit,
-        returned: nodes.length,
-        hasNextPage,
-      });
-    }
-
-    return {
-      issues,
-      truncated,
-    };
-  }, 'fetchIssues');
+  return searchIssues(client, { assigneeId, states: openStates, limit });
 }
 
 /**
@@ -2145,12 +2914,16 @@ export async function fetchIssues(client, assigneeId, openStates, limit) {
  * @param {string|null} options.assigneeId - Assignee ID to filter by (null = all assignees)
  * @param {string|null} options.teamId - Team ID to filter by (null = all teams)
  * @param {string|null} options.query - Free-text search across issue titles and descriptions
+ * @param {string|null} options.cycleId - Cycle ID to filter by (null = any cycle)
+ * @param {string|null} options.dueBefore - Only issues due on or before this date (YYYY-MM-DD)
+ * @param {boolean} options.overdue - Only open issues whose due date has passed
  * @param {number} options.limit - Maximum number of issues to fetch
- * @returns {Promise<{issues: Array, truncated: boolean}>}
+ * @param {string|null} options.cursor - Pagination cursor (`endCursor` from a previous page)
+ * @returns {Promise<{issues: Array, truncated: boolean, pageInfo: {hasNextPage: boolean, endCursor: string|null}}>}
  */
 export async function fetchIssuesByProject(client, projectId, states, options = {}) {
   return withLinearErrorHandling(async () => {
-    const { assigneeId = null, teamId = null, limit = 20, query = null } = options;
+    const { assigneeId = null, teamId = null, limit = 20, query = null, cycleId = null, cursor = null } = options;
 
     const filter = {
       project: { id: { eq: projectId } },
@@ -2160,6 +2933,18 @@ export async function fetchIssuesByProject(client, projectId, states, options =
       filter.state = { name: { in: states } };
     }
 
+    const dueDateFilter = {};
+    if (options.dueBefore) {
+      dueDateFilter.lte = normalizeIssueDueDate(options.dueBefore);
+    }
+    if (options.overdue) {
+      dueDateFilter.lt = formatLocalDate(new Date());
+      filter.state = { ...filter.state, type: { nin: ['completed', 'canceled'] } };
+    }
+    if (Object.keys(dueDateFilter).length > 0) {
+      filter.dueDate = dueDateFilter;
+    }
+
     if (assigneeId) {
       filter.assignee = { id: { eq: assigneeId } };
     }
@@ -2168,6 +2953,10 @@ export async function fetchIssuesByProject(client, projectId, states, options =
       filter.team = { id: { eq: teamId } };
     }
 
+    if (cycleId) {
+      filter.cycle = { id: { eq: cycleId } };
+    }
+
     if (query) {
       filter.or = [
         { title: { contains: query } },
@@ -2179,6 +2968,7 @@ export async function fetchIssuesByProject(client, projectId, states, options =
     // This eliminates the N+1 problem where each issue triggered 5 additional API calls
     const { data } = await executeOptimizedQuery(client, ISSUES_WITH_RELATIONS_QUERY, {
       first: limit,
+      ...(cursor ? { after: cursor } : {}),
       filter,
     });
 
@@ -2208,15 +2998,221 @@ export async function fetchIssuesByProject(client, projectId, states, options =
     return {
       issues,
       truncated,
+      pageInfo: normalizePageInfo(pageInfo),
     };
   }, 'fetchIssuesByProject');
 }
 
+const ISSUE_STATE_TYPES = ['triage', 'backlog', 'unstarted', 'started', 'completed', 'canceled'];
+const ISSUE_STATE_TYPE_ALIASES = Object.freeze({
+  open: ['triage', 'backlog', 'unstarted', 'started'],
+  closed: ['completed', 'canceled'],
+  todo: ['unstarted'],
+  'in-progress': ['started'],
+  done: ['completed'],
+  cancelled: ['canceled'],
+});
+
 /**
- * Fetch all accessible projects from Linear API
- * @param {LinearClient} client - Linear SDK client
- * @param {{ includeArchived?: boolean }} options - Fetch options
- * @returns {Promise<Array<{id: string, name: string}>>}
+ * Normalize state type input (string, comma list, or array) into Linear state types.
+ * Accepts `open` and `closed` as shorthands.
+ */
+function normalizeIssueStateTypes(value) {
+  const rawTypes = normalizeIssueRefList(value).map((type) => type.toLowerCase());
+  const types = [];
+
+  for (const rawType of rawTypes) {
+    const expanded = ISSUE_STATE_TYPE_ALIASES[rawType] || [rawType];
+    for (const type of expanded) {
+      if (!ISSUE_STATE_TYPES.includes(type)) {
+        const allowed = [...ISSUE_STATE_TYPES, ...Object.keys(ISSUE_STATE_TYPE_ALIASES)].join(', ');
+        throw validationError(`Invalid state type: ${rawType}. Use one of: ${allowed}`);
+      }
+      if (!types.includes(type)) types.push(type);
+    }
+  }
+
+  return types;
+}
+
+/**
+ * Validate a date filter value. Linear accepts ISO dates/timestamps and
+ * ISO 8601 durations relative to now (e.g. `-P2W` for "two weeks ago").
+ */
+function normalizeIssueDateFilter(value, fieldName) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+
+  if (/^-?P(?:\d+[YMWD])*(?:T(?:\d+[HMS])+)?$/i.test(text) && text.length > 2) {
+    return text.toUpperCase();
+  }
+
+  if (Number.isNaN(Date.parse(text))) {
+    throw validationError(`Invalid ${fieldName} date: ${value}. Use YYYY-MM-DD, an ISO timestamp, or an ISO 8601 duration like -P2W.`);
+  }
+
+  return text;
+}
+
+function buildDateRangeComparator(after, before, fieldPrefix) {
+  const gte = normalizeIssueDateFilter(after, `${fieldPrefix}After`);
+  const lte = normalizeIssueDateFilter(before, `${fieldPrefix}Before`);
+  if (!gte && !lte) return null;
+
+  const comparator = {};
+  if (gte) comparator.gte = gte;
+  if (lte) comparator.lte = lte;
+  return comparator;
+}
+
+/**
+ * Build a Linear IssueFilter from search criteria. Every criterion is optional;
+ * combined criteria are ANDed together.
+ */
+function buildIssueSearchFilter(criteria = {}) {
+  const filter = {};
+  const and = [];
+
+  if (criteria.projectId) {
+    filter.project = { id: { eq: criteria.projectId } };
+  }
+
+  if (criteria.teamId) {
+    filter.team = { id: { eq: criteria.teamId } };
+  }
+
+  if (criteria.unassigned) {
+    filter.assignee = { null: true };
+  } else if (criteria.assigneeId) {
+    filter.assignee = { id: { eq: criteria.assigneeId } };
+  }
+
+  const stateFilter = {};
+  if (criteria.states && criteria.states.length > 0) {
+    stateFilter.name = { in: criteria.states };
+  }
+  const stateTypes = normalizeIssueStateTypes(criteria.stateTypes);
+  if (stateTypes.length > 0) {
+    stateFilter.type = { in: stateTypes };
+  }
+  if (Object.keys(stateFilter).length > 0) {
+    filter.state = stateFilter;
+  }
+
+  for (const labelRef of normalizeIssueRefList(criteria.labels)) {
+    and.push({
+      labels: {
+        some: isLinearId(labelRef)
+          ? { id: { eq: labelRef } }
+          : { name: { eqIgnoreCase: labelRef } },
+      },
+    });
+  }
+
+  // Numeric 0 ("No priority") is a valid filter, so don't route through normalizeIssueRefList.
+  const priorityInputs = criteria.priority === undefined || criteria.priority === null
+    ? []
+    : (Array.isArray(criteria.priority) ? criteria.priority : String(criteria.priority).split(','));
+  const priorities = priorityInputs
+    .filter((value) => String(value).trim() !== '')
+    .map((value) => parseIssuePriority(typeof value === 'number' ? value : String(value).trim()));
+  if (priorities.length === 1) {
+    filter.priority = { eq: priorities[0] };
+  } else if (priorities.length > 1) {
+    filter.priority = { in: [...new Set(priorities)] };
+  }
+
+  if (criteria.cycleId) {
+    filter.cycle = { id: { eq: criteria.cycleId } };
+  }
+
+  const createdAt = buildDateRangeComparator(criteria.createdAfter, criteria.createdBefore, 'created');
+  if (createdAt) filter.createdAt = createdAt;
+
+  const updatedAt = buildDateRangeComparator(criteria.updatedAfter, criteria.updatedBefore, 'updated');
+  if (updatedAt) filter.updatedAt = updatedAt;
+
+  if (criteria.query) {
+    filter.or = [
+      { title: { contains: criteria.query } },
+      { description: { contains: criteria.query } },
+    ];
+  }
+
+  if (and.length > 0) {
+    filter.and = and;
+  }
+
+  return filter;
+}
+
+/**
+ * Search issues across the workspace without requiring a project
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} criteria
+ * @param {string|null} criteria.projectId - Project ID to filter by
+ * @param {string|null} criteria.teamId - Team ID to filter by
+ * @param {string|null} criteria.assigneeId - Assignee ID to filter by
+ * @param {boolean} criteria.unassigned - Only issues without an assignee
+ * @param {Array<string>|null} criteria.states - State names to include
+ * @param {Array<string>|string|null} criteria.stateTypes - State types (backlog, unstarted, started, completed, canceled, or open/closed)
+ * @param {Array<string>|string|null} criteria.labels - Label names or IDs; issues must have all of them
+ * @param {Array<string|number>|string|number|null} criteria.priority - Priority value(s) or names
+ * @param {string|null} criteria.cycleId - Cycle ID to filter by
+ * @param {string|null} criteria.createdAfter - Created on/after (ISO date or duration like -P2W)
+ * @param {string|null} criteria.createdBefore - Created on/before
+ * @param {string|null} criteria.updatedAfter - Updated on/after
+ * @param {string|null} criteria.updatedBefore - Updated on/before
+ * @param {string|null} criteria.query - Free-text search across issue titles and descriptions
+ * @param {number} criteria.limit - Maximum number of issues to fetch
+ * @param {string|null} criteria.cursor - Pagination cursor (`endCursor` from a previous page)
+ * @returns {Promise<{issues: Array, truncated: boolean, pageInfo: {hasNextPage: boolean, endCursor: string|null}}>}
+ */
+export async function searchIssues(client, criteria = {}) {
+  return withLinearErrorHandling(async () => {
+    const limit = criteria.limit || 20;
+    const filter = buildIssueSearchFilter(criteria);
+
+    const { data } = await executeOptimizedQuery(client, ISSUES_WITH_RELATIONS_QUERY, {
+      first: limit,
+      ...(criteria.cursor ? { after: criteria.cursor } : {}),
+      filter,
+    });
+
+    const nodes = data?.issues?.nodes || [];
+    const pageInfo = data?.issues?.pageInfo;
+    const hasNextPage = pageInfo?.hasNextPage ?? false;
+
+    const issues = nodes.map(transformRawIssue);
+
+    debug('Searched issues (optimized)', {
+      filterKeys: Object.keys(filter),
+      issueCount: issues.length,
+      truncated: hasNextPage,
+    });
+
+    const truncated = hasNextPage || nodes.length >= limit;
+    if (truncated) {
+      warn('Issues query may be truncated', {
+        limit,
+        returned: nodes.length,
+        hasNextPage,
+      });
+    }
+
+    return {
+      issues,
+      truncated,
+      pageInfo: normalizePageInfo(pageInfo),
+    };
+  }, 'searchIssues');
+}
+
+/**
+ * Fetch all accessible projects from Linear API
+ * @param {LinearClient} client - Linear SDK client
+ * @param {{ includeArchived?: boolean }} options - Fetch options
+ * @returns {Promise<Array<{id: string, name: string}>>}
  */
 export async function fetchProjects(client, options = {}) {
   return withLinearErrorHandling(async () => {
@@ -2267,7 +3263,7 @@ export async function fetchProjectDetails(client, projectRef, options = {}) {
     });
 
     if (!data?.project) {
-      throw new Error(`Project not found: ${projectRef}`);
+      throw notFoundError(`Project not found: ${projectRef}`);
     }
 
     return transformProject(data.project);
@@ -2333,7 +3329,7 @@ export async function fetchTeams(client) {
 export async function resolveTeamRef(client, teamRef) {
   const ref = String(teamRef || '').trim();
   if (!ref) {
-    throw new Error('Missing team reference');
+    throw validationError('Missing team reference');
   }
 
   // If it looks like a Linear ID (UUID), try a minimal GraphQL lookup first.
@@ -2352,7 +3348,7 @@ export async function resolveTeamRef(client, teamRef) {
     if (byId) {
       return byId;
     }
-    throw new Error(`Team not found with ID: ${ref}`);
+    throw notFoundError(`Team not found with ID: ${ref}`);
   }
 
   const teams = await fetchTeams(client);
@@ -2378,7 +3374,148 @@ export async function resolveTeamRef(client, teamRef) {
     return insensitiveMatch;
   }
 
-  throw new Error(`Team not found: ${ref}. Available teams: ${teams.map((t) => `${t.key} (${t.name})`).join(', ')}`);
+  throw notFoundError(`Team not found: ${ref}. Available teams: ${teams.map((t) => `${t.key} (${t.name})`).join(', ')}`);
+}
+
+function transformUser(user) {
+  if (!user) return null;
+  return {
+    id: user.id,
+    name: user.name,
+    displayName: user.displayName,
+    email: user.email ?? null,
+    active: user.active ?? true,
+    admin: user.admin ?? false,
+    guest: user.guest ?? false,
+    url: user.url ?? null,
+  };
+}
+
+/**
+ * Fetch workspace users (active members only unless includeDisabled is set)
+ * @param {LinearClient} client - Linear SDK client
+ * @param {{ includeDisabled?: boolean }} options - Fetch options
+ * @returns {Promise<Array<{id: string, name: string, displayName: string, email: string|null, active: boolean}>>}
+ */
+export async function fetchUsers(client, options = {}) {
+  return withLinearErrorHandling(async () => {
+    const includeDisabled = options.includeDisabled === true;
+    const cacheKey = `${getClientCacheKey(client)}::users::${includeDisabled ? 'all' : 'active'}`;
+    const cached = getCache(usersCache, cacheKey);
+    if (cached) return cached;
+
+    const users = [];
+    let after = null;
+    do {
+      const data = await executeGraphQL(client, USERS_QUERY, { first: 250, after, includeDisabled });
+      const connection = data?.users;
+      users.push(...(connection?.nodes ?? []).map(transformUser));
+      after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after);
+
+    debug('Fetched Linear users', { userCount: users.length, includeDisabled });
+
+    setCache(usersCache, cacheKey, users, CACHE_TTL_MS.users);
+    return users;
+  }, 'fetchUsers');
+}
+
+/**
+ * Fetch a single user by ID
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User with name, display name, email and role flags
+ */
+export async function fetchUser(client, userId) {
+  return withLinearErrorHandling(async () => {
+    const data = await executeGraphQL(client, USER_MINIMAL_QUERY, { id: userId });
+    if (!data?.user) {
+      throw notFoundError(`User not found with ID: ${userId}`);
+    }
+    return transformUser(data.user);
+  }, 'fetchUser');
+}
+
+function formatUserChoice(user) {
+  return user.email ? `${user.displayName} (${user.email})` : user.displayName;
+}
+
+function pickUniqueUser(matches, ref) {
+  if (matches.length === 1) {
+    return matches[0];
+  }
+  if (matches.length > 1) {
+    throw validationError(`Multiple users match "${ref}": ${matches.map(formatUserChoice).join(', ')}. Use an email or user ID instead.`);
+  }
+  return null;
+}
+
+/**
+ * Resolve a user reference to a user object.
+ *
+ * Accepts "me", a user ID, an email address, a display name or name, and
+ * finally a case-insensitive partial match on name, display name or email.
+ * Name matches that hit more than one user are rejected as ambiguous.
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} userRef - "me", user ID, email, display name, or (partial) name
+ * @returns {Promise<{id: string, name: string, displayName: string, email?: string|null}>} For "me", the viewer (id and names only)
+ */
+export async function resolveUserRef(client, userRef) {
+  const ref = String(userRef || '').trim();
+  if (!ref) {
+    throw validationError('Missing user reference');
+  }
+
+  if (ref.toLowerCase() === 'me') {
+    return fetchViewer(client);
+  }
+
+  if (isLinearId(ref)) {
+    try {
+      return await fetchUser(client, ref);
+    } catch {
+      // fall back to cached/full-user lookup below
+    }
+
+    const users = await fetchUsers(client, { includeDisabled: true });
+    const byId = users.find((u) => u.id === ref);
+    if (byId) {
+      return byId;
+    }
+    throw notFoundError(`User not found with ID: ${ref}`);
+  }
+
+  const users = await fetchUsers(client);
+  const lowerRef = ref.toLowerCase();
+
+  if (ref.includes('@')) {
+    const byEmail = users.find((u) => u.email?.toLowerCase() === lowerRef);
+    if (byEmail) {
+      return byEmail;
+    }
+    throw notFoundError(`User not found: ${ref}`);
+  }
+
+  // Exact display name (handle) or full name, case-insensitive
+  const exact = pickUniqueUser(
+    users.filter((u) => u.displayName?.toLowerCase() === lowerRef || u.name?.toLowerCase() === lowerRef),
+    ref
+  );
+  if (exact) {
+    return exact;
+  }
+
+  // Partial match on name, display name or the email's local part
+  const fuzzy = pickUniqueUser(
+    users.filter((u) => [u.name, u.displayName, u.email?.split('@')[0]]
+      .some((value) => value?.toLowerCase().includes(lowerRef))),
+    ref
+  );
+  if (fuzzy) {
+    return fuzzy;
+  }
+
+  throw notFoundError(`User not found: ${ref}`);
 }
 
 /**
@@ -2400,10 +3537,71 @@ export async function resolveIssue(client, issueRef) {
       // Fall through to not-found error below
     }
 
-    throw new Error(`Issue not found: ${lookup}`);
+    throw notFoundError(`Issue not found: ${lookup}`);
   }, 'resolveIssue');
 }
 
+/**
+ * Extract an issue identifier (e.g. ENG-123) from a git branch name.
+ * Only known team keys are matched, so branch names like "release-2" are ignored.
+ * @param {string} branchName - Git branch name, e.g. "ada/eng-123-fix-login"
+ * @param {string[]} teamKeys - Team keys to look for
+ * @returns {string|null} Identifier using the team's key casing, or null
+ */
+export function parseIssueIdentifierFromBranch(branchName, teamKeys = []) {
+  const branch = String(branchName || '').trim();
+  const keys = teamKeys
+    .map((key) => String(key || '').trim())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  if (!branch || keys.length === 0) return null;
+
+  const alternation = keys.map((key) => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  const pattern = new RegExp(`(?:^|[^A-Za-z0-9])(${alternation})-(\\d+)(?![0-9])`, 'i');
+  const match = branch.match(pattern);
+  if (!match) return null;
+
+  const key = keys.find((candidate) => candidate.toLowerCase() === match[1].toLowerCase());
+  return `${key}-${Number.parseInt(match[2], 10)}`;
+}
+
+async function fetchIssueByBranchName(client, branchName) {
+  if (getRawRequest(client)) {
+    const data = await executeGraphQL(client, ISSUE_BY_BRANCH_QUERY, { branchName });
+    return transformRawIssue(data?.issueVcsBranchSearch ?? null);
+  }
+
+  const sdkIssue = await client.issueVcsBranchSearch?.(branchName);
+  return sdkIssue ? transformIssue(sdkIssue) : null;
+}
+
+/**
+ * Find the issue a git branch belongs to.
+ * Tries the identifier embedded in the branch name first, then Linear's
+ * branch name lookup (which also matches custom branch names).
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} branchName - Git branch name
+ * @returns {Promise<{issue: Object, matchedBy: 'identifier'|'branchName'}|null>}
+ */
+export async function findIssueByBranch(client, branchName) {
+  return withLinearErrorHandling(async () => {
+    const branch = String(branchName || '').trim();
+    if (!branch) throw validationError('Missing branch name');
+
+    const teams = await fetchTeams(client);
+    const identifier = parseIssueIdentifierFromBranch(branch, teams.map((team) => team.key));
+    if (identifier) {
+      const issue = await fetchIssueMinimal(client, identifier).catch(() => null);
+      if (issue) {
+        return { issue, matchedBy: 'identifier' };
+      }
+    }
+
+    const issue = await fetchIssueByBranchName(client, branch);
+    return issue ? { issue, matchedBy: 'branchName' } : null;
+  }, 'findIssueByBranch');
+}
+
 /**
  * Get workflow states for a team
  * @param {LinearClient} client - Linear SDK client
@@ -2418,7 +3616,7 @@ export async function getTeamWorkflowStates(client, teamRef) {
 
     const mapped = await fetchTeamStatesByQuery(client, teamRef);
     if (!mapped) {
-      throw new Error(`Team not found: ${teamRef}`);
+      throw notFoundError(`Team not found: ${teamRef}`);
     }
 
     setCache(teamStatesCache, cacheKey, mapped, CACHE_TTL_MS.teamStates);
@@ -2426,6 +3624,121 @@ export async function getTeamWorkflowStates(client, teamRef) {
   }, 'getTeamWorkflowStates');
 }
 
+/**
+ * Fetch cycles for a team, ordered by cycle number
+ *
+ * Linear can only order cycles by creation or update time, so every matching cycle
+ * is fetched and the window is picked by number: the latest `limit` cycles with
+ * `includePast`, otherwise the current cycle and the nearest upcoming ones.
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} teamId - Team ID
+ * @param {Object} options
+ * @param {boolean} [options.includePast=false] - Include completed cycles
+ * @param {number} [options.limit=25] - Maximum number of cycles to return
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchTeamCycles(client, teamId, options = {}) {
+  return withLinearErrorHandling(async () => {
+    const { includePast = false } = options;
+    const limit = normalizePositiveInteger(options.limit, 'limit', 25);
+
+    const filter = { team: { id: { eq: teamId } } };
+    if (!includePast) {
+      filter.isPast = { eq: false };
+    }
+
+    const cycles = [];
+    let after = null;
+    do {
+      const data = await executeGraphQL(client, CYCLES_QUERY, { first: 250, after, filter });
+      const connection = data?.cycles;
+      cycles.push(...(connection?.nodes ?? []).map(transformRawCycle));
+      after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after);
+
+    cycles.sort((a, b) => a.number - b.number);
+    return includePast ? cycles.slice(-limit) : cycles.slice(0, limit);
+  }, 'fetchTeamCycles');
+}
+
+/**
+ * Resolve a cycle reference within a team
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string|number} cycleRef - "current", "next", "previous", cycle number, cycle name, or cycle ID
+ * @param {string} teamId - Team ID the cycle belongs to
+ * @returns {Promise<Object>} Resolved cycle
+ */
+export async function resolveCycleRef(client, cycleRef, teamId) {
+  return withLinearErrorHandling(async () => {
+    const ref = String(cycleRef ?? '').trim();
+    if (!ref) {
+      throw validationError('Missing cycle reference');
+    }
+
+    const filter = {
+      ...buildCycleFilter(ref),
+      team: { id: { eq: teamId } },
+    };
+
+    const data = await executeGraphQL(client, CYCLES_QUERY, { first: 1, filter });
+    const cycle = transformRawCycle(data?.cycles?.nodes?.[0] ?? null);
+    if (!cycle) {
+      throw notFoundError(`Cycle not found: ${ref}. Use current, next, previous, a cycle number, name, or ID.`);
+    }
+
+    return cycle;
+  }, 'resolveCycleRef');
+}
+
+/**
+ * Fetch cycle details with its issues and scope counts
+ * OPTIMIZED: Fetches the cycle and all issue state/assignee data in ONE request
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} cycleId - Cycle ID
+ * @returns {Promise<Object>} Cycle details with issues and counts
+ */
+export async function fetchCycleDetails(client, cycleId) {
+  return withLinearErrorHandling(async () => {
+    const data = await executeGraphQL(client, CYCLE_DETAILS_QUERY, {
+      id: cycleId,
+      issueLimit: 250,
+    });
+
+    const raw = data?.cycle;
+    if (!raw) {
+      throw notFoundError(`Cycle not found: ${cycleId}`);
+    }
+
+    const issues = (raw.issues?.nodes || []).map((issue) => ({
+      id: issue.id,
+      identifier: issue.identifier,
+      title: issue.title,
+      state: issue.state ? { id: issue.state.id, name: issue.state.name, color: issue.state.color ?? null, type: issue.state.type } : null,
+      assignee: issue.assignee ? { id: issue.assignee.id, name: issue.assignee.name, displayName: issue.assignee.displayName } : null,
+      priority: issue.priority ?? null,
+      estimate: issue.estimate ?? null,
+    }));
+
+    const countByType = (type) => issues.filter((issue) => issue.state?.type === type).length;
+    const canceledCount = countByType('canceled');
+
+    return {
+      ...transformRawCycle(raw),
+      issues,
+      truncated: raw.issues?.pageInfo?.hasNextPage ?? false,
+      counts: {
+        scope: issues.length - canceledCount,
+        completed: countByType('completed'),
+        inProgress: countByType('started'),
+        canceled: canceledCount,
+        estimate: issues
+          .filter((issue) => issue.state?.type !== 'canceled')
+          .reduce((sum, issue) => sum + (issue.estimate || 0), 0),
+      },
+    };
+  }, 'fetchCycleDetails');
+}
+
 /**
  * Resolve a project reference (name or ID) to a project object
  * @param {LinearClient} client - Linear SDK client
@@ -2437,7 +3750,7 @@ export async function resolveProjectRef(client, projectRef, options = {}) {
   const ref = String(projectRef || '').trim();
   const { includeArchived = false } = options;
   if (!ref) {
-    throw new Error('Missing project reference');
+    throw validationError('Missing project reference');
   }
 
   // If it looks like a Linear ID (UUID), try a minimal GraphQL lookup first.
@@ -2456,7 +3769,7 @@ export async function resolveProjectRef(client, projectRef, options = {}) {
     if (byId) {
       return byId;
     }
-    throw new Error(`Project not found with ID: ${ref}`);
+    throw notFoundError(`Project not found with ID: ${ref}`);
   }
 
   const lookupCandidates = getProjectLookupCandidates(ref);
@@ -2493,14 +3806,14 @@ export async function resolveProjectRef(client, projectRef, options = {}) {
     return insensitiveSlug;
   }
 
-  throw new Error(`Project not found: ${ref}. Available projects: ${projects.map((p) => p.name).join(', ')}`);
+  throw notFoundError(`Project not found: ${ref}. Available projects: ${projects.map((p) => p.name).join(', ')}`);
 }
 
 export async function createProject(client, input) {
   return withLinearErrorHandling(async () => {
     const name = String(input.name || '').trim();
     if (!name) {
-      throw new Error('Missing required field: name');
+      throw validationError('Missing required field: name');
     }
 
     const teamIds = Array.isArray(input.teamIds)
@@ -2508,7 +3821,7 @@ export async function createProject(client, input) {
       : [];
 
     if (teamIds.length === 0) {
-      throw new Error('Missing required field: teamIds');
+      throw validationError('Missing required field: teamIds');
     }
 
     const createInput = {
@@ -2563,7 +3876,7 @@ export async function updateProject(client, projectRef, patch = {}) {
     }
 
     if (Object.keys(updateInput).length === 0) {
-      throw new Error('No update fields provided');
+      throw validationError('No update fields provided');
     }
 
     const payload = await executeGraphQL(client, PROJECT_UPDATE_MUTATION, {
@@ -2662,6 +3975,7 @@ export async function fetchProjectUpdates(client, projectRef, options = {}) {
     const data = await executeGraphQL(client, PROJECT_UPDATES_BY_PROJECT_QUERY, {
       id: resolved.id,
       first: limit,
+      ...(options.cursor ? { after: options.cursor } : {}),
       includeArchived,
     });
 
@@ -2672,6 +3986,7 @@ export async function fetchProjectUpdates(client, projectRef, options = {}) {
         name: data?.project?.name || resolved.name,
       },
       updates: nodes.map(transformProjectUpdate),
+      pageInfo: normalizePageInfo(data?.project?.projectUpdates?.pageInfo),
     };
   }, 'fetchProjectUpdates');
 }
@@ -2680,13 +3995,13 @@ export async function fetchProjectUpdateDetails(client, projectUpdateId) {
   return withLinearErrorHandling(async () => {
     const id = String(projectUpdateId || '').trim();
     if (!id) {
-      throw new Error('Missing required field: projectUpdate');
+      throw validationError('Missing required field: projectUpdate');
     }
 
     const data = await executeGraphQL(client, PROJECT_UPDATE_DETAILS_QUERY, { id });
 
     if (!data?.projectUpdate) {
-      throw new Error(`Project update not found: ${id}`);
+      throw notFoundError(`Project update not found: ${id}`);
     }
 
     return transformProjectUpdate(data.projectUpdate);
@@ -2697,7 +4012,7 @@ export async function createProjectUpdate(client, input) {
   return withLinearErrorHandling(async () => {
     const projectId = String(input.projectId || '').trim();
     if (!projectId) {
-      throw new Error('Missing required field: projectId');
+      throw validationError('Missing required field: projectId');
     }
 
     const createInput = { projectId };
@@ -2706,7 +4021,7 @@ export async function createProjectUpdate(client, input) {
     if (input.isDiffHidden !== undefined) createInput.isDiffHidden = input.isDiffHidden;
 
     if (createInput.body === undefined && createInput.health === undefined) {
-      throw new Error('At least one of body or health is required');
+      throw validationError('At least one of body or health is required');
     }
 
     const payload = await executeGraphQL(client, PROJECT_UPDATE_CREATE_MUTATION, {
@@ -2725,7 +4040,7 @@ export async function updateProjectUpdate(client, projectUpdateId, patch = {}) {
   return withLinearErrorHandling(async () => {
     const id = String(projectUpdateId || '').trim();
     if (!id) {
-      throw new Error('Missing required field: projectUpdate');
+      throw validationError('Missing required field: projectUpdate');
     }
 
     const updateInput = {};
@@ -2734,7 +4049,7 @@ export async function updateProjectUpdate(client, projectUpdateId, patch = {}) {
     if (patch.isDiffHidden !== undefined) updateInput.isDiffHidden = patch.isDiffHidden;
 
     if (Object.keys(updateInput).length === 0) {
-      throw new Error('No update fields provided');
+      throw validationError('No update fields provided');
     }
 
     const payload = await executeGraphQL(client, PROJECT_UPDATE_UPDATE_MUTATION, {
@@ -2758,7 +4073,7 @@ export async function archiveProjectUpdate(client, projectUpdateId) {
   return withLinearErrorHandling(async () => {
     const id = String(projectUpdateId || '').trim();
     if (!id) {
-      throw new Error('Missing required field: projectUpdate');
+      throw validationError('Missing required field: projectUpdate');
     }
 
     const payload = await executeGraphQL(client, PROJECT_UPDATE_ARCHIVE_MUTATION, { id });
@@ -2777,7 +4092,7 @@ export async function unarchiveProjectUpdate(client, projectUpdateId) {
   return withLinearErrorHandling(async () => {
     const id = String(projectUpdateId || '').trim();
     if (!id) {
-      throw new Error('Missing required field: projectUpdate');
+      throw validationError('Missing required field: projectUpdate');
     }
 
     const payload = await executeGraphQL(client, PROJECT_UPDATE_UNARCHIVE_MUTATION, { id });
@@ -2797,13 +4112,13 @@ export async function fetchDocumentDetails(client, documentRef) {
   return withLinearErrorHandling(async () => {
     const id = String(documentRef || '').trim();
     if (!id) {
-      throw new Error('Missing required field: document');
+      throw validationError('Missing required field: document');
     }
 
     const data = await executeGraphQL(client, DOCUMENT_DETAILS_QUERY, { id });
 
     if (!data?.document) {
-      throw new Error(`Document not found: ${id}`);
+      throw notFoundError(`Document not found: ${id}`);
     }
 
     return transformDocument(data.document);
@@ -2814,7 +4129,7 @@ export async function createDocument(client, input = {}) {
   return withLinearErrorHandling(async () => {
     const title = String(input.title || '').trim();
     if (!title) {
-      throw new Error('Missing required field: title');
+      throw validationError('Missing required field: title');
     }
 
     const createInput = { title };
@@ -2822,7 +4137,7 @@ export async function createDocument(client, input = {}) {
     if (input.issueId !== undefined) createInput.issueId = input.issueId;
 
     if (!createInput.projectId && !createInput.issueId) {
-      throw new Error('Document create requires either projectId or issueId');
+      throw validationError('Document create requires either projectId or issueId');
     }
 
     for (const field of ['content', 'icon', 'color']) {
@@ -2847,7 +4162,7 @@ export async function updateDocument(client, documentRef, patch = {}) {
   return withLinearErrorHandling(async () => {
     const id = String(documentRef || '').trim();
     if (!id) {
-      throw new Error('Missing required field: document');
+      throw validationError('Missing required field: document');
     }
 
     const updateInput = {};
@@ -2858,7 +4173,7 @@ export async function updateDocument(client, documentRef, patch = {}) {
     }
 
     if (Object.keys(updateInput).length === 0) {
-      throw new Error('No update fields provided');
+      throw validationError('No update fields provided');
     }
 
     const payload = await executeGraphQL(client, DOCUMENT_UPDATE_MUTATION, {
@@ -2870,12 +4185,138 @@ export async function updateDocument(client, documentRef, patch = {}) {
       throw new Error('Failed to update document');
     }
 
-    const document = await fetchDocumentDetails(client, payload.documentUpdate.document.id);
-    return {
-      document,
-      changed: Object.keys(updateInput),
-    };
-  }, 'updateDocument');
+    const document = await fetchDocumentDetails(client, payload.documentUpdate.document.id);
+    return {
+      document,
+      changed: Object.keys(updateInput),
+    };
+  }, 'updateDocument');
+}
+
+/**
+ * List documents attached to a project or an issue, most recently updated first
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} options
+ * @param {string} [options.projectId] - Project ID
+ * @param {string} [options.issueId] - Issue ID
+ * @param {number} [options.limit=25] - Page size
+ * @param {string} [options.cursor] - Cursor from a previous page
+ * @param {boolean} [options.includeArchived=false] - Include archived (trashed) documents
+ * @returns {Promise<{documents: Array<Object>, pageInfo: {hasNextPage: boolean, endCursor: string|null}}>}
+ */
+export async function fetchDocuments(client, options = {}) {
+  return withLinearErrorHandling(async () => {
+    const limit = normalizePositiveInteger(options.limit, 'limit', 25);
+    const filter = {};
+    if (options.projectId) filter.project = { id: { eq: options.projectId } };
+    if (options.issueId) filter.issue = { id: { eq: options.issueId } };
+
+    if (Object.keys(filter).length === 0) {
+      throw validationError('Document list requires either projectId or issueId');
+    }
+
+    const data = await executeGraphQL(client, DOCUMENTS_QUERY, {
+      first: limit,
+      ...(options.cursor ? { after: options.cursor } : {}),
+      filter,
+      includeArchived: options.includeArchived === true,
+    });
+
+    return {
+      documents: (data?.documents?.nodes || []).map(transformDocument),
+      pageInfo: normalizePageInfo(data?.documents?.pageInfo),
+    };
+  }, 'fetchDocuments');
+}
+
+/**
+ * Full-text search across all documents in the workspace
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} term - Search term
+ * @param {Object} options - Same paging options as fetchDocuments
+ * @returns {Promise<{documents: Array<Object>, pageInfo: {hasNextPage: boolean, endCursor: string|null}}>}
+ */
+export async function searchDocuments(client, term, options = {}) {
+  return withLinearErrorHandling(async () => {
+    const searchTerm = String(term || '').trim();
+    if (!searchTerm) {
+      throw validationError('Missing required field: query');
+    }
+
+    const limit = normalizePositiveInteger(options.limit, 'limit', 25);
+    const data = await executeGraphQL(client, DOCUMENT_SEARCH_QUERY, {
+      term: searchTerm,
+      first: limit,
+      ...(options.cursor ? { after: options.cursor } : {}),
+      includeArchived: options.includeArchived === true,
+    });
+
+    return {
+      documents: (data?.searchDocuments?.nodes || []).map(transformDocument),
+      pageInfo: normalizePageInfo(data?.searchDocuments?.pageInfo),
+    };
+  }, 'searchDocuments');
+}
+
+export async function archiveDocument(client, documentRef) {
+  return withLinearErrorHandling(async () => {
+    const id = String(documentRef || '').trim();
+    if (!id) {
+      throw validationError('Missing required field: document');
+    }
+
+    const payload = await executeGraphQL(client, DOCUMENT_ARCHIVE_MUTATION, { id });
+    if (!payload?.documentDelete?.success) {
+      throw new Error('Failed to archive document');
+    }
+
+    return {
+      success: true,
+      documentId: payload.documentDelete.entity?.id || id,
+    };
+  }, 'archiveDocument');
+}
+
+/**
+ * Upload a file to Linear's file storage
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} file
+ * @param {string} file.filename - File name shown in Linear
+ * @param {string} file.contentType - MIME type
+ * @param {Buffer} file.data - File contents
+ * @returns {Promise<{assetUrl: string}>} URL to reference the file from markdown
+ */
+export async function uploadFile(client, file = {}) {
+  return withLinearErrorHandling(async () => {
+    const filename = String(file.filename || '').trim();
+    if (!filename) {
+      throw validationError('Missing required field: filename');
+    }
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data || '');
+    const contentType = file.contentType || 'application/octet-stream';
+
+    const payload = await executeGraphQL(client, FILE_UPLOAD_MUTATION, {
+      contentType,
+      filename,
+      size: data.length,
+    });
+    const upload = payload?.fileUpload?.uploadFile;
+    if (!payload?.fileUpload?.success || !upload?.uploadUrl || !upload?.assetUrl) {
+      throw new Error(`Failed to request upload URL for ${filename}`);
+    }
+
+    const headers = { 'content-type': contentType, 'cache-control': 'public, max-age=31536000' };
+    for (const header of upload.headers || []) {
+      headers[header.key] = header.value;
+    }
+
+    const response = await fetch(upload.uploadUrl, { method: 'PUT', headers, body: data });
+    if (!response.ok) {
+      throw new Error(`Failed to upload ${filename}: HTTP ${response.status} ${response.statusText}`);
+    }
+
+    return { assetUrl: upload.assetUrl };
+  }, 'uploadFile');
 }
 
 /**
@@ -2893,7 +4334,7 @@ async function fetchIssueDetailsViaSdk(client, issueRef, options = {}) {
   const sdkIssue = await client.issue(lookup);
 
   if (!sdkIssue) {
-    throw new Error(`Issue not found: ${lookup}`);
+    throw notFoundError(`Issue not found: ${lookup}`);
   }
 
   const [
@@ -2904,10 +4345,13 @@ async function fetchIssueDetailsViaSdk(client, issueRef, options = {}) {
     assignee,
     creator,
     labelsResult,
+    subscribersResult,
     parent,
     childrenResult,
     commentsResult,
     attachmentsResult,
+    relationsResult,
+    inverseRelationsResult,
   ] = await Promise.all([
     sdkIssue.state?.catch?.(() => null) ?? sdkIssue.state,
     sdkIssue.team?.catch?.(() => null) ?? sdkIssue.team,
@@ -2916,10 +4360,13 @@ async function fetchIssueDetailsViaSdk(client, issueRef, options = {}) {
     sdkIssue.assignee?.catch?.(() => null) ?? sdkIssue.assignee,
     sdkIssue.creator?.catch?.(() => null) ?? sdkIssue.creator,
     sdkIssue.labels?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.labels?.() ?? { nodes: [] },
+    sdkIssue.subscribers?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.subscribers?.() ?? { nodes: [] },
     sdkIssue.parent?.catch?.(() => null) ?? sdkIssue.parent,
     sdkIssue.children?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.children?.() ?? { nodes: [] },
     includeComments ? (sdkIssue.comments?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.comments?.() ?? { nodes: [] }) : Promise.resolve({ nodes: [] }),
     sdkIssue.attachments?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.attachments?.() ?? { nodes: [] },
+    sdkIssue.relations?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.relations?.() ?? { nodes: [] },
+    sdkIssue.inverseRelations?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.inverseRelations?.() ?? { nodes: [] },
   ]);
 
   let transformedParent = null;
@@ -2957,6 +4404,25 @@ async function fetchIssueDetailsViaSdk(client, issueRef, options = {}) {
     createdAt: a.createdAt,
   }));
 
+  // Related issues resolved via the SDK only expose lazy state, so keep identity fields.
+  const pickRelatedIssue = (issue) => (issue ? { id: issue.id, identifier: issue.identifier, title: issue.title } : null);
+  const relations = transformRawIssueRelations({
+    relations: {
+      nodes: await Promise.all((relationsResult.nodes || []).map(async (r) => ({
+        id: r.id,
+        type: r.type,
+        relatedIssue: pickRelatedIssue(await (r.relatedIssue?.catch?.(() => null) ?? r.relatedIssue)),
+      }))),
+    },
+    inverseRelations: {
+      nodes: await Promise.all((inverseRelationsResult.nodes || []).map(async (r) => ({
+        id: r.id,
+        type: r.type,
+        issue: pickRelatedIssue(await (r.issue?.catch?.(() => null) ?? r.issue)),
+      }))),
+    },
+  });
+
   const labels = (labelsResult.nodes || []).map(l => ({
     id: l.id,
     name: l.name,
@@ -2971,6 +4437,7 @@ async function fetchIssueDetailsViaSdk(client, issueRef, options = {}) {
     branchName: sdkIssue.branchName,
     priority: sdkIssue.priority,
     estimate: sdkIssue.estimate,
+    dueDate: sdkIssue.dueDate ?? null,
     createdAt: sdkIssue.createdAt,
     updatedAt: sdkIssue.updatedAt,
     state: state ? { name: state.name, color: state.color, type: state.type } : null,
@@ -2980,8 +4447,10 @@ async function fetchIssueDetailsViaSdk(client, issueRef, options = {}) {
     assignee: assignee ? { id: assignee.id, name: assignee.name, displayName: assignee.displayName } : null,
     creator: creator ? { id: creator.id, name: creator.name, displayName: creator.displayName } : null,
     labels,
+    subscribers: (subscribersResult.nodes || []).map(transformIssueSubscriber),
     parent: transformedParent,
     children,
+    relations,
     comments,
     attachments,
   };
@@ -3003,7 +4472,7 @@ export async function fetchIssueDetails(client, issueRef, options = {}) {
     const data = await executeGraphQL(client, query, { id: issueId });
 
     if (!data?.issue) {
-      throw new Error(`Issue not found: ${lookup}`);
+      throw notFoundError(`Issue not found: ${lookup}`);
     }
 
     return transformRawIssueDetails(data.issue, { includeComments });
@@ -3161,7 +4630,7 @@ export async function fetchIssueActivity(client, issueRef, options = {}) {
     });
 
     if (!data?.issue) {
-      throw new Error(`Issue not found: ${issueRef}`);
+      throw notFoundError(`Issue not found: ${issueRef}`);
     }
 
     return {
@@ -3240,7 +4709,7 @@ export async function setIssueState(client, issueId, stateId) {
 
     const refreshed = await fetchIssueMinimalById(client, issueId);
     if (!refreshed) {
-      throw new Error(`Issue not found: ${issueId}`);
+      throw notFoundError(`Issue not found: ${issueId}`);
     }
 
     return refreshed;
@@ -3256,21 +4725,25 @@ export async function setIssueState(client, issueId, stateId) {
  * @param {string} [input.description] - Issue description
  * @param {string} [input.projectId] - Project ID
  * @param {number|string} [input.priority] - Issue priority: 0=None, 1=Urgent, 2=High, 3=Medium, 4=Low; or none/urgent/high/medium/low
+ * @param {number|string} [input.estimate] - Estimate on the team's scale (points, or a t-shirt size)
+ * @param {string} [input.dueDate] - Due date (YYYY-MM-DD)
  * @param {string} [input.assigneeId] - Assignee ID
  * @param {string} [input.projectMilestoneId] - Project milestone ID
+ * @param {string} [input.cycleId] - Cycle ID
  * @param {string} [input.parentId] - Parent issue ID for sub-issues
+ * @param {string[]} [input.subscriberIds] - User IDs to subscribe to the issue
  * @returns {Promise<Object>} Created issue
  */
 export async function createIssue(client, input) {
   return withLinearErrorHandling(async () => {
     const title = String(input.title || '').trim();
     if (!title) {
-      throw new Error('Missing required field: title');
+      throw validationError('Missing required field: title');
     }
 
     const teamId = String(input.teamId || '').trim();
     if (!teamId) {
-      throw new Error('Missing required field: teamId');
+      throw validationError('Missing required field: teamId');
     }
 
     const createInput = {
@@ -3291,11 +4764,11 @@ export async function createIssue(client, input) {
     }
 
     if (input.estimate !== undefined) {
-      const parsed = Number.parseInt(String(input.estimate), 10);
-      if (Number.isNaN(parsed) || parsed < 0) {
-        throw new Error(`Invalid estimate: ${input.estimate}. Must be a non-negative integer.`);
-      }
-      createInput.estimate = parsed;
+      createInput.estimate = await resolveIssueEstimate(client, teamId, input.estimate);
+    }
+
+    if (input.dueDate !== undefined) {
+      createInput.dueDate = normalizeIssueDueDate(input.dueDate);
     }
 
     if (input.assigneeId !== undefined) {
@@ -3314,10 +4787,18 @@ export async function createIssue(client, input) {
       createInput.projectMilestoneId = input.projectMilestoneId;
     }
 
+    if (input.cycleId !== undefined) {
+      createInput.cycleId = input.cycleId;
+    }
+
     if (input.labelIds !== undefined) {
       createInput.labelIds = input.labelIds;
     }
 
+    if (input.subscriberIds !== undefined) {
+      createInput.subscriberIds = input.subscriberIds;
+    }
+
     if (getRawRequest(client)) {
       const payload = await executeGraphQL(client, ISSUE_CREATE_MUTATION, { input: createInput });
       if (!payload?.issueCreate?.success) {
@@ -3398,7 +4879,7 @@ export async function addIssueComment(client, issueRef, body, parentCommentId) {
   return withLinearErrorHandling(async () => {
     const commentBody = String(body || '').trim();
     if (!commentBody) {
-      throw new Error('Missing required comment body');
+      throw validationError('Missing required comment body');
     }
 
     const targetIssue = await resolveIssue(client, issueRef);
@@ -3425,12 +4906,143 @@ export async function addIssueComment(client, issueRef, body, parentCommentId) {
   }, 'addIssueComment');
 }
 
+/**
+ * Order issue comments the way `issue view` renders them: root comments newest
+ * first, each followed by its replies (oldest first, nested by depth). The
+ * 1-based `index` is what users pass to comment-edit/delete/reply.
+ * @param {Array<Object>} comments - Comments with `id`, `createdAt`, and optional `parent.id`
+ * @returns {Array<{index: number, depth: number, comment: Object}>}
+ */
+export function orderIssueComments(comments = []) {
+  const byId = new Map(comments.map((comment) => [comment.id, comment]));
+  const childrenByParent = new Map();
+  const roots = [];
+
+  for (const comment of comments) {
+    const parentId = comment.parent?.id;
+    if (parentId && byId.has(parentId)) {
+      if (!childrenByParent.has(parentId)) {
+        childrenByParent.set(parentId, []);
+      }
+      childrenByParent.get(parentId).push(comment);
+    } else {
+      roots.push(comment);
+    }
+  }
+
+  const byCreatedAt = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+  const ordered = [];
+  const visit = (comment, depth) => {
+    ordered.push({ index: ordered.length + 1, depth, comment });
+    const replies = (childrenByParent.get(comment.id) || []).slice().sort(byCreatedAt);
+    for (const reply of replies) {
+      visit(reply, depth + 1);
+    }
+  };
+
+  for (const root of roots.slice().sort(byCreatedAt).reverse()) {
+    visit(root, 0);
+  }
+
+  return ordered;
+}
+
+/**
+ * Resolve a comment reference to a comment on an issue
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string|null} issueRef - Issue identifier or ID (required for index references)
+ * @param {string|number} commentRef - Comment ID, or 1-based index from `issue view` (e.g. 2 or "#2")
+ * @returns {Promise<{id: string, index: number|null, parentId: string|null, body: string|null, issue: Object|null}>}
+ */
+export async function resolveIssueComment(client, issueRef, commentRef) {
+  return withLinearErrorHandling(async () => {
+    const ref = String(commentRef ?? '').trim();
+    if (!ref) {
+      throw validationError('Missing required field: comment');
+    }
+
+    const indexMatch = ref.match(/^#?(\d+)$/);
+    if (!indexMatch && !issueRef) {
+      return { id: ref, index: null, parentId: null, body: null, issue: null };
+    }
+
+    if (!issueRef) {
+      throw validationError('Missing required field: issue. Comment indexes are relative to an issue; provide issue or a comment ID.');
+    }
+
+    const issueData = await fetchIssueDetails(client, issueRef, { includeComments: true });
+    const ordered = orderIssueComments(issueData.comments || []);
+    const issue = { id: issueData.id ?? null, identifier: issueData.identifier, title: issueData.title };
+
+    const match = indexMatch
+      ? ordered.find((entry) => entry.index === Number.parseInt(indexMatch[1], 10))
+      : ordered.find((entry) => entry.comment.id === ref);
+
+    if (!match) {
+      const label = indexMatch ? `#${indexMatch[1]}` : ref;
+      throw notFoundError(`Comment not found: ${label} on ${issueData.identifier} (${ordered.length} comment${ordered.length === 1 ? '' : 's'})`);
+    }
+
+    return {
+      id: match.comment.id,
+      index: match.index,
+      parentId: match.comment.parent?.id ?? null,
+      body: match.comment.body ?? null,
+      issue,
+    };
+  }, 'resolveIssueComment');
+}
+
+/**
+ * Replace the body of an existing comment
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} commentId - Comment ID
+ * @param {string} body - New comment body (markdown)
+ * @returns {Promise<{id: string, body: string}>}
+ */
+export async function updateIssueComment(client, commentId, body) {
+  return withLinearErrorHandling(async () => {
+    const commentBody = String(body || '').trim();
+    if (!commentBody) {
+      throw validationError('Missing required comment body');
+    }
+
+    const result = await client.updateComment(commentId, { body: commentBody });
+    if (!result.success) {
+      throw new Error('Failed to update comment');
+    }
+
+    const comment = await (result.comment?.catch?.(() => null) ?? result.comment);
+    return {
+      id: comment?.id || commentId,
+      body: comment?.body ?? commentBody,
+    };
+  }, 'updateIssueComment');
+}
+
+/**
+ * Delete a comment
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<{id: string, success: boolean}>}
+ */
+export async function deleteIssueComment(client, commentId) {
+  return withLinearErrorHandling(async () => {
+    const result = await client.deleteComment(commentId);
+    if (!result.success) {
+      throw new Error('Failed to delete comment');
+    }
+
+    return { id: commentId, success: true };
+  }, 'deleteIssueComment');
+}
+
 /**
  * Update an issue
  * @param {LinearClient} client - Linear SDK client
  * @param {string} issueRef - Issue identifier or ID
- * @param {Object} patch - Fields to update
- * @returns {Promise<{issue: Object, changed: Array<string>}>}
+ * @param {Object} patch - Fields to update; `addLabels`/`removeLabels` ([{id, name}]) edit the current labels
+ * @returns {Promise<{issue: Object, changed: Array<string>, labelChanges: Object|null}>}
  */
 function buildFallbackUpdatedIssue(targetIssue, updateInput) {
   const fallback = { ...(targetIssue || {}) };
@@ -3447,6 +5059,9 @@ function buildFallbackUpdatedIssue(targetIssue, updateInput) {
   if (Object.prototype.hasOwnProperty.call(updateInput, 'estimate')) {
     fallback.estimate = updateInput.estimate;
   }
+  if (Object.prototype.hasOwnProperty.call(updateInput, 'dueDate')) {
+    fallback.dueDate = updateInput.dueDate;
+  }
 
   if (Object.prototype.hasOwnProperty.call(updateInput, 'assigneeId')) {
     const assigneeId = updateInput.assigneeId;
@@ -3473,6 +5088,19 @@ function buildFallbackUpdatedIssue(targetIssue, updateInput) {
     }
   }
 
+  if (Object.prototype.hasOwnProperty.call(updateInput, 'cycleId')) {
+    const cycleId = updateInput.cycleId;
+    if (cycleId === null) {
+      fallback.cycle = null;
+    } else if (typeof cycleId === 'string' && cycleId.trim()) {
+      fallback.cycle = {
+        id: cycleId,
+        number: null,
+        name: 'Unknown',
+      };
+    }
+  }
+
   return fallback;
 }
 
@@ -3493,12 +5121,18 @@ export async function updateIssue(client, issueRef, patch = {}, options = {}) {
       assigneeId: patch.assigneeId,
       milestone: patch.milestone,
       projectMilestoneId: patch.projectMilestoneId,
+      cycle: patch.cycle,
+      cycleId: patch.cycleId,
       subIssueOf: patch.subIssueOf,
       parentOf: patch.parentOf,
       blockedBy: patch.blockedBy,
       blocking: patch.blocking,
       relatedTo: patch.relatedTo,
       duplicateOf: patch.duplicateOf,
+      removeBlockedBy: patch.removeBlockedBy,
+      removeBlocking: patch.removeBlocking,
+      removeRelatedTo: patch.removeRelatedTo,
+      removeDuplicateOf: patch.removeDuplicateOf,
     });
 
     if (patch.title !== undefined) {
@@ -3515,11 +5149,14 @@ export async function updateIssue(client, issueRef, patch = {}, options = {}) {
 
 
     if (patch.estimate !== undefined) {
-      const parsed = Number.parseInt(String(patch.estimate), 10);
-      if (Number.isNaN(parsed) || parsed < 0) {
-        throw new Error(`Invalid estimate: ${patch.estimate}. Must be a non-negative integer.`);
+      if (!targetIssue.team?.id) {
+        throw new Error(`Issue ${targetIssue.identifier} has no team assigned`);
       }
-      updateInput.estimate = parsed;
+      updateInput.estimate = await resolveIssueEstimate(client, targetIssue.team.id, patch.estimate);
+    }
+
+    if (patch.dueDate !== undefined) {
+      updateInput.dueDate = normalizeIssueDueDate(patch.dueDate, { allowClear: true });
     }
 
     if (patch.state !== undefined) {
@@ -3541,6 +5178,40 @@ export async function updateIssue(client, issueRef, patch = {}, options = {}) {
       updateInput.labelIds = patch.labelIds;
     }
 
+    // addLabels/removeLabels are sent as addedLabelIds/removedLabelIds so Linear
+    // applies them to the labels as they are at write time; the current labels
+    // are only read to report what changes.
+    let labelChanges = null;
+    const addLabels = patch.addLabels || [];
+    const removeLabels = patch.removeLabels || [];
+    if (addLabels.length > 0 || removeLabels.length > 0) {
+      if (patch.labelIds !== undefined) {
+        throw validationError('Use either labels or addLabels/removeLabels, not both');
+      }
+
+      const currentLabels = await fetchCurrentIssueLabels(client, targetIssue.id);
+      const isCurrent = (label) => currentLabels.some((current) => current.id === label.id);
+      const removedLabels = removeLabels.filter(isCurrent);
+      const addedLabels = addLabels.filter((label) => !isCurrent(label)
+        && !removedLabels.some((removed) => removed.id === label.id));
+      labelChanges = {
+        added: addedLabels.map((label) => label.name),
+        removed: removedLabels.map((label) => label.name),
+        alreadyPresent: addLabels.filter(isCurrent).map((label) => label.name),
+        notPresent: removeLabels.filter((label) => !isCurrent(label)).map((label) => label.name),
+      };
+
+      const removedLabelIds = Array.from(new Set(removeLabels.map((label) => label.id)));
+      const addedLabelIds = Array.from(new Set(addLabels.map((label) => label.id)))
+        .filter((id) => !removedLabelIds.includes(id));
+      if (addedLabelIds.length > 0) {
+        updateInput.addedLabelIds = addedLabelIds;
+      }
+      if (removedLabelIds.length > 0) {
+        updateInput.removedLabelIds = removedLabelIds;
+      }
+    }
+
     if (patch.projectMilestoneId !== undefined) {
       updateInput.projectMilestoneId = patch.projectMilestoneId;
     } else if (patch.milestone !== undefined) {
@@ -3560,6 +5231,25 @@ export async function updateIssue(client, issueRef, patch = {}, options = {}) {
       }
     }
 
+    if (patch.cycleId !== undefined) {
+      updateInput.cycleId = patch.cycleId;
+    } else if (patch.cycle !== undefined) {
+      const cycleRef = String(patch.cycle ?? '').trim();
+      const clearCycleValues = new Set(['', 'none', 'null', 'clear']);
+
+      if (clearCycleValues.has(cycleRef.toLowerCase())) {
+        updateInput.cycleId = null;
+      } else {
+        const teamId = targetIssue.team?.id;
+        if (!teamId) {
+          throw new Error(`Issue ${targetIssue.identifier} has no team assigned`);
+        }
+
+        const cycle = await resolveCycleRef(client, cycleRef, teamId);
+        updateInput.cycleId = cycle.id;
+      }
+    }
+
     if (patch.subIssueOf !== undefined) {
       const parentRef = String(patch.subIssueOf || '').trim();
       const clearParentValues = new Set(['', 'none', 'null', 'unassigned', 'clear']);
@@ -3603,24 +5293,52 @@ export async function updateIssue(client, issueRef, patch = {}, options = {}) {
       relationCreates.push({ issueId: targetIssue.id, relatedIssueId: duplicateTarget.id, type: 'duplicate' });
     }
 
+    const relationDeletes = [];
+    const relationRemovalRefs = Object.fromEntries(
+      Object.keys(ISSUE_RELATION_REMOVALS).map((field) => [field, normalizeIssueRefList(patch[field])])
+    );
+    const hasRelationRemovals = Object.values(relationRemovalRefs).some((refs) => refs.length > 0);
+
+    if (hasRelationRemovals) {
+      const relationData = await executeGraphQL(client, ISSUE_RELATIONS_QUERY, { id: targetIssue.id });
+      const rawRelations = relationData?.issue || {};
+
+      for (const [field, refs] of Object.entries(relationRemovalRefs)) {
+        const removal = ISSUE_RELATION_REMOVALS[field];
+        for (const ref of refs) {
+          const otherIssue = await resolveIssue(client, ref);
+          const relationIds = findIssueRelationIds(rawRelations, otherIssue.id, removal);
+          if (relationIds.length === 0) {
+            throw notFoundError(
+              `No "${removal.label}" relation found between ${targetIssue.identifier} and ${otherIssue.identifier}`
+            );
+          }
+          relationDeletes.push(...relationIds.map((id) => ({ id, type: removal.type })));
+        }
+      }
+    }
+
     debug('updateIssue: computed update input', {
       issueRef,
       resolvedIdentifier: targetIssue?.identifier,
       updateKeys: Object.keys(updateInput),
       updateInput,
       relationCreateCount: relationCreates.length,
+      relationDeleteCount: relationDeletes.length,
       parentOfCount: parentOfRefs.length,
     });
 
     if (Object.keys(updateInput).length === 0
       && relationCreates.length === 0
+      && relationDeletes.length === 0
       && parentOfRefs.length === 0) {
-      if (!options.allowEmpty) {
-        throw new Error('No update fields provided');
+      if (!options.allowEmpty && !labelChanges) {
+        throw validationError('No update fields provided');
       }
       return {
         issue: targetIssue,
         changed: [],
+        labelChanges,
         usedRateLimitFallback: false,
       };
     }
@@ -3629,6 +5347,13 @@ export async function updateIssue(client, issueRef, patch = {}, options = {}) {
       await performIssueUpdate(client, targetIssue.id, updateInput);
     }
 
+    for (const relationDelete of relationDeletes) {
+      const deleteResult = await executeGraphQL(client, ISSUE_RELATION_DELETE_MUTATION, { id: relationDelete.id });
+      if (!deleteResult?.issueRelationDelete?.success) {
+        throw new Error(`Failed to delete issue relation (${relationDelete.type})`);
+      }
+    }
+
     for (const relationInput of relationCreates) {
       const relationResult = await client.createIssueRelation(relationInput);
       if (!relationResult.success) {
@@ -3665,15 +5390,228 @@ export async function updateIssue(client, issueRef, patch = {}, options = {}) {
     if (blockingRefs.length > 0) changed.push('blocking');
     if (relatedToRefs.length > 0) changed.push('relatedTo');
     if (duplicateOfRef) changed.push('duplicateOf');
+    for (const [field, refs] of Object.entries(relationRemovalRefs)) {
+      if (refs.length > 0) changed.push(field);
+    }
 
     return {
       issue: updatedIssue || targetIssue,
       changed,
+      labelChanges,
       usedRateLimitFallback,
     };
   }, 'updateIssue');
 }
 
+/**
+ * Maximum number of issues Linear accepts in one issueBatchUpdate mutation
+ */
+export const ISSUE_BATCH_UPDATE_LIMIT = 50;
+
+// Issues per IssueLabelIds request when checking labels for a bulk update
+const ISSUE_LABEL_LOOKUP_PAGE_SIZE = 100;
+
+/**
+ * Label IDs currently on each issue, or null when the client has no raw GraphQL
+ * access (issue lists don't carry labels)
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Array<string>} issueIds - Issue IDs
+ * @returns {Promise<Map<string, Set<string>>|null>}
+ */
+async function fetchIssueLabelIds(client, issueIds) {
+  if (!getRawRequest(client)) {
+    return null;
+  }
+
+  const labelIds = new Map();
+  for (let index = 0; index < issueIds.length; index += ISSUE_LABEL_LOOKUP_PAGE_SIZE) {
+    const ids = issueIds.slice(index, index + ISSUE_LABEL_LOOKUP_PAGE_SIZE);
+    const data = await executeGraphQL(client, ISSUE_LABEL_IDS_QUERY, { ids, first: ids.length });
+    for (const node of data?.issues?.nodes || []) {
+      labelIds.set(node.id, new Set((node.labels?.nodes || []).map((label) => label.id)));
+    }
+  }
+  return labelIds;
+}
+
+/**
+ * Work out the IssueUpdateInput each issue needs for a bulk update.
+ *
+ * State and cycle are resolved per team and milestones per project, so issues from
+ * several teams each get their own IDs. Fields that already hold the target value are
+ * left out of the input; an entry with an empty input needs no update. Current labels
+ * are fetched for label edits; when they can't be, the edits are sent as requested and
+ * their changes are marked `unverified`.
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Array<Object>} issues - Issues as returned by resolveIssue or fetchIssuesByProject
+ * @param {Object} patch - Changes to apply
+ * @param {string} [patch.state] - State name, type or ID
+ * @param {{id: string, displayName: string}|null} [patch.assignee] - New assignee, or null to unassign
+ * @param {number|string} [patch.priority] - Priority value or name
+ * @param {string} [patch.milestone] - Milestone name or ID; "none" clears it
+ * @param {string} [patch.cycle] - Cycle reference; "none" clears it
+ * @param {{id: string, name: string}} [patch.project] - Project to move the issues to
+ * @param {Array<{id: string, name: string}>} [patch.addLabels] - Labels to add
+ * @param {Array<{id: string, name: string}>} [patch.removeLabels] - Labels to remove
+ * @returns {Promise<Array<{issue: Object, input: Object, changes: Array<{field: string, from: *, to: *, unverified?: boolean}>}>>}
+ */
+export async function planIssueBulkUpdate(client, issues, patch = {}) {
+  return withLinearErrorHandling(async () => {
+    const clearValues = new Set(['', 'none', 'null', 'unassigned', 'clear']);
+    const statesByTeam = new Map();
+    const cyclesByTeam = new Map();
+    const milestonesByProject = new Map();
+    const cached = async (cache, key, load) => {
+      if (!cache.has(key)) {
+        cache.set(key, await load());
+      }
+      return cache.get(key);
+    };
+
+    const priority = patch.priority !== undefined ? parseIssuePriority(patch.priority) : undefined;
+    const milestoneRef = patch.milestone !== undefined ? String(patch.milestone ?? '').trim() : undefined;
+    const cycleRef = patch.cycle !== undefined ? String(patch.cycle ?? '').trim() : undefined;
+    const addLabels = patch.addLabels || [];
+    const removeLabels = patch.removeLabels || [];
+    const labelIdsByIssue = addLabels.length > 0 || removeLabels.length > 0
+      ? await fetchIssueLabelIds(client, issues.map((issue) => issue.id))
+      : null;
+
+    const entries = [];
+    for (const issue of issues) {
+      const input = {};
+      const changes = [];
+      const teamId = issue.team?.id;
+
+      if (patch.state !== undefined) {
+        if (!teamId) {
+          throw new Error(`Issue ${issue.identifier} has no team assigned`);
+        }
+        const states = await cached(statesByTeam, teamId, () => getTeamWorkflowStates(client, teamId));
+        const stateId = resolveStateIdFromInput(states, patch.state);
+        if (stateId !== issue.state?.id) {
+          input.stateId = stateId;
+          changes.push({
+            field: 'state',
+            from: issue.state?.name || null,
+            to: states.find((state) => state.id === stateId)?.name || stateId,
+          });
+        }
+      }
+
+      if (patch.assignee !== undefined) {
+        const assigneeId = patch.assignee?.id ?? null;
+        if (assigneeId !== (issue.assignee?.id ?? null)) {
+          input.assigneeId = assigneeId;
+          changes.push({
+            field: 'assignee',
+            from: issue.assignee?.displayName || null,
+            to: patch.assignee ? (patch.assignee.displayName || patch.assignee.id) : null,
+          });
+        }
+      }
+
+      if (priority !== undefined && priority !== issue.priority) {
+        input.priority = priority;
+        changes.push({ field: 'priority', from: formatPriorityLabel(issue.priority), to: formatPriorityLabel(priority) });
+      }
+
+      if (patch.project && patch.project.id !== issue.project?.id) {
+        input.projectId = patch.project.id;
+        changes.push({ field: 'project', from: issue.project?.name || null, to: patch.project.name });
+      }
+
+      if (milestoneRef !== undefined) {
+        let milestone = null;
+        if (!clearValues.has(milestoneRef.toLowerCase())) {
+          const projectId = patch.project?.id || issue.project?.id;
+          if (!projectId) {
+            throw new Error(`Issue ${issue.identifier} has no project; cannot resolve milestone by name`);
+          }
+          const milestones = await cached(milestonesByProject, projectId, () => fetchProjectMilestones(client, projectId));
+          const milestoneId = resolveProjectMilestoneIdFromInput(milestones, milestoneRef);
+          milestone = milestones.find((entry) => entry.id === milestoneId);
+        }
+        if ((milestone?.id ?? null) !== (issue.projectMilestone?.id ?? null)) {
+          input.projectMilestoneId = milestone?.id ?? null;
+          changes.push({ field: 'milestone', from: issue.projectMilestone?.name || null, to: milestone?.name || null });
+        }
+      }
+
+      if (cycleRef !== undefined) {
+        let cycle = null;
+        if (!clearValues.has(cycleRef.toLowerCase())) {
+          if (!teamId) {
+            throw new Error(`Issue ${issue.identifier} has no team assigned`);
+          }
+          cycle = await cached(cyclesByTeam, teamId, () => resolveCycleRef(client, cycleRef, teamId));
+        }
+        if ((cycle?.id ?? null) !== (issue.cycle?.id ?? null)) {
+          input.cycleId = cycle?.id ?? null;
+          changes.push({ field: 'cycle', from: formatCycleLabel(issue.cycle), to: formatCycleLabel(cycle) });
+        }
+      }
+
+      // Labels already present (or already absent) are dropped; unknown current labels
+      // leave the edits as requested, which Linear treats as no-ops where they are.
+      const currentLabelIds = labelIdsByIssue?.get(issue.id);
+      const unverified = currentLabelIds ? {} : { unverified: true };
+      const labelsToAdd = currentLabelIds ? addLabels.filter((label) => !currentLabelIds.has(label.id)) : addLabels;
+      const labelsToRemove = currentLabelIds ? removeLabels.filter((label) => currentLabelIds.has(label.id)) : removeLabels;
+      if (labelsToAdd.length > 0) {
+        input.addedLabelIds = labelsToAdd.map((label) => label.id);
+        changes.push({ field: 'addLabels', from: null, to: labelsToAdd.map((label) => label.name), ...unverified });
+      }
+      if (labelsToRemove.length > 0) {
+        input.removedLabelIds = labelsToRemove.map((label) => label.id);
+        changes.push({ field: 'removeLabels', from: null, to: labelsToRemove.map((label) => label.name), ...unverified });
+      }
+
+      entries.push({ issue, input, changes });
+    }
+
+    return entries;
+  }, 'planIssueBulkUpdate');
+}
+
+/**
+ * Apply one IssueUpdateInput to several issues with a single issueBatchUpdate
+ * mutation. Clients without raw GraphQL access use the SDK batch helper when it
+ * exists, and otherwise update the issues one by one.
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Array<string>} issueIds - Issue IDs, at most ISSUE_BATCH_UPDATE_LIMIT
+ * @param {Object} input - IssueUpdateInput shared by all issues
+ * @returns {Promise<Array<string>>} IDs of the updated issues
+ */
+export async function batchUpdateIssues(client, issueIds, input) {
+  return withLinearErrorHandling(async () => {
+    if (issueIds.length > ISSUE_BATCH_UPDATE_LIMIT) {
+      throw validationError(`Cannot batch update ${issueIds.length} issues at once (maximum ${ISSUE_BATCH_UPDATE_LIMIT})`);
+    }
+
+    if (getRawRequest(client)) {
+      const payload = await executeGraphQL(client, ISSUE_BATCH_UPDATE_MUTATION, { ids: issueIds, input });
+      if (!payload?.issueBatchUpdate?.success) {
+        throw new Error('Failed to update issues');
+      }
+      return (payload.issueBatchUpdate.issues || []).map((issue) => issue.id);
+    }
+
+    if (typeof client.updateIssueBatch === 'function') {
+      const result = await client.updateIssueBatch(issueIds, input);
+      if (!result?.success) {
+        throw new Error('Failed to update issues');
+      }
+      return issueIds;
+    }
+
+    for (const issueId of issueIds) {
+      await performIssueUpdate(client, issueId, input);
+    }
+    return issueIds;
+  }, 'batchUpdateIssues');
+}
+
 /**
  * Prepare issue for starting (get started state)
  * @param {LinearClient} client - Linear SDK client
@@ -3722,6 +5660,51 @@ export async function startIssue(client, issueRef) {
   };
 }
 
+/**
+ * Prepare issue finish: resolve the issue and the workflow state to move it to
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} issueRef - Issue identifier or ID
+ * @param {string} [target='review'] - "review", "completed", or a state name/ID
+ * @returns {Promise<{issue: Object, finishedState: Object}>}
+ */
+export async function prepareIssueFinish(client, issueRef, target = 'review') {
+  const targetIssue = await resolveIssue(client, issueRef);
+
+  const teamRef = targetIssue.team?.key || targetIssue.team?.id;
+  if (!teamRef) {
+    throw new Error(`Issue ${targetIssue.identifier} has no team assigned`);
+  }
+
+  const states = await getTeamWorkflowStates(client, teamRef);
+  const ref = String(target || 'review').trim();
+  const normalized = ref.toLowerCase();
+  const completed = states.find((s) => s.type === 'completed');
+
+  let finished;
+  if (normalized === 'review') {
+    // Review states are "started" states by type; fall back to done when the team has none
+    finished = states.find((s) => s.type === 'started' && /review/i.test(String(s.name || ''))) || completed;
+  } else if (['completed', 'complete', 'done'].includes(normalized)) {
+    finished = completed;
+  } else {
+    finished = states.find((s) => s.id === ref || String(s.name || '').toLowerCase() === normalized);
+    if (!finished) {
+      throw validationError(
+        `Invalid finish state: ${ref}. Use review, completed, or one of: ${states.map((s) => s.name).join(', ')}`
+      );
+    }
+  }
+
+  if (!finished?.id) {
+    throw new Error(`Could not resolve a ${normalized} workflow state for team ${teamRef}`);
+  }
+
+  return {
+    issue: targetIssue,
+    finishedState: finished,
+  };
+}
+
 // ===== MILESTONE FUNCTIONS =====
 
 /**
@@ -3864,11 +5847,13 @@ function invalidateProjectsCache(client) {
  */
 export async function fetchProjectMilestones(client, projectId) {
   return withLinearErrorHandling(async () => {
-    const milestones = await fetchProjectMilestonesByQuery(client, projectId);
-    if (!milestones) {
-      throw new Error(`Project not found: ${projectId}`);
+    const page = await fetchProjectMilestonesByQuery(client, projectId);
+    if (!page) {
+      throw notFoundError(`Project not found: ${projectId}`);
     }
 
+    const { milestones } = page;
+
     debug('Fetched project milestones', {
       projectId,
       milestoneCount: milestones.length,
@@ -3879,6 +5864,30 @@ export async function fetchProjectMilestones(client, projectId) {
   }, 'fetchProjectMilestones');
 }
 
+/**
+ * Fetch one page of milestones for a project
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} projectId - Project ID
+ * @param {Object} options
+ * @param {number} [options.limit] - Page size (default: 50)
+ * @param {string|null} [options.cursor] - Pagination cursor (`endCursor` from a previous page)
+ * @returns {Promise<{milestones: Array<Object>, pageInfo: {hasNextPage: boolean, endCursor: string|null}}>}
+ */
+export async function fetchProjectMilestonesPage(client, projectId, options = {}) {
+  return withLinearErrorHandling(async () => {
+    const limit = normalizePositiveInteger(options.limit, 'limit', 50);
+    const page = await fetchProjectMilestonesByQuery(client, projectId, {
+      first: limit,
+      after: options.cursor || null,
+    });
+    if (!page) {
+      throw notFoundError(`Project not found: ${projectId}`);
+    }
+
+    return page;
+  }, 'fetchProjectMilestonesPage');
+}
+
 // ===== LABEL & LINK FUNCTIONS =====
 
 /**
@@ -3915,7 +5924,7 @@ export async function createIssueLabel(client, input) {
   return withLinearErrorHandling(async () => {
     const name = String(input.name || '').trim();
     if (!name) {
-      throw new Error('Missing required field: name');
+      throw validationError('Missing required field: name');
     }
 
     const createInput = { name };
@@ -3986,7 +5995,7 @@ export async function resolveLabelIds(client, refs, teamId = null) {
       || candidates.find((label) => !label.team)
       || candidates[0];
     if (!match) {
-      throw new Error(`Label not found: ${ref}. Available labels: ${labels.map((l) => l.name).join(', ')}`);
+      throw notFoundError(`Label not found: ${ref}. Available labels: ${labels.map((l) => l.name).join(', ')}`);
     }
     ids.push(match.id);
   }
@@ -4008,7 +6017,7 @@ export async function addIssueLinks(client, issueId, links) {
     const url = String(link?.url || '').trim();
     const title = String(link?.title || '').trim() || url;
     if (!url) {
-      throw new Error('Link URL is required for each link');
+      throw validationError('Link URL is required for each link');
     }
     const data = await executeGraphQL(client, ATTACHMENT_CREATE_MUTATION, {
       input: { issueId, url, title },
@@ -4041,7 +6050,7 @@ export async function fetchMilestoneDetails(client, milestoneId) {
 
         const raw = data?.projectMilestone;
         if (!raw) {
-          throw new Error(`Milestone not found: ${milestoneId}`);
+          throw notFoundError(`Milestone not found: ${milestoneId}`);
         }
 
         const project = raw.project ? { id: raw.project.id, name: raw.project.name } : null;
@@ -4080,7 +6089,7 @@ export async function fetchMilestoneDetails(client, milestoneId) {
     // SDK fallback: the rate-limit propagation logic for lazy loads is preserved.
     const milestone = await client.projectMilestone(milestoneId);
     if (!milestone) {
-      throw new Error(`Milestone not found: ${milestoneId}`);
+      throw notFoundError(`Milestone not found: ${milestoneId}`);
     }
 
     // Fetch project and issues in parallel
@@ -4155,12 +6164,12 @@ export async function createProjectMilestone(client, input) {
   return withLinearErrorHandling(async () => {
     const name = String(input.name || '').trim();
     if (!name) {
-      throw new Error('Missing required field: name');
+      throw validationError('Missing required field: name');
     }
 
     const projectId = String(input.projectId || '').trim();
     if (!projectId) {
-      throw new Error('Missing required field: projectId');
+      throw validationError('Missing required field: projectId');
     }
 
     const createInput = {
@@ -4180,7 +6189,7 @@ export async function createProjectMilestone(client, input) {
       const validStatuses = ['backlogged', 'planned', 'inProgress', 'paused', 'completed', 'done', 'cancelled'];
       const status = String(input.status);
       if (!validStatuses.includes(status)) {
-        throw new Error(`Invalid status: ${status}. Valid values: ${validStatuses.join(', ')}`);
+        throw validationError(`Invalid status: ${status}. Valid values: ${validStatuses.join(', ')}`);
       }
       createInput.status = status;
     }
@@ -4231,7 +6240,7 @@ export async function updateProjectMilestone(client, milestoneId, patch = {}) {
   return withLinearErrorHandling(async () => {
     const milestone = await client.projectMilestone(milestoneId);
     if (!milestone) {
-      throw new Error(`Milestone not found: ${milestoneId}`);
+      throw notFoundError(`Milestone not found: ${milestoneId}`);
     }
 
     const updateInput = {};
@@ -4253,7 +6262,7 @@ export async function updateProjectMilestone(client, milestoneId, patch = {}) {
     // are automatically determined by Linear based on milestone progress and dates.
 
     if (Object.keys(updateInput).length === 0) {
-      throw new Error('No update fields provided');
+      throw validationError('No update fields provided');
     }
 
     const result = await milestone.update(updateInput);
@@ -4299,6 +6308,54 @@ export async function deleteProjectMilestone(client, milestoneId) {
   }, 'deleteProjectMilestone');
 }
 
+async function changeIssueSubscription(client, issueRef, userIds, subscribe) {
+  const targetIssue = await resolveIssue(client, issueRef);
+  const mutation = subscribe ? ISSUE_SUBSCRIBE_MUTATION : ISSUE_UNSUBSCRIBE_MUTATION;
+  const field = subscribe ? 'issueSubscribe' : 'issueUnsubscribe';
+
+  let subscribers = [];
+  for (const userId of userIds) {
+    const payload = await executeGraphQL(client, mutation, { id: targetIssue.id, userId });
+    if (!payload?.[field]?.success) {
+      throw new Error(`Failed to ${subscribe ? 'subscribe to' : 'unsubscribe from'} issue ${targetIssue.identifier}`);
+    }
+    subscribers = payload[field].issue?.subscribers?.nodes ?? subscribers;
+  }
+
+  return {
+    issue: { id: targetIssue.id, identifier: targetIssue.identifier, title: targetIssue.title },
+    subscribers: subscribers.map(transformIssueSubscriber),
+  };
+}
+
+/**
+ * Subscribe users to an issue's notifications
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} issueRef - Issue identifier or ID
+ * @param {string[]} userIds - User IDs to subscribe
+ * @returns {Promise<{issue: Object, subscribers: Array<{id: string, name: string, displayName: string}>}>}
+ */
+export async function subscribeToIssue(client, issueRef, userIds) {
+  return withLinearErrorHandling(
+    () => changeIssueSubscription(client, issueRef, userIds, true),
+    'subscribeToIssue'
+  );
+}
+
+/**
+ * Unsubscribe users from an issue's notifications
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} issueRef - Issue identifier or ID
+ * @param {string[]} userIds - User IDs to unsubscribe
+ * @returns {Promise<{issue: Object, subscribers: Array<{id: string, name: string, displayName: string}>}>}
+ */
+export async function unsubscribeFromIssue(client, issueRef, userIds) {
+  return withLinearErrorHandling(
+    () => changeIssueSubscription(client, issueRef, userIds, false),
+    'unsubscribeFromIssue'
+  );
+}
+
 /**
  * Delete (archive) an issue
  * @param {LinearClient} client - Linear SDK client
@@ -4316,7 +6373,7 @@ export async function deleteIssue(client, issueRef) {
     } else {
       const sdkIssue = await client.issue(targetIssue.id);
       if (!sdkIssue) {
-        throw new Error(`Issue not found: ${targetIssue.id}`);
+        throw notFoundError(`Issue not found: ${targetIssue.id}`);
       }
       const result = await sdkIssue.delete();
       success = result.success;
@@ -4433,6 +6490,9 @@ export function formatIssueAsMarkdown(issueData, options = {}) {
   if (issueData.projectMilestone?.name) {
     metaParts.push(`**Milestone:** ${issueData.projectMilestone.name}`);
   }
+  if (issueData.cycle) {
+    metaParts.push(`**Cycle:** ${formatCycleLabel(issueData.cycle)}`);
+  }
   if (issueData.assignee?.displayName) {
     metaParts.push(`**Assignee:** ${issueData.assignee.displayName}`);
   }
@@ -4443,10 +6503,17 @@ export function formatIssueAsMarkdown(issueData, options = {}) {
   if (issueData.estimate !== undefined && issueData.estimate !== null) {
     metaParts.push(`**Estimate:** ${issueData.estimate}`);
   }
+  if (issueData.dueDate) {
+    metaParts.push(`**Due:** ${issueData.dueDate}`);
+  }
   if (issueData.labels?.length > 0) {
     const labelNames = issueData.labels.map((l) => l.name).join(', ');
     metaParts.push(`**Labels:** ${labelNames}`);
   }
+  if (issueData.subscribers?.length > 0) {
+    const subscriberNames = issueData.subscribers.map((user) => user.displayName || user.name).join(', ');
+    metaParts.push(`**Subscribers:** ${subscriberNames}`);
+  }
 
   if (metaParts.length > 0) {
     lines.push('');
@@ -4486,6 +6553,38 @@ export function formatIssueAsMarkdown(issueData, options = {}) {
     }
   }
 
+  // Relations
+  if (issueData.relations?.length > 0) {
+    const relationGroups = [
+      ['blockedBy', 'Blocked by'],
+      ['blocks', 'Blocks'],
+      ['related', 'Related to'],
+      ['duplicateOf', 'Duplicate of'],
+      ['duplicatedBy', 'Duplicated by'],
+      ['similar', 'Similar to'],
+    ];
+    const knownTypes = new Set(relationGroups.map(([type]) => type));
+    for (const relation of issueData.relations) {
+      if (!knownTypes.has(relation.type)) {
+        knownTypes.add(relation.type);
+        relationGroups.push([relation.type, relation.type]);
+      }
+    }
+
+    lines.push('');
+    lines.push('## Relations');
+    for (const [type, label] of relationGroups) {
+      const related = issueData.relations.filter((relation) => relation.type === type);
+      if (related.length === 0) continue;
+      lines.push('');
+      lines.push(`**${label}:**`);
+      for (const relation of related) {
+        const stateLabel = relation.issue.state?.name ? ` _[${relation.issue.state.name}]_` : '';
+        lines.push(`- **${relation.issue.identifier}**: ${relation.issue.title}${stateLabel}`);
+      }
+    }
+  }
+
   // Attachments
   if (issueData.attachments?.length > 0) {
     lines.push('');
@@ -4506,55 +6605,22 @@ export function formatIssueAsMarkdown(issueData, options = {}) {
     lines.push('## Comments');
     lines.push('');
 
-    // Separate root comments from replies
-    const rootComments = issueData.comments.filter((c) => !c.parent);
-    const replies = issueData.comments.filter((c) => c.parent);
-
-    // Create a map of parent ID to replies
-    const repliesMap = new Map();
-    replies.forEach((reply) => {
-      const parentId = reply.parent.id;
-      if (!repliesMap.has(parentId)) {
-        repliesMap.set(parentId, []);
-      }
-      repliesMap.get(parentId).push(reply);
-    });
-
-    // Sort root comments by creation date (newest first)
-    const sortedRootComments = rootComments.slice().reverse();
-
-    for (const rootComment of sortedRootComments) {
-      const threadReplies = repliesMap.get(rootComment.id) || [];
-
-      // Sort replies by creation date (oldest first within thread)
-      threadReplies.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-
-      const rootAuthor = rootComment.user?.displayName
-        || rootComment.user?.name
-        || rootComment.externalUser?.displayName
-        || rootComment.externalUser?.name
+    // Root comments newest first, replies nested beneath their parent (oldest first).
+    // The #N index and ID shown here are what comment-edit/delete/reply accept.
+    for (const { index, depth, comment } of orderIssueComments(issueData.comments)) {
+      const author = comment.user?.displayName
+        || comment.user?.name
+        || comment.externalUser?.displayName
+        || comment.externalUser?.name
         || 'Unknown';
-      const rootDate = formatRelativeTime(rootComment.createdAt);
+      const date = formatRelativeTime(comment.createdAt);
+      const indent = '  '.repeat(depth);
+      const idLabel = comment.id ? ` \`${comment.id}\`` : '';
 
-      lines.push(`- **@${rootAuthor}** - _${rootDate}_`);
+      lines.push(`${indent}- **#${index}** **@${author}** - _${date}_${idLabel}`);
       lines.push('');
-      lines.push(`  ${rootComment.body.split('\n').join('\n  ')}`);
+      lines.push(`${indent}  ${String(comment.body || '').split('\n').join(`\n${indent}  `)}`);
       lines.push('');
-
-      // Format replies
-      for (const reply of threadReplies) {
-        const replyAuthor = reply.user?.displayName
-          || reply.user?.name
-          || reply.externalUser?.displayName
-          || reply.externalUser?.name
-          || 'Unknown';
-        const replyDate = formatRelativeTime(reply.createdAt);
-
-        lines.push(`  - **@${replyAuthor}** - _${replyDate}_`);
-        lines.push('');
-        lines.push(`    ${reply.body.split('\n').join('\n    ')}`);
-        lines.push('');
-      }
     }
   }
 
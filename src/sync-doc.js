@@ -1,9 +1,11 @@
+import { execFileSync } from 'node:child_process';
 import { createHash } from 'node:crypto';
-import { existsSync, statSync } from 'node:fs';
+import { existsSync, readdirSync, readFileSync, statSync, watch as watchPath } from 'node:fs';
 import { mkdir, readFile, writeFile } from 'node:fs/promises';
 import { basename, dirname, extname, isAbsolute, join, relative, resolve } from 'node:path';
 
 import {
+  archiveDocument,
   createDocument,
   fetchDocumentDetails,
   fetchProjectDetails,
@@ -12,11 +14,32 @@ import {
   updateDocument,
   updateIssue,
   updateProject,
+  uploadFile,
 } from './linear.js';
+import { checkAndClearRateLimit } from './linear-client.js';
+import { notFoundError, validationError } from './errors.js';
+import { readFrontMatterKey, splitFrontMatter } from './front-matter.js';
+import { formatUnifiedDiff, mergeThreeWay } from './line-diff.js';
 
 const CONFIG_DIRNAME = '.linear-tools';
 const CONFIG_FILENAME = 'config.json';
 const STATE_FILENAME = 'sync-state.json';
+const CONFLICT_STRATEGIES = ['ours', 'theirs', 'merge'];
+const CONFLICT_MARKER_PATTERN = /^(?:<{7}|>{7})(?: |$)/m;
+const GLOB_SKIPPED_DIRS = new Set(['.git', 'node_modules', CONFIG_DIRNAME]);
+const FRONT_MATTER_EXTENSIONS = new Set(['.md', '.markdown', '.mdx']);
+const UNREADABLE_ERROR_CODES = new Set(['EACCES', 'EPERM', 'ENOENT']);
+const MARKDOWN_LINK_PATTERN = /(!?)\[((?:\\.|[^\[\]\\])*)\]\(\s*(<[^>\n]*>|[^\s)]+)(\s+(?:"[^"\n]*"|'[^'\n]*'))?\s*\)/g;
+const IMAGE_CONTENT_TYPES = {
+  '.apng': 'image/apng',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+};
 
 function getHomeDir() {
   return process.env.HOME || process.env.USERPROFILE || '.';
@@ -56,10 +79,13 @@ function serializeHashPayload(value) {
   return JSON.stringify(value || {});
 }
 
+function sanitizeMarker(value) {
+  return String(value || '').replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
 export function defaultMarkerFromFile(filePath) {
   const baseName = basename(filePath, extname(filePath)).trim();
-  const sanitized = baseName.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
-  return sanitized || 'sync';
+  return sanitizeMarker(baseName) || 'sync';
 }
 
 export function buildSyncMarkers(marker) {
@@ -89,13 +115,13 @@ export function upsertManagedContent(currentValue, marker, incomingContent) {
   }
 
   if (startIndex === -1 || endIndex === -1 || endIndex < startIndex) {
-    throw new Error(`Unbalanced sync markers for marker "${marker}"`);
+    throw validationError(`Unbalanced sync markers for marker "${marker}"`);
   }
 
   const secondStartIndex = currentText.indexOf(start, startIndex + start.length);
   const secondEndIndex = currentText.indexOf(end, endIndex + end.length);
   if (secondStartIndex !== -1 || secondEndIndex !== -1) {
-    throw new Error(`Multiple sync marker blocks found for marker "${marker}"`);
+    throw validationError(`Multiple sync marker blocks found for marker "${marker}"`);
   }
 
   const before = currentText.slice(0, startIndex).trimEnd();
@@ -140,7 +166,7 @@ export function upsertManagedContentWithPosition(currentValue, marker, incomingC
   }
 
   if (startIndex === -1 || endIndex === -1 || endIndex < startIndex) {
-    throw new Error(`Unbalanced sync markers for marker "${marker}"`);
+    throw validationError(`Unbalanced sync markers for marker "${marker}"`);
   }
 
   // If markers already exist, update them in place without relocating
@@ -163,13 +189,13 @@ export function extractManagedSegments(currentValue, marker) {
   }
 
   if (startIndex === -1 || endIndex === -1 || endIndex < startIndex) {
-    throw new Error(`Unbalanced sync markers for marker "${marker}"`);
+    throw validationError(`Unbalanced sync markers for marker "${marker}"`);
   }
 
   const secondStartIndex = currentText.indexOf(start, startIndex + start.length);
   const secondEndIndex = currentText.indexOf(end, endIndex + end.length);
   if (secondStartIndex !== -1 || secondEndIndex !== -1) {
-    throw new Error(`Multiple sync marker blocks found for marker "${marker}"`);
+    throw validationError(`Multiple sync marker blocks found for marker "${marker}"`);
   }
 
   return {
@@ -191,13 +217,13 @@ export function removeManagedContent(currentValue, marker) {
   }
 
   if (startIndex === -1 || endIndex === -1 || endIndex < startIndex) {
-    throw new Error(`Unbalanced sync markers for marker "${marker}"`);
+    throw validationError(`Unbalanced sync markers for marker "${marker}"`);
   }
 
   const secondStartIndex = currentText.indexOf(start, startIndex + start.length);
   const secondEndIndex = currentText.indexOf(end, endIndex + end.length);
   if (secondStartIndex !== -1 || secondEndIndex !== -1) {
-    throw new Error(`Multiple sync marker blocks found for marker "${marker}"`);
+    throw validationError(`Multiple sync marker blocks found for marker "${marker}"`);
   }
 
   const before = currentText.slice(0, startIndex).trimEnd();
@@ -218,10 +244,14 @@ export function removeManagedContent(currentValue, marker) {
   return '';
 }
 
+function isDirectory(dirPath) {
+  return existsSync(dirPath) && statSync(dirPath).isDirectory();
+}
+
 function resolveConfigInputPath(configPath, cwd) {
   const resolvedPath = isAbsolute(configPath) ? resolve(configPath) : resolve(cwd, configPath);
 
-  if (existsSync(resolvedPath) && statSync(resolvedPath).isDirectory()) {
+  if (isDirectory(resolvedPath)) {
     return join(resolvedPath, CONFIG_FILENAME);
   }
 
@@ -232,12 +262,23 @@ function resolveConfigInputPath(configPath, cwd) {
   return resolvedPath;
 }
 
+/**
+ * Find the config.json path of the nearest `.linear-tools/` directory. The file
+ * itself may be missing: a repo whose targets are all declared in front matter
+ * only needs the directory. The walk stops at the home directory, whose
+ * `.linear-tools/` holds the global config rather than a project's.
+ */
 function findNearestConfigPath(startDir) {
   let currentDir = resolve(startDir || process.cwd());
+  const homeDir = resolve(getHomeDir());
 
   while (true) {
+    if (currentDir === homeDir) {
+      return null;
+    }
+
     const candidate = join(currentDir, CONFIG_DIRNAME, CONFIG_FILENAME);
-    if (existsSync(candidate)) {
+    if (isDirectory(dirname(candidate))) {
       return candidate;
     }
 
@@ -297,40 +338,93 @@ function buildInitTarget(options = {}) {
   };
 }
 
-async function loadConfigFile(configPath) {
-  if (!configPath || !existsSync(configPath)) {
+async function loadConfigFile(configPath, options = {}) {
+  if (!configPath) {
     return { path: configPath, targets: [] };
   }
 
-  const parsed = JSON.parse(await readFile(configPath, 'utf8'));
-  const rawTargets = parsed?.syncDocs?.targets;
-  if (!Array.isArray(rawTargets)) {
-    throw new Error(`Expected syncDocs.targets array in ${configPath}`);
+  const baseDir = dirname(dirname(configPath));
+  let targets = [];
+  let defaultRepoUrl = null;
+  let frontMatterScope = null;
+
+  if (existsSync(configPath)) {
+    const parsed = JSON.parse(await readFile(configPath, 'utf8'));
+    const rawTargets = parsed?.syncDocs?.targets;
+    if (!Array.isArray(rawTargets)) {
+      throw validationError(`Expected syncDocs.targets array in ${configPath}`);
+    }
+
+    defaultRepoUrl = normalizeRepoUrl(parsed.syncDocs.repoUrl, `${configPath} syncDocs`);
+    frontMatterScope = normalizeFrontMatterScope(parsed.syncDocs.frontMatter, configPath);
+    targets = rawTargets.flatMap((target, index) => {
+      const sourceLabel = `${configPath}#${index + 1}`;
+      const normalized = target && typeof target === 'object' && target.files !== undefined
+        ? expandGlobTargetConfig(target, baseDir, sourceLabel, configPath)
+        : [normalizeTargetConfig(target, baseDir, sourceLabel, configPath)];
+      const repoUrl = normalizeRepoUrl(target.repoUrl, sourceLabel) || defaultRepoUrl;
+      return repoUrl ? normalized.map((entry) => ({ ...entry, repoUrl })) : normalized;
+    });
+  }
+
+  // Front matter is discovered from the `.linear-tools/` directory, with or without config.json
+  if (!options.discoverFrontMatter || frontMatterScope === false || !isDirectory(dirname(configPath))) {
+    return { path: configPath, targets };
   }
 
-  const baseDir = dirname(dirname(configPath));
-  const targets = rawTargets.map((target, index) => normalizeTargetConfig(
-    target,
-    baseDir,
-    `${configPath}#${index + 1}`,
-    configPath
-  ));
+  // Explicit targets win: a file already synced by config.json keeps that target.
+  const explicitFiles = new Set(targets.map((target) => target.file));
+  const discovered = discoverFrontMatterTargets(baseDir, configPath, frontMatterScope)
+    .filter((target) => !explicitFiles.has(target.file))
+    .map((target) => (target.repoUrl || !defaultRepoUrl ? target : { ...target, repoUrl: defaultRepoUrl }));
+
+  return { path: configPath, targets: mergeTargets(discovered, targets) };
+}
+
+/**
+ * `syncDocs.frontMatter` limits front matter discovery: a glob or list of globs
+ * relative to the config root, or false to turn it off. Unset means every
+ * markdown file git does not ignore.
+ */
+function normalizeFrontMatterScope(value, configPath) {
+  if (value === undefined || value === null || value === true) {
+    return null;
+  }
+  if (value === false) {
+    return false;
+  }
+
+  const patterns = Array.isArray(value) ? value : [value];
+  if (patterns.length === 0 || patterns.some((pattern) => typeof pattern !== 'string' || !pattern.trim())) {
+    throw validationError(`syncDocs.frontMatter in ${configPath} must be false, a glob, or a list of globs, e.g. ["docs/**/*.md"]`);
+  }
+  return patterns.map((pattern) => pattern.trim());
+}
+
+function normalizeRepoUrl(value, sourceLabel) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
 
-  return { path: configPath, targets };
+  const repoUrl = String(value).trim();
+  if (!repoUrl.includes('{path}')) {
+    throw validationError(`repoUrl at ${sourceLabel} must contain "{path}", e.g. "https://github.com/org/repo/blob/{commit}/{path}"`);
+  }
+  return repoUrl;
 }
 
 function normalizeTargetConfig(target, baseDir, sourceLabel, sourceConfigPath) {
   if (!target || typeof target !== 'object' || Array.isArray(target)) {
-    throw new Error(`Invalid sync target at ${sourceLabel}`);
+    throw validationError(`Invalid sync target at ${sourceLabel}`);
   }
 
   if (!target.file) {
-    throw new Error(`Missing required field "file" at ${sourceLabel}`);
+    throw validationError(`Missing required field "file" at ${sourceLabel}`);
   }
 
   const filePath = isAbsolute(target.file) ? resolve(target.file) : resolve(baseDir, target.file);
   if (!isPathWithinBaseDir(baseDir, filePath)) {
-    throw new Error(`Sync target file must stay within ${baseDir}: ${target.file}`);
+    throw validationError(`Sync target file must stay within ${baseDir}: ${target.file}`);
   }
 
   const marker = target.marker ? String(target.marker).trim() : defaultMarkerFromFile(filePath);
@@ -338,21 +432,21 @@ function normalizeTargetConfig(target, baseDir, sourceLabel, sourceConfigPath) {
   const allowedTypes = ['projectField', 'issueField', 'document'];
 
   if (explicitType && !allowedTypes.includes(explicitType)) {
-    throw new Error(`Invalid targetType "${explicitType}" at ${sourceLabel}`);
+    throw validationError(`Invalid targetType "${explicitType}" at ${sourceLabel}`);
   }
 
   const targetType = explicitType
     || (target.issue ? 'issueField' : target.project ? 'projectField' : null);
 
   if (!targetType) {
-    throw new Error(`Sync target at ${sourceLabel} must declare targetType or include project/issue`);
+    throw validationError(`Sync target at ${sourceLabel} must declare targetType or include project/issue`);
   }
 
   if (targetType === 'document') {
     const hasProject = Boolean(target.project);
     const hasIssue = Boolean(target.issue);
     if (hasProject === hasIssue) {
-      throw new Error(`Document sync target at ${sourceLabel} must include exactly one of "project" or "issue"`);
+      throw validationError(`Document sync target at ${sourceLabel} must include exactly one of "project" or "issue"`);
     }
 
     return {
@@ -374,7 +468,7 @@ function normalizeTargetConfig(target, baseDir, sourceLabel, sourceConfigPath) {
   if (targetType === 'issueField') {
     const field = target.field ? String(target.field).trim() : 'description';
     if (field !== 'description') {
-      throw new Error(`Issue sync target at ${sourceLabel} must use field "description"`);
+      throw validationError(`Issue sync target at ${sourceLabel} must use field "description"`);
     }
 
     return {
@@ -390,7 +484,7 @@ function normalizeTargetConfig(target, baseDir, sourceLabel, sourceConfigPath) {
 
   const field = target.field ? String(target.field).trim() : 'content';
   if (!['content', 'description'].includes(field)) {
-    throw new Error(`Project sync target at ${sourceLabel} must use field "content" or "description"`);
+    throw validationError(`Project sync target at ${sourceLabel} must use field "content" or "description"`);
   }
 
   return {
@@ -410,6 +504,233 @@ function normalizeTargetConfig(target, baseDir, sourceLabel, sourceConfigPath) {
   };
 }
 
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob (`*`, `**`, `?`, `{a,b}`) over portable relative paths to a RegExp
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      const followedBySlash = pattern[index + 2] === '/';
+      source += followedBySlash ? '(?:.*/)?' : '.*';
+      index += followedBySlash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', index) !== -1) {
+      const closeIndex = pattern.indexOf('}', index);
+      source += `(?:${pattern.slice(index + 1, closeIndex).split(',').map(escapeRegExp).join('|')})`;
+      index = closeIndex;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function listFilesRecursive(dir) {
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    // An unreadable directory (or one removed mid-walk) has no files to sync
+    if (UNREADABLE_ERROR_CODES.has(error?.code)) {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!GLOB_SKIPPED_DIRS.has(entry.name)) {
+        files.push(...listFilesRecursive(entryPath));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand one `files` pattern relative to baseDir into sorted portable relative paths
+ */
+function expandFileGlob(baseDir, pattern) {
+  const portablePattern = toPortablePath(pattern).replace(/^\.\//, '');
+  if (isAbsolute(portablePattern) || portablePattern.split('/').includes('..')) {
+    throw validationError(`Sync target files glob must stay within ${baseDir}: ${pattern}`);
+  }
+
+  const segments = portablePattern.split('/');
+  const firstGlobIndex = segments.findIndex((segment) => /[*?{]/.test(segment));
+  if (firstGlobIndex === -1) {
+    const filePath = join(baseDir, ...segments);
+    return existsSync(filePath) && statSync(filePath).isFile() ? [portablePattern] : [];
+  }
+
+  const rootDir = join(baseDir, ...segments.slice(0, firstGlobIndex));
+  if (!isDirectory(rootDir)) {
+    return [];
+  }
+
+  const matcher = globToRegExp(portablePattern);
+  return listFilesRecursive(rootDir)
+    .map((filePath) => toPortablePath(relative(baseDir, filePath)))
+    .filter((relativePath) => matcher.test(relativePath))
+    .sort();
+}
+
+function readDocumentTitle(filePath) {
+  const { body } = splitFrontMatter(normalizeNewlines(readFileSync(filePath, 'utf8')));
+  const heading = body.match(/^#{1,6}[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/m);
+  return heading ? heading[1].trim() : defaultDocumentTitleFromFile(filePath);
+}
+
+/**
+ * Expand a `files` glob target into one document target per matching file. Titles
+ * come from the first heading (else the file name); markers and names from the
+ * relative path, so they stay stable as long as the file does not move.
+ */
+function expandGlobTargetConfig(target, baseDir, sourceLabel, sourceConfigPath) {
+  if (target.file) {
+    throw validationError(`Sync target at ${sourceLabel} must use either "file" or "files", not both`);
+  }
+
+  if (target.targetType && String(target.targetType).trim() !== 'document') {
+    throw validationError(`Glob sync target at ${sourceLabel} must use targetType "document"`);
+  }
+
+  for (const field of ['title', 'documentId']) {
+    if (target[field] !== undefined) {
+      throw validationError(`Glob sync target at ${sourceLabel} cannot set "${field}"; it would apply to every matched file`);
+    }
+  }
+
+  const patterns = (Array.isArray(target.files) ? target.files : [target.files])
+    .map((value) => String(value || '').trim())
+    .filter(Boolean);
+  if (patterns.length === 0) {
+    throw validationError(`Missing required field "files" at ${sourceLabel}`);
+  }
+
+  const glob = patterns.join(', ');
+  const relativeFiles = Array.from(new Set(patterns.flatMap((pattern) => expandFileGlob(baseDir, pattern)))).sort();
+
+  return relativeFiles.map((relativeFile) => {
+    const pathMarker = sanitizeMarker(relativeFile.slice(0, relativeFile.length - extname(relativeFile).length)) || 'sync';
+    const { files: _files, ...fileTarget } = target;
+    const normalized = normalizeTargetConfig({
+      ...fileTarget,
+      targetType: 'document',
+      file: relativeFile,
+      name: target.name ? `${String(target.name).trim()}-${pathMarker}` : undefined,
+      marker: target.marker ? `${String(target.marker).trim()}-${pathMarker}` : pathMarker,
+      title: readDocumentTitle(join(baseDir, relativeFile)),
+    }, baseDir, `${sourceLabel} (${relativeFile})`, sourceConfigPath);
+
+    return { ...normalized, glob };
+  });
+}
+
+/**
+ * Files under baseDir that git does not ignore (tracked or untracked), or null
+ * when baseDir is not inside a git checkout
+ */
+function listGitVisibleFiles(baseDir) {
+  try {
+    return execFileSync('git', ['ls-files', '--cached', '--others', '--exclude-standard', '-z'], {
+      cwd: baseDir,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 10_000,
+      maxBuffer: 64 * 1024 * 1024,
+      windowsHide: true,
+    }).split('\0').filter(Boolean).map((filePath) => join(baseDir, filePath));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Candidate files for front matter discovery: the configured globs, else the
+ * files git does not ignore, else a walk of baseDir
+ */
+function listFrontMatterCandidates(baseDir, scope) {
+  if (scope) {
+    return Array.from(new Set(scope.flatMap((pattern) => expandFileGlob(baseDir, pattern))))
+      .map((relativeFile) => join(baseDir, relativeFile));
+  }
+
+  const files = listGitVisibleFiles(baseDir) || listFilesRecursive(baseDir);
+  return files.filter((filePath) => !toPortablePath(relative(baseDir, filePath)).split('/')
+    .some((segment) => GLOB_SKIPPED_DIRS.has(segment)));
+}
+
+/**
+ * Build targets for markdown files under baseDir that declare their own target in
+ * front matter (`linear: { project, title, marker }`). They are document targets
+ * unless `targetType` or `field` says otherwise, and default their title, name and
+ * marker like glob targets do. `scope` is the normalized `syncDocs.frontMatter`.
+ */
+function discoverFrontMatterTargets(baseDir, sourceConfigPath, scope = null) {
+  return listFrontMatterCandidates(baseDir, scope)
+    .filter((filePath) => FRONT_MATTER_EXTENSIONS.has(extname(filePath).toLowerCase()))
+    .sort()
+    .flatMap((filePath) => {
+      let content;
+      try {
+        content = normalizeNewlines(readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        if (UNREADABLE_ERROR_CODES.has(error?.code) || error?.code === 'EISDIR') {
+          return [];
+        }
+        throw error;
+      }
+      if (!content.startsWith('---')) {
+        return [];
+      }
+
+      let declaration;
+      try {
+        declaration = readFrontMatterKey(splitFrontMatter(content).yaml, 'linear');
+      } catch (error) {
+        throw validationError(`Invalid "linear" front matter in ${filePath}: ${error.message}`);
+      }
+      if (declaration === undefined || declaration === null || declaration === false) {
+        return [];
+      }
+      if (typeof declaration !== 'object' || Array.isArray(declaration)) {
+        throw validationError(`Front matter key "linear" in ${filePath} must be a mapping, e.g. linear: { project: "Project name" }`);
+      }
+      for (const field of ['file', 'files']) {
+        if (declaration[field] !== undefined) {
+          throw validationError(`Front matter sync target in ${filePath} cannot set "${field}"; it always syncs its own file`);
+        }
+      }
+
+      const relativeFile = toPortablePath(relative(baseDir, filePath));
+      const pathMarker = sanitizeMarker(relativeFile.slice(0, relativeFile.length - extname(relativeFile).length)) || 'sync';
+      const normalized = normalizeTargetConfig({
+        ...declaration,
+        targetType: declaration.targetType || (declaration.field ? undefined : 'document'),
+        file: relativeFile,
+        marker: declaration.marker || pathMarker,
+        title: declaration.title || readDocumentTitle(filePath),
+      }, baseDir, `${filePath} front matter`, sourceConfigPath);
+      const repoUrl = normalizeRepoUrl(declaration.repoUrl, `${filePath} front matter`);
+
+      return [{ ...normalized, ...(repoUrl ? { repoUrl } : {}), frontMatter: true }];
+    });
+}
+
 function mergeTargets(globalTargets, localTargets) {
   const merged = new Map();
 
@@ -427,7 +748,9 @@ function mergeTargets(globalTargets, localTargets) {
 export async function loadSyncDocTargets({ cwd = process.cwd(), configPath } = {}) {
   if (configPath) {
     const explicitPath = resolveConfigInputPath(configPath, cwd);
-    const explicitConfig = await loadConfigFile(explicitPath);
+    const explicitConfig = await loadConfigFile(explicitPath, {
+      discoverFrontMatter: explicitPath !== resolve(getGlobalConfigPath()),
+    });
     return {
       targets: explicitConfig.targets,
       configPath: explicitPath,
@@ -439,7 +762,9 @@ export async function loadSyncDocTargets({ cwd = process.cwd(), configPath } = {
   const localConfigPath = findNearestConfigPath(cwd);
 
   const globalConfig = await loadConfigFile(globalConfigPath);
-  const localConfig = localConfigPath ? await loadConfigFile(localConfigPath) : { path: null, targets: [] };
+  const localConfig = localConfigPath
+    ? await loadConfigFile(localConfigPath, { discoverFrontMatter: true })
+    : { path: null, targets: [] };
   const activeConfigPath = localConfig.path || globalConfig.path || null;
 
   return {
@@ -605,8 +930,14 @@ export function explainSyncDocSetup() {
     '- Use repo root only for targets intentionally shared across multiple subprojects.',
     '- Use one `projectField` target for the project overview in `content` or `description`.',
     '- Use `targetType: "document"` for deeper docs that should become separate Linear documents.',
+    '- Use `files: "docs/**/*.md"` instead of `file` to turn every matching file into its own document target.',
+    '- Or declare a target in a markdown file\'s front matter (`linear: { project: "X", title: "Y" }`) to keep ownership next to the doc.',
     '- Let the overview target set `documentIndexMarker` so it maintains a managed links block to those documents.',
+    '- Relative links to synced files become Linear document URLs, local images are uploaded, and `repoUrl` turns other repo file links into web URLs.',
     '- `sync-doc run` and `sync-doc check` default to all configured targets.',
+    '- `sync-doc pull` brings edits made in Linear back into the source files.',
+    '- `sync-doc watch` pushes targets as their files are saved.',
+    '- When a managed block changed both locally and in Linear, `sync-doc run` stops; resolve with `--strategy ours|theirs|merge`.',
     '- Keep `.linear-tools/sync-state.json` local; it is runtime state, not source config.',
     '',
     'Recommended bootstrap:',
@@ -618,13 +949,13 @@ export function explainSyncDocSetup() {
 
 function selectTarget(targets, targetName) {
   if (!Array.isArray(targets) || targets.length === 0) {
-    throw new Error(`No sync targets configured. Add ${getConfigDisplayPath()} or pass --file with --project/--issue`);
+    throw validationError(`No sync targets configured. Add ${getConfigDisplayPath()} or pass --file with --project/--issue`);
   }
 
   if (targetName) {
     const match = targets.find((target) => target.name === targetName);
     if (!match) {
-      throw new Error(`Sync target not found: ${targetName}`);
+      throw notFoundError(`Sync target not found: ${targetName}`);
     }
     return match;
   }
@@ -633,7 +964,7 @@ function selectTarget(targets, targetName) {
     return targets[0];
   }
 
-  throw new Error(`Multiple sync targets are configured. Pass --target. Available: ${targets.map((target) => target.name).join(', ')}`);
+  throw validationError(`Multiple sync targets are configured. Pass --target. Available: ${targets.map((target) => target.name).join(', ')}`);
 }
 
 function buildDocumentIndexContent(entries, heading) {
@@ -712,6 +1043,7 @@ async function getRemoteFieldEntity(client, target) {
       entityType: 'project',
       entityName: project.name,
       entityId: project.id,
+      entityUrl: project.url || null,
       fieldValue: project[target.field] ?? '',
       update: async (nextValue) => updateProject(client, target.project, { [target.field]: nextValue }),
     };
@@ -722,11 +1054,177 @@ async function getRemoteFieldEntity(client, target) {
     entityType: 'issue',
     entityName: issue.identifier || issue.title || issue.id,
     entityId: issue.id,
+    entityUrl: issue.url || null,
     fieldValue: issue.description ?? '',
     update: async (nextValue) => updateIssue(client, target.issue, { description: nextValue }),
   };
 }
 
+/**
+ * Rebuild every inline markdown link and image outside fenced code blocks.
+ * `mapHref` returns the replacement href, or null to keep the link as written.
+ */
+async function mapMarkdownLinks(content, mapHref) {
+  const lines = [];
+  let inFence = false;
+
+  for (const line of content.split('\n')) {
+    if (/^\s{0,3}(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    if (inFence || !line.includes('](')) {
+      lines.push(line);
+      continue;
+    }
+
+    let output = '';
+    let lastIndex = 0;
+    for (const match of line.matchAll(MARKDOWN_LINK_PATTERN)) {
+      const [whole, bang, text, rawHref, title = ''] = match;
+      const href = rawHref.startsWith('<') ? rawHref.slice(1, -1) : rawHref;
+      const nextHref = await mapHref({ href, rawHref, image: bang === '!' });
+      output += line.slice(lastIndex, match.index) + (nextHref ? `${bang}[${text}](${nextHref}${title})` : whole);
+      lastIndex = match.index + whole.length;
+    }
+    lines.push(output + line.slice(lastIndex));
+  }
+
+  return lines.join('\n');
+}
+
+function resolveLocalLinkPath(target, href) {
+  if (!href || href.startsWith('#') || href.startsWith('/') || /^[a-z][a-z0-9+.-]*:/i.test(href)) {
+    return null;
+  }
+
+  const [, pathPart, suffix] = href.match(/^([^?#]*)(.*)$/);
+  let decodedPath = pathPart;
+  try {
+    decodedPath = decodeURIComponent(pathPart);
+  } catch {
+    // Keep malformed escapes as written.
+  }
+
+  const filePath = resolve(dirname(target.file), decodedPath);
+  return pathPart && existsSync(filePath) ? { filePath, suffix } : null;
+}
+
+function getRepoInfo(target, context) {
+  context.repoInfo = context.repoInfo || new Map();
+  const dir = dirname(target.file);
+  if (!context.repoInfo.has(dir)) {
+    let info = null;
+    try {
+      const [root, commit] = execFileSync('git', ['rev-parse', '--show-toplevel', 'HEAD'], {
+        cwd: dir,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        timeout: 2_000,
+        windowsHide: true,
+      }).trim().split('\n');
+      info = { root: resolve(root), commit };
+    } catch {
+      // Not a git checkout: paths are relative to the config root and {commit} is unavailable.
+    }
+    context.repoInfo.set(dir, info);
+  }
+  return context.repoInfo.get(dir);
+}
+
+function buildRepoFileUrl(target, filePath, context) {
+  const repoInfo = getRepoInfo(target, context);
+  const root = repoInfo?.root || (target.sourceConfigPath ? dirname(dirname(target.sourceConfigPath)) : context.cwd);
+  if (!isPathWithinBaseDir(root, filePath)) {
+    return null;
+  }
+  if (target.repoUrl.includes('{commit}') && !repoInfo?.commit) {
+    throw new Error(`repoUrl for sync target "${target.name}" uses {commit}, but ${dirname(target.file)} is not inside a git checkout`);
+  }
+
+  const repoPath = toPortablePath(relative(root, filePath)).split('/').map(encodeURIComponent).join('/');
+  return target.repoUrl
+    .replace(/\{commit\}/g, repoInfo?.commit || '')
+    .replace(/\{path\}/g, repoPath);
+}
+
+/**
+ * Upload a local image once per content hash; `state.assets` maps the sha256 of
+ * the file bytes to its Linear asset URL. Check mode never uploads, so images that
+ * are not cached yet keep their relative path.
+ */
+async function resolveImageAssetUrl(client, filePath, state, context) {
+  const data = readFileSync(filePath);
+  const hash = createHash('sha256').update(data).digest('hex');
+  const cachedUrl = state.assets?.[hash] || null;
+  if (cachedUrl || context.mode === 'check') {
+    return cachedUrl;
+  }
+
+  const { assetUrl } = await uploadFile(client, {
+    filename: basename(filePath),
+    contentType: IMAGE_CONTENT_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream',
+    data,
+  });
+  state.assets = { ...state.assets, [hash]: assetUrl };
+  return assetUrl;
+}
+
+/**
+ * Turn relative links in a source file into URLs that work inside Linear: other
+ * synced files become their Linear document URL (once the document exists), other
+ * repo files become `repoUrl` links, and images are uploaded to Linear. Returns the
+ * rewritten content and a map of each new URL to the href it replaced, used to put
+ * the original links back when Linear content is written to local files.
+ */
+async function rewriteSourceLinks(client, target, loaded, state, content, context) {
+  const links = {};
+  const rewritten = await mapMarkdownLinks(content, async ({ href, rawHref, image }) => {
+    const local = resolveLocalLinkPath(target, href);
+    if (!local) {
+      return null;
+    }
+
+    let url = null;
+    if (image) {
+      url = await resolveImageAssetUrl(client, local.filePath, state, context);
+    } else {
+      const linkedTarget = loaded.targets.find((candidate) => (
+        candidate.targetType === 'document' && resolve(candidate.file) === local.filePath
+      ));
+      const documentUrl = linkedTarget ? state.targets[linkedTarget.name]?.documentUrl : null;
+      if (documentUrl) {
+        url = `${documentUrl}${local.suffix}`;
+      } else if (target.repoUrl) {
+        const repoFileUrl = buildRepoFileUrl(target, local.filePath, context);
+        url = repoFileUrl ? `${repoFileUrl}${local.suffix}` : null;
+      }
+    }
+
+    if (url) {
+      links[url] = rawHref;
+    }
+    return url;
+  });
+
+  return { content: rewritten, links };
+}
+
+async function restoreSourceLinks(content, links = {}) {
+  return mapMarkdownLinks(content, async ({ href }) => (Object.hasOwn(links, href) ? links[href] : null));
+}
+
+/**
+ * State kept per target for rewritten links: `localHash` is the source file as
+ * written (the other hashes cover the rewritten content pushed to Linear), and
+ * `links` maps each rewritten URL back to its original href.
+ */
+function buildLinkState(localContent, links) {
+  return {
+    localHash: sha256(localContent),
+    links: Object.keys(links).length > 0 ? links : undefined,
+  };
+}
+
 function buildHashes(currentSegments, sourceContent, auxiliaryContent, metadataPayload) {
   return {
     sourceHash: sha256(sourceContent),
@@ -798,6 +1296,185 @@ function shouldSkipManagedUpdate(previousState, currentSegments, hashes) {
     && (previousState.metadataHash || sha256('{}')) === hashes.metadataHash;
 }
 
+function normalizeConflictStrategy(strategy) {
+  if (strategy === undefined || strategy === null || strategy === '') {
+    return null;
+  }
+
+  const normalized = String(strategy).trim().toLowerCase();
+  if (!CONFLICT_STRATEGIES.includes(normalized)) {
+    throw validationError(`Invalid strategy "${strategy}". Use one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Source file content as synced to Linear: normalized newlines without trailing
+ * whitespace. Front matter targets leave out the front matter that declares them;
+ * other targets sync the file as-is.
+ */
+async function readSourceContent(target) {
+  const content = normalizeNewlines(await readFile(target.file, 'utf8'));
+  return (target.frontMatter ? splitFrontMatter(content).body : content).trimEnd();
+}
+
+/**
+ * Write synced content back to a source file, keeping a front matter target's
+ * front matter.
+ */
+async function writeSourceFile(target, content) {
+  const { frontMatter } = target.frontMatter && existsSync(target.file)
+    ? splitFrontMatter(normalizeNewlines(await readFile(target.file, 'utf8')))
+    : { frontMatter: '' };
+  await mkdir(dirname(target.file), { recursive: true });
+  await writeFile(target.file, content ? `${frontMatter}${content}\n` : frontMatter, 'utf8');
+}
+
+/**
+ * The stored managedHash is the common ancestor: the managed block as of the last
+ * sync. It is a conflict when both the source file and the remote block moved away
+ * from it, to different content.
+ */
+function hasManagedConflict(previousState, currentSegments, sourceContent) {
+  if (!currentSegments.hasManagedBlock || !previousState.sourceHash || !previousState.managedHash) {
+    return false;
+  }
+
+  const localChanged = sha256(sourceContent) !== previousState.sourceHash;
+  const remoteChanged = sha256(currentSegments.managed) !== previousState.managedHash;
+  return localChanged && remoteChanged && currentSegments.managed !== sourceContent;
+}
+
+function hasConflictMarkers(content) {
+  return CONFLICT_MARKER_PATTERN.test(content);
+}
+
+/**
+ * Apply the requested conflict strategy. Returns the source content to push, or a
+ * `conflict` description when nothing must be written to Linear. Content written
+ * back to the source file gets its original relative links from `links`.
+ *
+ * A source that still has conflict markers is never pushed or merged again; only
+ * `theirs` may replace it with the Linear version. After a merge with conflicts
+ * the Linear side becomes the stored ancestor (`acceptedState`), so once the
+ * markers are resolved a plain run pushes the file.
+ */
+async function resolveManagedConflict(target, previousState, currentSegments, sourceContent, context, links = {}) {
+  const diverged = hasManagedConflict(previousState, currentSegments, sourceContent);
+  const strategy = context.mode === 'check' ? null : context.strategy;
+  const markers = hasConflictMarkers(sourceContent);
+
+  if (markers && (strategy !== 'theirs' || !currentSegments.hasManagedBlock)) {
+    return { sourceContent, strategy: null, conflict: { conflictReason: 'unresolved-markers' } };
+  }
+
+  if (!diverged && !markers) {
+    return { sourceContent, strategy: null, conflict: null };
+  }
+
+  const remoteContent = currentSegments.managed;
+
+  if (!strategy) {
+    return { sourceContent, strategy: null, conflict: { conflictReason: 'diverged' } };
+  }
+
+  if (strategy === 'ours') {
+    return { sourceContent, strategy, conflict: null };
+  }
+
+  if (strategy === 'theirs') {
+    const localContent = await restoreSourceLinks(remoteContent, links);
+    await writeSourceFile(target, localContent);
+    return {
+      sourceContent: remoteContent,
+      localContent,
+      strategy,
+      conflict: null,
+      acceptedState: {
+        sourceHash: sha256(remoteContent),
+        managedHash: sha256(remoteContent),
+        managedBase: remoteContent,
+      },
+    };
+  }
+
+  if (typeof previousState.managedBase !== 'string') {
+    return { sourceContent, strategy, conflict: { conflictReason: 'missing-base' } };
+  }
+
+  const merged = mergeThreeWay(previousState.managedBase, sourceContent, remoteContent, {
+    localLabel: 'local',
+    remoteLabel: 'linear',
+  });
+  const localContent = await restoreSourceLinks(merged.content, links);
+  await writeSourceFile(target, localContent);
+
+  if (merged.conflictCount > 0) {
+    return {
+      sourceContent,
+      strategy,
+      conflict: { conflictReason: 'merge-conflict', conflictCount: merged.conflictCount },
+      acceptedState: {
+        sourceHash: sha256(merged.content),
+        managedHash: sha256(remoteContent),
+        managedBase: remoteContent,
+      },
+    };
+  }
+
+  return { sourceContent: merged.content, localContent, strategy, conflict: null };
+}
+
+/**
+ * Unified diff of what a sync would push: the remote managed block against the
+ * local file, plus the document index block when the target maintains one.
+ */
+function buildSyncDiff(target, cwd, currentValue, sourceContent, auxiliaryContent = null) {
+  const file = isPathWithinBaseDir(cwd, target.file) ? toPortablePath(relative(cwd, target.file)) : target.file;
+  const sections = [
+    formatUnifiedDiff(
+      extractManagedSegments(currentValue, target.marker).managed,
+      sourceContent.replace(/^\n+/, ''),
+      { oldLabel: `linear/${target.marker}`, newLabel: file }
+    ),
+  ];
+
+  if (auxiliaryContent !== null && target.documentIndexMarker) {
+    sections.push(formatUnifiedDiff(
+      extractManagedSegments(currentValue, target.documentIndexMarker).managed,
+      auxiliaryContent.trimEnd(),
+      { oldLabel: `linear/${target.documentIndexMarker}`, newLabel: `document-index/${target.documentIndexMarker}` }
+    ));
+  }
+
+  return sections.filter(Boolean).join('\n');
+}
+
+/**
+ * Keep the ancestor recorded by a conflicted merge; other conflicts leave state untouched.
+ */
+async function saveConflictState(statePath, state, target, previousState, resolution, context) {
+  if (!resolution.acceptedState) {
+    return;
+  }
+
+  state.targets[target.name] = {
+    ...previousState,
+    ...resolution.acceptedState,
+    lastCheckedAt: new Date().toISOString(),
+  };
+  await saveExecutionState(statePath, state, context);
+}
+
+function buildConflictResult(baseResult, resolution, mode) {
+  return {
+    ...baseResult,
+    changed: mode === 'check',
+    conflict: true,
+    ...resolution.conflict,
+  };
+}
+
 function buildBaseResult(target, loaded, statePath, mode) {
   return {
     mode,
@@ -815,10 +1492,10 @@ function buildBaseResult(target, loaded, statePath, mode) {
 async function runFieldTarget(client, target, loaded, context) {
   const { cwd, mode, inlineTarget } = context;
   const remoteEntity = await getRemoteFieldEntity(client, target);
-  const sourceContent = normalizeNewlines(await readFile(target.file, 'utf8')).trimEnd();
+  const localContent = await readSourceContent(target);
   const statePath = inlineTarget ? getFallbackStatePath(cwd) : loaded.statePath;
   const state = await getExecutionState(statePath, context);
-  const previousState = state.targets[target.name] || {};
+  let previousState = state.targets[target.name] || {};
   const cleanupMarkers = Array.from(new Set([
     ...getAutomaticCleanupMarkers(target, loaded.targets),
     ...(target.cleanupMarkers || []),
@@ -827,6 +1504,30 @@ async function runFieldTarget(client, target, loaded, context) {
   const rawCurrentValue = normalizeNewlines(remoteEntity.fieldValue);
   const cleanedCurrentValue = applyCleanupMarkers(rawCurrentValue, cleanupMarkers);
   const cleanupChanged = rawCurrentValue !== cleanedCurrentValue;
+  const currentSegments = extractManagedSegments(cleanedCurrentValue, target.marker);
+  const entityResult = {
+    entityType: remoteEntity.entityType,
+    entityName: remoteEntity.entityName,
+    entityId: remoteEntity.entityId,
+    entityUrl: remoteEntity.entityUrl,
+  };
+
+  const rewritten = await rewriteSourceLinks(client, target, loaded, state, localContent, context);
+  const links = { ...previousState.links, ...rewritten.links };
+  const resolution = await resolveManagedConflict(target, previousState, currentSegments, rewritten.content, context, links);
+  if (resolution.conflict) {
+    await saveConflictState(statePath, state, target, previousState, resolution, context);
+    return buildConflictResult({
+      ...buildBaseResult(target, loaded, statePath, mode),
+      ...entityResult,
+      ...(context.diff ? { diff: buildSyncDiff(target, cwd, cleanedCurrentValue, rewritten.content) } : {}),
+    }, resolution, mode);
+  }
+  const { sourceContent } = resolution;
+  const linkState = buildLinkState(resolution.localContent ?? localContent, rewritten.links);
+  if (resolution.acceptedState) {
+    previousState = { ...previousState, ...resolution.acceptedState };
+  }
 
   let nextValue = upsertManagedContent(cleanedCurrentValue, target.marker, sourceContent);
   let auxiliaryContent = '';
@@ -842,7 +1543,6 @@ async function runFieldTarget(client, target, loaded, context) {
     );
   }
 
-  const currentSegments = extractManagedSegments(cleanedCurrentValue, target.marker);
   const nextSegments = extractManagedSegments(nextValue, target.marker);
   const hashes = buildHashes(currentSegments, sourceContent, auxiliaryContent, { cleanupMarkers });
   const stateChanged = currentSegments.hasManagedBlock
@@ -853,9 +1553,8 @@ async function runFieldTarget(client, target, loaded, context) {
   const baseResult = {
     ...buildBaseResult(target, loaded, statePath, mode),
     changed,
-    entityType: remoteEntity.entityType,
-    entityName: remoteEntity.entityName,
-    entityId: remoteEntity.entityId,
+    ...entityResult,
+    ...(resolution.strategy ? { conflictResolution: resolution.strategy } : {}),
   };
 
   if (!changed) {
@@ -865,7 +1564,9 @@ async function runFieldTarget(client, target, loaded, context) {
       file: target.file,
       field: target.field,
       marker: target.marker,
+      ...linkState,
       ...hashes,
+      managedBase: currentSegments.managed,
       changed: false,
     };
     await saveExecutionState(statePath, state, context);
@@ -879,6 +1580,7 @@ async function runFieldTarget(client, target, loaded, context) {
       file: target.file,
       field: target.field,
       marker: target.marker,
+      ...linkState,
       sourceHash: hashes.sourceHash,
       beforeHash: sha256(nextSegments.before),
       managedHash: sha256(nextSegments.managed),
@@ -894,6 +1596,7 @@ async function runFieldTarget(client, target, loaded, context) {
       afterHash: sha256(nextValue),
       sourceHash: hashes.sourceHash,
       auxiliaryHash: hashes.auxiliaryHash,
+      ...(context.diff ? { diff: buildSyncDiff(target, cwd, cleanedCurrentValue, sourceContent, auxiliaryContent) } : {}),
     };
   }
 
@@ -904,9 +1607,11 @@ async function runFieldTarget(client, target, loaded, context) {
     file: target.file,
     field: target.field,
     marker: target.marker,
+    ...linkState,
     sourceHash: hashes.sourceHash,
     beforeHash: sha256(nextSegments.before),
     managedHash: sha256(nextSegments.managed),
+    managedBase: nextSegments.managed,
     afterHash: sha256(nextSegments.after),
     auxiliaryHash: hashes.auxiliaryHash,
     metadataHash: hashes.metadataHash,
@@ -950,16 +1655,38 @@ async function loadExistingDocument(client, target, previousState) {
 
 async function runDocumentTarget(client, target, loaded, context) {
   const { cwd, mode, inlineTarget } = context;
-  const sourceContent = normalizeNewlines(await readFile(target.file, 'utf8')).trimEnd();
+  const localContent = await readSourceContent(target);
   const statePath = inlineTarget ? getFallbackStatePath(cwd) : loaded.statePath;
   const state = await getExecutionState(statePath, context);
-  const previousState = state.targets[target.name] || {};
+  let previousState = state.targets[target.name] || {};
   const existingDocument = await loadExistingDocument(client, target, previousState);
   const ownerIds = await resolveDocumentOwnerIds(client, target);
 
   const currentValue = normalizeNewlines(existingDocument?.content ?? '');
-  const nextValue = upsertManagedContent(currentValue, target.marker, sourceContent);
   const currentSegments = extractManagedSegments(currentValue, target.marker);
+
+  const rewritten = await rewriteSourceLinks(client, target, loaded, state, localContent, context);
+  const links = { ...previousState.links, ...rewritten.links };
+  const resolution = await resolveManagedConflict(target, previousState, currentSegments, rewritten.content, context, links);
+  if (resolution.conflict) {
+    await saveConflictState(statePath, state, target, previousState, resolution, context);
+    return buildConflictResult({
+      ...buildBaseResult(target, loaded, statePath, mode),
+      entityType: 'document',
+      entityName: existingDocument.title,
+      entityId: existingDocument.id,
+      documentTitle: existingDocument.title,
+      documentUrl: existingDocument.url,
+      ...(context.diff ? { diff: buildSyncDiff(target, cwd, currentValue, rewritten.content) } : {}),
+    }, resolution, mode);
+  }
+  const { sourceContent } = resolution;
+  const linkState = buildLinkState(resolution.localContent ?? localContent, rewritten.links);
+  if (resolution.acceptedState) {
+    previousState = { ...previousState, ...resolution.acceptedState };
+  }
+
+  const nextValue = upsertManagedContent(currentValue, target.marker, sourceContent);
   const nextSegments = extractManagedSegments(nextValue, target.marker);
   const metadataPayload = {
     title: target.title,
@@ -992,6 +1719,7 @@ async function runDocumentTarget(client, target, loaded, context) {
     entityType: 'document',
     entityName: existingDocument?.title || target.title,
     entityId: existingDocument?.id || target.documentId || previousState.documentId || null,
+    ...(resolution.strategy ? { conflictResolution: resolution.strategy } : {}),
   };
 
   if (!changed) {
@@ -1000,11 +1728,14 @@ async function runDocumentTarget(client, target, loaded, context) {
       lastCheckedAt: new Date().toISOString(),
       file: target.file,
       marker: target.marker,
+      ...linkState,
       ...hashes,
+      managedBase: currentSegments.managed,
       documentId: existingDocument.id,
       documentTitle: existingDocument.title,
       documentUrl: existingDocument.url,
       documentIndexUrl: existingDocument.url,
+      ...(target.glob ? { glob: target.glob } : {}),
       changed: false,
     };
     await saveExecutionState(statePath, state, context);
@@ -1021,6 +1752,7 @@ async function runDocumentTarget(client, target, loaded, context) {
       lastCheckedAt: new Date().toISOString(),
       file: target.file,
       marker: target.marker,
+      ...linkState,
       sourceHash: hashes.sourceHash,
       beforeHash: sha256(nextSegments.before),
       managedHash: sha256(nextSegments.managed),
@@ -1041,6 +1773,7 @@ async function runDocumentTarget(client, target, loaded, context) {
       sourceHash: hashes.sourceHash,
       documentTitle: existingDocument?.title || target.title,
       documentUrl: existingDocument?.url || previousState.documentUrl || null,
+      ...(context.diff ? { diff: buildSyncDiff(target, cwd, currentValue, sourceContent) } : {}),
     };
   }
 
@@ -1075,14 +1808,17 @@ async function runDocumentTarget(client, target, loaded, context) {
     lastSyncedAt: new Date().toISOString(),
     file: target.file,
     marker: target.marker,
+    ...linkState,
     ...hashes,
     beforeHash: sha256(nextSegments.before),
     managedHash: sha256(nextSegments.managed),
+    managedBase: nextSegments.managed,
     afterHash: sha256(nextSegments.after),
     documentId: document.id,
     documentTitle: document.title,
     documentUrl: document.url,
     documentIndexUrl: existingDocument ? document.url : null,
+    ...(target.glob ? { glob: target.glob } : {}),
     changed: true,
   };
   await saveExecutionState(statePath, state, context);
@@ -1125,11 +1861,61 @@ export async function listSyncDocTargets(options = {}) {
       title: target.title || null,
       documentIndexMarker: target.documentIndexMarker || null,
       documentIndexPosition: target.documentIndexPosition || null,
+      glob: target.glob || null,
+      frontMatter: target.frontMatter === true,
       sourceConfigPath: target.sourceConfigPath || loaded.configPath || null,
     })),
   };
 }
 
+/**
+ * Find state entries of glob-expanded targets whose file no longer matches any
+ * configured glob. A run forgets them (archiving the Linear document when
+ * `archiveRemoved` is set); a check only reports them.
+ */
+async function reconcileRemovedGlobTargets(client, loaded, context, archiveRemoved) {
+  const state = context.sharedState;
+  const activeNames = new Set(loaded.targets.map((target) => target.name));
+  const removed = [];
+  let forgotten = false;
+
+  for (const [name, entry] of Object.entries(state.targets)) {
+    if (!entry?.glob || activeNames.has(name)) {
+      continue;
+    }
+
+    // The state entry holds the only reference to the Linear document, so it is
+    // kept (and reported on every run) until the document is archived.
+    let archived = false;
+    if (context.mode === 'run') {
+      if (archiveRemoved && entry.documentId) {
+        await archiveDocument(client, entry.documentId);
+        archived = true;
+      }
+      if (archived || !entry.documentId) {
+        delete state.targets[name];
+        forgotten = true;
+      }
+    }
+
+    removed.push({
+      targetName: name,
+      file: entry.file,
+      glob: entry.glob,
+      documentId: entry.documentId || null,
+      documentTitle: entry.documentTitle || null,
+      documentUrl: entry.documentUrl || null,
+      archived,
+    });
+  }
+
+  if (forgotten) {
+    await saveExecutionState(loaded.statePath, state, context);
+  }
+
+  return removed;
+}
+
 function orderTargetsForRun(targets) {
   return [...targets].sort((left, right) => {
     const leftPriority = left.targetType === 'document' ? 0 : 1;
@@ -1146,7 +1932,7 @@ export async function runAllSyncDocs(client, options = {}) {
   const loaded = await loadSyncDocTargets({ cwd, configPath: options.configPath });
 
   if (!Array.isArray(loaded.targets) || loaded.targets.length === 0) {
-    throw new Error(`No sync targets configured. Add ${getConfigDisplayPath()} or pass --file with --project/--issue`);
+    throw validationError(`No sync targets configured. Add ${getConfigDisplayPath()} or pass --file with --project/--issue`);
   }
 
   const preparedTargets = await prepareTargetsForExecution(client, loaded.targets);
@@ -1162,12 +1948,15 @@ export async function runAllSyncDocs(client, options = {}) {
     inlineTarget: false,
     sharedState,
     persistState: mode !== 'check',
+    strategy: normalizeConflictStrategy(options.strategy),
+    diff: options.diff === true,
   };
 
   const results = [];
   for (const target of orderTargetsForRun(preparedLoaded.targets)) {
     results.push(await runSyncDocTarget(client, target, preparedLoaded, context));
   }
+  const removed = await reconcileRemovedGlobTargets(client, preparedLoaded, context, options.archiveRemoved === true);
 
   return {
     mode,
@@ -1176,8 +1965,11 @@ export async function runAllSyncDocs(client, options = {}) {
     statePath: preparedLoaded.statePath,
     total: results.length,
     changedCount: results.filter((result) => result.changed).length,
-    unchangedCount: results.filter((result) => !result.changed).length,
+    unchangedCount: results.filter((result) => !result.changed && !result.conflict).length,
+    conflictCount: results.filter((result) => result.conflict).length,
+    removedCount: removed.length,
     results,
+    removed,
   };
 }
 
@@ -1198,9 +1990,389 @@ export async function runSyncDoc(client, options = {}) {
     mode,
     inlineTarget: Boolean(inlineTarget),
     persistState: mode !== 'check',
+    strategy: normalizeConflictStrategy(options.strategy),
+    diff: options.diff === true,
   });
 }
 
+const DEFAULT_WATCH_DEBOUNCE_MS = 500;
+
+async function readFileHash(filePath) {
+  try {
+    return sha256(await readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function normalizeDebounceMs(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_WATCH_DEBOUNCE_MS;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw validationError(`Invalid debounce: ${value}. Expected a non-negative number of milliseconds`);
+  }
+  return parsed;
+}
+
+/**
+ * Watch the source files of the configured sync targets (and the config file) and
+ * push each changed target to Linear. Saves within `debounceMs` are coalesced into
+ * one run; while the API is rate limited the run is postponed until the reset time.
+ * A target is not run again until its file differs from how its last run left it,
+ * so the watcher's own writes and unedited merge conflicts do not loop.
+ *
+ * Events are reported through `onEvent`: `{type: 'result', result}` per target run,
+ * `{type: 'error', targetName, error}`, `{type: 'rate-limited', resetAt}` and
+ * `{type: 'reloaded', targets}` after the config file changed.
+ *
+ * @returns {Promise<{configPath: string|null, targets: string[], close: Function}>}
+ */
+export async function watchSyncDocs(client, options = {}) {
+  const cwd = resolve(options.cwd || process.cwd());
+  const targetName = options.targetName || options.target;
+  const debounceMs = normalizeDebounceMs(options.debounceMs);
+  const strategy = normalizeConflictStrategy(options.strategy);
+  const onEvent = typeof options.onEvent === 'function' ? options.onEvent : () => {};
+  const watch = options.watch || watchPath;
+
+  const watchers = new Map();
+  const pending = new Set();
+  // Source file hash as of each target's last run. Events that leave the file as
+  // it was are skipped: the watcher's own writes (theirs/merge) and a file with
+  // merge conflicts that the user has not edited yet.
+  const lastRunHashes = new Map();
+  let loaded = null;
+  let selectedTargets = [];
+  let configChanged = false;
+  let timer = null;
+  let running = null;
+  let closed = false;
+
+  const loadTargets = async () => {
+    const nextLoaded = await loadSyncDocTargets({ cwd, configPath: options.configPath });
+    const nextSelected = targetName ? [selectTarget(nextLoaded.targets, targetName)] : nextLoaded.targets;
+    if (nextSelected.length === 0) {
+      throw validationError(`No sync targets configured. Add ${getConfigDisplayPath()} to watch`);
+    }
+
+    loaded = {
+      ...nextLoaded,
+      targets: await prepareTargetsForExecution(client, nextLoaded.targets),
+    };
+    selectedTargets = loaded.targets.filter((target) => nextSelected.some((selected) => selected.name === target.name));
+  };
+
+  const schedule = (delayMs = debounceMs) => {
+    if (closed) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      running = (running || Promise.resolve())
+        .then(flush)
+        .catch((error) => onEvent({ type: 'error', targetName: null, error }));
+    }, delayMs);
+  };
+
+  const handleChange = (dir, filename) => {
+    const changedPath = filename ? join(dir, String(filename)) : null;
+    if (loaded.configPath && (changedPath === null || changedPath === loaded.configPath) && dirname(loaded.configPath) === dir) {
+      configChanged = true;
+    }
+    for (const target of selectedTargets) {
+      if (dirname(target.file) === dir && (changedPath === null || changedPath === target.file)) {
+        pending.add(target.name);
+      }
+    }
+    if (configChanged || pending.size > 0) {
+      schedule();
+    }
+  };
+
+  const syncWatchers = () => {
+    const dirs = new Set(selectedTargets.map((target) => dirname(target.file)));
+    if (loaded.configPath) {
+      dirs.add(dirname(loaded.configPath));
+    }
+
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (!watchers.has(dir) && existsSync(dir)) {
+        watchers.set(dir, watch(dir, (_eventType, filename) => handleChange(dir, filename)));
+      }
+    }
+  };
+
+  const flush = async () => {
+    if (closed) return;
+
+    const { isRateLimited, resetAt } = checkAndClearRateLimit();
+    if (isRateLimited) {
+      onEvent({ type: 'rate-limited', resetAt });
+      schedule(Math.max(resetAt.getTime() - Date.now(), 0) + debounceMs);
+      return;
+    }
+
+    if (configChanged) {
+      configChanged = false;
+      lastRunHashes.clear();
+      try {
+        await loadTargets();
+        syncWatchers();
+        selectedTargets.forEach((target) => pending.add(target.name));
+        onEvent({ type: 'reloaded', targets: selectedTargets.map((target) => target.name) });
+      } catch (error) {
+        onEvent({ type: 'error', targetName: null, error });
+        return;
+      }
+    }
+
+    const candidates = orderTargetsForRun(selectedTargets.filter((target) => pending.has(target.name)));
+    pending.clear();
+
+    const queue = [];
+    for (const target of candidates) {
+      if (!lastRunHashes.has(target.name) || lastRunHashes.get(target.name) !== await readFileHash(target.file)) {
+        queue.push(target);
+      }
+    }
+
+    for (let index = 0; index < queue.length; index += 1) {
+      const target = queue[index];
+      try {
+        const hashBeforeRun = await readFileHash(target.file);
+        const result = await runSyncDocTarget(client, target, loaded, {
+          cwd,
+          mode: 'run',
+          inlineTarget: false,
+          persistState: true,
+          strategy,
+        });
+        const wroteFile = result.conflictReason === 'merge-conflict'
+          || result.conflictResolution === 'theirs'
+          || result.conflictResolution === 'merge';
+        lastRunHashes.set(target.name, wroteFile ? await readFileHash(target.file) : hashBeforeRun);
+        onEvent({ type: 'result', result });
+
+        // A created or renamed document changes the project's document index.
+        if (target.targetType === 'document' && result.changed) {
+          for (const owner of selectedTargets) {
+            if (owner.documentIndexMarker && getProjectIdentityKey(owner) === getProjectIdentityKey(target) && !queue.includes(owner)) {
+              queue.push(owner);
+            }
+          }
+        }
+      } catch (error) {
+        if (checkAndClearRateLimit().isRateLimited) {
+          queue.slice(index).forEach((remaining) => pending.add(remaining.name));
+          schedule(0);
+          return;
+        }
+        onEvent({ type: 'error', targetName: target.name, error });
+      }
+    }
+  };
+
+  await loadTargets();
+  syncWatchers();
+
+  return {
+    configPath: loaded.configPath,
+    targets: selectedTargets.map((target) => target.name),
+    close: async () => {
+      closed = true;
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+      watchers.clear();
+      await running;
+    },
+  };
+}
+
+async function readLocalSourceContent(target) {
+  if (!existsSync(target.file)) {
+    return null;
+  }
+  return readSourceContent(target);
+}
+
+async function planFieldPull(client, target, loaded, state) {
+  const remoteEntity = await getRemoteFieldEntity(client, target);
+  const cleanupMarkers = Array.from(new Set([
+    ...getAutomaticCleanupMarkers(target, loaded.targets),
+    ...(target.cleanupMarkers || []),
+  ]));
+  const currentValue = applyCleanupMarkers(normalizeNewlines(remoteEntity.fieldValue), cleanupMarkers);
+  const currentSegments = extractManagedSegments(currentValue, target.marker);
+
+  if (!currentSegments.hasManagedBlock) {
+    throw notFoundError(`No managed block "${target.marker}" found in ${remoteEntity.entityType} "${remoteEntity.entityName}" field "${target.field}". Run sync-doc run first.`);
+  }
+
+  let auxiliaryContent = '';
+  if (target.targetType === 'projectField' && target.documentIndexMarker) {
+    auxiliaryContent = buildDocumentIndexContent(
+      getDocumentIndexEntries(state, loaded.targets, target),
+      target.documentIndexHeading
+    );
+  }
+
+  const managedContent = currentSegments.managed.trimEnd();
+  const pulledContent = await restoreSourceLinks(managedContent, state.targets[target.name]?.links);
+  return {
+    entityType: remoteEntity.entityType,
+    entityName: remoteEntity.entityName,
+    entityId: remoteEntity.entityId,
+    pulledFrom: 'managedBlock',
+    pulledContent,
+    stateEntry: {
+      field: target.field,
+      ...buildHashes(currentSegments, managedContent, auxiliaryContent, { cleanupMarkers }),
+      localHash: sha256(pulledContent),
+      managedBase: currentSegments.managed,
+    },
+  };
+}
+
+async function planDocumentPull(client, target, state) {
+  const previousState = state.targets[target.name] || {};
+  const existingDocument = await loadExistingDocument(client, target, previousState);
+  if (!existingDocument) {
+    throw notFoundError(`No Linear document found for sync target "${target.name}". Run sync-doc run first.`);
+  }
+
+  const ownerIds = await resolveDocumentOwnerIds(client, target);
+  const currentValue = normalizeNewlines(existingDocument.content ?? '');
+  const currentSegments = extractManagedSegments(currentValue, target.marker);
+  // Documents are owned by the sync target, so without a managed block the whole body is the source.
+  const managedContent = currentSegments.hasManagedBlock
+    ? currentSegments.managed.trimEnd()
+    : currentValue.trim();
+  const pulledContent = await restoreSourceLinks(managedContent, previousState.links);
+  const metadataPayload = {
+    title: target.title,
+    icon: target.icon ?? null,
+    color: target.color ?? null,
+    projectId: ownerIds.projectId ?? null,
+    issueId: ownerIds.issueId ?? null,
+  };
+
+  return {
+    entityType: 'document',
+    entityName: existingDocument.title,
+    entityId: existingDocument.id,
+    documentUrl: existingDocument.url,
+    pulledFrom: currentSegments.hasManagedBlock ? 'managedBlock' : 'document',
+    pulledContent,
+    stateEntry: {
+      ...buildHashes(currentSegments, managedContent, '', metadataPayload),
+      localHash: sha256(pulledContent),
+      managedBase: currentSegments.managed,
+      documentId: existingDocument.id,
+      documentTitle: existingDocument.title,
+      documentUrl: existingDocument.url,
+    },
+  };
+}
+
+/**
+ * Pull Linear-side edits back into the local source files: the managed block of
+ * project/issue fields, or the managed block (else whole body) of documents.
+ * Refuses to overwrite local edits that were never pushed unless `force` is set.
+ */
+export async function pullSyncDocs(client, options = {}) {
+  const cwd = resolve(options.cwd || process.cwd());
+  const loaded = await loadSyncDocTargets({ cwd, configPath: options.configPath });
+  const targetName = options.targetName || options.target;
+  const selectedTargets = targetName
+    ? [selectTarget(loaded.targets, targetName)]
+    : loaded.targets;
+
+  if (selectedTargets.length === 0) {
+    throw validationError(`No sync targets configured. Add ${getConfigDisplayPath()} or pass --file with --project/--issue`);
+  }
+
+  const preparedLoaded = {
+    ...loaded,
+    targets: await prepareTargetsForExecution(client, loaded.targets),
+  };
+  const state = await loadSyncState(preparedLoaded.statePath);
+  const plans = [];
+
+  for (const target of orderTargetsForRun(preparedLoaded.targets.filter((candidate) => (
+    selectedTargets.some((selected) => selected.name === candidate.name)
+  )))) {
+    const plan = target.targetType === 'document'
+      ? await planDocumentPull(client, target, state)
+      : await planFieldPull(client, target, preparedLoaded, state);
+    const localContent = await readLocalSourceContent(target);
+    const previousState = state.targets[target.name] || {};
+    const changed = localContent !== plan.pulledContent;
+
+    // A file that was never pushed has nothing in Linear to fall back on, so it is as unsynced as an edit
+    if (
+      changed
+      && !options.force
+      && localContent !== null
+      && (!previousState.sourceHash || sha256(localContent) !== (previousState.localHash || previousState.sourceHash))
+    ) {
+      const reason = previousState.sourceHash ? 'has changes that were not synced to Linear' : 'exists but was never synced to Linear';
+      throw validationError(`Local file ${target.file} ${reason} (target "${target.name}"). Run sync-doc run first, or pass --force to overwrite it.`);
+    }
+
+    plans.push({ target, plan, changed, previousState });
+  }
+
+  const results = [];
+  for (const { target, plan, changed, previousState } of plans) {
+    if (changed) {
+      await writeSourceFile(target, plan.pulledContent);
+    }
+
+    state.targets[target.name] = {
+      ...previousState,
+      lastPulledAt: new Date().toISOString(),
+      file: target.file,
+      marker: target.marker,
+      ...plan.stateEntry,
+      ...(target.glob ? { glob: target.glob } : {}),
+      changed: false,
+    };
+
+    results.push({
+      ...buildBaseResult(target, preparedLoaded, preparedLoaded.statePath, 'pull'),
+      changed,
+      entityType: plan.entityType,
+      entityName: plan.entityName,
+      entityId: plan.entityId,
+      documentUrl: plan.documentUrl,
+      pulledFrom: plan.pulledFrom,
+    });
+  }
+
+  await saveSyncState(preparedLoaded.statePath, state);
+
+  return {
+    mode: 'pull',
+    all: !targetName,
+    configPath: preparedLoaded.configPath,
+    statePath: preparedLoaded.statePath,
+    total: results.length,
+    changedCount: results.filter((result) => result.changed).length,
+    unchangedCount: results.filter((result) => !result.changed).length,
+    results,
+  };
+}
+
 export {
   CONFIG_DIRNAME,
   CONFIG_FILENAME,
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the global --json flag and the CLI exit code scheme.
+ */
+
+import assert from 'node:assert/strict';
+
+import { runCli, getCliErrorType, EXIT_CODES } from '../src/cli.js';
+import { setTestClientFactory, resetTestClientFactory } from '../src/linear-client.js';
+import { authError, notFoundError, rateLimitError, validationError } from '../src/errors.js';
+
+const PROJECT = { id: 'project-1', name: 'Example Project' };
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createIssueClient() {
+  return {
+    projects: async () => ({ nodes: [PROJECT] }),
+    rawRequest: async () => response({
+      issues: {
+        nodes: [{
+          id: 'issue-1',
+          identifier: 'ENG-1',
+          title: 'First issue',
+          priority: 3,
+          state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+          team: { id: 'team-1', key: 'ENG', name: 'Engineering' },
+          project: PROJECT,
+          projectMilestone: null,
+          cycle: null,
+          assignee: null,
+        }],
+        pageInfo: { hasNextPage: false, endCursor: null },
+      },
+    }),
+  };
+}
+
+function createFailingClient(error) {
+  return {
+    projects: async () => { throw error; },
+    rawRequest: async () => { throw error; },
+  };
+}
+
+/**
+ * Run the CLI with a test client and return stdout, stderr and the exit code.
+ */
+async function runWithClient(client, argv) {
+  const stdout = [];
+  const stderr = [];
+  const originalLog = console.log;
+  const originalError = console.error;
+  const prevKey = process.env.LINEAR_API_KEY;
+  console.log = (...args) => stdout.push(args.join(' '));
+  console.error = (...args) => stderr.push(args.join(' '));
+  process.env.LINEAR_API_KEY = 'lin_test';
+  process.exitCode = 0;
+  setTestClientFactory(() => client);
+
+  try {
+    await runCli(argv);
+    return { stdout: stdout.join('\n'), stderr: stderr.join('\n'), exitCode: process.exitCode };
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+    process.exitCode = 0;
+    resetTestClientFactory();
+    if (prevKey === undefined) {
+      delete process.env.LINEAR_API_KEY;
+    } else {
+      process.env.LINEAR_API_KEY = prevKey;
+    }
+  }
+}
+
+async function testIssueListJson() {
+  const { stdout, exitCode } = await runWithClient(createIssueClient(), [
+    'issue', 'list', '--project', 'Example Project', '--json',
+  ]);
+
+  assert.equal(exitCode, 0);
+  const output = JSON.parse(stdout);
+  assert.equal(output.projectName, 'Example Project');
+  assert.equal(output.issueCount, 1);
+  assert.equal(output.nextCursor, null);
+  assert.match(output.markdown, /\*\*ENG-1\*\*/);
+}
+
+async function testTextOutputUnchanged() {
+  const { stdout, exitCode } = await runWithClient(createIssueClient(), [
+    'issue', 'list', '--project', 'Example Project',
+  ]);
+
+  assert.equal(exitCode, 0);
+  assert.match(stdout, /\*\*ENG-1\*\*/);
+  assert.throws(() => JSON.parse(stdout));
+}
+
+async function testJsonErrors() {
+  const cases = [
+    {
+      argv: ['issue', 'frobnicate'],
+      client: createIssueClient(),
+      type: 'validation',
+      code: 2,
+    },
+    {
+      argv: ['project', 'view', 'Missing Project'],
+      client: { projects: async () => ({ nodes: [] }), rawRequest: async () => response({ projects: { nodes: [] } }) },
+      type: 'not_found',
+      code: 3,
+    },
+    {
+      argv: ['issue', 'list', '--project', 'Example Project'],
+      client: createFailingClient(Object.assign(new Error('Too many requests'), { type: 'Ratelimited' })),
+      type: 'rate_limited',
+      code: 4,
+    },
+    {
+      argv: ['issue', 'list', '--project', 'Example Project'],
+      client: createFailingClient(Object.assign(new Error('Authentication required'), { type: 'AuthenticationError' })),
+      type: 'auth',
+      code: 5,
+    },
+  ];
+
+  for (const { argv, client, type, code } of cases) {
+    const { stdout, exitCode } = await runWithClient(client, [...argv, '--json']);
+    const output = JSON.parse(stdout);
+    assert.equal(output.error.type, type, output.error.message);
+    assert.equal(output.error.code, code);
+    assert.equal(typeof output.error.message, 'string');
+    assert.equal(exitCode, code);
+  }
+}
+
+async function testTextErrorsUseSameExitCodes() {
+  const { stdout, stderr, exitCode } = await runWithClient(createIssueClient(), ['issue', 'frobnicate']);
+
+  assert.equal(stdout, '');
+  assert.match(stderr, /pi-linear-tools CLI error: Unknown issue action: frobnicate/);
+  assert.equal(exitCode, EXIT_CODES.validation);
+}
+
+function testGetCliErrorType() {
+  assert.equal(getCliErrorType(new Error('Missing required flag: --title')), 'validation');
+  assert.equal(getCliErrorType(new Error('Invalid priority: urgent-ish')), 'validation');
+  assert.equal(getCliErrorType(new SyntaxError('Unexpected token } in JSON')), 'validation');
+  assert.equal(getCliErrorType(new Error('Issue not found: ENG-999')), 'not_found');
+  assert.equal(getCliErrorType(new Error('Linear API rate limit exceeded. Please wait before making more requests.')), 'rate_limited');
+  assert.equal(getCliErrorType(new Error('No Linear authentication configured. Run: pi-linear-tools auth login')), 'auth');
+  assert.equal(getCliErrorType(new Error('Forbidden\nHint: Check your Linear API key or OAuth token permissions.')), 'auth');
+  assert.equal(getCliErrorType(new Error('socket hang up')), 'error');
+
+  // Typed codes win over the message text
+  assert.equal(getCliErrorType(validationError('Attachment filename escapes the destination')), 'validation');
+  assert.equal(getCliErrorType(notFoundError('Issue ENG-9 was deleted')), 'not_found');
+  assert.equal(getCliErrorType(authError('Token revoked')), 'auth');
+  assert.equal(getCliErrorType(rateLimitError('Slow down')), 'rate_limited');
+  assert.equal(getCliErrorType(validationError('Issue not found in the pasted list')), 'validation');
+  assert.equal(getCliErrorType(Object.assign(new Error('Too many requests'), { type: 'Ratelimited' })), 'rate_limited');
+  assert.equal(getCliErrorType(Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' })), 'error');
+}
+
+async function main() {
+  await testIssueListJson();
+  await testTextOutputUnchanged();
+  await testJsonErrors();
+  await testTextErrorsUseSameExitCodes();
+  testGetCliErrorType();
+  console.log('✓ test-cli-json.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
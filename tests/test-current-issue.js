@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for detecting the current issue from the git branch: identifier
+ * parsing, the branchName fallback, and handlers that default to that issue.
+ */
+
+import assert from 'node:assert/strict';
+
+import { parseIssueIdentifierFromBranch, findIssueByBranch } from '../src/linear.js';
+import {
+  executeIssueCurrent,
+  executeIssueView,
+  executeIssueComment,
+} from '../src/handlers.js';
+
+const TEAMS = [
+  { id: 'team-eng', key: 'ENG', name: 'Engineering' },
+  { id: 'team-ops', key: 'OPS', name: 'Operations' },
+];
+
+let clientCounter = 0;
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createRawIssue(raw = {}) {
+  return {
+    id: 'issue-1',
+    identifier: 'ENG-12',
+    title: 'Fix login',
+    description: 'Login fails on Safari',
+    url: 'https://linear.app/example/issue/ENG-12/fix-login',
+    branchName: 'ada/eng-12-fix-login',
+    priority: 3,
+    state: { id: 'state-1', name: 'In Progress', type: 'started' },
+    team: TEAMS[0],
+    project: null,
+    projectMilestone: null,
+    cycle: null,
+    assignee: { id: 'user-ada', name: 'Ada Lovelace', displayName: 'ada' },
+    ...raw,
+  };
+}
+
+/**
+ * Serves ENG-12 by identifier and OPS-7 only through the branch name lookup,
+ * recording lookups and created comments.
+ */
+function createBranchClient(calls = { byNumber: [], byBranch: [], comments: [] }) {
+  const custom = createRawIssue({ id: 'issue-7', identifier: 'OPS-7', title: 'Rotate keys', branchName: 'rotate-keys', team: TEAMS[1] });
+
+  clientCounter += 1;
+  return {
+    calls,
+    apiKey: `test-current-issue-${clientCounter}`,
+    teams: async () => ({ nodes: TEAMS }),
+    createComment: async (input) => {
+      calls.comments.push(input);
+      return { success: true, comment: { id: 'comment-1', body: input.body } };
+    },
+    rawRequest: async (query, variables) => {
+      if (query.includes('IssueByBranch')) {
+        calls.byBranch.push(variables.branchName);
+        const issue = [createRawIssue(), custom].find((entry) => entry.branchName === variables.branchName);
+        return response({ issueVcsBranchSearch: issue || null });
+      }
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        calls.byNumber.push(`${variables.teamKey}-${variables.number}`);
+        const found = variables.teamKey === 'ENG' && variables.number === 12;
+        return response({ issues: { nodes: found ? [createRawIssue()] : [] } });
+      }
+      if (query.includes('IssueDetails')) {
+        return response({ issue: { ...createRawIssue(), id: variables.id } });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+function onBranch(branchName) {
+  return { currentBranchReader: async () => branchName };
+}
+
+function testParseIssueIdentifierFromBranch() {
+  const keys = TEAMS.map((team) => team.key);
+
+  assert.equal(parseIssueIdentifierFromBranch('ada/eng-12-fix-login', keys), 'ENG-12');
+  assert.equal(parseIssueIdentifierFromBranch('OPS-007', keys), 'OPS-7');
+  assert.equal(parseIssueIdentifierFromBranch('feature/ops-3_eng-4', keys), 'OPS-3');
+  assert.equal(parseIssueIdentifierFromBranch('release-2', keys), null);
+  assert.equal(parseIssueIdentifierFromBranch('opseng-12', keys), null);
+  assert.equal(parseIssueIdentifierFromBranch('eng-12', []), null);
+  assert.equal(parseIssueIdentifierFromBranch('', keys), null);
+}
+
+async function testFindIssueByBranch() {
+  const client = createBranchClient();
+
+  const byIdentifier = await findIssueByBranch(client, 'ada/eng-12-fix-login');
+  assert.equal(byIdentifier.matchedBy, 'identifier');
+  assert.equal(byIdentifier.issue.identifier, 'ENG-12');
+  assert.deepEqual(client.calls.byBranch, []);
+
+  const byBranchName = await findIssueByBranch(client, 'rotate-keys');
+  assert.equal(byBranchName.matchedBy, 'branchName');
+  assert.equal(byBranchName.issue.identifier, 'OPS-7');
+
+  // A key in the branch that does not exist in Linear falls back to the branch lookup
+  assert.equal(await findIssueByBranch(client, 'eng-999-spike'), null);
+  assert.deepEqual(client.calls.byNumber, ['ENG-12', 'ENG-999']);
+  assert.deepEqual(client.calls.byBranch, ['rotate-keys', 'eng-999-spike']);
+}
+
+async function testHandlersDefaultToCurrentIssue() {
+  const client = createBranchClient();
+
+  const current = await executeIssueCurrent(client, {}, onBranch('ada/eng-12-fix-login'));
+  assert.equal(current.details.identifier, 'ENG-12');
+  assert.equal(current.details.branchName, 'ada/eng-12-fix-login');
+  assert.equal(current.details.matchedBy, 'identifier');
+  assert.match(current.content[0].text, /Current issue \*\*ENG-12\*\*: Fix login\nBranch: ada\/eng-12-fix-login \| State: In Progress \| Assignee: ada/);
+
+  const view = await executeIssueView(client, { includeComments: false }, onBranch('ada/eng-12-fix-login'));
+  assert.match(view.content[0].text, /ENG-12/);
+
+  await executeIssueComment(client, { body: 'Pushed a fix' }, onBranch('ada/eng-12-fix-login'));
+  assert.deepEqual(client.calls.comments, [{ issueId: 'issue-1', body: 'Pushed a fix' }]);
+
+  // An explicit issue never reads the branch
+  await executeIssueView(client, { issue: 'ENG-12', includeComments: false }, {
+    currentBranchReader: async () => { throw new Error('branch should not be read'); },
+  });
+}
+
+async function testDetectionErrors() {
+  const client = createBranchClient();
+
+  await assert.rejects(
+    executeIssueCurrent(client, {}, onBranch('HEAD')),
+    /Missing required field: issue \(no git branch is checked out/
+  );
+  await assert.rejects(
+    executeIssueView(client, {}, onBranch(null)),
+    /Missing required field: issue/
+  );
+  await assert.rejects(
+    executeIssueCurrent(client, {}, onBranch('main')),
+    /Issue not found for git branch "main"\. Provide the issue key explicitly\./
+  );
+}
+
+async function main() {
+  testParseIssueIdentifierFromBranch();
+  await testFindIssueByBranch();
+  await testHandlersDefaultToCurrentIssue();
+  await testDetectionErrors();
+  console.log('✓ test-current-issue.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
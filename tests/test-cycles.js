@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for cycle list/view handlers and the `cycle` parameter on issue
+ * list/create/update.
+ */
+
+import assert from 'node:assert/strict';
+
+import {
+  executeCycleList,
+  executeCycleView,
+  executeCycleCurrent,
+  executeIssueList,
+  executeIssueCreate,
+  executeIssueUpdate,
+} from '../src/handlers.js';
+
+const TEAM = { id: 'team-1', key: 'ENG', name: 'Engineering' };
+
+function createCycle(raw = {}) {
+  return {
+    id: 'cycle-12',
+    number: 12,
+    name: null,
+    description: null,
+    startsAt: '2026-10-12T00:00:00.000Z',
+    endsAt: '2026-10-26T00:00:00.000Z',
+    completedAt: null,
+    progress: 0.4,
+    isActive: true,
+    isNext: false,
+    isPrevious: false,
+    isFuture: false,
+    isPast: false,
+    team: TEAM,
+    ...raw,
+  };
+}
+
+function createRawIssue(raw = {}) {
+  return {
+    id: 'issue-1',
+    identifier: 'ENG-1',
+    title: 'Issue',
+    description: null,
+    url: 'https://linear.app/test/issue/ENG-1',
+    branchName: null,
+    priority: 3,
+    estimate: null,
+    state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+    team: TEAM,
+    project: null,
+    projectMilestone: null,
+    cycle: null,
+    assignee: null,
+    ...raw,
+  };
+}
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+async function testCycleListUsesDefaultTeamAndExcludesPast() {
+  let receivedVariables = null;
+  const client = {
+    teams: async () => ({ nodes: [TEAM] }),
+    rawRequest: async (query, variables) => {
+      assert.match(query, /query Cycles/);
+      receivedVariables = variables;
+      return response({
+        cycles: {
+          nodes: [
+            createCycle({ id: 'cycle-13', number: 13, isActive: false, isNext: true, isFuture: true, progress: 0 }),
+            createCycle(),
+          ],
+        },
+      });
+    },
+  };
+
+  const result = await executeCycleList(client, {}, { resolveDefaultTeam: async () => 'ENG' });
+
+  assert.deepEqual(receivedVariables.filter, {
+    team: { id: { eq: 'team-1' } },
+    isPast: { eq: false },
+  });
+  const text = result.content[0].text;
+  assert.match(text, /## Cycles for team ENG \(2\)/);
+  assert.ok(text.indexOf('Cycle 12') < text.indexOf('Cycle 13'), 'cycles should be ordered by number');
+  assert.match(text, /\*\*Cycle 12\*\* _\[current\]_ 2026-10-12 → 2026-10-26 \(40%\)/);
+  assert.match(text, /\*\*Cycle 13\*\* _\[next\]_/);
+  assert.equal(result.details.cycleCount, 2);
+}
+
+async function testCycleListWithPastReturnsLatestCyclesAcrossPages() {
+  const requests = [];
+  // Linear returns cycles in creation order, not by number, and splits them over pages
+  const pages = {
+    null: { numbers: [30, 2, 29], pageInfo: { hasNextPage: true, endCursor: 'page-2' } },
+    'page-2': { numbers: [1, 31, 28], pageInfo: { hasNextPage: false, endCursor: null } },
+  };
+  const client = {
+    teams: async () => ({ nodes: [TEAM] }),
+    rawRequest: async (query, variables) => {
+      assert.match(query, /query Cycles/);
+      requests.push(variables);
+      const page = pages[variables.after];
+      return response({
+        cycles: {
+          nodes: page.numbers.map((number) => createCycle({ id: `cycle-${number}`, number, isActive: number === 31 })),
+          pageInfo: page.pageInfo,
+        },
+      });
+    },
+  };
+
+  const result = await executeCycleList(client, { team: 'ENG', includePast: true, limit: 3 });
+
+  assert.deepEqual(requests.map((variables) => variables.after), [null, 'page-2']);
+  assert.deepEqual(requests[0].filter, { team: { id: { eq: 'team-1' } } });
+  assert.deepEqual(result.details.cycles.map((cycle) => cycle.number), [29, 30, 31]);
+}
+
+async function testCycleListRequiresTeam() {
+  const client = { teams: async () => ({ nodes: [TEAM] }) };
+  await assert.rejects(
+    () => executeCycleList(client, {}, { resolveDefaultTeam: async () => null }),
+    /Missing required field: team/
+  );
+}
+
+async function testCycleViewGroupsIssuesByStateWithCounts() {
+  const filters = [];
+  const client = {
+    teams: async () => ({ nodes: [TEAM] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('query Cycles')) {
+        filters.push(variables.filter);
+        return response({ cycles: { nodes: [createCycle()] } });
+      }
+      if (query.includes('query CycleDetails')) {
+        assert.equal(variables.id, 'cycle-12');
+        return response({
+          cycle: {
+            ...createCycle(),
+            issues: {
+              nodes: [
+                { id: 'i1', identifier: 'ENG-1', title: 'Done thing', priority: 2, estimate: 3, state: { id: 's3', name: 'Done', type: 'completed' }, assignee: null },
+                { id: 'i2', identifier: 'ENG-2', title: 'Doing thing', priority: 3, estimate: 2, state: { id: 's2', name: 'In Progress', type: 'started' }, assignee: { id: 'u1', name: 'Ada', displayName: 'ada' } },
+                { id: 'i3', identifier: 'ENG-3', title: 'Todo thing', priority: 0, estimate: null, state: { id: 's1', name: 'Todo', type: 'unstarted' }, assignee: null },
+                { id: 'i4', identifier: 'ENG-4', title: 'Dropped thing', priority: 4, estimate: 5, state: { id: 's4', name: 'Canceled', type: 'canceled' }, assignee: null },
+              ],
+              pageInfo: { hasNextPage: false },
+            },
+          },
+        });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+
+  const result = await executeCycleView(client, { cycle: '12', team: 'ENG' });
+
+  assert.deepEqual(filters[0], { number: { eq: 12 }, team: { id: { eq: 'team-1' } } });
+  const text = result.content[0].text;
+  assert.match(text, /# Cycle 12/);
+  assert.match(text, /- Scope: 3 issues \(5pt\)/);
+  assert.match(text, /- Completed: 1/);
+  assert.match(text, /- In progress: 1/);
+  assert.match(text, /- Not started: 1/);
+  assert.match(text, /- Canceled: 1/);
+  assert.ok(text.indexOf('## In Progress (1)') < text.indexOf('## Todo (1)'));
+  assert.ok(text.indexOf('## Todo (1)') < text.indexOf('## Done (1)'));
+  assert.match(text, /- \*\*ENG-2\*\*: Doing thing _@ada Medium 2pt_/);
+  assert.deepEqual(result.details.counts, { scope: 3, completed: 1, inProgress: 1, canceled: 1, estimate: 5 });
+}
+
+async function testCycleCurrentResolvesActiveCycle() {
+  let receivedFilter = null;
+  const client = {
+    teams: async () => ({ nodes: [TEAM] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('query Cycles')) {
+        receivedFilter = variables.filter;
+        return response({ cycles: { nodes: [createCycle({ name: 'Sprint Falcon' })] } });
+      }
+      return response({
+        cycle: { ...createCycle({ name: 'Sprint Falcon' }), issues: { nodes: [], pageInfo: { hasNextPage: false } } },
+      });
+    },
+  };
+
+  const result = await executeCycleCurrent(client, { team: 'ENG' });
+  assert.deepEqual(receivedFilter, { isActive: { eq: true }, team: { id: { eq: 'team-1' } } });
+  assert.match(result.content[0].text, /# Sprint Falcon \(#12\)/);
+  assert.match(result.content[0].text, /No issues in this cycle/);
+}
+
+async function testCycleNotFound() {
+  const client = {
+    teams: async () => ({ nodes: [TEAM] }),
+    rawRequest: async () => response({ cycles: { nodes: [] } }),
+  };
+
+  await assert.rejects(
+    () => executeCycleView(client, { cycle: 'next', team: 'ENG' }),
+    /Cycle not found: next/
+  );
+}
+
+async function testIssueListFiltersByCycle() {
+  let issueFilter = null;
+  const client = {
+    projects: async () => ({ nodes: [{ id: 'project-1', name: 'demo-project' }] }),
+    teams: async () => ({ nodes: [TEAM] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('query Cycles')) {
+        return response({ cycles: { nodes: [createCycle()] } });
+      }
+      issueFilter = variables.filter;
+      return response({
+        issues: {
+          nodes: [createRawIssue({ cycle: { id: 'cycle-12', number: 12, name: null } })],
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+      });
+    },
+  };
+
+  const result = await executeIssueList(client, { project: 'demo-project', cycle: 'current' }, {
+    resolveDefaultTeam: async () => 'ENG',
+  });
+
+  assert.deepEqual(issueFilter, {
+    project: { id: { eq: 'project-1' } },
+    cycle: { id: { eq: 'cycle-12' } },
+  });
+  assert.match(result.content[0].text, /Issues in project "demo-project" in Cycle 12/);
+  assert.equal(result.details.cycleId, 'cycle-12');
+}
+
+async function testIssueCreateAssignsCycle() {
+  let createInput = null;
+  const client = {
+    projects: async () => ({ nodes: [] }),
+    teams: async () => ({ nodes: [TEAM] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('query Cycles')) {
+        assert.deepEqual(variables.filter, { isNext: { eq: true }, team: { id: { eq: 'team-1' } } });
+        return response({ cycles: { nodes: [createCycle({ id: 'cycle-13', number: 13 })] } });
+      }
+      if (query.includes('IssueCreate')) {
+        createInput = variables.input;
+        return response({
+          issueCreate: {
+            success: true,
+            issue: createRawIssue({ title: variables.input.title, cycle: { id: 'cycle-13', number: 13, name: null } }),
+          },
+        });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+
+  const result = await executeIssueCreate(client, { title: 'Plan work', team: 'ENG', cycle: 'next' });
+  assert.equal(createInput.cycleId, 'cycle-13');
+  assert.match(result.content[0].text, /Cycle: Cycle 13/);
+  assert.deepEqual(result.details.cycle, { id: 'cycle-13', number: 13, name: null });
+}
+
+async function testIssueUpdateSetsAndClearsCycle() {
+  const updateInputs = [];
+  const client = {
+    teams: async () => ({ nodes: [TEAM] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({ issues: { nodes: [createRawIssue()] } });
+      }
+      if (query.includes('query Cycles')) {
+        return response({ cycles: { nodes: [createCycle()] } });
+      }
+      if (query.includes('IssueUpdate')) {
+        updateInputs.push(variables.input);
+        return response({ issueUpdate: { success: true, issue: createRawIssue() } });
+      }
+      if (query.includes('IssueMinimal')) {
+        const cycle = updateInputs.at(-1)?.cycleId ? { id: 'cycle-12', number: 12, name: null } : null;
+        return response({ issue: createRawIssue({ cycle }) });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+
+  const setResult = await executeIssueUpdate(client, { issue: 'ENG-1', cycle: 'current' });
+  assert.deepEqual(updateInputs[0], { cycleId: 'cycle-12' });
+  assert.match(setResult.content[0].text, /cycle: Cycle 12/);
+  assert.ok(setResult.details.changed.includes('cycle'));
+
+  const clearResult = await executeIssueUpdate(client, { issue: 'ENG-1', cycle: 'none' });
+  assert.deepEqual(updateInputs[1], { cycleId: null });
+  assert.match(clearResult.content[0].text, /cycle: None/);
+}
+
+async function main() {
+  await testCycleListUsesDefaultTeamAndExcludesPast();
+  await testCycleListWithPastReturnsLatestCyclesAcrossPages();
+  await testCycleListRequiresTeam();
+  await testCycleViewGroupsIssuesByStateWithCounts();
+  await testCycleCurrentResolvesActiveCycle();
+  await testCycleNotFound();
+  await testIssueListFiltersByCycle();
+  await testIssueCreateAssignsCycle();
+  await testIssueUpdateSetsAndClearsCycle();
+  console.log('✓ test-cycles.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the linear_document actions: list (by project or issue), view,
+ * create, update, archive and search.
+ */
+
+import assert from 'node:assert/strict';
+
+import {
+  executeDocumentList,
+  executeDocumentSearch,
+  executeDocumentView,
+  executeDocumentCreate,
+  executeDocumentUpdate,
+  executeDocumentArchive,
+} from '../src/handlers.js';
+
+const PROJECT = { id: 'project-1', name: 'Apollo' };
+const TEAM = { id: 'team-1', key: 'ENG', name: 'Engineering' };
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createRawDocument(id, raw = {}) {
+  return {
+    id,
+    title: `Doc ${id}`,
+    content: `# Doc ${id}\n\nBody of ${id}.`,
+    icon: null,
+    color: null,
+    slugId: `slug-${id}`,
+    url: `https://linear.app/test/document/slug-${id}`,
+    archivedAt: null,
+    createdAt: '2026-10-01T00:00:00.000Z',
+    updatedAt: '2026-10-10T00:00:00.000Z',
+    project: PROJECT,
+    issue: null,
+    ...raw,
+  };
+}
+
+function createDocumentClient(calls) {
+  return {
+    projects: async () => ({ nodes: [PROJECT] }),
+    rawRequest: async (query, variables) => {
+      calls.push({ query, variables });
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({
+          issues: {
+            nodes: [{
+              id: `issue-${variables.number}`,
+              identifier: `ENG-${variables.number}`,
+              title: 'Issue',
+              state: { id: 's', name: 'Todo', type: 'unstarted' },
+              team: TEAM,
+            }],
+          },
+        });
+      }
+      if (query.includes('query Documents(')) {
+        return response({
+          documents: {
+            nodes: [createRawDocument('d1'), createRawDocument('d2', { archivedAt: '2026-10-11T00:00:00.000Z' })],
+            pageInfo: { hasNextPage: true, endCursor: 'doc-next' },
+          },
+        });
+      }
+      if (query.includes('query DocumentSearch')) {
+        return response({
+          searchDocuments: {
+            nodes: [createRawDocument('d3', { project: null, issue: { id: 'issue-7', identifier: 'ENG-7', title: 'Issue' } })],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        });
+      }
+      if (query.includes('query DocumentDetails')) {
+        return response({ document: createRawDocument(variables.id, { icon: '📐' }) });
+      }
+      if (query.includes('mutation DocumentCreate')) {
+        return response({ documentCreate: { success: true, document: { id: 'd-new' } } });
+      }
+      if (query.includes('mutation DocumentUpdate')) {
+        return response({ documentUpdate: { success: true, document: { id: variables.id } } });
+      }
+      if (query.includes('mutation DocumentArchive')) {
+        return response({ documentDelete: { success: true, entity: { id: variables.id } } });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+function findCall(calls, pattern) {
+  return calls.find((call) => pattern.test(call.query));
+}
+
+async function testListByProjectAndIssue() {
+  const calls = [];
+  const client = createDocumentClient(calls);
+
+  const byProject = await executeDocumentList(client, { project: 'Apollo', limit: 2 });
+  assert.deepEqual(findCall(calls, /query Documents\(/).variables, {
+    first: 2,
+    filter: { project: { id: { eq: 'project-1' } } },
+    includeArchived: false,
+  });
+
+  const text = byProject.content[0].text;
+  assert.match(text, /## Documents for "Apollo" \(2\)/);
+  assert.match(text, /- \*\*Doc d1\*\* \(Apollo\) `d1`, updated 2026-10-10/);
+  assert.match(text, /- \*\*Doc d2\*\* \[archived\] \(Apollo\) `d2`/);
+  assert.match(text, /Pass cursor `doc-next` to fetch the next page/);
+  assert.equal(byProject.details.nextCursor, 'doc-next');
+  assert.deepEqual(byProject.details.documents.map((document) => document.id), ['d1', 'd2']);
+
+  calls.length = 0;
+  const byIssue = await executeDocumentList(client, { issue: 'ENG-5', cursor: 'doc-next' });
+  assert.deepEqual(findCall(calls, /query Documents\(/).variables, {
+    first: 25,
+    after: 'doc-next',
+    filter: { issue: { id: { eq: 'issue-5' } } },
+    includeArchived: false,
+  });
+  assert.match(byIssue.content[0].text, /## Documents for ENG-5/);
+}
+
+async function testViewRendersMarkdown() {
+  const calls = [];
+  const client = createDocumentClient(calls);
+
+  const result = await executeDocumentView(client, { document: 'slug-d1' });
+  const text = result.content[0].text;
+
+  assert.match(text, /^# 📐 Doc slug-d1\n\n\*\*Project:\*\* Apollo \| \*\*Updated:\*\* 2026-10-10/);
+  assert.match(text, /\*\*URL:\*\* https:\/\/linear\.app\/test\/document\/slug-slug-d1/);
+  assert.match(text, /# Doc slug-d1\n\nBody of slug-d1\.$/);
+  assert.equal(result.details.projectId, 'project-1');
+}
+
+async function testCreateUpdateArchive() {
+  const calls = [];
+  const client = createDocumentClient(calls);
+
+  const created = await executeDocumentCreate(client, {
+    title: 'API design',
+    issue: 'ENG-9',
+    content: '# Goals',
+  });
+  assert.deepEqual(findCall(calls, /mutation DocumentCreate/).variables.input, {
+    title: 'API design',
+    issueId: 'issue-9',
+    content: '# Goals',
+  });
+  assert.match(created.content[0].text, /^Created document \*\*Doc d-new\*\* for ENG-9/);
+  assert.equal(created.details.documentId, 'd-new');
+
+  const updated = await executeDocumentUpdate(client, { document: 'd1', title: 'Renamed', project: 'Apollo' });
+  assert.deepEqual(findCall(calls, /mutation DocumentUpdate/).variables, {
+    id: 'd1',
+    input: { title: 'Renamed', projectId: 'project-1' },
+  });
+  assert.deepEqual(updated.details.changed, ['title', 'projectId']);
+
+  const archived = await executeDocumentArchive(client, { document: 'd1' });
+  assert.equal(findCall(calls, /mutation DocumentArchive/).variables.id, 'd1');
+  assert.equal(archived.content[0].text, 'Archived document **d1**');
+}
+
+async function testSearch() {
+  const calls = [];
+  const client = createDocumentClient(calls);
+
+  const result = await executeDocumentSearch(client, { query: 'auth design' });
+  assert.deepEqual(findCall(calls, /query DocumentSearch/).variables, {
+    term: 'auth design',
+    first: 25,
+    includeArchived: false,
+  });
+  assert.match(result.content[0].text, /## Documents matching "auth design" \(1\)\n\n- \*\*Doc d3\*\* \(ENG-7\) `d3`/);
+  assert.equal(result.details.hasNextPage, false);
+}
+
+async function testValidation() {
+  const client = createDocumentClient([]);
+
+  await assert.rejects(() => executeDocumentList(client, {}), /Missing required field: project or issue/);
+  await assert.rejects(
+    () => executeDocumentCreate(client, { title: 'X', project: 'Apollo', issue: 'ENG-1' }),
+    /Provide either project or issue, not both/
+  );
+  await assert.rejects(() => executeDocumentCreate(client, { project: 'Apollo' }), /Missing required field: title/);
+  await assert.rejects(() => executeDocumentUpdate(client, { document: 'd1' }), /No update fields provided/);
+  await assert.rejects(() => executeDocumentSearch(client, {}), /Missing required field: query/);
+}
+
+async function main() {
+  await testListByProjectAndIssue();
+  await testViewRendersMarkdown();
+  await testCreateUpdateArchive();
+  await testSearch();
+  await testValidation();
+  console.log('✓ test-documents.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -69,6 +69,10 @@ async function testRegistrationIncludesMilestoneWithDefaultApiKeyMode() {
     assert.ok(pi.tools.has('linear_project'));
     assert.ok(pi.tools.has('linear_project_update'));
     assert.ok(pi.tools.has('linear_team'));
+    assert.ok(pi.tools.has('linear_user'));
+    assert.ok(pi.tools.has('linear_cycle'));
+    assert.ok(pi.tools.has('linear_document'));
+    assert.ok(pi.tools.has('linear_sync_doc'));
     assert.ok(pi.tools.has('linear_milestone'));
     assert.ok(!pi.tools.has('linear_reload_runtime'));
 
@@ -79,6 +83,16 @@ async function testRegistrationIncludesMilestoneWithDefaultApiKeyMode() {
     assert.ok(issueTool.parameters.properties.action.enum.includes('images'));
     assert.ok(issueTool.parameters.properties.action.enum.includes('download'));
     assert.ok(issueTool.parameters.properties.action.enum.includes('labels'));
+    assert.ok(issueTool.parameters.properties.action.enum.includes('search'));
+    assert.ok(issueTool.parameters.properties.action.enum.includes('current'));
+    assert.ok(issueTool.parameters.properties.action.enum.includes('finish'));
+    assert.ok(issueTool.parameters.properties.action.enum.includes('pr-body'));
+    assert.ok(issueTool.parameters.properties.action.enum.includes('commit-msg'));
+    assert.equal(issueTool.parameters.properties.switchToBase.type, 'boolean');
+    assert.ok(issueTool.parameters.properties.action.enum.includes('subscribe'));
+    assert.ok(issueTool.parameters.properties.action.enum.includes('unsubscribe'));
+    assert.equal(issueTool.parameters.properties.subscribers.type, 'array');
+    assert.ok(issueTool.parameters.properties.stateType);
     assert.ok(issueTool.parameters.properties.labels);
     assert.ok(issueTool.parameters.properties.links);
     assert.ok(issueTool.parameters.properties.subAction);
@@ -106,14 +120,23 @@ async function testRegistrationIncludesMilestoneWithDefaultApiKeyMode() {
     assert.deepEqual(
       issueTool.parameters.properties.estimate,
       {
-        type: 'integer',
-        description: 'Estimate/story points for the issue (non-negative integer, for create/update)',
-        minimum: 0,
+        description: 'Estimate for the issue on the team\'s estimation scale (for create/update): points such as 1, 2, 3, 5, 8, or a t-shirt size (XS, S, M, L, XL) for t-shirt teams',
+        oneOf: [
+          {
+            type: 'integer',
+            minimum: 0,
+          },
+          {
+            type: 'string',
+          },
+        ],
       }
     );
+    assert.equal(issueTool.parameters.properties.dueDate.type, 'string');
+    assert.equal(issueTool.parameters.properties.overdue.type, 'boolean');
     assert.deepEqual(issueTool.parameters.properties.query, {
       type: 'string',
-      description: 'Free-text search query across issue titles and descriptions (for list only)',
+      description: 'Free-text search query across issue titles and descriptions (for list and search)',
     });
 
     const projectTool = pi.tools.get('linear_project');
@@ -125,10 +148,30 @@ async function testRegistrationIncludesMilestoneWithDefaultApiKeyMode() {
     assert.ok(projectUpdateTool);
     assert.equal(projectUpdateTool.description, 'Interact with Linear project updates.');
 
+    const documentTool = pi.tools.get('linear_document');
+    assert.ok(documentTool);
+    assert.equal(documentTool.description, 'Interact with Linear documents.');
+    assert.deepEqual(
+      documentTool.parameters.properties.action.enum,
+      ['list', 'view', 'create', 'update', 'archive', 'search']
+    );
+
+    const syncDocTool = pi.tools.get('linear_sync_doc');
+    assert.ok(syncDocTool);
+    assert.deepEqual(syncDocTool.parameters.properties.action.enum, ['list', 'check', 'run', 'pull', 'explain']);
+    assert.equal(syncDocTool.parameters.properties.confirm.type, 'boolean');
+    assert.deepEqual(syncDocTool.parameters.properties.strategy.enum, ['ours', 'theirs', 'merge']);
+    assert.equal(syncDocTool.parameters.properties.diff.type, 'boolean');
+    assert.equal(syncDocTool.parameters.properties.archiveRemoved.type, 'boolean');
+
     const teamTool = pi.tools.get('linear_team');
     assert.ok(teamTool);
     assert.equal(teamTool.description, 'Interact with Linear teams.');
 
+    const userTool = pi.tools.get('linear_user');
+    assert.ok(userTool);
+    assert.deepEqual(userTool.parameters.properties.action.enum, ['list', 'view']);
+
     const milestoneTool = pi.tools.get('linear_milestone');
     assert.ok(milestoneTool);
     assert.equal(milestoneTool.description, 'Interact with Linear project milestones.');
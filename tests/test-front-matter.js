@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the front matter helpers used by sync-doc: splitting front matter off
+ * markdown and reading the `linear` target declaration.
+ */
+
+import assert from 'node:assert/strict';
+
+import { readFrontMatterKey, splitFrontMatter } from '../src/front-matter.js';
+
+function testSplitFrontMatter() {
+  const content = '---\ntitle: Guide\n---\n\n# Guide\n\nBody.\n';
+  const split = splitFrontMatter(content);
+  assert.deepEqual(split, {
+    frontMatter: '---\ntitle: Guide\n---\n\n',
+    yaml: 'title: Guide\n',
+    body: '# Guide\n\nBody.\n',
+  });
+  assert.equal(split.frontMatter + split.body, content);
+
+  assert.deepEqual(splitFrontMatter('# No front matter\n---\n'), {
+    frontMatter: '',
+    yaml: '',
+    body: '# No front matter\n---\n',
+  });
+  assert.equal(splitFrontMatter('---\n---\nBody').body, 'Body');
+  assert.equal(splitFrontMatter('---\nunterminated: true\n').frontMatter, '');
+}
+
+function testReadFlowMapping() {
+  assert.deepEqual(
+    readFrontMatterKey('linear: { project: "Example Project", title: Y: Z, marker: z } # owner\n', 'linear'),
+    { project: 'Example Project', title: 'Y: Z', marker: 'z' }
+  );
+  assert.deepEqual(readFrontMatterKey('linear: [a, \'it\'\'s\', 3, true, ~]', 'linear'), ['a', "it's", 3, true, null]);
+  assert.equal(readFrontMatterKey('title: Guide', 'linear'), undefined);
+  assert.equal(readFrontMatterKey('linear: false', 'linear'), false);
+}
+
+function testReadBlockMapping() {
+  const yaml = [
+    'title: Guide',
+    'summary: |',
+    '  linear: not this one',
+    'linear:',
+    '  project: "Example Project"  # comment',
+    '  title: \'Setup #2\'',
+    '',
+    '  cleanupMarkers:',
+    '    - old-setup',
+    '    - "older setup"',
+    '  icon: {emoji: true}',
+    'tags: [docs]',
+  ].join('\n');
+
+  assert.deepEqual(readFrontMatterKey(yaml, 'linear'), {
+    project: 'Example Project',
+    title: 'Setup #2',
+    cleanupMarkers: ['old-setup', 'older setup'],
+    icon: { emoji: true },
+  });
+  assert.deepEqual(readFrontMatterKey(yaml, 'tags'), ['docs']);
+}
+
+function testRejectsInvalidYaml() {
+  assert.throws(() => readFrontMatterKey('linear: { project: "X"', 'linear'), /Missing "}"/);
+  assert.throws(() => readFrontMatterKey('linear:\n  project: X\n    title: Y', 'linear'), /Unexpected indentation/);
+  assert.throws(() => readFrontMatterKey('linear:\n  just text', 'linear'), /Expected "key: value"/);
+}
+
+function main() {
+  testSplitFrontMatter();
+  testReadFlowMapping();
+  testReadBlockMapping();
+  testRejectsInvalidYaml();
+  console.log('✓ test-front-matter.js passed');
+}
+
+main();
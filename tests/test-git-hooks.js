@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the commit-msg hook: installing next to an existing hook and
+ * restoring it on uninstall, issue keys inferred from the branch, the issue
+ * checks, and the on-disk lookup cache.
+ */
+
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { existsSync, statSync } from 'node:fs';
+import { mkdir, mkdtemp, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  COMMIT_MSG_HOOK_MARKER,
+  HOOK_CACHE_TTL_MS,
+  checkCommitMessage,
+  installCommitMsgHook,
+  uninstallCommitMsgHook,
+} from '../src/git-hooks.js';
+
+const TEAM = { id: 'team-eng', key: 'ENG', name: 'Engineering' };
+const ISSUES = {
+  12: { id: 'issue-12', identifier: 'ENG-12', title: 'Fix login', state: { id: 'state-2', name: 'In Progress', type: 'started' } },
+  13: { id: 'issue-13', identifier: 'ENG-13', title: 'Old work', state: { id: 'state-3', name: 'Done', type: 'completed' } },
+};
+
+// Git config passed through the environment (e.g. core.hooksPath) would leak into the temp repos
+for (const key of Object.keys(process.env)) {
+  if (key.startsWith('GIT_CONFIG_')) delete process.env[key];
+}
+
+let clientCounter = 0;
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+/**
+ * Serves ENG-12 and ENG-13, counting client creations and issue lookups.
+ */
+function createClientFactory(calls = { clients: 0, lookups: [] }) {
+  const factory = async () => {
+    calls.clients += 1;
+    clientCounter += 1;
+    return {
+      apiKey: `test-git-hooks-${clientCounter}`,
+      teams: async () => ({ nodes: [TEAM] }),
+      rawRequest: async (query, variables) => {
+        if (query.includes('IssueMinimalByTeamAndNumber')) {
+          calls.lookups.push(`${variables.teamKey}-${variables.number}`);
+          const issue = ISSUES[variables.number];
+          return response({ issues: { nodes: issue ? [{ ...issue, team: TEAM }] : [] } });
+        }
+        throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+      },
+    };
+  };
+  factory.calls = calls;
+  return factory;
+}
+
+async function createRepo(branchName = 'main') {
+  const repo = await mkdtemp(join(tmpdir(), 'pi-linear-tools-hooks-'));
+  execFileSync('git', ['init', '-q'], { cwd: repo });
+  execFileSync('git', ['symbolic-ref', 'HEAD', `refs/heads/${branchName}`], { cwd: repo });
+  return repo;
+}
+
+async function writeMessage(repo, message) {
+  const file = join(repo, '.git', 'COMMIT_EDITMSG');
+  await writeFile(file, message);
+  return file;
+}
+
+async function testInstallAndUninstall() {
+  const repo = await createRepo();
+  const hooksDir = join(repo, '.git', 'hooks');
+  const hookPath = join(hooksDir, 'commit-msg');
+  await mkdir(hooksDir, { recursive: true });
+  await writeFile(hookPath, '#!/bin/sh\necho lint\n');
+
+  await assert.rejects(
+    installCommitMsgHook({ cwd: repo, cliPath: '/opt/pi linear/bin/pi-linear-tools.js' }),
+    /A commit-msg hook already exists at .*commit-msg\. Re-run with --force/
+  );
+
+  const installed = await installCommitMsgHook({ cwd: repo, cliPath: '/opt/pi linear/bin/pi-linear-tools.js', nodePath: '/usr/bin/node', force: true });
+  assert.equal(installed.hookPath, hookPath);
+  assert.equal(installed.backupPath, `${hookPath}.pre-linear-tools`);
+  const script = await readFile(hookPath, 'utf8');
+  assert.ok(script.includes(COMMIT_MSG_HOOK_MARKER));
+  assert.ok(script.includes(`exec '/usr/bin/node' '/opt/pi linear/bin/pi-linear-tools.js' git check-commit-msg "$1"`));
+  assert.equal(statSync(hookPath).mode & 0o111, 0o111);
+
+  // Re-installing updates our hook without touching the backup
+  const reinstalled = await installCommitMsgHook({ cwd: repo, cliPath: '/opt/bin/pi-linear-tools.js' });
+  assert.deepEqual([reinstalled.updated, reinstalled.backupPath], [true, null]);
+  assert.equal(await readFile(`${hookPath}.pre-linear-tools`, 'utf8'), '#!/bin/sh\necho lint\n');
+
+  const removed = await uninstallCommitMsgHook({ cwd: repo });
+  assert.deepEqual([removed.removed, removed.restoredPath], [true, hookPath]);
+  assert.equal(await readFile(hookPath, 'utf8'), '#!/bin/sh\necho lint\n');
+  assert.ok(!existsSync(`${hookPath}.pre-linear-tools`));
+
+  // The restored hook is not ours, so uninstalling again leaves it alone
+  const foreign = await uninstallCommitMsgHook({ cwd: repo });
+  assert.deepEqual([foreign.removed, foreign.reason], [false, 'foreign']);
+  assert.ok(existsSync(hookPath));
+
+  const elsewhere = await mkdtemp(join(tmpdir(), 'pi-linear-tools-hooks-none-'));
+  await assert.rejects(uninstallCommitMsgHook({ cwd: elsewhere }), /Not a git repository/);
+}
+
+async function testSubjectKeyAndCache() {
+  const repo = await createRepo();
+  const getClient = createClientFactory();
+  const file = await writeMessage(repo, 'Handle Safari cookies for eng-12\n\n# Please enter the commit message\n');
+  const now = Date.now();
+
+  const first = await checkCommitMessage({ cwd: repo, messageFile: file, getClient, now });
+  assert.equal(first.status, 'ok');
+  assert.equal(first.identifier, 'ENG-12');
+  assert.equal(first.cached, false);
+  assert.deepEqual(first.issue, { identifier: 'ENG-12', title: 'Fix login', state: { name: 'In Progress', type: 'started' } });
+  assert.equal(await readFile(file, 'utf8'), 'Handle Safari cookies for eng-12\n\n# Please enter the commit message\n');
+
+  // Within the TTL neither teams nor the issue are fetched again
+  const second = await checkCommitMessage({ cwd: repo, messageFile: file, getClient, now: now + 1000 });
+  assert.equal(second.cached, true);
+  assert.equal(getClient.calls.clients, 1);
+
+  const expired = await checkCommitMessage({ cwd: repo, messageFile: file, getClient, now: now + HOOK_CACHE_TTL_MS });
+  assert.equal(expired.cached, false);
+  assert.deepEqual(getClient.calls.lookups, ['ENG-12', 'ENG-12']);
+}
+
+async function testKeyInferredFromBranch() {
+  const repo = await createRepo('ada/eng-12-fix-login');
+  const getClient = createClientFactory();
+  const file = await writeMessage(repo, 'Handle Safari cookies\n\nBody text\n');
+
+  const result = await checkCommitMessage({ cwd: repo, messageFile: file, getClient });
+  assert.equal(result.inferredFrom, 'ada/eng-12-fix-login');
+  assert.equal(await readFile(file, 'utf8'), 'Handle Safari cookies (ENG-12)\n\nBody text\n');
+
+  const main = await createRepo('main');
+  await assert.rejects(
+    checkCommitMessage({ cwd: main, messageFile: await writeMessage(main, 'Handle Safari cookies\n'), getClient }),
+    /Missing Linear issue key in commit subject "Handle Safari cookies"\. Add one \(e\.g\. ENG-123\)/
+  );
+
+  const merge = await checkCommitMessage({ cwd: main, messageFile: await writeMessage(main, "Merge branch 'main' into topic\n"), getClient });
+  assert.equal(merge.status, 'skipped');
+}
+
+async function testMissingAndClosedIssues() {
+  const repo = await createRepo('ada/eng-99-spike');
+  const getClient = createClientFactory();
+
+  await assert.rejects(
+    checkCommitMessage({ cwd: repo, messageFile: await writeMessage(repo, 'Try things\n'), getClient }),
+    /Issue not found: ENG-99 \(from branch "ada\/eng-99-spike"\)/
+  );
+
+  const closedFile = await writeMessage(repo, 'Follow-up for ENG-13\n');
+  await assert.rejects(
+    checkCommitMessage({ cwd: repo, messageFile: closedFile, getClient }),
+    /Issue ENG-13 is Done \(completed\)\. Reference an open issue, or set LINEAR_ALLOW_CLOSED_ISSUE=1/
+  );
+  const allowed = await checkCommitMessage({ cwd: repo, messageFile: closedFile, getClient, allowClosed: true });
+  assert.equal(allowed.status, 'ok');
+  assert.equal(allowed.cached, true, 'the closed issue comes from the cache');
+}
+
+async function testUnreachableLinearAllowsCommit() {
+  const repo = await createRepo();
+  const file = await writeMessage(repo, 'Fix ENG-12\n');
+
+  const result = await checkCommitMessage({
+    cwd: repo,
+    messageFile: file,
+    getClient: async () => { throw new Error('No Linear authentication configured.'); },
+  });
+  assert.equal(result.status, 'unverified');
+  assert.match(result.warning, /Skipping Linear issue check: No Linear authentication configured/);
+}
+
+async function main() {
+  await testInstallAndUninstall();
+  await testSubjectKeyAndCache();
+  await testKeyInferredFromBranch();
+  await testMissingAndClosedIssues();
+  await testUnreachableLinearAllowsCommit();
+  console.log('✓ test-git-hooks.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
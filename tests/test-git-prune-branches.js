@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for pruning local branches by issue state: branch-to-issue mapping,
+ * the merged and current-branch guards, and dry runs.
+ */
+
+import assert from 'node:assert/strict';
+
+import { executeGitPruneBranches } from '../src/handlers.js';
+
+const TEAMS = [
+  { id: 'team-eng', key: 'ENG', name: 'Engineering' },
+  { id: 'team-ops', key: 'OPS', name: 'Operations' },
+];
+
+const DONE = { id: 'state-done', name: 'Done', type: 'completed' };
+const CANCELED = { id: 'state-canceled', name: 'Canceled', type: 'canceled' };
+const IN_PROGRESS = { id: 'state-progress', name: 'In Progress', type: 'started' };
+
+const ISSUES = [
+  { id: 'issue-12', identifier: 'ENG-12', title: 'Fix login', branchName: 'ada/eng-12-fix-login', state: DONE, team: TEAMS[0] },
+  { id: 'issue-13', identifier: 'ENG-13', title: 'Rework auth', branchName: 'ada/eng-13-rework-auth', state: DONE, team: TEAMS[0] },
+  { id: 'issue-14', identifier: 'ENG-14', title: 'Add SSO', branchName: 'ada/eng-14-add-sso', state: IN_PROGRESS, team: TEAMS[0] },
+  { id: 'issue-15', identifier: 'ENG-15', title: 'Current work', branchName: 'ada/eng-15-current-work', state: DONE, team: TEAMS[0] },
+  { id: 'issue-7', identifier: 'OPS-7', title: 'Rotate keys', branchName: 'rotate-keys', state: CANCELED, team: TEAMS[1] },
+];
+
+const BRANCHES = [
+  'ada/eng-12-fix-login',
+  'ada/eng-13-rework-auth',
+  'ada/eng-14-add-sso',
+  'ada/eng-15-current-work',
+  'main',
+  'rotate-keys',
+  'spike',
+];
+
+let clientCounter = 0;
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createBranchIssueClient() {
+  clientCounter += 1;
+  return {
+    apiKey: `test-git-prune-branches-${clientCounter}`,
+    teams: async () => ({ nodes: TEAMS }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('IssueByBranch')) {
+        return response({ issueVcsBranchSearch: ISSUES.find((issue) => issue.branchName === variables.branchName) || null });
+      }
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        const identifier = `${variables.teamKey}-${variables.number}`;
+        const issue = ISSUES.find((entry) => entry.identifier === identifier);
+        return response({ issues: { nodes: issue ? [issue] : [] } });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+/**
+ * Fake git: answers from a table keyed by the joined arguments and records calls.
+ */
+function createGitRunner(table) {
+  const calls = [];
+  const runner = async (args) => {
+    const key = args.join(' ');
+    calls.push(key);
+    if (key in table) {
+      const entry = table[key];
+      return typeof entry === 'string' ? { code: 0, stdout: entry, stderr: '' } : entry;
+    }
+    return { code: 1, stdout: '', stderr: `unexpected git ${key}` };
+  };
+  runner.calls = calls;
+  return runner;
+}
+
+// ENG-13's branch has commits that are not in origin/main
+const REPO_GIT = {
+  'rev-parse --abbrev-ref HEAD': 'ada/eng-15-current-work\n',
+  'symbolic-ref --short refs/remotes/origin/HEAD': 'origin/main\n',
+  'for-each-ref --format=%(refname:short) refs/heads': `${BRANCHES.join('\n')}\n`,
+  'for-each-ref --format=%(refname:short) --merged origin/main refs/heads': `${BRANCHES.filter((branch) => branch !== 'ada/eng-13-rework-auth').join('\n')}\n`,
+  'branch -D ada/eng-12-fix-login': 'Deleted branch ada/eng-12-fix-login (was a1b2c3d).\n',
+  'branch -D rotate-keys': 'Deleted branch rotate-keys (was e4f5a6b).\n',
+};
+
+async function testDryRunReportsWithoutDeleting() {
+  const git = createGitRunner(REPO_GIT);
+  const result = await executeGitPruneBranches(createBranchIssueClient(), { dryRun: true }, { gitRunner: git });
+
+  assert.ok(!git.calls.some((call) => call.startsWith('branch ')));
+  assert.equal(result.details.baseRef, 'origin/main');
+  assert.equal(result.details.currentBranch, 'ada/eng-15-current-work');
+  assert.deepEqual(result.details.deleted, [
+    { branch: 'ada/eng-12-fix-login', identifier: 'ENG-12', state: 'Done' },
+    { branch: 'rotate-keys', identifier: 'OPS-7', state: 'Canceled' },
+  ]);
+  assert.deepEqual(result.details.kept, [
+    { branch: 'ada/eng-13-rework-auth', reason: 'not merged into origin/main' },
+    { branch: 'ada/eng-14-add-sso', identifier: 'ENG-14', state: 'In Progress', reason: 'issue still open' },
+    { branch: 'ada/eng-15-current-work', reason: 'current branch' },
+    { branch: 'main', reason: 'base branch' },
+    { branch: 'spike', reason: 'no Linear issue' },
+  ]);
+  assert.equal(
+    result.content[0].text,
+    'Would delete 2 branch(es) merged into origin/main with completed or canceled issues:\n'
+      + '- ada/eng-12-fix-login (ENG-12, Done)\n'
+      + '- rotate-keys (OPS-7, Canceled)\n'
+      + '\n'
+      + 'Kept 5 branch(es):\n'
+      + '- ada/eng-13-rework-auth: not merged into origin/main\n'
+      + '- ada/eng-14-add-sso (ENG-14, In Progress): issue still open\n'
+      + '- ada/eng-15-current-work: current branch\n'
+      + '- main: base branch\n'
+      + '- spike: no Linear issue'
+  );
+}
+
+async function testDeletesMergedClosedBranches() {
+  const git = createGitRunner({
+    ...REPO_GIT,
+    'branch -D rotate-keys': { code: 1, stdout: '', stderr: 'error: cannot lock ref' },
+  });
+  const result = await executeGitPruneBranches(createBranchIssueClient(), {}, { gitRunner: git });
+
+  assert.deepEqual(git.calls.filter((call) => call.startsWith('branch ')), ['branch -D ada/eng-12-fix-login', 'branch -D rotate-keys']);
+  assert.deepEqual(result.details.deleted.map((entry) => entry.branch), ['ada/eng-12-fix-login']);
+  assert.deepEqual(result.details.failed, [{ branch: 'rotate-keys', identifier: 'OPS-7', state: 'Canceled', error: 'error: cannot lock ref' }]);
+  assert.match(result.content[0].text, /^Deleted 1 branch\(es\)/);
+  assert.match(result.content[0].text, /\n\nFailed 1 branch\(es\):\n- rotate-keys: error: cannot lock ref$/);
+}
+
+async function testExplicitBaseRef() {
+  const git = createGitRunner({
+    ...REPO_GIT,
+    'for-each-ref --format=%(refname:short) --merged develop refs/heads': 'develop\nspike\n',
+    'for-each-ref --format=%(refname:short) --merged nope refs/heads': { code: 129, stdout: '', stderr: 'error: malformed object name nope' },
+  });
+
+  const result = await executeGitPruneBranches(createBranchIssueClient(), { base: 'develop' }, { gitRunner: git });
+  assert.deepEqual(result.details.deleted, []);
+  assert.equal(result.details.kept.find((entry) => entry.branch === 'ada/eng-12-fix-login').reason, 'not merged into develop');
+  assert.ok(!git.calls.includes('symbolic-ref --short refs/remotes/origin/HEAD'));
+
+  await assert.rejects(
+    executeGitPruneBranches(createBranchIssueClient(), { base: 'nope' }, { gitRunner: git }),
+    /git for-each-ref --merged nope refs\/heads failed: error: malformed object name nope/
+  );
+}
+
+async function main() {
+  await testDryRunReportsWithoutDeleting();
+  await testDeletesMergedClosedBranches();
+  await testExplicitBaseRef();
+  console.log('✓ test-git-prune-branches.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for bulk issue updates: selecting issues by key or list filter, per-team
+ * state resolution, batching through issueBatchUpdate, dry runs and rate limits.
+ */
+
+import assert from 'node:assert/strict';
+
+import { executeIssueBulkUpdate } from '../src/handlers.js';
+import { markRateLimited, checkAndClearRateLimit } from '../src/linear-client.js';
+import { planIssueBulkUpdate } from '../src/linear.js';
+
+const PROJECT = { id: 'project-1', name: 'Example Project' };
+const TEAMS = {
+  ENG: { id: 'team-eng', key: 'ENG', name: 'Engineering' },
+  OPS: { id: 'team-ops', key: 'OPS', name: 'Operations' },
+};
+const STATES = {
+  'team-eng': [
+    { id: 'eng-todo', name: 'Todo', type: 'unstarted' },
+    { id: 'eng-done', name: 'Done', type: 'completed' },
+  ],
+  'team-ops': [
+    { id: 'ops-todo', name: 'Todo', type: 'unstarted' },
+    { id: 'ops-done', name: 'Done', type: 'completed' },
+  ],
+};
+const LABELS = [
+  { id: 'label-review', name: 'needs-review', color: '#f00', team: null },
+  { id: 'label-triage', name: 'triage', color: '#0f0', team: null },
+];
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createRawIssue(teamKey, number, raw = {}) {
+  const team = TEAMS[teamKey];
+  return {
+    id: `issue-${teamKey}-${number}`,
+    identifier: `${teamKey}-${number}`,
+    title: `Issue ${number}`,
+    priority: 3,
+    state: { id: `${teamKey.toLowerCase()}-todo`, name: 'Todo', type: 'unstarted' },
+    team,
+    project: PROJECT,
+    projectMilestone: null,
+    cycle: null,
+    assignee: null,
+    ...raw,
+  };
+}
+
+/**
+ * Serves the given issues for lookups and listings and records batch updates.
+ */
+function createBulkClient(issues, calls, options = {}) {
+  return {
+    projects: async () => ({ nodes: [PROJECT] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        const issue = issues.find((entry) => entry.identifier === `${variables.teamKey}-${variables.number}`);
+        return response({ issues: { nodes: issue ? [issue] : [] } });
+      }
+      if (query.includes('IssueLabelIds')) {
+        calls.labelLookups.push(variables.ids);
+        return response({
+          issues: {
+            nodes: issues
+              .filter((issue) => variables.ids.includes(issue.id))
+              .map((issue) => ({ id: issue.id, labels: { nodes: (issue.labelIds || []).map((id) => ({ id })) } })),
+          },
+        });
+      }
+      if (query.includes('IssuesWithRelations')) {
+        calls.listed.push(variables);
+        return response({ issues: { nodes: issues, pageInfo: { hasNextPage: false, endCursor: null } } });
+      }
+      if (query.includes('TeamStates')) {
+        calls.states.push(variables.id);
+        return response({ team: { id: variables.id, states: { nodes: STATES[variables.id] } } });
+      }
+      if (query.includes('IssueLabels')) {
+        return response({ issueLabels: { nodes: LABELS } });
+      }
+      if (query.includes('IssueBatchUpdate')) {
+        calls.batches.push(variables);
+        options.onBatch?.(variables);
+        return response({
+          issueBatchUpdate: {
+            success: true,
+            issues: variables.ids.map((id) => ({ id, identifier: id })),
+          },
+        });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+function createCalls() {
+  return { listed: [], states: [], batches: [], labelLookups: [] };
+}
+
+async function testFilterUpdatesGroupByResolvedInput() {
+  const calls = createCalls();
+  const issues = [
+    createRawIssue('ENG', 1),
+    createRawIssue('ENG', 2, { state: { id: 'eng-done', name: 'Done', type: 'completed' } }),
+    createRawIssue('OPS', 3),
+    createRawIssue('ENG', 4, { labelIds: ['label-review'] }),
+  ];
+  const client = createBulkClient(issues, calls);
+
+  const result = await executeIssueBulkUpdate(client, {
+    filter: { project: 'Example Project', states: ['Todo', 'Done'] },
+    state: 'Done',
+    addLabels: ['needs-review'],
+  });
+
+  assert.deepEqual(calls.listed[0].filter.state, { name: { in: ['Todo', 'Done'] } });
+  assert.deepEqual(calls.states.sort(), ['team-eng', 'team-ops']);
+  assert.deepEqual(calls.batches, [
+    { ids: ['issue-ENG-1'], input: { stateId: 'eng-done', addedLabelIds: ['label-review'] } },
+    { ids: ['issue-ENG-2'], input: { addedLabelIds: ['label-review'] } },
+    { ids: ['issue-OPS-3'], input: { stateId: 'ops-done', addedLabelIds: ['label-review'] } },
+    // ENG-4 already has the label
+    { ids: ['issue-ENG-4'], input: { stateId: 'eng-done' } },
+  ]);
+
+  assert.equal(result.details.matchedCount, 4);
+  assert.equal(result.details.updatedCount, 4);
+  assert.equal(result.details.rateLimited, false);
+  assert.deepEqual(result.details.issues[0].changes, [
+    { field: 'state', from: 'Todo', to: 'Done' },
+    { field: 'addLabels', from: null, to: ['needs-review'] },
+  ]);
+  assert.match(result.content[0].text, /4 of 4 issue\(s\) updated \(project "Example Project", states Todo, Done\)/);
+  assert.match(result.content[0].text, /\*\*ENG-1\*\*: Issue 1 \(state: Todo → Done, labels \+needs-review\)/);
+}
+
+async function testDryRunPreviewsWithoutUpdating() {
+  const calls = createCalls();
+  const issues = [
+    createRawIssue('ENG', 1),
+    createRawIssue('ENG', 2, { priority: 1 }),
+  ];
+  const client = createBulkClient(issues, calls);
+
+  const result = await executeIssueBulkUpdate(client, {
+    issues: ['ENG-1', 'ENG-2', 'ENG-1'],
+    priority: 'urgent',
+    dryRun: true,
+  });
+
+  assert.equal(calls.batches.length, 0);
+  assert.equal(result.details.dryRun, true);
+  assert.equal(result.details.matchedCount, 2);
+  assert.equal(result.details.changedCount, 1);
+  assert.deepEqual(result.details.issues.map((issue) => issue.status), ['would-update', 'unchanged']);
+  assert.match(result.content[0].text, /ENG-1\*\*: Issue 1 \(priority: Medium → Urgent\)/);
+  assert.match(result.content[0].text, /ENG-2\*\*: Issue 2 \(no changes\) \[unchanged\]/);
+  assert.match(result.content[0].text, /Dry run: no issues were changed/);
+}
+
+async function testLabelEditsSkipIssuesTheyWouldNotChange() {
+  const calls = createCalls();
+  const issues = [
+    createRawIssue('ENG', 1, { labelIds: ['label-review'] }),
+    createRawIssue('ENG', 2, { labelIds: ['label-triage'] }),
+  ];
+  const client = createBulkClient(issues, calls);
+
+  const result = await executeIssueBulkUpdate(client, {
+    issues: ['ENG-1', 'ENG-2'],
+    addLabels: 'needs-review',
+    removeLabels: 'triage',
+    dryRun: true,
+  });
+
+  assert.deepEqual(calls.labelLookups, [['issue-ENG-1', 'issue-ENG-2']]);
+  assert.equal(result.details.changedCount, 1);
+  assert.deepEqual(result.details.issues.map((issue) => issue.status), ['unchanged', 'would-update']);
+  assert.match(result.content[0].text, /1 of 2 issue\(s\) would change/);
+  assert.match(result.content[0].text, /ENG-2\*\*: Issue 2 \(labels \+needs-review, labels -triage\)/);
+
+  // Without raw GraphQL the current labels are unknown, so the edits are sent as requested
+  const sdkIssue = createRawIssue('ENG', 3, { labelIds: ['label-review'] });
+  const [entry] = await planIssueBulkUpdate({}, [sdkIssue], { addLabels: [{ id: 'label-review', name: 'needs-review' }] });
+  assert.deepEqual(entry.input, { addedLabelIds: ['label-review'] });
+  assert.deepEqual(entry.changes, [{ field: 'addLabels', from: null, to: ['needs-review'], unverified: true }]);
+}
+
+async function testBatchesAreCappedAtFiftyIssues() {
+  const calls = createCalls();
+  const issues = Array.from({ length: 60 }, (_, index) => createRawIssue('ENG', index + 1, { labelIds: ['label-triage'] }));
+  const client = createBulkClient(issues, calls);
+
+  const result = await executeIssueBulkUpdate(client, {
+    filter: { project: 'Example Project' },
+    removeLabels: 'triage',
+  });
+
+  assert.deepEqual(calls.batches.map((batch) => batch.ids.length), [50, 10]);
+  assert.deepEqual(calls.batches[0].input, { removedLabelIds: ['label-triage'] });
+  assert.equal(result.details.updatedCount, 60);
+}
+
+async function testStopsWhenRateLimited() {
+  const calls = createCalls();
+  const issues = [
+    createRawIssue('ENG', 1),
+    createRawIssue('OPS', 2),
+  ];
+  const client = createBulkClient(issues, calls, {
+    // Simulate the tracker flagging the limit after the first batch.
+    onBatch: () => markRateLimited(Date.now() + 60_000),
+  });
+
+  try {
+    const result = await executeIssueBulkUpdate(client, {
+      issues: ['ENG-1', 'OPS-2'],
+      state: 'Done',
+    });
+
+    assert.equal(calls.batches.length, 1);
+    assert.equal(result.details.rateLimited, true);
+    assert.equal(result.details.updatedCount, 1);
+    assert.equal(result.details.skippedCount, 1);
+    assert.ok(result.details.resetAt);
+    assert.deepEqual(result.details.issues.map((issue) => issue.status), ['updated', 'skipped']);
+    assert.match(result.content[0].text, /Stopped: Linear API rate limit reached .*1 issue\(s\) were not updated/);
+  } finally {
+    markRateLimited(Date.now() - 1);
+    assert.equal(checkAndClearRateLimit().isRateLimited, false);
+  }
+}
+
+async function testRejectsInvalidRequests() {
+  const client = createBulkClient([createRawIssue('ENG', 1)], createCalls());
+
+  await assert.rejects(
+    executeIssueBulkUpdate(client, { issues: ['ENG-1'], filter: { project: 'Example Project' }, state: 'Done' }),
+    /either issues or filter for bulk update, not both/
+  );
+  await assert.rejects(
+    executeIssueBulkUpdate(client, { state: 'Done' }),
+    /Missing required field: issues or filter/
+  );
+  await assert.rejects(
+    executeIssueBulkUpdate(client, { issues: ['ENG-1'] }),
+    /No update fields provided/
+  );
+  await assert.rejects(
+    executeIssueBulkUpdate(client, { issues: ['ENG-1'], labels: ['bug'] }),
+    /Use addLabels or removeLabels/
+  );
+}
+
+async function main() {
+  await testFilterUpdatesGroupByResolvedInput();
+  await testDryRunPreviewsWithoutUpdating();
+  await testLabelEditsSkipIssuesTheyWouldNotChange();
+  await testBatchesAreCappedAtFiftyIssues();
+  await testStopsWhenRateLimited();
+  await testRejectsInvalidRequests();
+  console.log('✓ test-issue-bulk-update.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for comment indexes/IDs in `issue view` and the comment-edit,
+ * comment-delete and comment-reply actions.
+ */
+
+import assert from 'node:assert/strict';
+
+import {
+  executeIssueView,
+  executeIssueCommentEdit,
+  executeIssueCommentDelete,
+  executeIssueCommentReply,
+} from '../src/handlers.js';
+import { orderIssueComments } from '../src/linear.js';
+
+const TEAM = { id: 'team-1', key: 'ENG', name: 'Engineering' };
+
+// Creation order: c-old, c-new (roots); r-1, r-2 reply to c-old; r-nested replies to r-1.
+const COMMENTS = [
+  { id: 'c-old', body: 'Status: blocked', createdAt: '2026-10-01T00:00:00.000Z', user: { name: 'Ada' }, parent: null },
+  { id: 'r-2', body: 'Second reply', createdAt: '2026-10-03T00:00:00.000Z', user: { name: 'Grace' }, parent: { id: 'c-old' } },
+  { id: 'c-new', body: 'Status: in review', createdAt: '2026-10-05T00:00:00.000Z', user: { name: 'Ada' }, parent: null },
+  { id: 'r-1', body: 'First reply', createdAt: '2026-10-02T00:00:00.000Z', user: { name: 'Linus' }, parent: { id: 'c-old' } },
+  { id: 'r-nested', body: 'Nested\nreply', createdAt: '2026-10-04T00:00:00.000Z', user: { name: 'Ada' }, parent: { id: 'r-1' } },
+];
+
+function createRawIssue(number, raw = {}) {
+  return {
+    id: `issue-${number}`,
+    identifier: `ENG-${number}`,
+    title: `Issue ${number}`,
+    description: null,
+    url: `https://linear.app/test/issue/ENG-${number}`,
+    branchName: null,
+    priority: 0,
+    estimate: null,
+    state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+    team: TEAM,
+    project: null,
+    projectMilestone: null,
+    cycle: null,
+    assignee: null,
+    ...raw,
+  };
+}
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createCommentClient(calls) {
+  return {
+    rawRequest: async (query, variables) => {
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({ issues: { nodes: [createRawIssue(variables.number)] } });
+      }
+      if (query.includes('IssueDetailsWithComments')) {
+        return response({
+          issue: {
+            ...createRawIssue(1),
+            labels: { nodes: [] },
+            children: { nodes: [] },
+            comments: { nodes: COMMENTS },
+            attachments: { nodes: [] },
+            relations: { nodes: [] },
+            inverseRelations: { nodes: [] },
+          },
+        });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+    updateComment: async (id, input) => {
+      calls.updated.push({ id, ...input });
+      return { success: true, comment: Promise.resolve({ id, body: input.body }) };
+    },
+    deleteComment: async (id) => {
+      calls.deleted.push(id);
+      return { success: true };
+    },
+    createComment: async (input) => {
+      calls.created.push(input);
+      return { success: true, comment: { id: 'c-created', body: input.body } };
+    },
+  };
+}
+
+function testOrderIssueComments() {
+  assert.deepEqual(
+    orderIssueComments(COMMENTS).map(({ index, depth, comment }) => [index, depth, comment.id]),
+    [
+      [1, 0, 'c-new'],
+      [2, 0, 'c-old'],
+      [3, 1, 'r-1'],
+      [4, 2, 'r-nested'],
+      [5, 1, 'r-2'],
+    ]
+  );
+}
+
+async function testIssueViewShowsCommentIndexesAndNesting() {
+  const client = createCommentClient({ updated: [], deleted: [], created: [] });
+  const result = await executeIssueView(client, { issue: 'ENG-1' });
+  const text = result.content[0].text;
+
+  assert.match(text, /^- \*\*#1\*\* \*\*@Ada\*\* - _.*_ `c-new`$/m);
+  assert.match(text, /^- \*\*#2\*\* \*\*@Ada\*\* - _.*_ `c-old`$/m);
+  assert.match(text, /^ {2}- \*\*#3\*\* \*\*@Linus\*\* - _.*_ `r-1`$/m);
+  assert.match(text, /^ {4}- \*\*#4\*\* \*\*@Ada\*\* - _.*_ `r-nested`\n\n {6}Nested\n {6}reply$/m);
+  assert.match(text, /^ {2}- \*\*#5\*\* \*\*@Grace\*\* - _.*_ `r-2`$/m);
+}
+
+async function testEditByIndexAndById() {
+  const calls = { updated: [], deleted: [], created: [] };
+  const client = createCommentClient(calls);
+
+  const byIndex = await executeIssueCommentEdit(client, { issue: 'ENG-1', comment: '#1', body: 'Status: merged' });
+  assert.deepEqual(calls.updated[0], { id: 'c-new', body: 'Status: merged' });
+  assert.match(byIndex.content[0].text, /^Updated comment #1 on ENG-1\n\nStatus: merged/);
+  assert.equal(byIndex.details.commentId, 'c-new');
+  assert.equal(byIndex.details.commentIndex, 1);
+
+  // A comment ID works without an issue and without fetching it.
+  const byId = await executeIssueCommentEdit(client, { comment: 'r-2', body: 'Fixed typo' });
+  assert.deepEqual(calls.updated[1], { id: 'r-2', body: 'Fixed typo' });
+  assert.match(byId.content[0].text, /^Updated comment r-2\n/);
+  assert.equal(byId.details.identifier, null);
+}
+
+async function testDeleteByIndex() {
+  const calls = { updated: [], deleted: [], created: [] };
+  const client = createCommentClient(calls);
+
+  const result = await executeIssueCommentDelete(client, { issue: 'ENG-1', comment: 3 });
+  assert.deepEqual(calls.deleted, ['r-1']);
+  assert.equal(result.content[0].text, 'Deleted comment #3 on ENG-1');
+}
+
+async function testReplyTargetsThreadRoot() {
+  const calls = { updated: [], deleted: [], created: [] };
+  const client = createCommentClient(calls);
+
+  const toRoot = await executeIssueCommentReply(client, { issue: 'ENG-1', comment: '2', body: 'Unblocked now' });
+  assert.deepEqual(calls.created[0], { issueId: 'issue-1', body: 'Unblocked now', parentId: 'c-old' });
+  assert.match(toRoot.content[0].text, /^Replied to comment #2 on ENG-1/);
+  assert.equal(toRoot.details.parentCommentId, 'c-old');
+
+  // Replying to a reply posts into that reply's thread.
+  await executeIssueCommentReply(client, { issue: 'ENG-1', comment: '#5', body: 'Agreed' });
+  assert.equal(calls.created[1].parentId, 'c-old');
+}
+
+async function testValidation() {
+  const calls = { updated: [], deleted: [], created: [] };
+  const client = createCommentClient(calls);
+
+  await assert.rejects(
+    () => executeIssueCommentDelete(client, { issue: 'ENG-1', comment: '#9' }),
+    /Comment not found: #9 on ENG-1 \(5 comments\)/
+  );
+  await assert.rejects(
+    () => executeIssueCommentEdit(client, { comment: '#1', body: 'x' }),
+    /Missing required field: issue/
+  );
+  await assert.rejects(
+    () => executeIssueCommentReply(client, { comment: 'c-old', body: 'x' }),
+    /Missing required field: issue/
+  );
+  assert.deepEqual(calls.deleted, []);
+  assert.deepEqual(calls.updated, []);
+}
+
+async function main() {
+  testOrderIssueComments();
+  await testIssueViewShowsCommentIndexesAndNesting();
+  await testEditByIndexAndById();
+  await testDeleteByIndex();
+  await testReplyTargetsThreadRoot();
+  await testValidation();
+  console.log('✓ test-issue-comments.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for issue due dates (create/update, list filters, rendering) and for
+ * validating estimates against each team's estimation scale.
+ */
+
+import assert from 'node:assert/strict';
+
+import { createIssue, updateIssue, formatIssueAsMarkdown } from '../src/linear.js';
+import { executeIssueList, executeIssueUpdate } from '../src/handlers.js';
+
+const PROJECT = { id: 'project-1', name: 'Example Project' };
+
+let clientCounter = 0;
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createRawIssue(raw = {}) {
+  return {
+    id: 'issue-1',
+    identifier: 'ENG-1',
+    title: 'Estimate me',
+    priority: 3,
+    estimate: null,
+    dueDate: null,
+    state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+    team: { id: 'team-1', key: 'ENG', name: 'Engineering' },
+    project: PROJECT,
+    projectMilestone: null,
+    cycle: null,
+    assignee: null,
+    ...raw,
+  };
+}
+
+/**
+ * Serves one team with the given estimation settings and records mutation inputs
+ * and list filters.
+ */
+function createEstimateClient(estimation, calls = { creates: [], updates: [], listed: [] }) {
+  let issue = createRawIssue();
+  clientCounter += 1;
+
+  return {
+    calls,
+    apiKey: `test-due-estimate-${clientCounter}`,
+    projects: async () => ({ nodes: [PROJECT] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('TeamEstimation')) {
+        return response({
+          team: {
+            id: 'team-1',
+            key: 'ENG',
+            name: 'Engineering',
+            issueEstimationType: estimation.type,
+            issueEstimationAllowZero: estimation.allowZero === true,
+            issueEstimationExtended: estimation.extended === true,
+          },
+        });
+      }
+      if (query.includes('IssueCreate')) {
+        calls.creates.push(variables.input);
+        return response({ issueCreate: { success: true, issue: createRawIssue(variables.input) } });
+      }
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({ issues: { nodes: [issue] } });
+      }
+      if (query.includes('IssueUpdate')) {
+        calls.updates.push(variables.input);
+        issue = { ...issue, ...variables.input };
+        return response({ issueUpdate: { success: true, issue } });
+      }
+      if (query.includes('IssueMinimal')) {
+        return response({ issue });
+      }
+      if (query.includes('IssuesWithRelations')) {
+        calls.listed.push(variables.filter);
+        return response({
+          issues: {
+            nodes: [createRawIssue({ estimate: 3, dueDate: '2026-10-01' })],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+async function testEstimatesFollowTeamScale() {
+  const tShirt = createEstimateClient({ type: 'tShirt' });
+  await createIssue(tShirt, { teamId: 'team-1', title: 'Sized', estimate: 'm' });
+  await createIssue(tShirt, { teamId: 'team-1', title: 'Points', estimate: 8 });
+  assert.deepEqual(tShirt.calls.creates.map((input) => input.estimate), [3, 8]);
+  await assert.rejects(
+    createIssue(tShirt, { teamId: 'team-1', title: 'Too big', estimate: 'XXL' }),
+    /Invalid estimate: XXL\. Team ENG uses the t-shirt scale: XS \(1\), S \(2\), M \(3\), L \(5\), XL \(8\)\./
+  );
+
+  const fibonacci = createEstimateClient({ type: 'fibonacci', allowZero: true, extended: true });
+  await updateIssue(fibonacci, 'ENG-1', { estimate: '13' });
+  await updateIssue(fibonacci, 'ENG-1', { estimate: 0 });
+  assert.deepEqual(fibonacci.calls.updates, [{ estimate: 13 }, { estimate: 0 }]);
+  await assert.rejects(
+    updateIssue(fibonacci, 'ENG-1', { estimate: 4 }),
+    /Team ENG uses the fibonacci scale: 0, 1, 2, 3, 5, 8, 13, 21\./
+  );
+  await assert.rejects(updateIssue(fibonacci, 'ENG-1', { estimate: 'M' }), /Invalid estimate: M/);
+
+  const exponential = createEstimateClient({ type: 'exponential' });
+  await createIssue(exponential, { teamId: 'team-1', title: 'Big', estimate: 16 });
+  assert.equal(exponential.calls.creates[0].estimate, 16);
+  await assert.rejects(createIssue(exponential, { teamId: 'team-1', title: 'Odd', estimate: 3 }), /exponential scale: 1, 2, 4, 8, 16\./);
+
+  const disabled = createEstimateClient({ type: 'notUsed' });
+  await assert.rejects(
+    createIssue(disabled, { teamId: 'team-1', title: 'No points', estimate: 1 }),
+    /Estimates are not enabled for team ENG/
+  );
+}
+
+async function testDueDatesOnCreateAndUpdate() {
+  const client = createEstimateClient({ type: 'fibonacci' });
+
+  const created = await createIssue(client, { teamId: 'team-1', title: 'Due soon', dueDate: '2026-11-30' });
+  assert.equal(client.calls.creates[0].dueDate, '2026-11-30');
+  assert.equal(created.dueDate, '2026-11-30');
+
+  await assert.rejects(createIssue(client, { teamId: 'team-1', title: 'Bad', dueDate: '2026-02-30' }), /Invalid due date: 2026-02-30\. Use YYYY-MM-DD\./);
+  await assert.rejects(createIssue(client, { teamId: 'team-1', title: 'Bad', dueDate: 'none' }), /Invalid due date: none/);
+
+  const result = await executeIssueUpdate(client, { issue: 'ENG-1', dueDate: '2026-12-01', estimate: '5' });
+  assert.deepEqual(client.calls.updates[0], { estimate: 5, dueDate: '2026-12-01' });
+  assert.match(result.content[0].text, /Updated issue ENG-1 \(estimate: 5, due: 2026-12-01\)/);
+
+  const cleared = await executeIssueUpdate(client, { issue: 'ENG-1', dueDate: 'none' });
+  assert.deepEqual(client.calls.updates[1], { dueDate: null });
+  assert.match(cleared.content[0].text, /\(due: None\)/);
+}
+
+async function testListDueFilters() {
+  const client = createEstimateClient({ type: 'fibonacci' });
+
+  const result = await executeIssueList(client, { project: 'Example Project', dueBefore: '2026-12-31', overdue: true });
+  const filter = client.calls.listed[0];
+  assert.equal(filter.dueDate.lte, '2026-12-31');
+  assert.match(filter.dueDate.lt, /^\d{4}-\d{2}-\d{2}$/);
+  assert.deepEqual(filter.state, { type: { nin: ['completed', 'canceled'] } });
+  assert.match(result.content[0].text, /## Issues in project "Example Project" due by 2026-12-31 that are overdue \(1\)/);
+  assert.match(result.content[0].text, /\*\*ENG-1\*\*: Estimate me \(\[Todo\] @Unassigned Medium 3pt due 2026-10-01\)/);
+
+  await executeIssueList(client, { project: 'Example Project', states: ['Todo'], overdue: true });
+  assert.deepEqual(client.calls.listed[1].state, { name: { in: ['Todo'] }, type: { nin: ['completed', 'canceled'] } });
+
+  await assert.rejects(executeIssueList(client, { project: 'Example Project', dueBefore: 'soon' }), /Invalid due date: soon/);
+}
+
+function testMarkdownShowsEstimateAndDueDate() {
+  const markdown = formatIssueAsMarkdown({
+    identifier: 'ENG-1',
+    title: 'Estimate me',
+    state: { name: 'Todo' },
+    estimate: 3,
+    dueDate: '2026-10-01',
+  });
+  assert.match(markdown, /\*\*State:\*\* Todo \| \*\*Estimate:\*\* 3 \| \*\*Due:\*\* 2026-10-01/);
+}
+
+async function main() {
+  await testEstimatesFollowTeamScale();
+  await testDueDatesOnCreateAndUpdate();
+  await testListDueFilters();
+  testMarkdownShowsEstimateAndDueDate();
+  console.log('✓ test-issue-due-estimate.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the issue finish flow: target state resolution, the commit summary
+ * comment, default commit links, and switching back to the base branch.
+ */
+
+import assert from 'node:assert/strict';
+
+import { prepareIssueFinish } from '../src/linear.js';
+import { executeIssueFinish } from '../src/handlers.js';
+
+const TEAM = { id: 'team-eng', key: 'ENG', name: 'Engineering' };
+const STATES = [
+  { id: 'state-todo', name: 'Todo', type: 'unstarted' },
+  { id: 'state-progress', name: 'In Progress', type: 'started' },
+  { id: 'state-review', name: 'In Review', type: 'started' },
+  { id: 'state-done', name: 'Done', type: 'completed' },
+  { id: 'state-canceled', name: 'Canceled', type: 'canceled' },
+];
+
+let clientCounter = 0;
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+/**
+ * Serves ENG-12 and the team's workflow states, recording state changes,
+ * comments and attachments.
+ */
+function createFinishClient(states = STATES, calls = { updates: [], comments: [], attachments: [] }) {
+  let issue = {
+    id: 'issue-1',
+    identifier: 'ENG-12',
+    title: 'Fix login',
+    branchName: 'ada/eng-12-fix-login',
+    priority: 3,
+    state: STATES[1],
+    team: TEAM,
+    project: null,
+    projectMilestone: null,
+    cycle: null,
+    assignee: null,
+  };
+
+  clientCounter += 1;
+  return {
+    calls,
+    apiKey: `test-issue-finish-${clientCounter}`,
+    teams: async () => ({ nodes: [TEAM] }),
+    createComment: async (input) => {
+      calls.comments.push(input);
+      return { success: true, comment: { id: 'comment-1', body: input.body } };
+    },
+    rawRequest: async (query, variables) => {
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({ issues: { nodes: [issue] } });
+      }
+      if (query.includes('TeamStates')) {
+        return response({ team: { ...TEAM, states: { nodes: states } } });
+      }
+      if (query.includes('IssueUpdate')) {
+        calls.updates.push(variables.input);
+        issue = { ...issue, state: states.find((state) => state.id === variables.input.stateId) };
+        return response({ issueUpdate: { success: true, issue } });
+      }
+      if (query.includes('AttachmentCreate')) {
+        calls.attachments.push(variables.input);
+        return response({ attachmentCreate: { success: true, attachment: { id: `att-${calls.attachments.length}`, ...variables.input, subtitle: null } } });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+/**
+ * Fake git: answers from a table keyed by the joined arguments and records calls.
+ */
+function createGitRunner(table) {
+  const calls = [];
+  const runner = async (args) => {
+    const key = args.join(' ');
+    calls.push(key);
+    if (key in table) {
+      const entry = table[key];
+      return typeof entry === 'string' ? { code: 0, stdout: entry, stderr: '' } : entry;
+    }
+    return { code: 1, stdout: '', stderr: `unexpected git ${key}` };
+  };
+  runner.calls = calls;
+  return runner;
+}
+
+const BRANCH_GIT = {
+  'rev-parse --abbrev-ref HEAD': 'ada/eng-12-fix-login\n',
+  'symbolic-ref --short refs/remotes/origin/HEAD': 'origin/main\n',
+  'log --oneline --no-decorate origin/main..HEAD': 'a1b2c3d Handle Safari cookies\ne4f5a6b Add login regression test\n',
+  'remote get-url origin': 'git@github.com:example/app.git\n',
+  'rev-parse HEAD': 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678\n',
+  'checkout main': '',
+};
+
+async function testPrepareIssueFinishStates() {
+  const client = createFinishClient();
+
+  assert.equal((await prepareIssueFinish(client, 'ENG-12')).finishedState.id, 'state-review');
+  assert.equal((await prepareIssueFinish(client, 'ENG-12', 'done')).finishedState.id, 'state-done');
+  assert.equal((await prepareIssueFinish(client, 'ENG-12', 'canceled')).finishedState.id, 'state-canceled');
+  await assert.rejects(
+    prepareIssueFinish(client, 'ENG-12', 'shipped'),
+    /Invalid finish state: shipped\. Use review, completed, or one of: Todo, In Progress, In Review, Done, Canceled/
+  );
+
+  const noReview = createFinishClient(STATES.filter((state) => state.id !== 'state-review'));
+  assert.equal((await prepareIssueFinish(noReview, 'ENG-12', 'review')).finishedState.id, 'state-done');
+}
+
+async function testFinishCurrentBranchIssue() {
+  const client = createFinishClient();
+  const git = createGitRunner(BRANCH_GIT);
+
+  const result = await executeIssueFinish(client, { switchToBase: true }, { gitRunner: git });
+
+  assert.deepEqual(client.calls.updates, [{ stateId: 'state-review' }]);
+  assert.deepEqual(client.calls.comments, [{
+    issueId: 'issue-1',
+    body: 'Finished on branch `ada/eng-12-fix-login` (2 commit(s) since `origin/main`):\n\n'
+      + '- `a1b2c3d` Handle Safari cookies\n- `e4f5a6b` Add login regression test',
+  }]);
+  assert.deepEqual(client.calls.attachments, [{
+    issueId: 'issue-1',
+    url: 'https://github.com/example/app/commit/a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+    title: 'Commit a1b2c3d',
+  }]);
+  assert.ok(git.calls.includes('checkout main'));
+
+  assert.equal(result.details.identifier, 'ENG-12');
+  assert.equal(result.details.baseRef, 'origin/main');
+  assert.deepEqual(result.details.commits[0], { sha: 'a1b2c3d', subject: 'Handle Safari cookies' });
+  assert.deepEqual(result.details.git, { switchedTo: 'main', switchError: null });
+  assert.equal(
+    result.content[0].text,
+    'Finished issue ENG-12 (fix login): moved to In Review\n'
+      + 'Commented 2 commit(s) since origin/main\n'
+      + 'Linked https://github.com/example/app/commit/a1b2c3d4e5f60718293a4b5c6d7e8f9012345678\n'
+      + 'Switched to main'
+  );
+}
+
+async function testFinishWithExplicitLinkAndNoCommits() {
+  const client = createFinishClient();
+  const git = createGitRunner({
+    ...BRANCH_GIT,
+    'log --oneline --no-decorate develop..HEAD': '',
+  });
+
+  const result = await executeIssueFinish(client, {
+    issue: 'ENG-12',
+    state: 'completed',
+    fromRef: 'develop',
+    links: [{ url: 'https://github.com/example/app/pull/42', title: 'PR #42' }],
+  }, { gitRunner: git });
+
+  assert.deepEqual(client.calls.updates, [{ stateId: 'state-done' }]);
+  assert.deepEqual(client.calls.comments, []);
+  assert.deepEqual(client.calls.attachments, [{ issueId: 'issue-1', url: 'https://github.com/example/app/pull/42', title: 'PR #42' }]);
+  assert.ok(!git.calls.some((call) => call.startsWith('checkout')));
+  assert.match(result.content[0].text, /moved to Done\nNo commits since develop; no comment posted\nLinked https:\/\/github\.com\/example\/app\/pull\/42/);
+}
+
+async function testFinishFailsBeforeChangingState() {
+  const client = createFinishClient();
+  const git = createGitRunner({
+    'rev-parse --abbrev-ref HEAD': 'ada/eng-12-fix-login\n',
+    'log --oneline --no-decorate missing..HEAD': { code: 128, stdout: '', stderr: "fatal: bad revision 'missing..HEAD'" },
+  });
+
+  await assert.rejects(
+    executeIssueFinish(client, { fromRef: 'missing' }, { gitRunner: git }),
+    /git log missing\.\.HEAD failed: fatal: bad revision/
+  );
+  assert.deepEqual(client.calls.updates, []);
+}
+
+async function main() {
+  await testPrepareIssueFinishStates();
+  await testFinishCurrentBranchIssue();
+  await testFinishWithExplicitLinkAndNoCommits();
+  await testFinishFailsBeforeChangingState();
+  console.log('✓ test-issue-finish.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
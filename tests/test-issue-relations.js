@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for rendering issue relations in `issue view` and removing relations
+ * via `removeBlockedBy`, `removeBlocking`, `removeRelatedTo` and `removeDuplicateOf`.
+ */
+
+import assert from 'node:assert/strict';
+
+import { executeIssueView, executeIssueUpdate } from '../src/handlers.js';
+
+const TEAM = { id: 'team-1', key: 'ENG', name: 'Engineering' };
+
+function createRawIssue(number, raw = {}) {
+  return {
+    id: `issue-${number}`,
+    identifier: `ENG-${number}`,
+    title: `Issue ${number}`,
+    description: null,
+    url: `https://linear.app/test/issue/ENG-${number}`,
+    branchName: null,
+    priority: 0,
+    estimate: null,
+    state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+    team: TEAM,
+    project: null,
+    projectMilestone: null,
+    cycle: null,
+    assignee: null,
+    ...raw,
+  };
+}
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createRelationClient(relations, calls) {
+  return {
+    rawRequest: async (query, variables) => {
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({ issues: { nodes: [createRawIssue(variables.number)] } });
+      }
+      if (query.includes('query IssueRelations')) {
+        return response({ issue: { id: 'issue-1', identifier: 'ENG-1', ...relations } });
+      }
+      if (query.includes('IssueRelationDelete')) {
+        calls.deleted.push(variables.id);
+        return response({ issueRelationDelete: { success: true } });
+      }
+      if (query.includes('IssueMinimal')) {
+        return response({ issue: createRawIssue(1) });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+    createIssueRelation: async (input) => {
+      calls.created.push(input);
+      return { success: true };
+    },
+  };
+}
+
+async function testIssueViewRendersRelations() {
+  const client = {
+    rawRequest: async (query, variables) => {
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({ issues: { nodes: [createRawIssue(variables.number)] } });
+      }
+      assert.match(query, /relations\(first: 50\)/);
+      assert.match(query, /inverseRelations\(first: 50\)/);
+      return response({
+        issue: {
+          ...createRawIssue(1),
+          labels: { nodes: [] },
+          children: { nodes: [] },
+          comments: { nodes: [] },
+          attachments: { nodes: [] },
+          relations: {
+            nodes: [
+              { id: 'rel-1', type: 'blocks', relatedIssue: createRawIssue(2, { state: { id: 's', name: 'Backlog', type: 'backlog' } }) },
+              { id: 'rel-2', type: 'related', relatedIssue: createRawIssue(3) },
+              { id: 'rel-3', type: 'duplicate', relatedIssue: createRawIssue(4) },
+            ],
+          },
+          inverseRelations: {
+            nodes: [
+              { id: 'rel-4', type: 'blocks', issue: createRawIssue(5, { state: { id: 's', name: 'In Progress', type: 'started' } }) },
+              { id: 'rel-5', type: 'related', issue: createRawIssue(6) },
+            ],
+          },
+        },
+      });
+    },
+  };
+
+  const result = await executeIssueView(client, { issue: 'ENG-1' });
+  const text = result.content[0].text;
+
+  assert.match(text, /## Relations/);
+  assert.match(text, /\*\*Blocked by:\*\*\n- \*\*ENG-5\*\*: Issue 5 _\[In Progress\]_/);
+  assert.match(text, /\*\*Blocks:\*\*\n- \*\*ENG-2\*\*: Issue 2 _\[Backlog\]_/);
+  assert.match(text, /\*\*Related to:\*\*\n- \*\*ENG-3\*\*: Issue 3 _\[Todo\]_\n- \*\*ENG-6\*\*: Issue 6 _\[Todo\]_/);
+  assert.match(text, /\*\*Duplicate of:\*\*\n- \*\*ENG-4\*\*/);
+  assert.ok(text.indexOf('**Blocked by:**') < text.indexOf('**Blocks:**'), 'blockers should be listed first');
+
+  assert.deepEqual(
+    result.details.relations.map((relation) => [relation.type, relation.issue.identifier]),
+    [
+      ['blocks', 'ENG-2'],
+      ['related', 'ENG-3'],
+      ['duplicateOf', 'ENG-4'],
+      ['blockedBy', 'ENG-5'],
+      ['related', 'ENG-6'],
+    ]
+  );
+}
+
+async function testRemoveRelationsDeletesMatchingIssueRelations() {
+  const calls = { deleted: [], created: [] };
+  const client = createRelationClient({
+    relations: {
+      nodes: [
+        { id: 'rel-blocks-3', type: 'blocks', relatedIssue: { id: 'issue-3', identifier: 'ENG-3' } },
+        { id: 'rel-dup-4', type: 'duplicate', relatedIssue: { id: 'issue-4', identifier: 'ENG-4' } },
+        { id: 'rel-related-6', type: 'related', relatedIssue: { id: 'issue-6', identifier: 'ENG-6' } },
+      ],
+    },
+    inverseRelations: {
+      nodes: [
+        { id: 'rel-blocks-2', type: 'blocks', issue: { id: 'issue-2', identifier: 'ENG-2' } },
+        { id: 'rel-related-5', type: 'related', issue: { id: 'issue-5', identifier: 'ENG-5' } },
+      ],
+    },
+  }, calls);
+
+  const result = await executeIssueUpdate(client, {
+    issue: 'ENG-1',
+    removeBlockedBy: ['ENG-2'],
+    removeBlocking: ['ENG-3'],
+    removeRelatedTo: ['ENG-5', 'ENG-6'],
+    removeDuplicateOf: 'ENG-4',
+  });
+
+  assert.deepEqual(calls.deleted, ['rel-blocks-2', 'rel-blocks-3', 'rel-related-5', 'rel-related-6', 'rel-dup-4']);
+  assert.deepEqual(calls.created, []);
+  assert.deepEqual(
+    result.details.changed,
+    ['removeBlockedBy', 'removeBlocking', 'removeRelatedTo', 'removeDuplicateOf']
+  );
+}
+
+async function testRemoveRelationDoesNotMatchWrongDirection() {
+  const calls = { deleted: [], created: [] };
+  const client = createRelationClient({
+    // ENG-1 blocks ENG-2, so ENG-1 is not blocked by ENG-2.
+    relations: { nodes: [{ id: 'rel-blocks-2', type: 'blocks', relatedIssue: { id: 'issue-2', identifier: 'ENG-2' } }] },
+    inverseRelations: { nodes: [] },
+  }, calls);
+
+  await assert.rejects(
+    () => executeIssueUpdate(client, { issue: 'ENG-1', removeBlockedBy: ['ENG-2'] }),
+    /No "blocked by" relation found between ENG-1 and ENG-2/
+  );
+  assert.deepEqual(calls.deleted, []);
+}
+
+async function testRemoveAndAddRelationInOneUpdate() {
+  const calls = { deleted: [], created: [] };
+  const client = createRelationClient({
+    relations: { nodes: [{ id: 'rel-dup-4', type: 'duplicate', relatedIssue: { id: 'issue-4', identifier: 'ENG-4' } }] },
+    inverseRelations: { nodes: [] },
+  }, calls);
+
+  await executeIssueUpdate(client, { issue: 'ENG-1', removeDuplicateOf: 'ENG-4', duplicateOf: 'ENG-7' });
+
+  assert.deepEqual(calls.deleted, ['rel-dup-4']);
+  assert.deepEqual(calls.created, [{ issueId: 'issue-1', relatedIssueId: 'issue-7', type: 'duplicate' }]);
+}
+
+async function main() {
+  await testIssueViewRendersRelations();
+  await testRemoveRelationsDeletesMatchingIssueRelations();
+  await testRemoveRelationDoesNotMatchWrongDirection();
+  await testRemoveAndAddRelationInOneUpdate();
+  console.log('✓ test-issue-relations.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
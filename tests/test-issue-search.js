@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for workspace-wide issue search (no project required).
+ */
+
+import assert from 'node:assert/strict';
+
+import { executeIssueSearch } from '../src/handlers.js';
+import { fetchIssues } from '../src/linear.js';
+
+const TEAM = { id: 'team-1', key: 'ENG', name: 'Engineering' };
+
+function createRawIssue(number, raw = {}) {
+  return {
+    id: `issue-${number}`,
+    identifier: `ENG-${number}`,
+    title: `Issue ${number}`,
+    description: null,
+    url: `https://linear.app/test/issue/ENG-${number}`,
+    branchName: null,
+    priority: 2,
+    state: { id: 'state-1', name: 'In Progress', type: 'started' },
+    team: TEAM,
+    project: { id: 'project-1', name: 'Apollo' },
+    projectMilestone: null,
+    cycle: null,
+    assignee: { id: 'user-1', name: 'Ada', displayName: 'ada' },
+    ...raw,
+  };
+}
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createSearchClient(issues, captured) {
+  return {
+    viewer: Promise.resolve({ id: 'user-1', name: 'Ada', displayName: 'ada' }),
+    teams: async () => ({ nodes: [TEAM] }),
+    projects: async () => ({ nodes: [{ id: 'project-1', name: 'Apollo' }] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('query Cycles')) {
+        return response({ cycles: { nodes: [{ id: 'cycle-3', number: 3, name: null, team: TEAM }] } });
+      }
+      assert.match(query, /IssuesWithRelations/);
+      captured.push(variables);
+      return response({ issues: { nodes: issues, pageInfo: { hasNextPage: false, endCursor: null } } });
+    },
+  };
+}
+
+async function testSearchMyOpenIssuesWithoutProject() {
+  const captured = [];
+  const client = createSearchClient([createRawIssue(1), createRawIssue(2, { project: null })], captured);
+
+  const result = await executeIssueSearch(client, { assignee: 'me', stateType: ['open'] });
+
+  assert.deepEqual(captured[0].filter, {
+    assignee: { id: { eq: 'user-1' } },
+    state: { type: { in: ['triage', 'backlog', 'unstarted', 'started'] } },
+  });
+  assert.equal(captured[0].first, 20);
+
+  const text = result.content[0].text;
+  assert.match(text, /## Issues matching: assignee me, state open \(2\)/);
+  assert.match(text, /- \*\*ENG-1\*\*: Issue 1 \(Apollo \[In Progress\] @ada High\)/);
+  assert.match(text, /- \*\*ENG-2\*\*: Issue 2 \(\[In Progress\] @ada High\)/);
+  assert.equal(result.details.projectId, null);
+  assert.deepEqual(result.details.issues.map((issue) => issue.identifier), ['ENG-1', 'ENG-2']);
+}
+
+async function testSearchCombinesAllCriteria() {
+  const captured = [];
+  const client = createSearchClient([createRawIssue(7)], captured);
+
+  await executeIssueSearch(client, {
+    team: 'ENG',
+    assignee: 'unassigned',
+    stateType: 'started,unstarted',
+    labels: ['bug', 'Frontend'],
+    priority: ['urgent', 2],
+    cycle: 'current',
+    createdAfter: '2026-01-01',
+    createdBefore: '2026-02-01T00:00:00Z',
+    updatedAfter: '-p2w',
+    query: 'login',
+    limit: 5,
+  });
+
+  assert.deepEqual(captured[0], {
+    first: 5,
+    filter: {
+      team: { id: { eq: 'team-1' } },
+      assignee: { null: true },
+      state: { type: { in: ['started', 'unstarted'] } },
+      priority: { in: [1, 2] },
+      cycle: { id: { eq: 'cycle-3' } },
+      createdAt: { gte: '2026-01-01', lte: '2026-02-01T00:00:00Z' },
+      updatedAt: { gte: '-P2W' },
+      or: [
+        { title: { contains: 'login' } },
+        { description: { contains: 'login' } },
+      ],
+      and: [
+        { labels: { some: { name: { eqIgnoreCase: 'bug' } } } },
+        { labels: { some: { name: { eqIgnoreCase: 'Frontend' } } } },
+      ],
+    },
+  });
+}
+
+async function testSearchNoPriorityAndProjectScope() {
+  const captured = [];
+  const client = createSearchClient([], captured);
+
+  const result = await executeIssueSearch(client, { project: 'Apollo', priority: 0 });
+
+  assert.deepEqual(captured[0].filter, {
+    project: { id: { eq: 'project-1' } },
+    priority: { eq: 0 },
+  });
+  assert.match(result.content[0].text, /No issues found matching: project "Apollo", priority 0/);
+  assert.equal(result.details.issueCount, 0);
+}
+
+async function testSearchValidation() {
+  const client = createSearchClient([], []);
+
+  await assert.rejects(
+    () => executeIssueSearch(client, { stateType: ['doing'] }),
+    /Invalid state type: doing/
+  );
+  await assert.rejects(
+    () => executeIssueSearch(client, { createdAfter: 'last tuesday' }),
+    /Invalid createdAfter date: last tuesday/
+  );
+  await assert.rejects(
+    () => executeIssueSearch(client, { cycle: 'current' }, { resolveDefaultTeam: async () => null }),
+    /Missing required field: team/
+  );
+}
+
+async function testFetchIssuesDelegatesToSearch() {
+  const captured = [];
+  const client = createSearchClient([createRawIssue(1)], captured);
+
+  const { issues, truncated } = await fetchIssues(client, 'user-1', ['Todo', 'In Progress'], 10);
+
+  assert.deepEqual(captured[0], {
+    first: 10,
+    filter: {
+      assignee: { id: { eq: 'user-1' } },
+      state: { name: { in: ['Todo', 'In Progress'] } },
+    },
+  });
+  assert.equal(issues.length, 1);
+  assert.equal(truncated, false);
+}
+
+async function main() {
+  await testSearchMyOpenIssuesWithoutProject();
+  await testSearchCombinesAllCriteria();
+  await testSearchNoPriorityAndProjectScope();
+  await testSearchValidation();
+  await testFetchIssuesDelegatesToSearch();
+  console.log('✓ test-issue-search.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
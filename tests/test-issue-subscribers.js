@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for issue subscribers: subscribe/unsubscribe handlers, subscribers on
+ * create, and the subscriber list in issue view.
+ */
+
+import assert from 'node:assert/strict';
+
+import { formatIssueAsMarkdown, fetchIssueDetails } from '../src/linear.js';
+import {
+  executeIssueCreate,
+  executeIssueSubscribe,
+  executeIssueUnsubscribe,
+} from '../src/handlers.js';
+
+const ADA_ID = '11111111-1111-1111-1111-111111111111';
+const TEAM = { id: 'team-1', key: 'ENG', name: 'Engineering' };
+
+const USERS = [
+  { id: ADA_ID, name: 'Ada Lovelace', displayName: 'ada', email: 'ada@example.com', active: true, admin: true, guest: false, url: null },
+  { id: 'user-grace', name: 'Grace Hopper', displayName: 'grace', email: 'grace@example.com', active: true, admin: false, guest: false, url: null },
+];
+
+let clientCounter = 0;
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function toSubscriber(user) {
+  return { id: user.id, name: user.name, displayName: user.displayName };
+}
+
+/**
+ * Keeps a subscriber list for ENG-1 and records subscribe/unsubscribe calls
+ * and create inputs.
+ */
+function createSubscriberClient(calls = { subscribe: [], unsubscribe: [], creates: [] }) {
+  const issue = {
+    id: 'issue-1',
+    identifier: 'ENG-1',
+    title: 'Watch me',
+    priority: 3,
+    state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+    team: TEAM,
+    project: null,
+    projectMilestone: null,
+    cycle: null,
+    assignee: null,
+  };
+  let subscribers = [toSubscriber(USERS[1])];
+
+  function subscriptionPayload() {
+    return { success: true, issue: { id: issue.id, identifier: issue.identifier, title: issue.title, subscribers: { nodes: subscribers } } };
+  }
+
+  clientCounter += 1;
+  return {
+    calls,
+    apiKey: `test-issue-subscribers-${clientCounter}`,
+    viewer: Promise.resolve({ id: ADA_ID, name: 'Ada Lovelace', displayName: 'ada' }),
+    projects: async () => ({ nodes: [] }),
+    teams: async () => ({ nodes: [TEAM] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('query Users')) {
+        return response({ users: { nodes: USERS, pageInfo: { hasNextPage: false, endCursor: null } } });
+      }
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({ issues: { nodes: [issue] } });
+      }
+      if (query.includes('IssueUnsubscribe')) {
+        calls.unsubscribe.push(variables);
+        subscribers = subscribers.filter((user) => user.id !== variables.userId);
+        return response({ issueUnsubscribe: subscriptionPayload() });
+      }
+      if (query.includes('IssueSubscribe')) {
+        calls.subscribe.push(variables);
+        const user = USERS.find((entry) => entry.id === variables.userId);
+        if (!subscribers.some((entry) => entry.id === user.id)) {
+          subscribers = [...subscribers, toSubscriber(user)];
+        }
+        return response({ issueSubscribe: subscriptionPayload() });
+      }
+      if (query.includes('IssueCreate')) {
+        calls.creates.push(variables.input);
+        return response({ issueCreate: { success: true, issue: { ...issue, id: 'issue-2', identifier: 'ENG-2', title: variables.input.title } } });
+      }
+      if (query.includes('IssueDetails')) {
+        return response({ issue: { ...issue, subscribers: { nodes: subscribers } } });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+async function testSubscribeDefaultsToViewer() {
+  const client = createSubscriberClient();
+
+  const result = await executeIssueSubscribe(client, { issue: 'ENG-1' });
+  assert.deepEqual(client.calls.subscribe, [{ id: 'issue-1', userId: ADA_ID }]);
+  assert.deepEqual(result.details.subscribed.map((user) => user.id), [ADA_ID]);
+  assert.deepEqual(result.details.subscribers.map((user) => user.displayName), ['grace', 'ada']);
+  assert.match(result.content[0].text, /Subscribed ada to \*\*ENG-1\*\*\nSubscribers: grace, ada/);
+}
+
+async function testSubscribeAndUnsubscribeUserRefs() {
+  const client = createSubscriberClient();
+
+  await executeIssueSubscribe(client, { issue: 'ENG-1', subscribers: ['me', 'ada@example.com'] });
+  assert.equal(client.calls.subscribe.length, 1, 'duplicate user refs are subscribed once');
+
+  const result = await executeIssueUnsubscribe(client, { issue: 'ENG-1', subscribers: 'grace,me' });
+  assert.deepEqual(client.calls.unsubscribe.map((call) => call.userId), ['user-grace', ADA_ID]);
+  assert.deepEqual(result.details.unsubscribed.map((user) => user.displayName), ['grace', 'ada']);
+  assert.deepEqual(result.details.subscribers, []);
+  assert.match(result.content[0].text, /Unsubscribed grace, ada from \*\*ENG-1\*\*\nSubscribers: None/);
+
+  await assert.rejects(executeIssueSubscribe(client, { subscribers: ['me'] }), /Missing required field: issue/);
+  await assert.rejects(executeIssueSubscribe(client, { issue: 'ENG-1', subscribers: ['linus'] }), /User not found: linus/);
+}
+
+async function testCreateWithSubscribers() {
+  const client = createSubscriberClient();
+
+  const result = await executeIssueCreate(client, { title: 'Track rollout', team: 'ENG', subscribers: ['me', 'grace'] });
+  assert.deepEqual(client.calls.creates[0].subscriberIds, [ADA_ID, 'user-grace']);
+  assert.deepEqual(result.details.subscribers.map((user) => user.displayName), ['ada', 'grace']);
+  assert.match(result.content[0].text, /Subscribers: ada, grace/);
+}
+
+async function testViewShowsSubscribers() {
+  const client = createSubscriberClient();
+
+  const details = await fetchIssueDetails(client, 'ENG-1', { includeComments: false });
+  assert.deepEqual(details.subscribers, [toSubscriber(USERS[1])]);
+
+  const markdown = formatIssueAsMarkdown({ ...details, comments: [] }, { includeComments: false });
+  assert.match(markdown, /\*\*Subscribers:\*\* grace/);
+}
+
+async function main() {
+  await testSubscribeDefaultsToViewer();
+  await testSubscribeAndUnsubscribeUserRefs();
+  await testCreateWithSubscribers();
+  await testViewShowsSubscribers();
+  console.log('✓ test-issue-subscribers.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
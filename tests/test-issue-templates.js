@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for PR descriptions and commit subjects rendered from issues:
+ * acceptance criteria extraction, template lookup under .linear-tools/, and
+ * conventional-commit subjects.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  extractAcceptanceCriteria,
+  formatCommitSubject,
+  renderPrBody,
+} from '../src/issue-templates.js';
+import { executeIssuePrBody, executeIssueCommitMsg } from '../src/handlers.js';
+
+const DESCRIPTION = [
+  'Sessions expire while the login form is open.',
+  '',
+  '## Acceptance criteria',
+  '- [ ] Expired sessions redirect to login',
+  '- [x] The original URL is kept',
+  '  after the redirect',
+  '* Errors are logged',
+  '',
+  'Follow-up work is tracked separately.',
+  '',
+  '## Notes',
+  'Safari only.',
+].join('\n');
+
+let clientCounter = 0;
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createIssueDetails(raw = {}) {
+  return {
+    id: 'issue-1',
+    identifier: 'ENG-123',
+    title: 'Handle expired sessions.',
+    description: DESCRIPTION,
+    url: 'https://linear.app/example/issue/ENG-123/handle-expired-sessions',
+    branchName: 'ada/eng-123-handle-expired-sessions',
+    priority: 2,
+    state: { name: 'In Progress', type: 'started' },
+    team: { id: 'team-eng', key: 'ENG', name: 'Engineering' },
+    project: { id: 'project-1', name: 'Auth' },
+    projectMilestone: { id: 'milestone-1', name: 'Beta' },
+    labels: { nodes: [{ id: 'label-bug', name: 'Bug' }] },
+    children: {
+      nodes: [
+        { identifier: 'ENG-124', title: 'Redirect to login', state: { name: 'Done' } },
+        { identifier: 'ENG-125', title: 'Log session errors', state: { name: 'Todo' } },
+      ],
+    },
+    ...raw,
+  };
+}
+
+function createTemplateClient(raw = {}) {
+  const issue = createIssueDetails(raw);
+
+  clientCounter += 1;
+  return {
+    apiKey: `test-issue-templates-${clientCounter}`,
+    teams: async () => ({ nodes: [issue.team] }),
+    rawRequest: async (query) => {
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({ issues: { nodes: [{ ...issue, labels: undefined, children: undefined }] } });
+      }
+      if (query.includes('IssueDetails')) {
+        return response({ issue });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+async function withTempHome(fn) {
+  const tempHome = await mkdtemp(join(tmpdir(), 'pi-linear-tools-templates-home-'));
+  const previousHome = process.env.HOME;
+  process.env.HOME = tempHome;
+  try {
+    await fn(tempHome);
+  } finally {
+    process.env.HOME = previousHome;
+  }
+}
+
+function testExtractAcceptanceCriteria() {
+  assert.deepEqual(extractAcceptanceCriteria(DESCRIPTION), [
+    'Expired sessions redirect to login',
+    'The original URL is kept',
+    'Errors are logged',
+  ]);
+  assert.deepEqual(extractAcceptanceCriteria('**Acceptance Criteria:**\n1. Works offline\n2) Syncs later'), [
+    'Works offline',
+    'Syncs later',
+  ]);
+  assert.deepEqual(extractAcceptanceCriteria('- not criteria'), []);
+  assert.deepEqual(extractAcceptanceCriteria(null), []);
+}
+
+function testRenderDefaultPrBody() {
+  const body = renderPrBody({
+    identifier: 'ENG-123',
+    title: 'Handle expired sessions',
+    description: DESCRIPTION,
+    projectMilestone: { name: 'Beta' },
+    children: [{ identifier: 'ENG-124', title: 'Redirect to login', state: { name: 'Done' } }],
+  });
+
+  assert.equal(body, [
+    '## Handle expired sessions',
+    '',
+    'Fixes ENG-123',
+    '',
+    '### Summary',
+    '',
+    'Sessions expire while the login form is open.',
+    '',
+    'Follow-up work is tracked separately.',
+    '',
+    '## Notes',
+    'Safari only.',
+    '',
+    '### Acceptance criteria',
+    '',
+    '- [ ] Expired sessions redirect to login',
+    '- [ ] The original URL is kept',
+    '- [ ] Errors are logged',
+    '',
+    '### Sub-issues',
+    '',
+    '- ENG-124: Redirect to login (Done)',
+    '',
+    '**Milestone:** Beta',
+    '',
+  ].join('\n'));
+
+  const empty = renderPrBody({ identifier: 'ENG-1', title: 'Bare' }, { magicWord: 'Closes' });
+  assert.match(empty, /Closes ENG-1\n\n### Summary\n\n_No description_\n\n### Acceptance criteria\n\n_None listed_\n\n### Sub-issues\n\n_None_\n\n\*\*Milestone:\*\* None\n$/);
+}
+
+function testFormatCommitSubject() {
+  const issue = { identifier: 'ENG-123', title: 'Handle expired sessions.', labels: [{ name: 'Bug' }] };
+
+  assert.equal(formatCommitSubject(issue), 'fix: handle expired sessions (ENG-123)');
+  assert.equal(formatCommitSubject(issue, { type: 'refactor', scope: 'auth' }), 'refactor(auth): handle expired sessions (ENG-123)');
+  assert.equal(formatCommitSubject({ identifier: 'ENG-9', title: 'API keys rotate', labels: [] }), 'feat: API keys rotate (ENG-9)');
+  assert.equal(formatCommitSubject({ identifier: 'ENG-9', title: 'Document it', labels: [{ name: 'documentation' }] }), 'docs: document it (ENG-9)');
+
+  const long = formatCommitSubject({ identifier: 'ENG-9', title: 'Make the session refresh flow resilient to clock skew between servers and browsers', labels: [] });
+  assert.equal(long, 'feat: make the session refresh flow resilient to clock skew… (ENG-9)');
+  assert.ok(long.length <= 72);
+
+  assert.throws(() => formatCommitSubject(issue, { type: 'feature' }), /Invalid commit type: feature\. Use one of: feat, fix/);
+}
+
+async function testPrBodyHandlerUsesRepoTemplate() {
+  await withTempHome(async (home) => {
+    const repo = await mkdtemp(join(tmpdir(), 'pi-linear-tools-templates-repo-'));
+    const nested = join(repo, 'packages', 'app');
+    await mkdir(join(repo, '.linear-tools'), { recursive: true });
+    await mkdir(nested, { recursive: true });
+    await writeFile(join(repo, '.linear-tools', 'pr-body.md'), '{{closingLine}}: {{title}}\n\nMilestone {{milestone}}, sub-issues:\n{{subIssues}}\n{{unknown}}\n');
+
+    const client = createTemplateClient();
+    const result = await executeIssuePrBody(client, { issue: 'ENG-123', magicWord: 'part of' }, { cwd: nested });
+    assert.equal(result.details.templatePath, join(repo, '.linear-tools', 'pr-body.md'));
+    assert.equal(
+      result.content[0].text,
+      'Part of ENG-123: Handle expired sessions.\n\nMilestone Beta, sub-issues:\n'
+        + '- ENG-124: Redirect to login (Done)\n- ENG-125: Log session errors (Todo)\n{{unknown}}'
+    );
+    assert.deepEqual(result.details.subIssues, ['ENG-124', 'ENG-125']);
+    assert.equal(result.details.acceptanceCriteria.length, 3);
+
+    // Outside the repo the default template is used until ~/.linear-tools/pr-body.md exists
+    const elsewhere = await mkdtemp(join(tmpdir(), 'pi-linear-tools-templates-other-'));
+    const fallback = await executeIssuePrBody(client, { issue: 'ENG-123' }, { cwd: elsewhere });
+    assert.equal(fallback.details.templatePath, null);
+    assert.match(fallback.content[0].text, /^## Handle expired sessions\.\n\nFixes ENG-123/);
+
+    await mkdir(join(home, '.linear-tools'), { recursive: true });
+    await writeFile(join(home, '.linear-tools', 'pr-body.md'), 'Personal: {{identifier}}\n');
+    const personal = await executeIssuePrBody(client, { issue: 'ENG-123' }, { cwd: elsewhere });
+    assert.equal(personal.content[0].text, 'Personal: ENG-123');
+
+    await assert.rejects(
+      executeIssuePrBody(client, { issue: 'ENG-123', magicWord: 'Kills' }, { cwd: elsewhere }),
+      /Invalid magic word: Kills\. Use one of: Fixes, Closes, Resolves, Part of, Ref/
+    );
+    await assert.rejects(
+      executeIssuePrBody(client, { issue: 'ENG-123', template: 'missing.md' }, { cwd: elsewhere }),
+      /PR template not found: .*missing\.md/
+    );
+  });
+}
+
+async function testCommitMsgHandler() {
+  const client = createTemplateClient();
+
+  const result = await executeIssueCommitMsg(client, { scope: 'auth' }, {
+    currentBranchReader: async () => 'ada/eng-123-handle-expired-sessions',
+  });
+  assert.equal(result.content[0].text, 'fix(auth): handle expired sessions (ENG-123)');
+  assert.equal(result.details.subject, 'fix(auth): handle expired sessions (ENG-123)');
+}
+
+async function main() {
+  testExtractAcceptanceCriteria();
+  testRenderDefaultPrBody();
+  testFormatCommitSubject();
+  await testPrBodyHandlerUsesRepoTemplate();
+  await testCommitMsgHandler();
+  console.log('✓ test-issue-templates.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
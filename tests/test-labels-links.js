@@ -2,7 +2,7 @@
 
 /**
  * Tests for issue/project label listing + creation and for the `labels` /
- * `links` parameters on issue create/update.
+ * `links` parameters on issue create/update, plus `addLabels`/`removeLabels`.
  */
 
 import assert from 'node:assert/strict';
@@ -353,6 +353,97 @@ async function testIssueUpdateWithLinksOnly() {
   assert.match(result.content[0].text, /links: 1/);
 }
 
+function createLabelEditClient(currentLabels, patches) {
+  const issue = {
+    id: 'issue-7',
+    identifier: 'ENG-7',
+    title: 'Edit labels',
+    state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+    team: { id: 'team-1', key: 'ENG', name: 'Engineering' },
+  };
+
+  return {
+    rawRequest: async (query, variables) => {
+      if (query.includes('IssueLabels')) {
+        return {
+          data: {
+            issueLabels: {
+              nodes: [
+                createLabel({ id: 'label-frontend', name: 'frontend' }),
+                createLabel({ id: 'label-review', name: 'needs-review' }),
+                createLabel({ id: 'label-triage', name: 'triage' }),
+                createLabel({ id: 'label-ux', name: 'ux' }),
+              ],
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return { data: { issues: { nodes: [issue] } }, headers: new Headers() };
+      }
+      if (query.includes('IssueCurrentLabels')) {
+        assert.equal(variables.id, 'issue-7');
+        return { data: { issue: { id: 'issue-7', labels: { nodes: currentLabels } } }, headers: new Headers() };
+      }
+      if (query.includes('IssueUpdate')) {
+        patches.push(variables.input);
+        return { data: { issueUpdate: { success: true, issue } }, headers: new Headers() };
+      }
+      if (query.includes('IssueMinimal')) {
+        return { data: { issue }, headers: new Headers() };
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+async function testIssueUpdateAddsAndRemovesLabels() {
+  const patches = [];
+  const client = createLabelEditClient([
+    { id: 'label-frontend', name: 'frontend' },
+    { id: 'label-triage', name: 'triage' },
+  ], patches);
+
+  const result = await executeIssueUpdate(client, {
+    issue: 'ENG-7',
+    addLabels: ['needs-review', 'frontend'],
+    removeLabels: ['triage', 'ux'],
+  });
+
+  // Only the edits are sent, so labels changed concurrently by someone else survive.
+  assert.deepEqual(patches, [{ addedLabelIds: ['label-review', 'label-frontend'], removedLabelIds: ['label-triage', 'label-ux'] }]);
+  assert.deepEqual(result.details.labelChanges, {
+    added: ['needs-review'],
+    removed: ['triage'],
+    alreadyPresent: ['frontend'],
+    notPresent: ['ux'],
+  });
+  assert.match(result.content[0].text, /Updated issue ENG-7 \(labels: \+needs-review -triage\)/);
+  assert.match(result.content[0].text, /Already present: frontend/);
+  assert.match(result.content[0].text, /Not present: ux/);
+}
+
+async function testIssueUpdateReportsLabelsAlreadyPresent() {
+  const patches = [];
+  const client = createLabelEditClient([{ id: 'label-review', name: 'needs-review' }], patches);
+
+  const result = await executeIssueUpdate(client, { issue: 'ENG-7', addLabels: 'needs-review' });
+
+  assert.deepEqual(patches, [{ addedLabelIds: ['label-review'] }]);
+  assert.deepEqual(result.details.labelChanges.alreadyPresent, ['needs-review']);
+  assert.match(result.content[0].text, /Updated issue ENG-7 \(labels unchanged\)/);
+}
+
+async function testIssueUpdateRejectsLabelsWithAddLabels() {
+  const client = createLabelEditClient([], []);
+
+  await assert.rejects(
+    executeIssueUpdate(client, { issue: 'ENG-7', labels: ['ux'], addLabels: ['frontend'] }),
+    /Use either labels or addLabels\/removeLabels, not both/
+  );
+}
+
 async function run() {
   await testIssueLabelListEmpty();
   await testIssueLabelListWithNameAndTeam();
@@ -361,6 +452,9 @@ async function run() {
   await testIssueCreateWithLabelsResolvesAndAddsLinks();
   await testIssueUpdateWithLabelsAndLinks();
   await testIssueUpdateWithLinksOnly();
+  await testIssueUpdateAddsAndRemovesLabels();
+  await testIssueUpdateReportsLabelsAlreadyPresent();
+  await testIssueUpdateRejectsLabelsWithAddLabels();
   console.log('✓ test-labels-links.js passed');
 }
 
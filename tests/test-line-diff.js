@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the line diff helpers used by sync-doc: three-way merge and unified diff output.
+ */
+
+import assert from 'node:assert/strict';
+
+import { computeLineMatches, formatUnifiedDiff, mergeThreeWay } from '../src/line-diff.js';
+
+function testComputeLineMatches() {
+  assert.deepEqual(computeLineMatches(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), [[0, 0], [2, 2]]);
+  assert.deepEqual(computeLineMatches([], ['a']), []);
+  assert.deepEqual(computeLineMatches(['a', 'b'], ['a', 'b']), [[0, 0], [1, 1]]);
+}
+
+function testMergeTakesOneSidedChanges() {
+  const merged = mergeThreeWay('a\nb\nc\nd', 'a\nB\nc\nd', 'a\nb\nc\nd\ne');
+  assert.deepEqual(merged, { content: 'a\nB\nc\nd\ne', conflictCount: 0 });
+
+  // Identical edits on both sides are not a conflict.
+  assert.deepEqual(mergeThreeWay('a\nb', 'a\nX', 'a\nX'), { content: 'a\nX', conflictCount: 0 });
+}
+
+function testMergeWritesConflictMarkers() {
+  const merged = mergeThreeWay('a\nb\nc', 'a\nL\nc', 'a\nR\nc', { localLabel: 'local', remoteLabel: 'linear' });
+  assert.equal(merged.conflictCount, 1);
+  assert.equal(merged.content, 'a\n<<<<<<< local\nL\n=======\nR\n>>>>>>> linear\nc');
+}
+
+function testFormatUnifiedDiff() {
+  const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'].join('\n');
+  const after = ['1', 'two', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13'].join('\n');
+
+  assert.equal(formatUnifiedDiff(before, after, { oldLabel: 'linear/readme', newLabel: 'README.md' }), [
+    '--- linear/readme',
+    '+++ README.md',
+    '@@ -1,5 +1,5 @@',
+    ' 1',
+    '-2',
+    '+two',
+    ' 3',
+    ' 4',
+    ' 5',
+    '@@ -10,3 +10,4 @@',
+    ' 10',
+    ' 11',
+    ' 12',
+    '+13',
+  ].join('\n'));
+
+  assert.equal(formatUnifiedDiff('', 'a\nb'), '--- a\n+++ b\n@@ -0,0 +1,2 @@\n+a\n+b');
+  assert.equal(formatUnifiedDiff('same', 'same'), '');
+}
+
+function main() {
+  testComputeLineMatches();
+  testMergeTakesOneSidedChanges();
+  testMergeWritesConflictMarkers();
+  testFormatUnifiedDiff();
+  console.log('✓ test-line-diff.js passed');
+}
+
+main();
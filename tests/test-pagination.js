@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for cursor pagination on issue, project-update and milestone listings,
+ * and the CLI --cursor/--all flags.
+ */
+
+import assert from 'node:assert/strict';
+
+import {
+  executeIssueList,
+  executeProjectUpdateList,
+  executeMilestoneList,
+} from '../src/handlers.js';
+import { runCli } from '../src/cli.js';
+import {
+  setTestClientFactory,
+  resetTestClientFactory,
+  markRateLimited,
+  checkAndClearRateLimit,
+} from '../src/linear-client.js';
+
+const PROJECT = { id: 'project-1', name: 'Big Project' };
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+function createRawIssue(number) {
+  return {
+    id: `issue-${number}`,
+    identifier: `ENG-${number}`,
+    title: `Issue ${number}`,
+    priority: 3,
+    state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+    team: { id: 'team-1', key: 'ENG', name: 'Engineering' },
+    project: PROJECT,
+    projectMilestone: null,
+    cycle: null,
+    assignee: null,
+  };
+}
+
+/**
+ * Serves issues in pages of two: cursor "c1" → page 2, "c2" → page 3 (last).
+ */
+function createPagedIssueClient(calls) {
+  const pages = {
+    start: { nodes: [createRawIssue(1), createRawIssue(2)], pageInfo: { hasNextPage: true, endCursor: 'c1' } },
+    c1: { nodes: [createRawIssue(3), createRawIssue(4)], pageInfo: { hasNextPage: true, endCursor: 'c2' } },
+    c2: { nodes: [createRawIssue(5)], pageInfo: { hasNextPage: false, endCursor: 'c3' } },
+  };
+
+  return {
+    projects: async () => ({ nodes: [PROJECT] }),
+    rawRequest: async (query, variables) => {
+      assert.match(query, /IssuesWithRelations/);
+      calls.push(variables);
+      return response({ issues: pages[variables.after || 'start'] });
+    },
+  };
+}
+
+async function captureConsole(fn) {
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    console.log = originalLog;
+  }
+  return lines.join('\n');
+}
+
+async function withCliClient(client, fn) {
+  const prev = process.env.LINEAR_API_KEY;
+  process.env.LINEAR_API_KEY = 'lin_test';
+  setTestClientFactory(() => client);
+  try {
+    return await fn();
+  } finally {
+    resetTestClientFactory();
+    if (prev === undefined) {
+      delete process.env.LINEAR_API_KEY;
+    } else {
+      process.env.LINEAR_API_KEY = prev;
+    }
+  }
+}
+
+async function testIssueListExposesNextCursor() {
+  const calls = [];
+  const client = createPagedIssueClient(calls);
+
+  const first = await executeIssueList(client, { project: 'Big Project', limit: 2 });
+  assert.equal(calls[0].after, undefined);
+  assert.equal(first.details.hasNextPage, true);
+  assert.equal(first.details.nextCursor, 'c1');
+  assert.match(first.content[0].text, /Pass cursor `c1` to fetch the next page/);
+
+  const last = await executeIssueList(client, { project: 'Big Project', limit: 2, cursor: 'c2' });
+  assert.equal(calls[1].after, 'c2');
+  assert.equal(last.details.hasNextPage, false);
+  assert.equal(last.details.nextCursor, null);
+  assert.doesNotMatch(last.content[0].text, /Pass cursor/);
+}
+
+async function testProjectUpdateListCursor() {
+  let receivedVariables = null;
+  const client = {
+    projects: async () => ({ nodes: [PROJECT] }),
+    rawRequest: async (query, variables) => {
+      receivedVariables = variables;
+      return response({
+        project: {
+          ...PROJECT,
+          projectUpdates: {
+            nodes: [{
+              id: 'update-1',
+              body: 'Weekly update',
+              health: 'onTrack',
+              createdAt: '2026-10-01T00:00:00.000Z',
+              user: { id: 'u1', name: 'Ada', displayName: 'ada' },
+            }],
+            pageInfo: { hasNextPage: true, endCursor: 'u-next' },
+          },
+        },
+      });
+    },
+  };
+
+  const result = await executeProjectUpdateList(client, { project: 'Big Project', limit: 1, cursor: 'u-prev' });
+  assert.equal(receivedVariables.after, 'u-prev');
+  assert.equal(receivedVariables.first, 1);
+  assert.equal(result.details.nextCursor, 'u-next');
+  assert.match(result.content[0].text, /Pass cursor `u-next`/);
+}
+
+async function testMilestoneListCursor() {
+  let receivedVariables = null;
+  const client = {
+    projects: async () => ({ nodes: [PROJECT] }),
+    rawRequest: async (query, variables) => {
+      assert.match(query, /ProjectMilestones/);
+      receivedVariables = variables;
+      return response({
+        project: {
+          ...PROJECT,
+          projectMilestones: {
+            nodes: [{ id: 'm1', name: 'Beta', status: 'planned', progress: 10, sortOrder: 1, targetDate: null }],
+            pageInfo: { hasNextPage: false, endCursor: 'm-end' },
+          },
+        },
+      });
+    },
+  };
+
+  const defaultResult = await executeMilestoneList(client, { project: 'Big Project' });
+  assert.equal(receivedVariables.first, 250);
+  assert.equal(receivedVariables.after, undefined);
+  assert.equal(defaultResult.details.nextCursor, null);
+
+  await executeMilestoneList(client, { project: 'Big Project', limit: 5, cursor: 'm-start' });
+  assert.equal(receivedVariables.first, 5);
+  assert.equal(receivedVariables.after, 'm-start');
+}
+
+async function testCliAllFollowsEveryPage() {
+  const calls = [];
+  const client = createPagedIssueClient(calls);
+
+  const output = await withCliClient(client, () => captureConsole(() => runCli([
+    'issue', 'list', '--project', 'Big Project', '--limit', '2', '--all',
+  ])));
+
+  assert.deepEqual(calls.map((call) => call.after), [undefined, 'c1', 'c2']);
+  for (const identifier of ['ENG-1', 'ENG-2', 'ENG-3', 'ENG-4', 'ENG-5']) {
+    assert.match(output, new RegExp(`\\*\\*${identifier}\\*\\*`));
+  }
+}
+
+async function testCliCursorFetchesSinglePage() {
+  const calls = [];
+  const client = createPagedIssueClient(calls);
+
+  await withCliClient(client, () => captureConsole(() => runCli([
+    'issue', 'list', '--project', 'Big Project', '--limit', '2', '--cursor', 'c1',
+  ])));
+
+  assert.deepEqual(calls.map((call) => call.after), ['c1']);
+}
+
+async function testCliAllStopsWhenRateLimited() {
+  const calls = [];
+  const baseClient = createPagedIssueClient(calls);
+  const client = {
+    ...baseClient,
+    rawRequest: async (query, variables) => {
+      const result = await baseClient.rawRequest(query, variables);
+      // Simulate the tracker flagging the limit after the first page.
+      markRateLimited(Date.now() + 60_000);
+      return result;
+    },
+  };
+
+  try {
+    const output = await withCliClient(client, () => captureConsole(() => runCli([
+      'issue', 'list', '--project', 'Big Project', '--limit', '2', '--all',
+    ])));
+
+    assert.equal(calls.length, 1);
+    assert.match(output, /Stopped paging: Linear API rate limit reached .*Resume with --cursor c1/);
+    assert.equal(process.exitCode, 4);
+  } finally {
+    process.exitCode = 0;
+    markRateLimited(Date.now() - 1);
+    assert.equal(checkAndClearRateLimit().isRateLimited, false);
+  }
+}
+
+async function testCliAllJsonPrintsOneDocument() {
+  const calls = [];
+  const output = await withCliClient(createPagedIssueClient(calls), () => captureConsole(() => runCli([
+    'issue', 'list', '--project', 'Big Project', '--limit', '2', '--all', '--json',
+  ])));
+
+  const parsed = JSON.parse(output);
+  assert.equal(calls.length, 3);
+  assert.equal(parsed.pageCount, 3);
+  assert.equal(parsed.issueCount, 5);
+  assert.deepEqual(parsed.pages.map((page) => page.nextCursor), ['c1', 'c2', null]);
+  assert.equal(parsed.nextCursor, null);
+  assert.equal(parsed.stopped, null);
+  assert.match(parsed.markdown, /\*\*ENG-1\*\*[\s\S]*\*\*ENG-5\*\*/);
+}
+
+async function testCliAllJsonReportsRateLimitStop() {
+  const calls = [];
+  const baseClient = createPagedIssueClient(calls);
+  const client = {
+    ...baseClient,
+    rawRequest: async (query, variables) => {
+      const result = await baseClient.rawRequest(query, variables);
+      markRateLimited(Date.now() + 60_000);
+      return result;
+    },
+  };
+
+  try {
+    const output = await withCliClient(client, () => captureConsole(() => runCli([
+      'issue', 'list', '--project', 'Big Project', '--limit', '2', '--all', '--json',
+    ])));
+
+    const parsed = JSON.parse(output);
+    assert.equal(parsed.pageCount, 1);
+    assert.equal(parsed.issueCount, 2);
+    assert.equal(parsed.stopped, 'rate_limited');
+    assert.equal(parsed.nextCursor, 'c1');
+    assert.ok(!Number.isNaN(Date.parse(parsed.resetAt)));
+    assert.match(parsed.markdown, /Stopped paging: .*Resume with --cursor c1$/);
+    assert.equal(process.exitCode, 4);
+  } finally {
+    process.exitCode = 0;
+    markRateLimited(Date.now() - 1);
+    assert.equal(checkAndClearRateLimit().isRateLimited, false);
+  }
+}
+
+async function main() {
+  await testIssueListExposesNextCursor();
+  await testProjectUpdateListCursor();
+  await testMilestoneListCursor();
+  await testCliAllFollowsEveryPage();
+  await testCliCursorFetchesSinglePage();
+  await testCliAllStopsWhenRateLimited();
+  await testCliAllJsonPrintsOneDocument();
+  await testCliAllJsonReportsRateLimitStop();
+  console.log('✓ test-pagination.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the linear_sync_doc tool handlers: list/check/run/pull/explain resolved
+ * against the session cwd, and the confirmation step before run writes to Linear.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  executeSyncDocList,
+  executeSyncDocExplain,
+  executeSyncDocCheck,
+  executeSyncDocRun,
+  executeSyncDocPull,
+} from '../src/handlers.js';
+
+const PROJECT_ID = '11111111-1111-4111-8111-111111111111';
+
+async function withTempHome(fn) {
+  const tempHome = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-tool-home-'));
+  const previousHome = process.env.HOME;
+  process.env.HOME = tempHome;
+  try {
+    await fn(tempHome);
+  } finally {
+    process.env.HOME = previousHome;
+  }
+}
+
+/**
+ * Session root with the synced subproject in `packages/app`.
+ */
+async function createSessionDir() {
+  const sessionDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-tool-'));
+  const appDir = join(sessionDir, 'packages', 'app');
+  await mkdir(join(appDir, '.linear-tools'), { recursive: true });
+  await writeFile(join(appDir, 'README.md'), '# App\n\nNew overview.\n', 'utf8');
+  await writeFile(join(appDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: {
+      targets: [{ name: 'overview', file: 'README.md', project: 'Example Project', field: 'content' }],
+    },
+  }), 'utf8');
+  return { sessionDir, appDir };
+}
+
+function createProjectClient(remote) {
+  return {
+    projects: async () => ({ nodes: [{ id: PROJECT_ID, name: 'Example Project', slugId: 'abc123def456' }] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('ProjectsLookup')) {
+        return {
+          data: { projects: { nodes: [{ id: PROJECT_ID, name: 'Example Project', slugId: 'abc123def456', archivedAt: null }] } },
+          headers: new Headers(),
+        };
+      }
+      if (query.includes('ProjectDetails')) {
+        return {
+          data: {
+            project: {
+              id: PROJECT_ID,
+              name: 'Example Project',
+              description: '',
+              content: remote.content,
+              status: { id: 'ps1', name: 'In Progress', type: 'started', color: '#abcdef' },
+              lead: null,
+              teams: { nodes: [] },
+              projectMilestones: { nodes: [] },
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+      if (query.includes('ProjectUpdate')) {
+        remote.writes += 1;
+        remote.content = variables.input.content;
+        return {
+          data: { projectUpdate: { success: true, project: { id: PROJECT_ID } } },
+          headers: new Headers(),
+        };
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+async function testListResolvesRelativeToSessionCwd() {
+  await withTempHome(async () => {
+    const { sessionDir, appDir } = await createSessionDir();
+
+    const result = await executeSyncDocList({ cwd: 'packages/app' }, { cwd: sessionDir });
+    assert.match(result.content[0].text, /## Sync-doc targets \(1\)/);
+    assert.match(result.content[0].text, /- \*\*overview\*\* -> project:Example Project field "content" from `README\.md`/);
+    assert.equal(result.details.cwd, appDir);
+
+    const empty = await executeSyncDocList({}, { cwd: sessionDir });
+    assert.match(empty.content[0].text, /No sync-doc targets configured/);
+    assert.equal(empty.details.targetCount, 0);
+  });
+}
+
+async function testExplain() {
+  const result = await executeSyncDocExplain();
+  assert.match(result.content[0].text, /Sync-doc setup model:/);
+}
+
+async function testCheckReportsChangedTargetsWithoutWriting() {
+  await withTempHome(async () => {
+    const { appDir } = await createSessionDir();
+    const remote = { content: 'Manual intro.', writes: 0 };
+
+    const result = await executeSyncDocCheck(createProjectClient(remote), {}, { cwd: appDir });
+    assert.match(result.content[0].text, /## Sync-doc check: 1 need updates, 0 unchanged/);
+    assert.match(result.content[0].text, /- \*\*\[needs-sync\]\*\* overview -> project "Example Project" field "content" from `README\.md`/);
+    assert.equal(result.details.changedCount, 1);
+    assert.equal(result.details.targets[0].diff, undefined);
+    assert.equal(remote.writes, 0);
+
+    const withDiff = await executeSyncDocCheck(createProjectClient(remote), { diff: true }, { cwd: appDir });
+    assert.match(withDiff.content[0].text, /\*\*overview\*\*\n\n```diff\n--- linear\/README\n\+\+\+ README\.md\n@@ -0,0 \+1,3 @@\n\+# App\n\+\n\+New overview\.\n```/);
+    assert.match(withDiff.details.targets[0].diff, /^--- linear\/README\n/);
+  });
+}
+
+async function testRunRequiresConfirmation() {
+  await withTempHome(async () => {
+    const { appDir } = await createSessionDir();
+    const remote = { content: 'Manual intro.', writes: 0 };
+    const client = createProjectClient(remote);
+
+    // Interactive session: the user declines.
+    const prompts = [];
+    const declined = await executeSyncDocRun(client, { confirm: true }, {
+      cwd: appDir,
+      confirmRun: async (summary) => {
+        prompts.push(summary);
+        return false;
+      },
+    });
+    assert.equal(remote.writes, 0);
+    assert.equal(declined.details.confirmed, false);
+    assert.match(prompts[0], /\[needs-sync\]\*\* overview/);
+    assert.match(declined.content[0].text, /was not confirmed; nothing was written to Linear/);
+
+    // Non-interactive session without confirm: preview only.
+    const preview = await executeSyncDocRun(client, {}, { cwd: appDir });
+    assert.equal(remote.writes, 0);
+    assert.match(preview.content[0].text, /Re-run with confirm: true/);
+
+    // Interactive session: the user approves.
+    const approved = await executeSyncDocRun(client, {}, { cwd: appDir, confirmRun: async () => true });
+    assert.equal(remote.writes, 1);
+    assert.equal(approved.details.confirmed, true);
+    assert.match(approved.content[0].text, /## Sync-doc run: 1 updated, 0 unchanged/);
+    assert.match(approved.content[0].text, /\*\*\[synced\]\*\* overview/);
+    assert.match(remote.content, /New overview\./);
+  });
+}
+
+async function testRunSkipsConfirmationWhenNothingChanged() {
+  await withTempHome(async () => {
+    const { appDir } = await createSessionDir();
+    const remote = { content: 'Manual intro.', writes: 0 };
+    const client = createProjectClient(remote);
+
+    await executeSyncDocRun(client, { target: 'overview', confirm: true }, { cwd: appDir });
+    assert.equal(remote.writes, 1);
+
+    let asked = false;
+    const result = await executeSyncDocRun(client, { target: 'overview' }, {
+      cwd: appDir,
+      confirmRun: async () => {
+        asked = true;
+        return true;
+      },
+    });
+    assert.equal(asked, false);
+    assert.equal(remote.writes, 1);
+    assert.match(result.content[0].text, /\*\*\[unchanged\]\*\* overview[\s\S]*Nothing to sync\./);
+  });
+}
+
+async function testPullWritesLinearEditsLocally() {
+  await withTempHome(async () => {
+    const { appDir } = await createSessionDir();
+    const remote = { content: 'Manual intro.', writes: 0 };
+    const client = createProjectClient(remote);
+
+    await executeSyncDocRun(client, { confirm: true }, { cwd: appDir });
+    remote.content = remote.content.replace('New overview.', 'Edited in Linear.');
+
+    const result = await executeSyncDocPull(client, { target: 'overview' }, { cwd: appDir });
+    assert.match(result.content[0].text, /## Sync-doc pull: 1 local file\(s\) updated, 0 unchanged/);
+    assert.match(result.content[0].text, /\*\*\[pulled\]\*\* overview/);
+    assert.equal(await readFile(join(appDir, 'README.md'), 'utf8'), '# App\n\nEdited in Linear.\n');
+  });
+}
+
+async function main() {
+  await testListResolvesRelativeToSessionCwd();
+  await testExplain();
+  await testCheckReportsChangedTargetsWithoutWriting();
+  await testRunRequiresConfirmation();
+  await testRunSkipsConfirmationWhenNothingChanged();
+  await testPullWritesLinearEditsLocally();
+  console.log('✓ test-sync-doc-tool.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
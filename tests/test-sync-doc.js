@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 
 import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
 import { existsSync } from 'node:fs';
-import { mkdir, mkdtemp, readFile, writeFile } from 'node:fs/promises';
+import { chmod, mkdir, mkdtemp, readFile, unlink, writeFile } from 'node:fs/promises';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
 
@@ -13,11 +14,14 @@ import {
   initSyncDocConfig,
   listSyncDocTargets,
   loadSyncDocTargets,
+  pullSyncDocs,
   runAllSyncDocs,
   runSyncDoc,
   upsertManagedContent,
   upsertManagedContentWithPosition,
+  watchSyncDocs,
 } from '../src/sync-doc.js';
+import { markRateLimited } from '../src/linear-client.js';
 
 function createProjectPayload(content) {
   return {
@@ -401,6 +405,160 @@ async function testRunSyncDocDetectsManagedBlockDrift() {
   console.log('✓ runSyncDoc detects managed block drift');
 }
 
+async function testRunSyncDocConflictStrategies() {
+  const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-conflict-'));
+  const readmePath = join(repoDir, 'README.md');
+  await writeFile(readmePath, 'Line one.\nLine two.\nLine three.\n', 'utf8');
+
+  const remote = { content: 'Manual intro above.', writes: 0 };
+  const mockClient = {
+    projects: async () => ({
+      nodes: [{
+        id: '11111111-1111-4111-8111-111111111111',
+        name: 'Example Project',
+        slugId: 'example-project-abc123def456',
+      }],
+    }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('ProjectsLookup')) {
+        return {
+          data: {
+            projects: {
+              nodes: [{
+                id: '11111111-1111-4111-8111-111111111111',
+                name: 'Example Project',
+                slugId: 'abc123def456',
+                archivedAt: null,
+              }],
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+
+      if (query.includes('ProjectDetails')) {
+        return {
+          data: {
+            project: createProjectPayload(remote.content),
+          },
+          headers: new Headers(),
+        };
+      }
+
+      if (query.includes('ProjectUpdate')) {
+        remote.writes += 1;
+        remote.content = variables.input.content;
+        return {
+          data: {
+            projectUpdate: {
+              success: true,
+              project: {
+                id: '11111111-1111-4111-8111-111111111111',
+              },
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+
+      throw new Error(`Unexpected query: ${query}`);
+    },
+  };
+  const run = (options = {}) => runSyncDoc(mockClient, {
+    mode: 'run',
+    cwd: repoDir,
+    file: readmePath,
+    project: 'Example Project',
+    field: 'content',
+    ...options,
+  });
+
+  await run();
+  assert.equal(remote.writes, 1);
+
+  // Both sides edit different lines: refused by default, merged cleanly with --strategy merge.
+  await writeFile(readmePath, 'Line one, edited locally.\nLine two.\nLine three.\n', 'utf8');
+  remote.content = remote.content.replace('Line three.', 'Line three, edited in Linear.');
+
+  const checked = await run({ mode: 'check' });
+  assert.equal(checked.conflict, true);
+  assert.equal(checked.changed, true);
+  assert.equal(checked.conflictReason, 'diverged');
+
+  const refused = await run();
+  assert.equal(refused.conflict, true);
+  assert.equal(refused.changed, false);
+  assert.equal(remote.writes, 1);
+  assert.match(remote.content, /Line one\.\n/);
+
+  const merged = await run({ strategy: 'merge' });
+  assert.equal(merged.changed, true);
+  assert.equal(merged.conflictResolution, 'merge');
+  assert.equal(remote.writes, 2);
+  assert.equal(
+    await readFile(readmePath, 'utf8'),
+    'Line one, edited locally.\nLine two.\nLine three, edited in Linear.\n'
+  );
+  assert.match(remote.content, /Line one, edited locally\.\nLine two\.\nLine three, edited in Linear\./);
+
+  // Both sides edit the same line: conflict markers go to the local file, nothing is pushed.
+  await writeFile(readmePath, 'Line one, edited locally.\nLine two, local.\nLine three, edited in Linear.\n', 'utf8');
+  remote.content = remote.content.replace('Line two.', 'Line two, Linear.');
+
+  const conflicted = await run({ strategy: 'merge' });
+  assert.equal(conflicted.conflict, true);
+  assert.equal(conflicted.conflictReason, 'merge-conflict');
+  assert.equal(conflicted.conflictCount, 1);
+  assert.equal(remote.writes, 2);
+  assert.equal(
+    await readFile(readmePath, 'utf8'),
+    'Line one, edited locally.\n<<<<<<< local\nLine two, local.\n=======\nLine two, Linear.\n>>>>>>> linear\nLine three, edited in Linear.\n'
+  );
+
+  // Running again never nests markers or pushes them, whatever the strategy.
+  for (const strategy of [undefined, 'merge', 'ours']) {
+    const again = await run({ strategy });
+    assert.equal(again.conflictReason, 'unresolved-markers');
+    assert.equal(again.changed, false);
+  }
+  assert.equal(remote.writes, 2);
+  assert.equal(
+    await readFile(readmePath, 'utf8'),
+    'Line one, edited locally.\n<<<<<<< local\nLine two, local.\n=======\nLine two, Linear.\n>>>>>>> linear\nLine three, edited in Linear.\n'
+  );
+
+  // Once the markers are resolved, a plain run pushes the file: the merge recorded Linear's side as the base.
+  await writeFile(readmePath, 'Line one, edited locally.\nLine two, resolved.\nLine three, edited in Linear.\n', 'utf8');
+  const resolved = await run();
+  assert.equal(resolved.conflict, undefined);
+  assert.equal(resolved.changed, true);
+  assert.equal(remote.writes, 3);
+  assert.match(remote.content, /Line two, resolved\./);
+
+  // ours pushes the local file over the Linear edits.
+  await writeFile(readmePath, 'Line one, edited locally.\nLine two, ours.\nLine three, edited in Linear.\n', 'utf8');
+  remote.content = remote.content.replace('Line two, resolved.', 'Line two, Linear again.');
+  const ours = await run({ strategy: 'ours' });
+  assert.equal(ours.conflictResolution, 'ours');
+  assert.equal(remote.writes, 4);
+  assert.match(remote.content, /Line two, ours\./);
+
+  // theirs keeps Linear and rewrites the local file without writing to Linear.
+  await writeFile(readmePath, 'Local only.\n', 'utf8');
+  remote.content = remote.content.replace('Line two, ours.', 'Line two, final.');
+  const theirs = await run({ strategy: 'theirs' });
+  assert.equal(theirs.conflictResolution, 'theirs');
+  assert.equal(theirs.changed, false);
+  assert.equal(remote.writes, 4);
+  assert.equal(
+    await readFile(readmePath, 'utf8'),
+    'Line one, edited locally.\nLine two, final.\nLine three, edited in Linear.\n'
+  );
+
+  await assert.rejects(() => run({ strategy: 'mine' }), /Invalid strategy "mine"/);
+  console.log('✓ runSyncDoc detects conflicts and applies --strategy');
+}
+
 async function testRunAllSyncDocsCreatesDocumentAndIndex() {
   const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-all-'));
   await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
@@ -578,9 +736,781 @@ async function testRunAllSyncDocsCreatesDocumentAndIndex() {
   assert.equal(state.targets['census-provider-hud-readme'].documentTitle, 'HUD Provider');
   assert.equal(state.targets['census-provider-hud-readme'].documentIndexUrl, null);
   assert.equal(state.targets['census-readme'].marker, 'census-readme');
+
+  await writeFile(join(repoDir, 'README.md'), '# Census Data\n\nUpdated overview content.\n', 'utf8');
+  const checked = await runAllSyncDocs(mockClient, {
+    mode: 'check',
+    cwd: repoDir,
+    diff: true,
+  });
+  const overview = checked.results.find((entry) => entry.targetName === 'census-readme');
+  assert.equal(overview.changed, true);
+  assert.equal(overview.diff, [
+    '--- linear/census-readme',
+    '+++ README.md',
+    '@@ -1,3 +1,3 @@',
+    ' # Census Data',
+    ' ',
+    '-Overview content.',
+    '+Updated overview content.',
+    '--- linear/census-documents',
+    '+++ document-index/census-documents',
+    '@@ -1,3 +1,3 @@',
+    ' ## Linked docs',
+    ' ',
+    '-* HUD Provider',
+    '+* [HUD Provider](https://linear.app/example/document/doc-1-slug)',
+  ].join('\n'));
+  assert.equal(checked.results.find((entry) => entry.targetName === 'census-provider-hud-readme').diff, undefined);
   console.log('✓ runAllSyncDocs creates documents and keeps first-run project index stable');
 }
 
+async function testRunAllSyncDocsExpandsGlobTargets() {
+  const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-glob-'));
+  await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
+  await mkdir(join(repoDir, 'docs', 'guide'), { recursive: true });
+  await writeFile(join(repoDir, 'README.md'), '# Census Data\n\nOverview content.\n', 'utf8');
+  await writeFile(join(repoDir, 'docs', 'guide', 'setup.md'), 'Intro line.\n\n## Setup Guide\n\nSteps.\n', 'utf8');
+  await writeFile(join(repoDir, 'docs', 'api.md'), 'No heading here.\n', 'utf8');
+  await writeFile(join(repoDir, 'docs', 'notes.txt'), 'Not markdown.\n', 'utf8');
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: {
+      targets: [
+        {
+          name: 'overview',
+          file: 'README.md',
+          project: 'Example Project',
+          field: 'content',
+          documentIndexMarker: 'project-documents',
+          documentIndexHeading: 'Docs',
+        },
+        {
+          files: 'docs/**/*.md',
+          project: 'Example Project',
+        },
+      ],
+    },
+  }, null, 2));
+
+  const loaded = await loadSyncDocTargets({ cwd: repoDir });
+  const globTargets = loaded.targets.filter((target) => target.glob);
+  assert.deepEqual(globTargets.map((target) => [target.name, target.marker, target.title, target.glob]), [
+    ['docs-api', 'docs-api', 'api', 'docs/**/*.md'],
+    ['docs-guide-setup', 'docs-guide-setup', 'Setup Guide', 'docs/**/*.md'],
+  ]);
+  assert.equal(globTargets[1].file, join(repoDir, 'docs', 'guide', 'setup.md'));
+  assert.equal(globTargets[1].targetType, 'document');
+
+  let remoteProjectContent = '';
+  const documents = new Map();
+  const archived = [];
+  const mockClient = {
+    projects: async () => ({
+      nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456' }],
+    }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('ProjectsLookup')) {
+        return {
+          data: {
+            projects: {
+              nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456', archivedAt: null }],
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+
+      if (query.includes('ProjectDetails')) {
+        return { data: { project: createProjectPayload(remoteProjectContent) }, headers: new Headers() };
+      }
+
+      if (query.includes('ProjectUpdate')) {
+        remoteProjectContent = variables.input.content;
+        return {
+          data: { projectUpdate: { success: true, project: { id: '11111111-1111-4111-8111-111111111111' } } },
+          headers: new Headers(),
+        };
+      }
+
+      if (query.includes('DocumentCreate')) {
+        const id = `doc-${documents.size + 1}`;
+        documents.set(id, {
+          id,
+          title: variables.input.title,
+          content: variables.input.content,
+          icon: null,
+          color: null,
+          slugId: `${id}-slug`,
+          url: `https://linear.app/example/document/${id}-slug`,
+          archivedAt: null,
+          createdAt: '2026-03-31T00:00:00.000Z',
+          updatedAt: '2026-03-31T00:00:00.000Z',
+          project: { id: variables.input.projectId, name: 'Example Project' },
+          issue: null,
+        });
+        return { data: { documentCreate: { success: true, document: { id } } }, headers: new Headers() };
+      }
+
+      if (query.includes('DocumentDetails')) {
+        return { data: { document: documents.get(variables.id) || null }, headers: new Headers() };
+      }
+
+      if (query.includes('DocumentUpdate')) {
+        documents.set(variables.id, { ...documents.get(variables.id), ...variables.input });
+        return { data: { documentUpdate: { success: true, document: { id: variables.id } } }, headers: new Headers() };
+      }
+
+      if (query.includes('DocumentArchive')) {
+        archived.push(variables.id);
+        return { data: { documentDelete: { success: true, entity: { id: variables.id } } }, headers: new Headers() };
+      }
+
+      throw new Error(`Unexpected query: ${query}`);
+    },
+  };
+
+  const first = await runAllSyncDocs(mockClient, { mode: 'run', cwd: repoDir });
+  assert.equal(first.total, 3);
+  assert.deepEqual(first.removed, []);
+  assert.deepEqual(Array.from(documents.values()).map((document) => document.title).sort(), ['Setup Guide', 'api']);
+  assert.match(remoteProjectContent, /## Docs\n\n\* api\n\* Setup Guide/);
+
+  // Removing a file from the glob: check reports it, run archives it on request.
+  await unlink(join(repoDir, 'docs', 'api.md'));
+
+  const checked = await runAllSyncDocs(mockClient, { mode: 'check', cwd: repoDir });
+  assert.deepEqual(checked.removed.map((entry) => [entry.targetName, entry.archived]), [['docs-api', false]]);
+  assert.equal(checked.removed[0].glob, 'docs/**/*.md');
+
+  // A run without --archive-removed keeps reporting it, so archiving later still works.
+  const kept = await runAllSyncDocs(mockClient, { mode: 'run', cwd: repoDir });
+  assert.deepEqual(kept.removed.map((entry) => [entry.targetName, entry.archived]), [['docs-api', false]]);
+  assert.deepEqual(archived, []);
+  const keptState = JSON.parse(await readFile(join(repoDir, '.linear-tools', 'sync-state.json'), 'utf8'));
+  assert.equal(keptState.targets['docs-api'].documentId, kept.removed[0].documentId);
+
+  const second = await runAllSyncDocs(mockClient, { mode: 'run', cwd: repoDir, archiveRemoved: true });
+  assert.equal(second.removedCount, 1);
+  assert.equal(second.removed[0].archived, true);
+  assert.equal(second.removed[0].documentTitle, 'api');
+  assert.deepEqual(archived, [second.removed[0].documentId]);
+  assert.doesNotMatch(remoteProjectContent, /\* api/);
+
+  const state = JSON.parse(await readFile(join(repoDir, '.linear-tools', 'sync-state.json'), 'utf8'));
+  assert.equal(state.targets['docs-api'], undefined);
+  assert.equal(state.targets['docs-guide-setup'].glob, 'docs/**/*.md');
+
+  const third = await runAllSyncDocs(mockClient, { mode: 'run', cwd: repoDir });
+  assert.deepEqual(third.removed, []);
+
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: { targets: [{ files: 'docs/*.md', file: 'README.md', project: 'Example Project' }] },
+  }));
+  await assert.rejects(() => loadSyncDocTargets({ cwd: repoDir }), /either "file" or "files", not both/);
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: { targets: [{ files: '../*.md', project: 'Example Project' }] },
+  }));
+  await assert.rejects(() => loadSyncDocTargets({ cwd: repoDir }), /must stay within/);
+  console.log('✓ runAllSyncDocs expands files globs and reports removed files');
+}
+
+async function testRunAllSyncDocsRewritesRelativeLinks() {
+  const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-links-'));
+  await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
+  await mkdir(join(repoDir, 'docs', 'images'), { recursive: true });
+  await mkdir(join(repoDir, 'scripts'), { recursive: true });
+  const providerSource = [
+    '# Provider',
+    '',
+    'See [setup](./setup.md#install), [run script](../scripts/run.sh "Runner") and [site](https://example.com).',
+    '',
+    '![diagram](images/arch.png)',
+    '',
+    '```',
+    '[kept](./setup.md)',
+    '```',
+  ].join('\n');
+  await writeFile(join(repoDir, 'docs', 'provider.md'), `${providerSource}\n`, 'utf8');
+  await writeFile(join(repoDir, 'docs', 'setup.md'), '# Setup\n\nSteps.\n', 'utf8');
+  await writeFile(join(repoDir, 'docs', 'images', 'arch.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  await writeFile(join(repoDir, 'scripts', 'run.sh'), 'echo run\n', 'utf8');
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: {
+      repoUrl: 'https://github.com/example/repo/blob/{commit}/{path}',
+      targets: [{ files: 'docs/*.md', project: 'Example Project' }],
+    },
+  }, null, 2));
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: repoDir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+  }).trim();
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'docs');
+  const commit = git('rev-parse', 'HEAD');
+
+  const documents = new Map();
+  const uploadRequests = [];
+  const mockClient = {
+    projects: async () => ({
+      nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456' }],
+    }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('ProjectsLookup')) {
+        return {
+          data: {
+            projects: {
+              nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456', archivedAt: null }],
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+
+      if (query.includes('FileUpload')) {
+        uploadRequests.push(variables);
+        return {
+          data: {
+            fileUpload: {
+              success: true,
+              uploadFile: {
+                assetUrl: `https://uploads.linear.app/asset/${variables.filename}`,
+                uploadUrl: `https://storage.example.com/put/${variables.filename}`,
+                headers: [{ key: 'x-goog-meta-test', value: '1' }],
+              },
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+
+      if (query.includes('DocumentCreate')) {
+        const id = `doc-${documents.size + 1}`;
+        documents.set(id, {
+          id,
+          title: variables.input.title,
+          content: variables.input.content,
+          icon: null,
+          color: null,
+          slugId: `${id}-slug`,
+          url: `https://linear.app/example/document/${id}-slug`,
+          archivedAt: null,
+          createdAt: '2026-03-31T00:00:00.000Z',
+          updatedAt: '2026-03-31T00:00:00.000Z',
+          project: { id: variables.input.projectId, name: 'Example Project' },
+          issue: null,
+        });
+        return { data: { documentCreate: { success: true, document: { id } } }, headers: new Headers() };
+      }
+
+      if (query.includes('DocumentDetails')) {
+        return { data: { document: documents.get(variables.id) || null }, headers: new Headers() };
+      }
+
+      if (query.includes('DocumentUpdate')) {
+        documents.set(variables.id, { ...documents.get(variables.id), ...variables.input });
+        return { data: { documentUpdate: { success: true, document: { id: variables.id } } }, headers: new Headers() };
+      }
+
+      throw new Error(`Unexpected query: ${query}`);
+    },
+  };
+
+  const puts = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options = {}) => {
+    puts.push({ url, method: options.method, headers: options.headers, size: options.body.length });
+    return new Response(null, { status: 200 });
+  };
+
+  try {
+    // Documents run in name order, so setup.md has no Linear document yet on the first run.
+    await runAllSyncDocs(mockClient, { mode: 'run', cwd: repoDir });
+    const providerDoc = () => Array.from(documents.values()).find((document) => document.title === 'Provider');
+    const setupDoc = Array.from(documents.values()).find((document) => document.title === 'Setup');
+
+    assert.deepEqual(uploadRequests, [{ contentType: 'image/png', filename: 'arch.png', size: 4 }]);
+    assert.equal(puts.length, 1);
+    assert.equal(puts[0].method, 'PUT');
+    assert.equal(puts[0].headers['content-type'], 'image/png');
+    assert.equal(puts[0].headers['x-goog-meta-test'], '1');
+    assert.match(providerDoc().content, new RegExp(`\\[setup\\]\\(https://github\\.com/example/repo/blob/${commit}/docs/setup\\.md#install\\)`));
+    assert.match(providerDoc().content, new RegExp(`\\[run script\\]\\(https://github\\.com/example/repo/blob/${commit}/scripts/run\\.sh "Runner"\\)`));
+    assert.match(providerDoc().content, /\[site\]\(https:\/\/example\.com\)/);
+    assert.match(providerDoc().content, /!\[diagram\]\(https:\/\/uploads\.linear\.app\/asset\/arch\.png\)/);
+    assert.match(providerDoc().content, /```\n\[kept\]\(\.\/setup\.md\)\n```/);
+
+    // Next run links the synced file to its Linear document and reuses the uploaded image.
+    const second = await runAllSyncDocs(mockClient, { mode: 'run', cwd: repoDir });
+    assert.deepEqual(second.results.map((result) => [result.targetName, result.changed]), [
+      ['docs-provider', true],
+      ['docs-setup', false],
+    ]);
+    assert.match(providerDoc().content, new RegExp(`\\[setup\\]\\(${setupDoc.url}#install\\)`));
+    assert.equal(uploadRequests.length, 1);
+
+    const state = JSON.parse(await readFile(join(repoDir, '.linear-tools', 'sync-state.json'), 'utf8'));
+    assert.deepEqual(Object.values(state.assets), ['https://uploads.linear.app/asset/arch.png']);
+    assert.equal(state.targets['docs-provider'].links[`${setupDoc.url}#install`], './setup.md#install');
+
+    const third = await runAllSyncDocs(mockClient, { mode: 'check', cwd: repoDir });
+    assert.equal(third.changedCount, 0);
+
+    // Pulling a Linear edit keeps the relative links of the source file.
+    const edited = providerDoc();
+    documents.set(edited.id, { ...edited, content: edited.content.replace('See [setup]', 'Read [setup]') });
+    const pulled = await pullSyncDocs(mockClient, { cwd: repoDir, target: 'docs-provider' });
+    assert.equal(pulled.changedCount, 1);
+    assert.equal(
+      await readFile(join(repoDir, 'docs', 'provider.md'), 'utf8'),
+      `${providerSource.replace('See [setup]', 'Read [setup]')}\n`
+    );
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: { repoUrl: 'https://github.com/example/repo', targets: [{ files: 'docs/*.md', project: 'Example Project' }] },
+  }));
+  await assert.rejects(() => loadSyncDocTargets({ cwd: repoDir }), /repoUrl at .* must contain "\{path\}"/);
+  console.log('✓ runAllSyncDocs rewrites relative links and uploads images');
+}
+
+async function testLoadSyncDocTargetsDiscoversFrontMatter() {
+  const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-front-matter-'));
+  await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
+  await mkdir(join(repoDir, 'docs', 'guide'), { recursive: true });
+  await mkdir(join(repoDir, 'node_modules', 'pkg'), { recursive: true });
+  const providerFrontMatter = '---\nlinear: { project: "Example Project", title: "Provider Doc", marker: provider }\nsidebar: 2\n---\n\n';
+  await writeFile(join(repoDir, 'docs', 'provider.md'), `${providerFrontMatter}# Provider\n\nDetails.\n`, 'utf8');
+  await writeFile(join(repoDir, 'docs', 'guide', 'setup.md'), [
+    '---',
+    'linear:',
+    '  project: Example Project',
+    '  name: setup-guide',
+    '---',
+    '# Setup',
+    '',
+    'Steps.',
+    '',
+  ].join('\n'), 'utf8');
+  await writeFile(join(repoDir, 'docs', 'explicit.md'), '---\nlinear: { project: "Example Project", title: "Ignored" }\n---\nExplicit.\n', 'utf8');
+  await writeFile(join(repoDir, 'docs', 'plain.md'), '---\ntitle: Not synced\n---\nPlain.\n', 'utf8');
+  await writeFile(join(repoDir, 'node_modules', 'pkg', 'README.md'), '---\nlinear: { project: "Example Project" }\n---\nVendored.\n', 'utf8');
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: {
+      targets: [
+        { name: 'explicit', targetType: 'document', file: 'docs/explicit.md', project: 'Example Project', title: 'Explicit' },
+        { name: 'setup-guide', targetType: 'document', file: 'docs/other.md', project: 'Example Project', title: 'Other' },
+      ],
+    },
+  }, null, 2));
+  await writeFile(join(repoDir, 'docs', 'other.md'), 'Other.\n', 'utf8');
+
+  const loaded = await loadSyncDocTargets({ cwd: repoDir });
+  assert.deepEqual(
+    loaded.targets.map((target) => [target.name, target.targetType, target.title, target.marker, target.frontMatter === true]),
+    [
+      ['setup-guide', 'document', 'Other', 'other', false],
+      ['provider', 'document', 'Provider Doc', 'provider', true],
+      ['explicit', 'document', 'Explicit', 'explicit', false],
+    ]
+  );
+
+  // Without a name clash the setup guide is discovered, titled by its first heading.
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: { targets: [{ name: 'explicit', targetType: 'document', file: 'docs/explicit.md', project: 'Example Project' }] },
+  }));
+  const listed = await listSyncDocTargets({ cwd: repoDir });
+  assert.deepEqual(
+    listed.targets.filter((target) => target.frontMatter).map((target) => [target.name, target.title, target.marker]),
+    [['setup-guide', 'Setup', 'docs-guide-setup'], ['provider', 'Provider Doc', 'provider']]
+  );
+
+  const documents = new Map();
+  const mockClient = {
+    projects: async () => ({
+      nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456' }],
+    }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('ProjectsLookup')) {
+        return {
+          data: {
+            projects: {
+              nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456', archivedAt: null }],
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+
+      if (query.includes('DocumentCreate')) {
+        const id = `doc-${documents.size + 1}`;
+        documents.set(id, {
+          id,
+          title: variables.input.title,
+          content: variables.input.content,
+          icon: null,
+          color: null,
+          slugId: `${id}-slug`,
+          url: `https://linear.app/example/document/${id}-slug`,
+          archivedAt: null,
+          createdAt: '2026-03-31T00:00:00.000Z',
+          updatedAt: '2026-03-31T00:00:00.000Z',
+          project: { id: variables.input.projectId, name: 'Example Project' },
+          issue: null,
+        });
+        return { data: { documentCreate: { success: true, document: { id } } }, headers: new Headers() };
+      }
+
+      if (query.includes('DocumentDetails')) {
+        return { data: { document: documents.get(variables.id) || null }, headers: new Headers() };
+      }
+
+      throw new Error(`Unexpected query: ${query}`);
+    },
+  };
+
+  await runAllSyncDocs(mockClient, { mode: 'run', cwd: repoDir });
+  const provider = Array.from(documents.values()).find((document) => document.title === 'Provider Doc');
+  assert.equal(provider.content, '<!-- linear-tools:sync-start provider -->\n\n# Provider\n\nDetails.\n\n<!-- linear-tools:sync-end provider -->');
+  // config.json targets sync their file as-is, front matter included
+  assert.equal(
+    Array.from(documents.values()).find((document) => document.title === 'explicit').content,
+    '<!-- linear-tools:sync-start explicit -->\n\n---\nlinear: { project: "Example Project", title: "Ignored" }\n---\nExplicit.\n\n<!-- linear-tools:sync-end explicit -->'
+  );
+
+  // Pulling a Linear edit keeps the file's front matter.
+  documents.set(provider.id, { ...provider, content: provider.content.replace('Details.', 'Edited in Linear.') });
+  await pullSyncDocs(mockClient, { cwd: repoDir, target: 'provider' });
+  assert.equal(
+    await readFile(join(repoDir, 'docs', 'provider.md'), 'utf8'),
+    `${providerFrontMatter}# Provider\n\nEdited in Linear.\n`
+  );
+  const explicit = Array.from(documents.values()).find((document) => document.title === 'explicit');
+  documents.set(explicit.id, { ...explicit, content: explicit.content.replace('Explicit.', 'Edited in Linear.') });
+  await pullSyncDocs(mockClient, { cwd: repoDir, target: 'explicit' });
+  assert.equal(
+    await readFile(join(repoDir, 'docs', 'explicit.md'), 'utf8'),
+    '---\nlinear: { project: "Example Project", title: "Ignored" }\n---\nEdited in Linear.\n'
+  );
+
+  await writeFile(join(repoDir, 'docs', 'plain.md'), '---\nlinear: { project: "Example Project"\n---\nPlain.\n', 'utf8');
+  await assert.rejects(() => loadSyncDocTargets({ cwd: repoDir }), /Invalid "linear" front matter in .*plain\.md: Missing "}"/);
+  await writeFile(join(repoDir, 'docs', 'plain.md'), '---\nlinear: { project: "Example Project", file: other.md }\n---\nPlain.\n', 'utf8');
+  await assert.rejects(() => loadSyncDocTargets({ cwd: repoDir }), /cannot set "file"/);
+  console.log('✓ loadSyncDocTargets discovers front matter targets');
+}
+
+async function testLoadSyncDocTargetsDiscoversFrontMatterWithoutConfig() {
+  await withTempHome(async (tempHome) => {
+    // The home directory's .linear-tools/ is global config, not a repo root
+    const homeRepoDir = join(tempHome, 'scratch');
+    await mkdir(join(tempHome, '.linear-tools'), { recursive: true });
+    await mkdir(homeRepoDir, { recursive: true });
+    await writeFile(join(homeRepoDir, 'notes.md'), '---\nlinear: { project: "Example Project" }\n---\nNotes.\n', 'utf8');
+    const outside = await loadSyncDocTargets({ cwd: homeRepoDir });
+    assert.deepEqual(outside.targets, []);
+
+    // Not even when it holds the global config.json: its targets load, but personal notes are not discovered
+    await mkdir(join(tempHome, 'notes', 'deep'), { recursive: true });
+    await mkdir(join(tempHome, 'work', 'app'), { recursive: true });
+    await writeFile(join(tempHome, 'notes', 'deep', 'diary.md'), '---\nlinear: { project: "Example Project" }\n---\nDear diary.\n', 'utf8');
+    await writeFile(join(tempHome, 'overview.md'), '# Overview\n', 'utf8');
+    await writeFile(join(tempHome, '.linear-tools', 'config.json'), JSON.stringify({
+      syncDocs: { targets: [{ name: 'overview', file: 'overview.md', project: 'Example Project' }] },
+    }));
+    for (const cwd of [join(tempHome, 'work', 'app'), tempHome]) {
+      const globalOnly = await listSyncDocTargets({ cwd });
+      assert.deepEqual(globalOnly.targets.map((target) => target.name), ['overview']);
+    }
+    const explicitGlobal = await loadSyncDocTargets({ cwd: tempHome, configPath: join(tempHome, '.linear-tools') });
+    assert.deepEqual(explicitGlobal.targets.map((target) => target.name), ['overview']);
+    await unlink(join(tempHome, '.linear-tools', 'config.json'));
+
+    const repoDir = join(tempHome, 'projects', 'repo');
+    await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
+    await mkdir(join(repoDir, 'docs'), { recursive: true });
+    await writeFile(join(repoDir, 'docs', 'provider.md'), '---\nlinear: { project: "Example Project", title: "Provider Doc" }\n---\n# Provider\n', 'utf8');
+
+    const loaded = await loadSyncDocTargets({ cwd: join(repoDir, 'docs') });
+    assert.deepEqual(
+      loaded.targets.map((target) => [target.name, target.file, target.frontMatter]),
+      [['docs-provider', join(repoDir, 'docs', 'provider.md'), true]]
+    );
+    assert.equal(loaded.configPath, join(repoDir, '.linear-tools', 'config.json'));
+    assert.equal(loaded.statePath, join(repoDir, '.linear-tools', 'sync-state.json'));
+  });
+  console.log('✓ loadSyncDocTargets discovers front matter targets without config.json');
+}
+
+async function testFrontMatterDiscoveryScope() {
+  const declared = '---\nlinear: { project: "Example Project" }\n---\nBody.\n';
+  const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-front-matter-scope-'));
+  execFileSync('git', ['init', '-q'], { cwd: repoDir });
+  await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
+  await mkdir(join(repoDir, 'docs'), { recursive: true });
+  await mkdir(join(repoDir, 'dist', 'docs'), { recursive: true });
+  await writeFile(join(repoDir, '.gitignore'), 'dist/\n', 'utf8');
+  await writeFile(join(repoDir, 'docs', 'guide.md'), declared, 'utf8');
+  await writeFile(join(repoDir, 'dist', 'docs', 'guide.md'), declared, 'utf8');
+  await writeFile(join(repoDir, 'notes.md'), declared, 'utf8');
+  const names = async () => (await loadSyncDocTargets({ cwd: repoDir })).targets.map((target) => target.name);
+
+  // In a git checkout, ignored build output is not discovered
+  assert.deepEqual(await names(), ['docs-guide', 'notes']);
+
+  const writeConfig = (frontMatter) => writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: { frontMatter, targets: [] },
+  }));
+  await writeConfig(['docs/**/*.md']);
+  assert.deepEqual(await names(), ['docs-guide']);
+  await writeConfig(false);
+  assert.deepEqual(await names(), []);
+  await writeConfig(3);
+  await assert.rejects(() => loadSyncDocTargets({ cwd: repoDir }), /syncDocs\.frontMatter in .* must be false, a glob, or a list of globs/);
+
+  // Outside git the tree is walked, skipping directories that cannot be read
+  const plainDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-front-matter-walk-'));
+  await mkdir(join(plainDir, '.linear-tools'), { recursive: true });
+  await mkdir(join(plainDir, 'locked'), { recursive: true });
+  await writeFile(join(plainDir, 'locked', 'secret.md'), declared, 'utf8');
+  await writeFile(join(plainDir, 'readme.md'), declared, 'utf8');
+  await chmod(join(plainDir, 'locked'), 0o000);
+  try {
+    const walked = await loadSyncDocTargets({ cwd: plainDir });
+    const expected = process.getuid?.() === 0 ? ['locked-secret', 'readme'] : ['readme'];
+    assert.deepEqual(walked.targets.map((target) => target.name), expected);
+  } finally {
+    await chmod(join(plainDir, 'locked'), 0o755);
+  }
+  console.log('✓ front matter discovery respects .gitignore, syncDocs.frontMatter and unreadable directories');
+}
+
+async function testWatchSyncDocsPushesChangedTargets() {
+  const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-watch-'));
+  await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
+  await mkdir(join(repoDir, 'docs'), { recursive: true });
+  await writeFile(join(repoDir, 'README.md'), '# Overview\n', 'utf8');
+  await writeFile(join(repoDir, 'docs', 'guide.md'), '# Guide\n', 'utf8');
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: {
+      targets: [
+        { name: 'overview', file: 'README.md', project: 'Example Project', documentIndexMarker: 'project-documents' },
+        { name: 'guide', targetType: 'document', file: 'docs/guide.md', project: 'Example Project', title: 'Guide' },
+      ],
+    },
+  }), 'utf8');
+
+  let remoteProjectContent = '';
+  const documents = new Map();
+  const writes = [];
+  const mockClient = {
+    projects: async () => ({
+      nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456' }],
+    }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('ProjectsLookup')) {
+        return {
+          data: {
+            projects: {
+              nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456', archivedAt: null }],
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+      if (query.includes('ProjectDetails')) {
+        return { data: { project: createProjectPayload(remoteProjectContent) }, headers: new Headers() };
+      }
+      if (query.includes('ProjectUpdate')) {
+        writes.push('project');
+        remoteProjectContent = variables.input.content;
+        return {
+          data: { projectUpdate: { success: true, project: { id: '11111111-1111-4111-8111-111111111111' } } },
+          headers: new Headers(),
+        };
+      }
+      if (query.includes('DocumentCreate')) {
+        writes.push('document');
+        documents.set('doc-1', {
+          id: 'doc-1',
+          title: variables.input.title,
+          content: variables.input.content,
+          icon: null,
+          color: null,
+          slugId: 'doc-1-slug',
+          url: 'https://linear.app/example/document/doc-1-slug',
+          archivedAt: null,
+          createdAt: '2026-03-31T00:00:00.000Z',
+          updatedAt: '2026-03-31T00:00:00.000Z',
+          project: { id: variables.input.projectId, name: 'Example Project' },
+          issue: null,
+        });
+        return { data: { documentCreate: { success: true, document: { id: 'doc-1' } } }, headers: new Headers() };
+      }
+      if (query.includes('DocumentDetails')) {
+        return { data: { document: documents.get(variables.id) || null }, headers: new Headers() };
+      }
+      throw new Error(`Unexpected query: ${query}`);
+    },
+  };
+
+  const listeners = new Map();
+  let closedWatchers = 0;
+  const fakeWatch = (dir, listener) => {
+    listeners.set(dir, listener);
+    return { close: () => { closedWatchers += 1; } };
+  };
+  const events = [];
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 80));
+
+  const watcher = await watchSyncDocs(mockClient, {
+    cwd: repoDir,
+    debounceMs: 20,
+    watch: fakeWatch,
+    onEvent: (event) => events.push(event),
+  });
+  assert.deepEqual(watcher.targets.sort(), ['guide', 'overview']);
+  assert.deepEqual(Array.from(listeners.keys()).sort(), [repoDir, join(repoDir, '.linear-tools'), join(repoDir, 'docs')].sort());
+
+  // Rapid saves of the same file coalesce into one push.
+  await writeFile(join(repoDir, 'README.md'), '# Overview\n\nEdited.\n', 'utf8');
+  listeners.get(repoDir)('change', 'README.md');
+  listeners.get(repoDir)('change', 'README.md');
+  listeners.get(repoDir)('change', 'unrelated.txt');
+  await settle();
+  assert.deepEqual(writes, ['project']);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].result.targetName, 'overview');
+  assert.equal(events[0].result.entityUrl, 'https://linear.app/example/project/example-project-abc123def456');
+  assert.match(remoteProjectContent, /Edited\./);
+
+  // A pushed document re-checks the project's document index (stable on first creation).
+  events.length = 0;
+  listeners.get(join(repoDir, 'docs'))('rename', 'guide.md');
+  await settle();
+  assert.deepEqual(writes, ['project', 'document']);
+  assert.deepEqual(events.map((event) => [event.result.targetName, event.result.changed]), [['guide', true], ['overview', false]]);
+  assert.equal(events[0].result.documentUrl, 'https://linear.app/example/document/doc-1-slug');
+  assert.match(remoteProjectContent, /\* Guide/);
+
+  // While rate limited, pushes wait for the reset.
+  events.length = 0;
+  markRateLimited(Date.now() + 150);
+  await writeFile(join(repoDir, 'README.md'), '# Overview\n\nEdited again.\n', 'utf8');
+  listeners.get(repoDir)('change', 'README.md');
+  await settle();
+  assert.equal(events[0].type, 'rate-limited');
+  assert.equal(writes.length, 2);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(writes.length, 3);
+  assert.equal(events[events.length - 1].result.targetName, 'overview');
+
+  // Saving the config reloads targets.
+  events.length = 0;
+  listeners.get(join(repoDir, '.linear-tools'))('change', 'config.json');
+  await settle();
+  assert.deepEqual(events[0], { type: 'reloaded', targets: ['overview', 'guide'] });
+
+  await watcher.close();
+  assert.equal(closedWatchers, 3);
+  await assert.rejects(() => watchSyncDocs(mockClient, { cwd: repoDir, debounceMs: 'soon', watch: fakeWatch }), /Invalid debounce: soon/);
+  console.log('✓ watchSyncDocs pushes changed targets');
+}
+
+async function testWatchSyncDocsIgnoresOwnWrites() {
+  const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-watch-merge-'));
+  const readmePath = join(repoDir, 'README.md');
+  await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
+  await writeFile(readmePath, 'Line one.\nLine two.\n', 'utf8');
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: { targets: [{ name: 'overview', file: 'README.md', project: 'Example Project' }] },
+  }), 'utf8');
+
+  const remote = { content: '', writes: 0 };
+  const mockClient = {
+    projects: async () => ({
+      nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456' }],
+    }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('ProjectsLookup')) {
+        return {
+          data: {
+            projects: {
+              nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Example Project', slugId: 'abc123def456', archivedAt: null }],
+            },
+          },
+          headers: new Headers(),
+        };
+      }
+      if (query.includes('ProjectDetails')) {
+        return { data: { project: createProjectPayload(remote.content) }, headers: new Headers() };
+      }
+      if (query.includes('ProjectUpdate')) {
+        remote.writes += 1;
+        remote.content = variables.input.content;
+        return {
+          data: { projectUpdate: { success: true, project: { id: '11111111-1111-4111-8111-111111111111' } } },
+          headers: new Headers(),
+        };
+      }
+      throw new Error(`Unexpected query: ${query}`);
+    },
+  };
+
+  await runAllSyncDocs(mockClient, { mode: 'run', cwd: repoDir });
+  assert.equal(remote.writes, 1);
+
+  const listeners = new Map();
+  const fakeWatch = (dir, listener) => {
+    listeners.set(dir, listener);
+    return { close: () => {} };
+  };
+  const events = [];
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 80));
+  const watcher = await watchSyncDocs(mockClient, {
+    cwd: repoDir,
+    debounceMs: 20,
+    strategy: 'merge',
+    watch: fakeWatch,
+    onEvent: (event) => events.push(event),
+  });
+
+  // The same line edited on both sides: the merge writes conflict markers once.
+  await writeFile(readmePath, 'Line one, local.\nLine two.\n', 'utf8');
+  remote.content = remote.content.replace('Line one.', 'Line one, Linear.');
+  listeners.get(repoDir)('change', 'README.md');
+  await settle();
+  assert.equal(events.length, 1);
+  assert.equal(events[0].result.conflictReason, 'merge-conflict');
+  const conflicted = await readFile(readmePath, 'utf8');
+  assert.equal(conflicted, '<<<<<<< local\nLine one, local.\n=======\nLine one, Linear.\n>>>>>>> linear\nLine two.\n');
+
+  // The event for that write (and any later one without an edit) does not run the target again.
+  listeners.get(repoDir)('change', 'README.md');
+  await settle();
+  listeners.get(repoDir)('change', 'README.md');
+  await settle();
+  assert.equal(events.length, 1);
+  assert.equal(await readFile(readmePath, 'utf8'), conflicted);
+  assert.equal(remote.writes, 1);
+
+  // Resolving the markers pushes the file.
+  await writeFile(readmePath, 'Line one, resolved.\nLine two.\n', 'utf8');
+  listeners.get(repoDir)('change', 'README.md');
+  await settle();
+  assert.equal(events.length, 2);
+  assert.equal(events[1].result.changed, true);
+  assert.equal(remote.writes, 2);
+  assert.match(remote.content, /Line one, resolved\./);
+
+  await watcher.close();
+  console.log('✓ watchSyncDocs ignores its own writes');
+}
+
 async function testRunAllSyncDocsMatchesProjectsByResolvedIdentity() {
   const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-identity-'));
   await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
@@ -994,6 +1924,132 @@ async function testRunAllSyncDocsCheckMatchesRunForExistingDocuments() {
   console.log('✓ runAllSyncDocs check matches run for existing documents');
 }
 
+async function testPullSyncDocsWritesRemoteEditsToFiles() {
+  const repoDir = await mkdtemp(join(tmpdir(), 'pi-linear-tools-sync-pull-'));
+  await mkdir(join(repoDir, '.linear-tools'), { recursive: true });
+  await mkdir(join(repoDir, 'docs'), { recursive: true });
+  await writeFile(join(repoDir, 'README.md'), '# Census Data\n\nOverview content.\n', 'utf8');
+  await writeFile(join(repoDir, 'docs', 'provider.md'), '# Provider\n\nProvider details.\n', 'utf8');
+  await writeFile(join(repoDir, '.linear-tools', 'config.json'), JSON.stringify({
+    syncDocs: {
+      targets: [
+        {
+          name: 'census-readme',
+          file: 'README.md',
+          project: '11111111-1111-4111-8111-111111111111',
+          field: 'content',
+          marker: 'census-readme',
+          documentIndexMarker: 'census-documents',
+        },
+        {
+          name: 'provider-doc',
+          targetType: 'document',
+          file: 'docs/provider.md',
+          project: '11111111-1111-4111-8111-111111111111',
+          title: 'Provider Doc',
+          marker: 'provider-doc',
+          documentId: 'doc-existing',
+        },
+      ],
+    },
+  }, null, 2));
+
+  let remoteProjectContent = 'Manual intro.';
+  const documents = new Map([
+    ['doc-existing', {
+      id: 'doc-existing',
+      title: 'Provider Doc',
+      content: '',
+      icon: null,
+      color: null,
+      slugId: 'doc-existing-slug',
+      url: 'https://linear.app/example/document/doc-existing-slug',
+      archivedAt: null,
+      createdAt: '2026-03-31T00:00:00.000Z',
+      updatedAt: '2026-03-31T00:00:00.000Z',
+      project: { id: '11111111-1111-4111-8111-111111111111', name: 'Census Data' },
+      issue: null,
+    }],
+  ]);
+
+  const mockClient = {
+    apiKey: 'sync-doc-pull',
+    projects: async () => ({
+      nodes: [{ id: '11111111-1111-4111-8111-111111111111', name: 'Census Data', slugId: 'census-data-abc123' }],
+    }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('ProjectDetails')) {
+        return { data: { project: createProjectPayload(remoteProjectContent) }, headers: new Headers() };
+      }
+      if (query.includes('ProjectUpdate')) {
+        remoteProjectContent = variables.input.content;
+        return {
+          data: { projectUpdate: { success: true, project: { id: '11111111-1111-4111-8111-111111111111' } } },
+          headers: new Headers(),
+        };
+      }
+      if (query.includes('DocumentDetails')) {
+        return { data: { document: documents.get(variables.id) || null }, headers: new Headers() };
+      }
+      if (query.includes('DocumentUpdate')) {
+        documents.set(variables.id, { ...documents.get(variables.id), ...variables.input });
+        return { data: { documentUpdate: { success: true, document: { id: variables.id } } }, headers: new Headers() };
+      }
+      throw new Error(`Unexpected query: ${query}`);
+    },
+  };
+
+  await runAllSyncDocs(mockClient, { mode: 'run', cwd: repoDir });
+
+  // A PM edits the managed block in the project, and rewrites the document (dropping the markers).
+  remoteProjectContent = remoteProjectContent.replace('Overview content.', 'Overview edited in Linear.');
+  documents.get('doc-existing').content = '# Provider\n\nRewritten in Linear.\n';
+
+  const pullResult = await pullSyncDocs(mockClient, { cwd: repoDir });
+  assert.equal(pullResult.mode, 'pull');
+  assert.equal(pullResult.changedCount, 2);
+  assert.equal(await readFile(join(repoDir, 'README.md'), 'utf8'), '# Census Data\n\nOverview edited in Linear.\n');
+  assert.equal(await readFile(join(repoDir, 'docs', 'provider.md'), 'utf8'), '# Provider\n\nRewritten in Linear.\n');
+  assert.deepEqual(
+    pullResult.results.map((result) => [result.targetName, result.pulledFrom]),
+    [['provider-doc', 'document'], ['census-readme', 'managedBlock']]
+  );
+
+  // Pulled hashes are recorded, so the next check sees the overview as in sync.
+  const checkResult = await runAllSyncDocs(mockClient, { mode: 'check', cwd: repoDir });
+  assert.equal(checkResult.results.find((result) => result.targetName === 'census-readme').changed, false);
+
+  const repeatPull = await pullSyncDocs(mockClient, { cwd: repoDir, targetName: 'census-readme' });
+  assert.equal(repeatPull.total, 1);
+  assert.equal(repeatPull.changedCount, 0);
+
+  // Unsynced local edits are not overwritten without force.
+  await writeFile(join(repoDir, 'README.md'), '# Census Data\n\nLocal edit.\n', 'utf8');
+  await assert.rejects(
+    () => pullSyncDocs(mockClient, { cwd: repoDir, targetName: 'census-readme' }),
+    (error) => error.code === 'validation' && /has changes that were not synced to Linear \(target "census-readme"\)/.test(error.message)
+  );
+  assert.equal(await readFile(join(repoDir, 'README.md'), 'utf8'), '# Census Data\n\nLocal edit.\n');
+
+  await pullSyncDocs(mockClient, { cwd: repoDir, targetName: 'census-readme', force: true });
+  assert.equal(await readFile(join(repoDir, 'README.md'), 'utf8'), '# Census Data\n\nOverview edited in Linear.\n');
+
+  // Neither is an existing file that was never pushed (no state entry).
+  await unlink(join(repoDir, '.linear-tools', 'sync-state.json'));
+  await writeFile(join(repoDir, 'docs', 'provider.md'), '# Provider\n\nDrafted locally.\n', 'utf8');
+  await assert.rejects(
+    () => pullSyncDocs(mockClient, { cwd: repoDir, targetName: 'provider-doc' }),
+    (error) => error.code === 'validation'
+      && /Local file .*provider\.md exists but was never synced to Linear \(target "provider-doc"\)\. .*--force/.test(error.message)
+  );
+  assert.equal(await readFile(join(repoDir, 'docs', 'provider.md'), 'utf8'), '# Provider\n\nDrafted locally.\n');
+
+  await pullSyncDocs(mockClient, { cwd: repoDir, targetName: 'provider-doc', force: true });
+  assert.equal(await readFile(join(repoDir, 'docs', 'provider.md'), 'utf8'), '# Provider\n\nRewritten in Linear.\n');
+
+  console.log('✓ pullSyncDocs writes remote edits to files');
+}
+
 async function testUpsertManagedContentWithPositionPreservesExistingLocation() {
   const marker = 'overview';
   const incoming = '# New overview content';
@@ -1080,10 +2136,19 @@ async function main() {
   await testExplainSyncDocSetupMentionsNearestConfig();
   await testRunSyncDocProjectTarget();
   await testRunSyncDocDetectsManagedBlockDrift();
+  await testRunSyncDocConflictStrategies();
   await testRunAllSyncDocsCreatesDocumentAndIndex();
+  await testRunAllSyncDocsExpandsGlobTargets();
+  await testRunAllSyncDocsRewritesRelativeLinks();
+  await testLoadSyncDocTargetsDiscoversFrontMatter();
+  await testLoadSyncDocTargetsDiscoversFrontMatterWithoutConfig();
+  await testFrontMatterDiscoveryScope();
+  await testWatchSyncDocsPushesChangedTargets();
+  await testWatchSyncDocsIgnoresOwnWrites();
   await testRunAllSyncDocsMatchesProjectsByResolvedIdentity();
   await testRunAllSyncDocsCheckMatchesRunForFirstDocumentCreation();
   await testRunAllSyncDocsCheckMatchesRunForExistingDocuments();
+  await testPullSyncDocsWritesRemoteEditsToFiles();
   await testLoadSyncDocTargetsRejectsEscapedFiles();
   console.log('✓ tests/test-sync-doc.js passed');
 }
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for user lookup: resolveUserRef matching rules, the user list/view
+ * handlers, and user references in issue assignee and project lead fields.
+ */
+
+import assert from 'node:assert/strict';
+
+import { resolveUserRef } from '../src/linear.js';
+import {
+  executeUserList,
+  executeUserView,
+  executeIssueUpdate,
+  executeIssueBulkUpdate,
+  executeProjectUpdate,
+} from '../src/handlers.js';
+
+const ADA_ID = '11111111-1111-1111-1111-111111111111';
+const PROJECT = { id: '22222222-2222-2222-2222-222222222222', name: 'Example Project' };
+
+const USERS = [
+  { id: ADA_ID, name: 'Ada Lovelace', displayName: 'ada', email: 'ada@example.com', active: true, admin: true, guest: false, url: 'https://linear.app/example/profiles/ada' },
+  { id: 'user-grace', name: 'Grace Hopper', displayName: 'grace', email: 'grace@example.com', active: true, admin: false, guest: false, url: null },
+  { id: 'user-grant', name: 'Grant Green', displayName: 'ggreen', email: 'grant@example.com', active: true, admin: false, guest: true, url: null },
+];
+
+let clientCounter = 0;
+
+function response(data) {
+  return { data, headers: new Headers() };
+}
+
+/**
+ * Serves the workspace users plus the issue/project queries the handlers need,
+ * recording every operation so tests can check caching and mutation inputs.
+ */
+function createUserClient(calls = { users: 0, updates: [], batches: [], projectUpdates: [] }) {
+  const issue = {
+    id: 'issue-1',
+    identifier: 'ENG-1',
+    title: 'Assign me',
+    priority: 3,
+    state: { id: 'state-1', name: 'Todo', type: 'unstarted' },
+    team: { id: 'team-1', key: 'ENG', name: 'Engineering' },
+    project: PROJECT,
+    projectMilestone: null,
+    cycle: null,
+    assignee: null,
+  };
+
+  clientCounter += 1;
+  return {
+    calls,
+    apiKey: `test-users-${clientCounter}`,
+    viewer: Promise.resolve({ id: ADA_ID, name: 'Ada Lovelace', displayName: 'ada' }),
+    projects: async () => ({ nodes: [PROJECT] }),
+    rawRequest: async (query, variables) => {
+      if (query.includes('query Users')) {
+        calls.users += 1;
+        return response({ users: { nodes: USERS, pageInfo: { hasNextPage: false, endCursor: null } } });
+      }
+      if (query.includes('UserMinimal')) {
+        return response({ user: USERS.find((user) => user.id === variables.id) || null });
+      }
+      if (query.includes('IssueMinimalByTeamAndNumber')) {
+        return response({ issues: { nodes: [issue] } });
+      }
+      if (query.includes('IssueBatchUpdate')) {
+        calls.batches.push(variables);
+        return response({ issueBatchUpdate: { success: true, issues: variables.ids.map((id) => ({ id, identifier: id })) } });
+      }
+      if (query.includes('IssueUpdate')) {
+        calls.updates.push(variables.input);
+        return response({ issueUpdate: { success: true, issue } });
+      }
+      if (query.includes('IssueMinimal')) {
+        return response({ issue });
+      }
+      if (query.includes('ProjectDetails')) {
+        return response({ project: { ...PROJECT, teams: { nodes: [] }, projectMilestones: { nodes: [] } } });
+      }
+      if (query.includes('ProjectUpdate')) {
+        calls.projectUpdates.push(variables.input);
+        return response({ projectUpdate: { success: true, project: PROJECT } });
+      }
+      throw new Error(`Unexpected query: ${query.slice(0, 80)}`);
+    },
+  };
+}
+
+async function testResolveUserRefMatching() {
+  const client = createUserClient();
+
+  assert.equal((await resolveUserRef(client, 'ADA@example.com')).id, ADA_ID);
+  assert.equal((await resolveUserRef(client, 'grace')).id, 'user-grace');
+  assert.equal((await resolveUserRef(client, 'Grant Green')).id, 'user-grant');
+  assert.equal((await resolveUserRef(client, 'hopper')).id, 'user-grace');
+  assert.equal((await resolveUserRef(client, 'me')).id, ADA_ID);
+  assert.equal((await resolveUserRef(client, ADA_ID)).email, 'ada@example.com');
+
+  // All name lookups above share one cached user list
+  assert.equal(client.calls.users, 1);
+
+  await assert.rejects(resolveUserRef(client, 'gra'), (error) => {
+    assert.match(error.message, /^Multiple users match "gra": grace \(grace@example\.com\), ggreen \(grant@example\.com\)/);
+    return true;
+  });
+  await assert.rejects(resolveUserRef(client, 'nobody@example.com'), /User not found: nobody@example\.com/);
+  await assert.rejects(resolveUserRef(client, 'linus'), /User not found: linus/);
+  await assert.rejects(resolveUserRef(client, '  '), /Missing user reference/);
+}
+
+async function testUserListAndView() {
+  const client = createUserClient();
+
+  const list = await executeUserList(client, { query: 'gr' });
+  assert.equal(list.details.userCount, 2);
+  assert.match(list.content[0].text, /## Users \(2\)/);
+  assert.match(list.content[0].text, /- \*\*ggreen\*\*: Grant Green <grant@example\.com> _\[guest\]_ `user-grant`/);
+
+  const view = await executeUserView(client, { user: 'me' });
+  assert.equal(view.details.email, 'ada@example.com');
+  assert.equal(view.details.admin, true);
+  assert.match(view.content[0].text, /# Ada Lovelace/);
+  assert.match(view.content[0].text, /\*\*Role:\*\* Admin/);
+
+  await assert.rejects(executeUserView(client, {}), /Missing required field: user/);
+}
+
+async function testAssigneeAndLeadAcceptUserRefs() {
+  const client = createUserClient();
+
+  await executeIssueUpdate(client, { issue: 'ENG-1', assignee: 'grace@example.com' });
+  assert.deepEqual(client.calls.updates, [{ assigneeId: 'user-grace' }]);
+
+  const bulk = await executeIssueBulkUpdate(client, { issues: ['ENG-1'], assignee: 'Hopper', dryRun: true });
+  assert.deepEqual(bulk.details.issues[0].changes, [{ field: 'assignee', from: null, to: 'grace' }]);
+
+  await executeProjectUpdate(client, { project: 'Example Project', lead: 'ggreen' });
+  assert.equal(client.calls.projectUpdates[0].leadId, 'user-grant');
+
+  await assert.rejects(
+    executeIssueUpdate(client, { issue: 'ENG-1', assignee: 'gra' }),
+    /Multiple users match "gra"/
+  );
+}
+
+async function main() {
+  await testResolveUserRefMatching();
+  await testUserListAndView();
+  await testAssigneeAndLeadAcceptUserRefs();
+  console.log('✓ test-users.js passed');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});